@@ -0,0 +1,104 @@
+/**
+ * APPLICATION DU SERVEUR LOCAL
+ * ============================
+ *
+ * Responsabilités :
+ * - Associer chaque requête à sa route (méthode + chemin avec paramètres)
+ * - Protéger les routes des projets par le jeton d'accès
+ * - Transformer les erreurs en réponses JSON { message } (format lu par
+ *   apiClient)
+ */
+
+import { HttpError, corsHeaders, readJsonBody, sendJson } from './http.js';
+import { createAuth } from './auth.js';
+import { createProjectRoutes } from './projects.js';
+
+const BODY_METHODS = new Set(['POST', 'PUT', 'PATCH']);
+
+/**
+ * Paramètres d'un chemin correspondant à un motif (/projects/:projectId)
+ * @returns {Object|null} null si le chemin ne correspond pas
+ */
+const matchPath = (pattern, pathname) => {
+  const expected = pattern.split('/');
+  const actual = pathname.replace(/\/+$/, '').split('/');
+  if (expected.length !== actual.length) return null;
+
+  const params = {};
+  for (let index = 0; index < expected.length; index++) {
+    if (expected[index].startsWith(':')) {
+      params[expected[index].slice(1)] = decodeURIComponent(actual[index]);
+    } else if (expected[index] !== actual[index]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+/**
+ * Crée le gestionnaire de requêtes
+ * @param {Object} options
+ * @param {Object} options.db - Voir openDatabase
+ * @param {string} options.secret - Clé de signature des jetons
+ * @param {string} [options.corsOrigin] - Origine autorisée pour le front
+ * @returns {function(http.IncomingMessage, http.ServerResponse): Promise<void>}
+ */
+export const createApp = ({ db, secret, corsOrigin = '*' }) => {
+  const auth = createAuth(db, { secret });
+  const routes = [
+    {
+      method: 'POST',
+      pattern: '/auth/login',
+      public: true,
+      handler: async ({ body }) => ({ status: 200, body: await auth.login(body) })
+    },
+    {
+      method: 'POST',
+      pattern: '/auth/refresh',
+      public: true,
+      handler: async ({ body }) => ({ status: 200, body: await auth.refresh(body) })
+    },
+    {
+      method: 'POST',
+      pattern: '/auth/logout',
+      public: true,
+      handler: async ({ body }) => {
+        await auth.logout(body);
+        return { status: 204 };
+      }
+    },
+    ...createProjectRoutes(db)
+  ];
+  const cors = corsHeaders(corsOrigin);
+
+  return async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      sendJson(res, 204, undefined, cors);
+      return;
+    }
+
+    try {
+      const matches = routes
+        .map(route => ({ route, params: matchPath(route.pattern, pathname) }))
+        .filter(({ params }) => params);
+      if (matches.length === 0) throw new HttpError(404, `Route inconnue : ${pathname}`);
+
+      const match = matches.find(({ route }) => route.method === req.method);
+      if (!match) throw new HttpError(405, `Méthode ${req.method} non autorisée sur ${pathname}`);
+
+      const user = match.route.public ? null : auth.authenticate(req);
+      const body = BODY_METHODS.has(req.method) ? await readJsonBody(req) : {};
+      const result = await match.route.handler({ req, params: match.params, body, user });
+      sendJson(res, result.status, result.body, { ...cors, ...result.headers });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendJson(res, error.status, { message: error.message, ...error.data }, cors);
+        return;
+      }
+      console.error(`${req.method} ${pathname} failed:`, error);
+      sendJson(res, 500, { message: 'Erreur interne du serveur' }, cors);
+    }
+  };
+};
@@ -0,0 +1,133 @@
+/**
+ * AUTHENTIFICATION DU SERVEUR LOCAL
+ * =================================
+ *
+ * Responsabilités :
+ * - Émettre des jetons d'accès JWT (HS256) lisibles par le front
+ *   (jwtDecode : claims exp et user)
+ * - Gérer les jetons de renouvellement (sessions enregistrées, révoquées
+ *   à la déconnexion)
+ * - Vérifier le jeton des requêtes protégées
+ *
+ * Comme le service simulé du front, toute adresse e-mail est acceptée
+ * avec un mot de passe d'au moins 6 caractères.
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { HttpError } from './http.js';
+
+const ACCESS_TOKEN_TTL = 15 * 60;
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60;
+const MIN_PASSWORD_LENGTH = 6;
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (content, secret) => createHmac('sha256', secret).update(content).digest('base64url');
+
+/**
+ * Jeton d'accès signé
+ * @param {Object} user
+ * @param {string} secret
+ * @returns {string}
+ */
+const createAccessToken = (user, secret) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ sub: user.id, user, iat: now, exp: now + ACCESS_TOKEN_TTL }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`, secret)}`;
+};
+
+/**
+ * Vérifie un jeton d'accès
+ * @param {string} token
+ * @param {string} secret
+ * @returns {Object|null} Utilisateur, ou null si le jeton est invalide ou expiré
+ */
+const verifyAccessToken = (token, secret) => {
+  const [header, payload, signature] = String(token).split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp * 1000 > Date.now() ? claims.user : null;
+  } catch {
+    return null;
+  }
+};
+
+// Les jetons de renouvellement ne sont enregistrés que sous forme d'empreinte
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Crée le service d'authentification
+ * @param {Object} db - Voir openDatabase
+ * @param {Object} options
+ * @param {string} options.secret - Clé de signature des jetons
+ */
+export const createAuth = (db, { secret }) => {
+  const openSession = (user) => db.update(data => {
+    const refreshToken = randomBytes(32).toString('base64url');
+    const now = Date.now();
+    data.sessions = data.sessions.filter(session => session.expiresAt > now);
+    data.sessions.push({ tokenHash: hashToken(refreshToken), user, expiresAt: now + REFRESH_TOKEN_TTL * 1000 });
+    return { token: createAccessToken(user, secret), refreshToken };
+  });
+
+  return {
+    /**
+     * POST /auth/login — { email, password } → { user, token, refreshToken }
+     */
+    login: async ({ email, password }) => {
+      if (typeof email !== 'string' || !email.includes('@')) {
+        throw new HttpError(400, 'Adresse e-mail invalide');
+      }
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new HttpError(401, 'Identifiants invalides');
+      }
+      const user = { id: hashToken(email.toLowerCase()).slice(0, 12), email, role: 'admin' };
+      return { user, ...(await openSession(user)) };
+    },
+
+    /**
+     * POST /auth/refresh — { refreshToken } → { data: { accessToken, refreshToken } }
+     * Le jeton de renouvellement reste valable jusqu'à la déconnexion (le
+     * front ne conserve que celui reçu à la connexion)
+     */
+    refresh: async ({ refreshToken }) => {
+      const tokenHash = hashToken(String(refreshToken || ''));
+      const session = db.read().sessions.find(item => item.tokenHash === tokenHash);
+      if (!session || session.expiresAt <= Date.now()) {
+        throw new HttpError(401, 'Session expirée');
+      }
+      return { data: { accessToken: createAccessToken(session.user, secret), refreshToken } };
+    },
+
+    /**
+     * POST /auth/logout — { refreshToken } facultatif : révoque la session
+     */
+    logout: async ({ refreshToken }) => {
+      if (!refreshToken) return;
+      const tokenHash = hashToken(String(refreshToken));
+      await db.update(data => {
+        data.sessions = data.sessions.filter(item => item.tokenHash !== tokenHash);
+      });
+    },
+
+    /**
+     * Utilisateur authentifié par l'en-tête Authorization
+     * @param {http.IncomingMessage} req
+     * @returns {Object}
+     * @throws {HttpError} 401 sans jeton valide
+     */
+    authenticate: (req) => {
+      const [scheme, token] = (req.headers.authorization || '').split(' ');
+      const user = scheme === 'Bearer' && token ? verifyAccessToken(token, secret) : null;
+      if (!user) throw new HttpError(401, 'Authentification requise');
+      return user;
+    }
+  };
+};
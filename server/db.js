@@ -0,0 +1,71 @@
+/**
+ * STOCKAGE FICHIER DU SERVEUR LOCAL
+ * =================================
+ *
+ * Responsabilités :
+ * - Charger les données (projets, tâches, sessions) depuis un fichier JSON
+ * - Appliquer les modifications une par une et les enregistrer de façon
+ *   atomique (fichier temporaire puis renommage) ; une modification n'est
+ *   visible qu'une fois enregistrée
+ *
+ * Toutes les données tiennent en mémoire : ce stockage sert au
+ * développement et aux tests de bout en bout, pas à la production.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const EMPTY_DATA = { projects: [], sessions: [] };
+
+/**
+ * Ouvre (ou crée) le fichier de données
+ * @param {string} file - Chemin du fichier JSON
+ * @returns {Promise<{ read: function(): Object, update: function(function(Object): *): Promise<*> }>}
+ */
+export const openDatabase = async (file) => {
+  let data;
+  try {
+    data = { ...EMPTY_DATA, ...JSON.parse(await readFile(file, 'utf8')) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Fichier de données illisible (${file}) : ${error.message}`);
+    }
+    data = structuredClone(EMPTY_DATA);
+  }
+  await mkdir(path.dirname(file), { recursive: true });
+
+  let writes = Promise.resolve();
+
+  const save = async (next) => {
+    const temporary = `${file}.tmp`;
+    await writeFile(temporary, JSON.stringify(next, null, 2));
+    await rename(temporary, file);
+  };
+
+  return {
+    /**
+     * Données courantes (lecture seule : passer par update pour modifier)
+     */
+    read: () => data,
+
+    /**
+     * Applique une modification puis enregistre le fichier ; les
+     * modifications sont exécutées dans l'ordre d'appel. La modification
+     * porte sur une copie, retenue seulement une fois enregistrée : une
+     * erreur (de mutate ou d'écriture) laisse les données inchangées
+     * @param {function(Object): *} mutate - Modifie la copie en place
+     * @returns {Promise<*>} Résultat de mutate
+     */
+    update: (mutate) => {
+      const run = writes.then(async () => {
+        const next = structuredClone(data);
+        const result = mutate(next);
+        await save(next);
+        data = next;
+        return result;
+      });
+      writes = run.catch(() => {});
+      return run;
+    }
+  };
+};
@@ -0,0 +1,114 @@
+/**
+ * OUTILS HTTP DU SERVEUR LOCAL
+ * ============================
+ *
+ * Responsabilités :
+ * - Erreurs HTTP typées (statut + message lisible par apiClient)
+ * - Lecture du corps JSON des requêtes, envoi des réponses JSON
+ * - En-têtes CORS (le front tourne sur un autre port)
+ * - Versions : ETag des réponses, condition If-Match des écritures
+ */
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+export class HttpError extends Error {
+  /**
+   * @param {number} status - Code HTTP
+   * @param {string} message - Message renvoyé au client ({ message })
+   * @param {Object} [data] - Champs ajoutés au corps de la réponse
+   */
+  constructor(status, message, data = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * En-têtes CORS
+ * @param {string} origin - Origine autorisée (* : toutes)
+ * @returns {Object}
+ */
+export const corsHeaders = (origin) => ({
+  'Access-Control-Allow-Origin': origin,
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, Accept, If-Match',
+  'Access-Control-Expose-Headers': 'ETag'
+});
+
+/**
+ * Envoie une réponse JSON (sans corps pour 204)
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} [body]
+ * @param {Object} [headers]
+ */
+export const sendJson = (res, status, body, headers = {}) => {
+  if (status === 204 || body === undefined) {
+    res.writeHead(status, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { ...headers, 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Lit le corps JSON d'une requête
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>} {} si le corps est vide
+ */
+export const readJsonBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      reject(new HttpError(413, 'Requête trop volumineuse'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (!text) {
+      resolve({});
+      return;
+    }
+    try {
+      const body = JSON.parse(text);
+      if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        reject(new HttpError(400, 'Le corps de la requête doit être un objet JSON'));
+        return;
+      }
+      resolve(body);
+    } catch {
+      reject(new HttpError(400, 'JSON invalide'));
+    }
+  });
+  req.on('error', reject);
+});
+
+export const toEtag = (version) => `"${version}"`;
+
+/**
+ * Vérifie la condition If-Match d'une écriture : sans en-tête, l'écriture
+ * est inconditionnelle
+ * @param {http.IncomingMessage} req
+ * @param {{ version: number }} record - Version actuelle de la ressource
+ * @throws {HttpError} 412 si la ressource a changé depuis la version envoyée
+ */
+export const checkIfMatch = (req, record) => {
+  const header = req.headers['if-match'];
+  if (!header || header.trim() === '*') return;
+
+  const versions = header.split(',').map(tag => tag.trim().replace(/^W\//, '').replace(/"/g, ''));
+  if (!versions.includes(String(record.version))) {
+    throw new HttpError(412, 'La ressource a été modifiée depuis votre dernière lecture', {
+      version: record.version
+    });
+  }
+};
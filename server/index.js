@@ -0,0 +1,51 @@
+/**
+ * SERVEUR LOCAL DE RÉFÉRENCE
+ * ==========================
+ *
+ * Implémente les routes utilisées par apiService (src/core/api/apiClient.js)
+ * pour développer et tester le mode serveur sans service externe. Les
+ * données sont enregistrées dans un fichier JSON.
+ *
+ * Lancement : npm run server, puis démarrer le front avec
+ * VITE_API_URL=http://localhost:4000 (et VITE_SYNC_MODE=server).
+ *
+ * Variables d'environnement :
+ * - PORT : port d'écoute (4000)
+ * - DATA_FILE : fichier de données (server/data/db.json)
+ * - JWT_SECRET : clé de signature des jetons (valeur de développement par défaut)
+ * - CORS_ORIGIN : origine autorisée pour le front (toutes par défaut)
+ */
+
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { openDatabase } from './db.js';
+import { createApp } from './app.js';
+
+const DEFAULT_DATA_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'db.json');
+
+const start = async () => {
+  const port = Number(process.env.PORT) || 4000;
+  const dataFile = process.env.DATA_FILE || DEFAULT_DATA_FILE;
+
+  const db = await openDatabase(dataFile);
+  const app = createApp({
+    db,
+    secret: process.env.JWT_SECRET || 'ganttapp-dev-secret',
+    corsOrigin: process.env.CORS_ORIGIN || '*'
+  });
+
+  const server = http.createServer(app);
+  server.listen(port, () => {
+    console.log(`API listening on http://localhost:${port} (data: ${dataFile})`);
+  });
+
+  const stop = () => server.close(() => process.exit(0));
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+};
+
+start().catch(error => {
+  console.error('Unable to start API server:', error);
+  process.exit(1);
+});
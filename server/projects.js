@@ -0,0 +1,198 @@
+/**
+ * PROJETS ET TÂCHES DU SERVEUR LOCAL
+ * ==================================
+ *
+ * Responsabilités :
+ * - Routes /projects, /projects/:id/tasks et /projects/:id/tasks/:taskId
+ *   appelées par apiService (voir src/core/api/apiClient.js)
+ * - Version de chaque projet et de chaque tâche, incrémentée à chaque
+ *   écriture et renvoyée dans l'ETag ; écritures conditionnées par If-Match
+ *
+ * Les identifiants fournis par le client sont conservés (les projets et
+ * les tâches sont créés hors ligne avant d'être envoyés). Les tâches sont
+ * rangées dans l'ordre du plan, modifiable par taskOrder (PUT /projects/:id).
+ */
+
+import { randomUUID } from 'node:crypto';
+import { HttpError, checkIfMatch, toEtag } from './http.js';
+
+// Champs attribués par le serveur, jamais repris du corps des requêtes
+const PROJECT_SERVER_FIELDS = ['id', 'version', 'tasks', 'taskOrder', 'createdAt'];
+const TASK_SERVER_FIELDS = ['id', 'projectId', 'version', 'createdAt'];
+
+const withoutFields = (record, fields) => Object.fromEntries(
+  Object.entries(record).filter(([key]) => !fields.includes(key))
+);
+
+const findProject = (data, projectId) => {
+  const project = data.projects.find(item => item.id === projectId);
+  if (!project) throw new HttpError(404, `Projet ${projectId} introuvable`);
+  return project;
+};
+
+const findTask = (project, taskId) => {
+  const task = project.tasks.find(item => item.id === taskId);
+  if (!task) throw new HttpError(404, `Tâche ${taskId} introuvable`);
+  return task;
+};
+
+const orderTasks = (tasks, taskOrder) => {
+  if (!Array.isArray(taskOrder)) return tasks;
+  const position = new Map(taskOrder.map((id, index) => [id, index]));
+  return [...tasks].sort((a, b) => (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity));
+};
+
+const requireName = (body) => {
+  if (body.name !== undefined && (typeof body.name !== 'string' || !body.name.trim())) {
+    throw new HttpError(422, 'Le nom ne peut pas être vide');
+  }
+};
+
+const etag = (record) => ({ ETag: toEtag(record.version) });
+
+/**
+ * Crée les routes des projets et des tâches
+ * @param {Object} db - Voir openDatabase
+ * @returns {Array<{ method: string, pattern: string, handler: function }>}
+ *   handler({ req, params, body }) → { status, body, headers }
+ */
+export const createProjectRoutes = (db) => [
+  {
+    method: 'GET',
+    pattern: '/projects',
+    handler: () => ({ status: 200, body: db.read().projects })
+  },
+  {
+    method: 'POST',
+    pattern: '/projects',
+    handler: ({ body }) => {
+      requireName(body);
+      return db.update(data => {
+        const id = body.id || randomUUID();
+        if (data.projects.some(project => project.id === id)) {
+          throw new HttpError(409, `Le projet ${id} existe déjà`);
+        }
+        const now = new Date().toISOString();
+        const project = {
+          name: 'Nouveau projet',
+          ...withoutFields(body, PROJECT_SERVER_FIELDS),
+          id,
+          version: 1,
+          createdAt: body.createdAt || now,
+          updatedAt: body.updatedAt || now,
+          tasks: []
+        };
+        data.projects.push(project);
+        return { status: 201, body: project, headers: etag(project) };
+      });
+    }
+  },
+  {
+    method: 'GET',
+    pattern: '/projects/:projectId',
+    handler: ({ params }) => {
+      const project = findProject(db.read(), params.projectId);
+      return { status: 200, body: project, headers: etag(project) };
+    }
+  },
+  {
+    method: 'PUT',
+    pattern: '/projects/:projectId',
+    handler: ({ req, params, body }) => {
+      requireName(body);
+      return db.update(data => {
+        const current = findProject(data, params.projectId);
+        checkIfMatch(req, current);
+        const project = {
+          ...withoutFields(body, PROJECT_SERVER_FIELDS),
+          id: current.id,
+          version: current.version + 1,
+          createdAt: current.createdAt,
+          updatedAt: body.updatedAt || new Date().toISOString(),
+          tasks: orderTasks(current.tasks, body.taskOrder)
+        };
+        data.projects = data.projects.map(item => (item.id === project.id ? project : item));
+        return { status: 200, body: project, headers: etag(project) };
+      });
+    }
+  },
+  {
+    method: 'DELETE',
+    pattern: '/projects/:projectId',
+    handler: ({ params }) => db.update(data => {
+      findProject(data, params.projectId);
+      data.projects = data.projects.filter(project => project.id !== params.projectId);
+      return { status: 204 };
+    })
+  },
+  {
+    method: 'GET',
+    pattern: '/projects/:projectId/tasks',
+    handler: ({ params }) => ({ status: 200, body: findProject(db.read(), params.projectId).tasks })
+  },
+  {
+    method: 'POST',
+    pattern: '/projects/:projectId/tasks',
+    handler: ({ params, body }) => {
+      requireName(body);
+      return db.update(data => {
+        const project = findProject(data, params.projectId);
+        const id = body.id || randomUUID();
+        if (project.tasks.some(task => task.id === id)) {
+          throw new HttpError(409, `La tâche ${id} existe déjà`);
+        }
+        const now = new Date().toISOString();
+        const task = {
+          name: 'Nouvelle tâche',
+          dependencies: [],
+          ...withoutFields(body, TASK_SERVER_FIELDS),
+          id,
+          projectId: project.id,
+          version: 1,
+          createdAt: body.createdAt || now,
+          updatedAt: body.updatedAt || now
+        };
+        project.tasks.push(task);
+        return { status: 201, body: task, headers: etag(task) };
+      });
+    }
+  },
+  {
+    method: 'GET',
+    pattern: '/projects/:projectId/tasks/:taskId',
+    handler: ({ params }) => {
+      const task = findTask(findProject(db.read(), params.projectId), params.taskId);
+      return { status: 200, body: task, headers: etag(task) };
+    }
+  },
+  {
+    method: 'PATCH',
+    pattern: '/projects/:projectId/tasks/:taskId',
+    handler: ({ req, params, body }) => {
+      requireName(body);
+      return db.update(data => {
+        const project = findProject(data, params.projectId);
+        const current = findTask(project, params.taskId);
+        checkIfMatch(req, current);
+        const task = {
+          ...current,
+          ...withoutFields(body, TASK_SERVER_FIELDS),
+          version: current.version + 1,
+          updatedAt: body.updatedAt || new Date().toISOString()
+        };
+        project.tasks = project.tasks.map(item => (item.id === task.id ? task : item));
+        return { status: 200, body: task, headers: etag(task) };
+      });
+    }
+  },
+  {
+    method: 'DELETE',
+    pattern: '/projects/:projectId/tasks/:taskId',
+    handler: ({ params }) => db.update(data => {
+      const project = findProject(data, params.projectId);
+      findTask(project, params.taskId);
+      project.tasks = project.tasks.filter(task => task.id !== params.taskId);
+      return { status: 204 };
+    })
+  }
+];
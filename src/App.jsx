@@ -53,6 +53,10 @@ const Sidebar = () => (
 import appTheme from "./styles/theme";
 import { AuthProvider } from "./core/contexts/AuthContext";
 import LoadingOverlay from "./core/components/LoadingOverlay";
+import StorageMigrationNotice from "./core/components/StorageMigrationNotice";
+import CrossTabSync from "./core/components/CrossTabSync";
+import ServerSync from "./core/components/ServerSync";
+import SyncConflictDialog from "./core/components/SyncConflictDialog";
 
 /**
  * Fonction principale de l'application
@@ -62,97 +66,7 @@ import LoadingOverlay from "./core/components/LoadingOverlay";
  * 2. Système de routage principal
  * 3. Gestion des erreurs et états de chargement
  */
-// Clear localStorage if there are issues with date deserialization
-const migrateLegacyStorage = () => {
-  try {
-    const storedData = localStorage.getItem('project-storage');
-    if (storedData) {
-      console.log('🔍 Checking localStorage data for corruption...');
-      
-      // Try to parse the stored data
-      let parsed;
-      try {
-        parsed = JSON.parse(storedData);
-      } catch (parseError) {
-        console.warn('📦 Corrupted localStorage JSON, clearing:', parseError);
-        localStorage.removeItem('project-storage');
-        return;
-      }
-      
-      // Check if we have the old format or corrupted date data
-      if (parsed.state && parsed.state.projects) {
-        let needsMigration = false;
-        
-        try {
-          // Check if any dates are strings instead of proper Date objects
-          for (const project of parsed.state.projects) {
-            // Test date fields
-            const dateFields = ['createdAt', 'updatedAt'];
-            for (const field of dateFields) {
-              if (project[field] && typeof project[field] === 'string') {
-                // Try to convert to test validity
-                const testDate = new Date(project[field]);
-                if (isNaN(testDate.getTime())) {
-                  needsMigration = true;
-                  break;
-                }
-              }
-            }
-            
-            if (project.tasks) {
-              for (const task of project.tasks) {
-                const taskDateFields = ['startDate', 'endDate', 'createdAt', 'updatedAt'];
-                for (const field of taskDateFields) {
-                  if (task[field] && typeof task[field] === 'string') {
-                    // Try to convert to test validity
-                    const testDate = new Date(task[field]);
-                    if (isNaN(testDate.getTime())) {
-                      needsMigration = true;
-                      break;
-                    }
-                  }
-                }
-                if (needsMigration) break;
-              }
-            }
-            
-            if (needsMigration) break;
-          }
-        } catch (validationError) {
-          console.warn('🚨 Error validating stored data structure:', validationError);
-          needsMigration = true;
-        }
-        
-        if (needsMigration) {
-          console.log('🔄 Corrupted or legacy localStorage data detected, clearing...');
-          localStorage.removeItem('project-storage');
-          console.log('✅ Corrupted data cleared, fresh start enabled');
-          
-          // Show a notification to the user
-          setTimeout(() => {
-            console.log('💡 LocalStorage was cleared due to data corruption. Starting fresh!');
-          }, 1000);
-        } else {
-          console.log('✅ LocalStorage data appears valid');
-        }
-      }
-    } else {
-      console.log('📭 No existing localStorage data found');
-    }
-  } catch (error) {
-    console.warn('⚠️ Error during localStorage migration, clearing storage:', error);
-    localStorage.removeItem('project-storage');
-    console.log('🔄 Cleared localStorage due to migration error');
-  }
-};
-
 function App() {
-  // Run migration on app start
-  React.useEffect(() => {
-    console.log('🚀 Starting Gantt App with data migration check...');
-    migrateLegacyStorage();
-  }, []);
-  
   return (
     /* PROVIDERS GLOBAUX
      * -----------------
@@ -169,6 +83,10 @@ function App() {
           anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
           autoHideDuration={3000}
         >
+          <StorageMigrationNotice />
+          <CrossTabSync />
+          <ServerSync />
+          <SyncConflictDialog />
           <BrowserRouter>
             <AuthProvider>
               <Suspense fallback={<LoadingOverlay />}>
@@ -0,0 +1,60 @@
+/**
+ * ACTIVITY LIST COMPONENT
+ * =======================
+ *
+ * Displays change log entries (most recent first): author, date and
+ * description of the change
+ *
+ * Props:
+ * - entries: change log entries (see getActivity in the project store)
+ * - tasks / resources: used to name referenced tasks and resources
+ * - showProject: prefixes each entry with its project name
+ * - emptyLabel: text shown when there is no entry
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { List, ListItem, ListItemText, Typography } from '@mui/material';
+import { describeAuditEntry, formatAuditActor } from '../core/utils/auditLog';
+
+const ActivityList = ({ entries, tasks = [], resources = [], showProject = false, emptyLabel = 'Aucune modification' }) => {
+  if (entries.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        {emptyLabel}
+      </Typography>
+    );
+  }
+
+  return (
+    <List dense disablePadding>
+      {entries.map(entry => (
+        <ListItem key={entry.id} disableGutters alignItems="flex-start">
+          <ListItemText
+            primary={`${formatAuditActor(entry)} ${describeAuditEntry(entry, { tasks, resources })}`}
+            secondary={[
+              showProject ? entry.projectName : null,
+              new Date(entry.timestamp).toLocaleString()
+            ].filter(Boolean).join(' — ')}
+            primaryTypographyProps={{ variant: 'body2' }}
+          />
+        </ListItem>
+      ))}
+    </List>
+  );
+};
+
+ActivityList.propTypes = {
+  entries: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    timestamp: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]).isRequired,
+    action: PropTypes.string.isRequired,
+    projectName: PropTypes.string
+  })).isRequired,
+  tasks: PropTypes.array,
+  resources: PropTypes.array,
+  showProject: PropTypes.bool,
+  emptyLabel: PropTypes.string
+};
+
+export default ActivityList;
@@ -6,6 +6,8 @@
  * - Displays global navigation
  * - Shows user profile/account controls
  * - Handles responsive menu behavior
+ * - Switches project storage between local only and server-backed
+ * - Shows changes waiting to be sent to the server (offline queue)
  * 
  * Props:
  * - onMenuClick: Function to handle mobile menu toggle
@@ -19,14 +21,34 @@ import {
   Toolbar,
   IconButton,
   Typography,
+  FormControlLabel,
+  Switch,
+  Tooltip,
+  Badge,
   useTheme,
   useMediaQuery
 } from '@mui/material';
 import MenuIcon from '@mui/icons-material/Menu';
+import CloudUploadIcon from '@mui/icons-material/CloudUpload';
+import CloudDoneIcon from '@mui/icons-material/CloudDone';
+import { useProjectStore } from '../core/stores/ProjectStore';
+import { SYNC_MODES, replayOutbox } from '../core/sync/serverSync';
+import { useOutboxStore } from '../core/sync/outbox';
+
+const pendingLabel = (count, lastError) => {
+  if (count === 0) return 'Toutes les modifications sont enregistrées sur le serveur';
+  const label = `${count} modification${count > 1 ? 's' : ''} en attente d'envoi`;
+  return lastError ? `${label} (${lastError}) – cliquer pour réessayer` : `${label} – cliquer pour réessayer`;
+};
 
 const AppHeader = ({ onMenuClick, title = 'My App' }) => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
+  const syncMode = useProjectStore(state => state.syncMode);
+  const setSyncMode = useProjectStore(state => state.setSyncMode);
+  const isServerMode = syncMode === SYNC_MODES.SERVER;
+  const pendingCount = useOutboxStore(state => state.operations.length);
+  const lastError = useOutboxStore(state => state.lastError);
 
   return (
     <AppBar 
@@ -51,6 +73,38 @@ const AppHeader = ({ onMenuClick, title = 'My App' }) => {
         <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
           {title}
         </Typography>
+        {isServerMode && (
+          <Tooltip title={pendingLabel(pendingCount, lastError)}>
+            <span>
+              <IconButton
+                color="inherit"
+                disabled={pendingCount === 0}
+                onClick={() => replayOutbox()}
+                sx={{ mr: 1 }}
+              >
+                <Badge badgeContent={pendingCount} color="warning">
+                  {pendingCount > 0 ? <CloudUploadIcon /> : <CloudDoneIcon />}
+                </Badge>
+              </IconButton>
+            </span>
+          </Tooltip>
+        )}
+        <Tooltip
+          title={isServerMode
+            ? 'Projets partagés via le serveur (cache local)'
+            : 'Projets enregistrés dans ce navigateur uniquement'}
+        >
+          <FormControlLabel
+            control={
+              <Switch
+                color="default"
+                checked={isServerMode}
+                onChange={(event) => setSyncMode(event.target.checked ? SYNC_MODES.SERVER : SYNC_MODES.LOCAL)}
+              />
+            }
+            label="Serveur"
+          />
+        </Tooltip>
       </Toolbar>
     </AppBar>
   );
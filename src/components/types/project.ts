@@ -6,10 +6,77 @@ export interface Project {
   createdAt: string | Date; // Allow both string and Date to handle serialization
   updatedAt: string | Date; // Allow both string and Date to handle serialization
   tasks: Task[];
+  calendar?: WorkingCalendar;
+  resources?: Resource[];
+  baselines?: Baseline[];
+  activeBaselineId?: string | null; // Baseline drawn in the Gantt
+  changeLog?: AuditEntry[]; // Append-only
+}
+
+export type AuditAction = 'create' | 'update' | 'delete';
+
+export interface AuditEntry {
+  id: string;
+  timestamp: string; // ISO
+  actor: { id: string | number | null; email: string | null } | null;
+  action: AuditAction;
+  taskId: string | null; // null = project-level change
+  taskName: string | null;
+  field: string | null;
+  oldValue: unknown;
+  newValue: unknown;
+}
+
+export interface BaselineTask {
+  taskId: string;
+  type?: TaskType;
+  startDate: string | Date;
+  endDate: string | Date;
+  duration: number; // Working days at snapshot time
+  completion: number;
+}
+
+export interface Baseline {
+  id: string;
+  name: string;
+  tasks: BaselineTask[];
+  createdAt: string | Date;
+}
+
+export type ResourceType = 'person' | 'role' | 'equipment';
+
+export interface Resource {
+  id: string;
+  name: string;
+  type: ResourceType;
+  email?: string;
+  capacity: number; // % of a full-time resource
+  projectId: string | null; // null = workspace pool
+  createdAt: string | Date;
+  updatedAt: string | Date;
+}
+
+export interface Assignment {
+  resourceId: string;
+  allocation: number; // % of the resource's time
+}
+
+export interface CalendarDay {
+  date: string; // YYYY-MM-DD (local)
+  name: string;
+}
+
+export interface WorkingCalendar {
+  workingDays: number[]; // Date#getDay values, 0 = Sunday
+  workStart: number;
+  workEnd: number;
+  holidays: CalendarDay[];
+  resourceExceptions: Record<string, CalendarDay[]>;
 }
 
 export type TaskStatus = 'NOT_STARTED' | 'IN_PROGRESS' | 'COMPLETED' | 'ON_HOLD';
 export type TaskColor = 'default' | 'red' | 'green' | 'blue' | 'yellow' | 'purple';
+export type TaskType = 'task' | 'milestone';
 
 export interface Task {
   id: string;
@@ -22,10 +89,17 @@ export interface Task {
   color?: TaskColor;
   completion?: number; // Add completion field
   dependencies: TaskDependency[];
+  type?: TaskType; // "milestone" tasks have startDate === endDate
+  parentId?: string | null; // Summary task containing this one (WBS outline)
+  assignments?: Assignment[];
 }
 
+export type DependencyLagUnit = 'days' | 'percent';
+
 export interface TaskDependency {
   taskId: string;
   type: 'FINISH_TO_START' | 'START_TO_START' | 'FINISH_TO_FINISH' | 'START_TO_FINISH';
+  lag?: number; // Signed offset, negative values overlap the predecessor
+  lagUnit?: DependencyLagUnit; // 'days' or percentage of the predecessor duration
 }
 
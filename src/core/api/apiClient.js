@@ -7,6 +7,7 @@
  * - Configuration des intercepteurs
  * - Gestion des erreurs réseau
  * - Authentification automatique
+ * - Écritures conditionnelles (If-Match sur la version connue)
  * 
  * Architecture :
  * - Utilise Axios comme client HTTP
@@ -16,10 +17,53 @@
  */
 
 import axios from 'axios';
-import { useAuth } from '../contexts/AuthContext';
 
 // Configuration de base
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://api.example.com/v1';
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'https://api.example.com/v1';
+
+// Jetons de la session courante (renseignés par AuthProvider)
+let authTokens = { token: null, refreshToken: null };
+let handleAuthExpired = () => {};
+let handleTokensRefreshed = () => {};
+
+/**
+ * Définit les jetons utilisés par les requêtes
+ * @param {{ token: string|null, refreshToken?: string|null }|null} tokens - null à la déconnexion
+ */
+export const setAuthTokens = (tokens) => {
+  authTokens = { token: tokens?.token || null, refreshToken: tokens?.refreshToken || null };
+};
+
+/**
+ * Définit l'action à exécuter quand la session ne peut pas être renouvelée
+ * @param {function(): void} handler
+ */
+export const setAuthExpiredHandler = (handler) => {
+  handleAuthExpired = handler;
+};
+
+/**
+ * Définit l'action à exécuter quand les jetons ont été renouvelés (pour les
+ * conserver au-delà du rechargement de la page)
+ * @param {function({ token: string, refreshToken: string|null }): void} handler
+ */
+export const setTokensRefreshedHandler = (handler) => {
+  handleTokensRefreshed = handler;
+};
+
+/**
+ * Transformation des erreurs Axios (sans réponse : serveur injoignable)
+ * @param {Object} error - Erreur Axios
+ * @returns {{ message: string, status: number, data: *, isNetworkError: boolean }}
+ */
+const toApiError = (error) => ({
+  message: error.response?.data?.message || 'Erreur réseau',
+  status: error.response?.status || 500,
+  data: error.response?.data,
+  isNetworkError: !error.response
+});
+
+const isAuthRequest = (config) => /^\/?auth\//.test(config?.url || '');
 
 /**
  * Crée une instance Axios configurée
@@ -37,7 +81,7 @@ const createApiClient = () => {
   // Intercepteur pour l'authentification
   instance.interceptors.request.use(
     async (config) => {
-      const { token } = useAuth.getState();
+      const { token } = authTokens;
       
       if (token) {
         config.headers.Authorization = `Bearer ${token}`;
@@ -54,32 +98,33 @@ const createApiClient = () => {
     async (error) => {
       const originalRequest = error.config;
       
-      // Gestion des 401 (token expiré)
-      if (error.response?.status === 401 && !originalRequest._retry) {
+      // Gestion des 401 (token expiré) ; les routes /auth/* (connexion,
+      // renouvellement) renvoient leur propre erreur sans renouvellement
+      if (error.response?.status === 401 && !originalRequest._retry && !isAuthRequest(originalRequest)) {
         originalRequest._retry = true;
+
+        if (!authTokens.refreshToken) {
+          setAuthTokens(null);
+          handleAuthExpired();
+          return Promise.reject(toApiError(error));
+        }
         
         try {
-          const { refreshToken } = useAuth.getState();
-          const { token } = await refreshAuthToken(refreshToken);
+          const tokens = await refreshAuthToken(authTokens.refreshToken);
           
-          useAuth.setState({ token });
-          originalRequest.headers.Authorization = `Bearer ${token}`;
+          setAuthTokens(tokens);
+          handleTokensRefreshed(authTokens);
+          originalRequest.headers.Authorization = `Bearer ${tokens.token}`;
           
           return instance(originalRequest);
         } catch (refreshError) {
-          useAuth.getState().logout();
+          setAuthTokens(null);
+          handleAuthExpired();
           return Promise.reject(refreshError);
         }
       }
 
-      // Transformation des erreurs
-      const apiError = {
-        message: error.response?.data?.message || 'Erreur réseau',
-        status: error.response?.status || 500,
-        data: error.response?.data
-      };
-
-      return Promise.reject(apiError);
+      return Promise.reject(toApiError(error));
     }
   );
 
@@ -98,10 +143,36 @@ const refreshAuthToken = async (refreshToken) => {
   const response = await apiClient.post('/auth/refresh', { refreshToken });
   return {
     token: response.data.accessToken,
-    refreshToken: response.data.refreshToken
+    refreshToken: response.data.refreshToken || refreshToken
   };
 };
 
+/**
+ * Indique si une erreur d'appel vient du réseau (serveur injoignable,
+ * délai dépassé) plutôt que d'une réponse du serveur
+ * @param {Object} error - Erreur rejetée par http
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => Boolean(error?.isNetworkError);
+
+/**
+ * Indique si une écriture a été refusée parce que la ressource a été
+ * modifiée depuis la version envoyée (409 Conflict, 412 Precondition Failed)
+ * @param {Object} error - Erreur rejetée par http
+ * @returns {boolean}
+ */
+export const isConflictError = (error) => error?.status === 409 || error?.status === 412;
+
+/**
+ * Configuration d'une écriture conditionnelle : le serveur la refuse si la
+ * ressource n'est plus à la version indiquée
+ * @param {number} [version] - Version connue (aucune condition si absente)
+ * @returns {Object|undefined}
+ */
+const ifMatch = (version) => (version === undefined || version === null
+  ? undefined
+  : { headers: { 'If-Match': `"${version}"` } });
+
 /**
  * Méthodes HTTP wrappées
  */
@@ -121,20 +192,24 @@ export const apiService = {
     getAll: () => http.get('/projects'),
     getById: (id) => http.get(`/projects/${id}`),
     create: (data) => http.post('/projects', data),
-    update: (id, data) => http.put(`/projects/${id}`, data),
+    update: (id, data, version) => http.put(`/projects/${id}`, data, ifMatch(version)),
     delete: (id) => http.delete(`/projects/${id}`),
     addTask: (projectId, taskData) => 
       http.post(`/projects/${projectId}/tasks`, taskData)
   },
   
   tasks: {
-    update: (projectId, taskId, updates) => 
-      http.patch(`/projects/${projectId}/tasks/${taskId}`, updates)
+    getAll: (projectId) => http.get(`/projects/${projectId}/tasks`),
+    getById: (projectId, taskId) => http.get(`/projects/${projectId}/tasks/${taskId}`),
+    update: (projectId, taskId, updates, version) => 
+      http.patch(`/projects/${projectId}/tasks/${taskId}`, updates, ifMatch(version)),
+    delete: (projectId, taskId) =>
+      http.delete(`/projects/${projectId}/tasks/${taskId}`)
   },
   
   auth: {
     login: (credentials) => http.post('/auth/login', credentials),
-    logout: () => http.post('/auth/logout'),
+    logout: (refreshToken) => http.post('/auth/logout', { refreshToken }),
     refresh: (refreshToken) => http.post('/auth/refresh', { refreshToken })
   }
 };
@@ -34,9 +34,22 @@ function generateMockData(seed) {
   // Génération de 3 projets de démo
   for (let i = 1; i <= 3; i++) {
     const tasks = [];
+    const resources = [];
     const taskCount = 3 + (i % 3); // Entre 3 et 5 tâches par projet
 
     for (let j = 1; j <= taskCount; j++) {
+      // Une personne par tâche dans le pool du projet
+      resources.push({
+        id: `resource-${i}-${j}`,
+        name: `Utilisateur ${j}`,
+        type: 'person',
+        email: `user${j}@example.com`,
+        capacity: 100,
+        projectId: `project-${i}`,
+        createdAt: now,
+        updatedAt: now
+      });
+
       tasks.push({
         id: `task-${idCounter++}`,
         name: `Tâche ${j} du Projet ${i}`,
@@ -44,7 +57,7 @@ function generateMockData(seed) {
         startDate: new Date(now.getTime() + j * 2 * 24 * 60 * 60 * 1000),
         endDate: new Date(now.getTime() + (j * 2 + 5) * 24 * 60 * 60 * 1000),
         status: ['not_started', 'in_progress', 'completed'][j % 3],
-        assignees: [`user${j}@example.com`],
+        assignments: [{ resourceId: `resource-${i}-${j}`, allocation: j % 2 === 0 ? 50 : 100 }],
         dependencies: j > 1 ? [`task-${idCounter - 2}`] : []
       });
     }
@@ -55,7 +68,8 @@ function generateMockData(seed) {
       description: `Description du projet ${i}`,
       createdAt: now,
       updatedAt: now,
-      tasks
+      tasks,
+      resources
     });
   }
 
@@ -73,6 +87,7 @@ const { projects } = generateMockData(SEED);
 const simulateNetworkDelay = (min = 300, max = 1000) => {
   return new Promise(resolve => 
     setTimeout(resolve, Math.random() * (max - min) + min)
+  );
 };
 
 /**
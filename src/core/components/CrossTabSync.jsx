@@ -0,0 +1,39 @@
+/**
+ * COMPOSANT CROSS TAB SYNC
+ * ========================
+ *
+ * Responsabilités :
+ * - Démarre la synchronisation du store des projets entre onglets
+ * - Signale les conflits résolus lors de la fusion (même tâche modifiée
+ *   dans deux onglets)
+ *
+ * N'affiche rien : à placer sous le SnackbarProvider.
+ */
+
+import { useEffect } from 'react';
+import { useSnackbar } from 'notistack';
+import { useProjectStore } from '../stores/ProjectStore';
+import { startCrossTabSync } from '../sync/crossTabSync';
+import { TASK_FIELD_LABELS, PROJECT_FIELD_LABELS } from '../utils/auditLog';
+
+const describeConflict = (conflict) => {
+  const labels = conflict.taskId ? TASK_FIELD_LABELS : PROJECT_FIELD_LABELS;
+  const fields = conflict.fields.map(field => labels[field] || field).join(', ').toLowerCase();
+  const subject = conflict.taskName
+    ? `« ${conflict.taskName} »`
+    : conflict.projectName ? `le projet « ${conflict.projectName} »` : 'les ressources';
+  const kept = conflict.kept === 'remote' ? "la version de l'autre onglet" : 'votre version';
+  return `Conflit avec un autre onglet sur ${subject} (${fields}) : ${kept} a été conservée`;
+};
+
+export default function CrossTabSync() {
+  const { enqueueSnackbar } = useSnackbar();
+
+  useEffect(() => startCrossTabSync(useProjectStore, {
+    onConflict: (conflicts) => {
+      conflicts.forEach(conflict => enqueueSnackbar(describeConflict(conflict), { variant: 'warning' }));
+    }
+  }), [enqueueSnackbar]);
+
+  return null;
+}
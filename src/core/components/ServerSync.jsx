@@ -0,0 +1,76 @@
+/**
+ * COMPOSANT SERVER SYNC
+ * =====================
+ *
+ * Responsabilités :
+ * - En mode serveur, charge les projets depuis l'API une fois le cache local
+ *   chargé, puis à chaque passage en mode serveur
+ * - Envoie les modifications locales à l'API
+ * - Signale les échecs de synchronisation, et les modifications refusées
+ *   par le serveur puis annulées
+ *
+ * N'affiche rien : à placer sous le SnackbarProvider.
+ */
+
+import { useEffect } from 'react';
+import { useSnackbar } from 'notistack';
+import { useProjectStore } from '../stores/ProjectStore';
+import { SYNC_MODES, startServerSync } from '../sync/serverSync';
+
+const MAX_LISTED_CHANGES = 3;
+
+const describeTaskChange = ({ before, after }) => {
+  if (!before) return `création de « ${after.name} »`;
+  if (!after) return `suppression de « ${before.name} »`;
+  return `modification de « ${after.name} »`;
+};
+
+const describeRollback = (error, changes) => {
+  const items = changes.projects.flatMap(change => {
+    if (!change.before) return [`création du projet « ${change.after.name} »`];
+    if (!change.after) return [`suppression du projet « ${change.before.name} »`];
+    const tasks = change.tasks.map(describeTaskChange);
+    return tasks.length > 0 ? tasks : [`modification du projet « ${change.after.name} »`];
+  });
+  const hidden = items.length - MAX_LISTED_CHANGES;
+  const listed = items.slice(0, MAX_LISTED_CHANGES).join(', ') + (hidden > 0 ? ` (et ${hidden} de plus)` : '');
+  return `Refusé par le serveur (${error?.message || 'erreur inconnue'}), modification annulée : ${listed}`;
+};
+
+export default function ServerSync() {
+  const { enqueueSnackbar } = useSnackbar();
+  const syncMode = useProjectStore(state => state.syncMode);
+
+  useEffect(() => startServerSync(useProjectStore, {
+    onError: (error) => enqueueSnackbar(
+      `Modification non enregistrée sur le serveur : ${error?.message || 'erreur inconnue'}`,
+      { variant: 'error' }
+    ),
+    onRollback: (error, changes) => enqueueSnackbar(describeRollback(error, changes), { variant: 'warning' })
+  }), [enqueueSnackbar]);
+
+  useEffect(() => {
+    if (syncMode !== SYNC_MODES.SERVER) return undefined;
+
+    const load = async () => {
+      const { loadFromServer, fetchProject } = useProjectStore.getState();
+      try {
+        await loadFromServer();
+        const { currentProject } = useProjectStore.getState();
+        if (currentProject) await fetchProject(currentProject.id);
+      } catch (error) {
+        enqueueSnackbar(useProjectStore.getState().syncError || 'Échec du chargement depuis le serveur', {
+          variant: 'error'
+        });
+      }
+    };
+
+    if (useProjectStore.persist.hasHydrated()) {
+      load();
+      return undefined;
+    }
+    return useProjectStore.persist.onFinishHydration(() => load());
+  }, [syncMode, enqueueSnackbar]);
+
+  return null;
+}
@@ -0,0 +1,59 @@
+/**
+ * COMPOSANT STORAGE MIGRATION NOTICE
+ * ==================================
+ *
+ * Responsabilités :
+ * - Notifie l'utilisateur, une fois les données persistées chargées, des
+ *   migrations de schéma appliquées
+ * - Signale les enregistrements illisibles mis en quarantaine et propose
+ *   de télécharger la sauvegarde
+ *
+ * N'affiche rien : à placer sous le SnackbarProvider.
+ */
+
+import { useEffect } from 'react';
+import { useSnackbar } from 'notistack';
+import { Button } from '@mui/material';
+import { useProjectStore } from '../stores/ProjectStore';
+import { takeMigrationReport, takeUnreportedCount, downloadQuarantine } from '../storage';
+
+export default function StorageMigrationNotice() {
+  const { enqueueSnackbar, closeSnackbar } = useSnackbar();
+
+  useEffect(() => {
+    const notify = () => {
+      const report = takeMigrationReport();
+      const quarantined = takeUnreportedCount();
+
+      if (quarantined > 0) {
+        enqueueSnackbar(
+          `${quarantined} enregistrement(s) illisible(s) mis de côté lors du chargement des données`,
+          {
+            variant: 'warning',
+            persist: true,
+            action: (key) => (
+              <>
+                <Button color="inherit" size="small" onClick={() => downloadQuarantine()}>
+                  Télécharger la sauvegarde
+                </Button>
+                <Button color="inherit" size="small" onClick={() => closeSnackbar(key)}>
+                  Fermer
+                </Button>
+              </>
+            )
+          }
+        );
+      } else if (report) {
+        enqueueSnackbar(
+          `Données mises à jour (version ${report.fromVersion} → ${report.toVersion})`,
+          { variant: 'info' }
+        );
+      }
+    };
+
+    if (useProjectStore.persist.hasHydrated()) notify();
+    return useProjectStore.persist.onFinishHydration(notify);
+  }, [enqueueSnackbar, closeSnackbar]);
+
+  return null;
+}
@@ -0,0 +1,131 @@
+/**
+ * COMPOSANT SYNC CONFLICT DIALOG
+ * ==============================
+ *
+ * Responsabilités :
+ * - Présente, un par un, les conflits de version avec le serveur (projet ou
+ *   tâche modifié par quelqu'un d'autre depuis la dernière synchronisation)
+ * - Affiche pour chaque champ en conflit la valeur d'origine, la vôtre et
+ *   celle du serveur, et laisse choisir laquelle conserver
+ *
+ * Les modifications sans conflit sont fusionnées automatiquement (voir
+ * serverSync.js) et n'apparaissent pas ici.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Radio,
+  FormControlLabel
+} from '@mui/material';
+import { useProjectStore } from '../stores/ProjectStore';
+import { resolveConflict } from '../sync/serverSync';
+import { CONFLICT_CHOICES, useSyncConflicts, getConflictingFields } from '../sync/syncConflicts';
+import { TASK_FIELD_LABELS, PROJECT_FIELD_LABELS, formatAuditValue } from '../utils/auditLog';
+
+const CONFLICT_PROJECT_FIELD_LABELS = { ...PROJECT_FIELD_LABELS, taskOrder: 'Ordre des tâches' };
+
+function ConflictForm({ conflict, total }) {
+  const [choices, setChoices] = useState({});
+  const project = useProjectStore(state => state.projects.find(item => item.id === conflict.projectId));
+  const resources = useProjectStore(state => state.resources);
+
+  const fields = getConflictingFields(conflict);
+  const labels = conflict.taskId ? TASK_FIELD_LABELS : CONFLICT_PROJECT_FIELD_LABELS;
+  const format = (field, value) => formatAuditValue(field, value, { tasks: project?.tasks || [], resources });
+  const choose = (field, choice) => setChoices(current => ({ ...current, [field]: choice }));
+  const keepTheirs = () => resolveConflict(conflict.id, Object.fromEntries(
+    fields.map(field => [field, CONFLICT_CHOICES.THEIRS])
+  ));
+
+  const renderChoice = (field, choice, value) => (
+    <FormControlLabel
+      control={(
+        <Radio
+          size="small"
+          checked={(choices[field] || CONFLICT_CHOICES.MINE) === choice}
+          onChange={() => choose(field, choice)}
+        />
+      )}
+      label={format(field, value)}
+    />
+  );
+
+  return (
+    <>
+      <DialogTitle>
+        {conflict.taskId ? `Conflit sur la tâche « ${conflict.name} »` : `Conflit sur le projet « ${conflict.name} »`}
+        {total > 1 && ` (1 sur ${total})`}
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {conflict.taskId ? 'Cette tâche' : 'Ce projet'} a été modifié sur le serveur pendant que vous le
+          modifiiez. Choisissez, pour chaque champ, la valeur à conserver ; vos autres modifications ont
+          déjà été fusionnées.
+        </Typography>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Champ</TableCell>
+              <TableCell>Valeur d&apos;origine</TableCell>
+              <TableCell>Votre version</TableCell>
+              <TableCell>Version du serveur</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {fields.map(field => (
+              <TableRow key={field}>
+                <TableCell>{labels[field] || field}</TableCell>
+                <TableCell sx={{ color: 'text.secondary' }}>{format(field, conflict.base[field])}</TableCell>
+                <TableCell>{renderChoice(field, CONFLICT_CHOICES.MINE, conflict.mine[field])}</TableCell>
+                <TableCell>{renderChoice(field, CONFLICT_CHOICES.THEIRS, conflict.theirs[field])}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={keepTheirs}>Garder la version du serveur</Button>
+        <Button variant="contained" onClick={() => resolveConflict(conflict.id, choices)}>
+          Appliquer
+        </Button>
+      </DialogActions>
+    </>
+  );
+}
+
+ConflictForm.propTypes = {
+  conflict: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    projectId: PropTypes.string.isRequired,
+    taskId: PropTypes.string,
+    name: PropTypes.string,
+    base: PropTypes.object.isRequired,
+    mine: PropTypes.object.isRequired,
+    theirs: PropTypes.object.isRequired
+  }).isRequired,
+  total: PropTypes.number.isRequired
+};
+
+export default function SyncConflictDialog() {
+  const conflicts = useSyncConflicts(state => state.conflicts);
+  const [conflict] = conflicts;
+
+  // Une décision est nécessaire : pas de fermeture par Échap ou clic extérieur
+  return (
+    <Dialog open={Boolean(conflict)} maxWidth="md" fullWidth>
+      {conflict && <ConflictForm key={conflict.id} conflict={conflict} total={conflicts.length} />}
+    </Dialog>
+  );
+}
@@ -1,3 +1,7 @@
 export { default as LoadingOverlay } from './LoadingOverlay';
 export { default as NotFound } from './NotFound';
+export { default as StorageMigrationNotice } from './StorageMigrationNotice';
+export { default as CrossTabSync } from './CrossTabSync';
+export { default as ServerSync } from './ServerSync';
+export { default as SyncConflictDialog } from './SyncConflictDialog';
 // Ajoutez ici d'autres exports de composants
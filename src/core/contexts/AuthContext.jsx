@@ -7,6 +7,8 @@
  * - Stockage sécurisé du token JWT
  * - Fourniture des méthodes de login/logout
  * - Protection des routes
+ * - Auteur des modifications journalisées par le store des projets
+ * - En mode serveur, connexion par l'API (sinon service simulé)
  * 
  * Architecture :
  * - Utilise le pattern Context API + useReducer
@@ -14,11 +16,20 @@
  * - TypeScript-ready avec PropTypes
  */
 
-import React, { createContext, useContext, useReducer, useEffect, useState } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef, useState } from 'react';
 import PropTypes from 'prop-types';
 import { useNavigate } from 'react-router-dom';
 import { jwtDecode } from 'jwt-decode';
 import CryptoJS from 'crypto-js';
+import { useProjectStore } from '../stores/ProjectStore';
+import {
+  apiService,
+  isNetworkError,
+  setAuthTokens,
+  setAuthExpiredHandler,
+  setTokensRefreshedHandler
+} from '../api/apiClient';
+import { SYNC_MODES } from '../sync/serverSync';
 
 // Clé de chiffrement (à mettre dans les variables d'environnement en production)
 //const SECRET_KEY = process.env.REACT_APP_CRYPTO_KEY || 'default_secret_key';
@@ -70,6 +81,61 @@ const authReducer = (state, action) => {
   }
 };
 
+/**
+ * Chiffrement/déchiffrement localStorage
+ */
+const secureStorage = {
+  set: (key, value) => {
+    const encrypted = CryptoJS.AES.encrypt(JSON.stringify(value), SECRET_KEY).toString();
+    localStorage.setItem(key, encrypted);
+  },
+  get: (key) => {
+    const data = localStorage.getItem(key);
+    if (!data) return null;
+    const bytes = CryptoJS.AES.decrypt(data, SECRET_KEY);
+    return JSON.parse(bytes.toString(CryptoJS.enc.Utf8));
+  },
+  removeItem: (key) => localStorage.removeItem(key)
+};
+
+/**
+ * Conserve les jetons de la session (connexion ou renouvellement)
+ * @param {{ token: string, refreshToken?: string|null }} tokens
+ */
+const saveTokens = ({ token, refreshToken }) => {
+  secureStorage.set('auth_token', token);
+  if (refreshToken) {
+    secureStorage.set('auth_refresh_token', refreshToken);
+  }
+  setAuthTokens({ token, refreshToken });
+};
+
+/**
+ * Jeton d'accès expiré : renouvellement par le jeton de renouvellement
+ * (délivré par l'API seulement). Hors ligne, la session est conservée : le
+ * client API la renouvellera à la première requête refusée
+ * @param {string} expiredToken - Jeton d'accès enregistré
+ * @returns {Promise<string|null>} Jeton d'accès à utiliser, null sans session
+ */
+const renewToken = async (expiredToken) => {
+  const refreshToken = secureStorage.get('auth_refresh_token');
+  if (!refreshToken) return null;
+
+  try {
+    const response = await apiService.auth.refresh(refreshToken);
+    const token = response.data.accessToken;
+    saveTokens({ token, refreshToken: response.data.refreshToken || refreshToken });
+    return token;
+  } catch (error) {
+    if (isNetworkError(error)) {
+      setAuthTokens({ token: expiredToken, refreshToken });
+      return expiredToken;
+    }
+    console.error('Erreur renouvellement session:', error);
+    return null;
+  }
+};
+
 // Création du contexte
 export const AuthContext = createContext();
 
@@ -78,21 +144,7 @@ export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, AuthState);
   const navigate = useNavigate();
 
-  /**
-   * Chiffrement/déchiffrement localStorage
-   */
-  const secureStorage = {
-    set: (key, value) => {
-      const encrypted = CryptoJS.AES.encrypt(JSON.stringify(value), SECRET_KEY).toString();
-      localStorage.setItem(key, encrypted);
-    },
-    get: (key) => {
-      const data = localStorage.getItem(key);
-      if (!data) return null;
-      const bytes = CryptoJS.AES.decrypt(data, SECRET_KEY);
-      return JSON.parse(bytes.toString(CryptoJS.enc.Utf8));
-    }
-  };
+  const isServerMode = () => useProjectStore.getState().syncMode === SYNC_MODES.SERVER;
 
   /**
    * Initialisation - Vérification du token au mount
@@ -100,21 +152,23 @@ export const AuthProvider = ({ children }) => {
   useEffect(() => {
     const initAuth = async () => {
       try {
-        const token = secureStorage.get('auth_token');
+        let token = secureStorage.get('auth_token');
+        if (token && jwtDecode(token).exp * 1000 < Date.now()) {
+          token = await renewToken(token);
+          if (!token) logout();
+        } else if (token) {
+          setAuthTokens({ token, refreshToken: secureStorage.get('auth_refresh_token') });
+        }
         if (token) {
-          const decoded = jwtDecode(token);
-          if (decoded.exp * 1000 < Date.now()) {
-            logout();
-          } else {
-            dispatch({
-              type: AuthActions.LOAD_USER,
-              payload: decoded.user
-            });
-          }
+          dispatch({
+            type: AuthActions.LOAD_USER,
+            payload: jwtDecode(token).user
+          });
         }
       } catch (error) {
         console.error('Erreur vérification token:', error);
         secureStorage.removeItem('auth_token');
+        secureStorage.removeItem('auth_refresh_token');
       } finally {
         dispatch({ type: 'STOP_LOADING' });
       }
@@ -122,6 +176,13 @@ export const AuthProvider = ({ children }) => {
     initAuth();
   }, []);
 
+  /**
+   * L'utilisateur connecté signe les modifications du journal
+   */
+  useEffect(() => {
+    useProjectStore.getState().setActor(state.user);
+  }, [state.user]);
+
   /**
    * Login utilisateur
    * @param {string} email 
@@ -129,10 +190,11 @@ export const AuthProvider = ({ children }) => {
    */
   const login = async (email, password) => {
     try {
-      // Simulation appel API
-      const response = await mockAuthAPI(email, password);
+      const response = isServerMode()
+        ? await apiService.auth.login({ email, password })
+        : await mockAuthAPI(email, password);
       
-      secureStorage.set('auth_token', response.token);
+      saveTokens(response);
       
       dispatch({
         type: AuthActions.LOGIN,
@@ -152,11 +214,28 @@ export const AuthProvider = ({ children }) => {
    * Déconnexion
    */
   const logout = () => {
+    const refreshToken = secureStorage.get('auth_refresh_token');
+    if (refreshToken && isServerMode()) {
+      apiService.auth.logout(refreshToken).catch(error => console.error('Erreur déconnexion API:', error));
+    }
+    setAuthTokens(null);
     secureStorage.removeItem('auth_token');
+    secureStorage.removeItem('auth_refresh_token');
     dispatch({ type: AuthActions.LOGOUT });
     navigate('/login');
   };
 
+  /**
+   * Session expirée côté API (renouvellement impossible)
+   */
+  const logoutRef = useRef(logout);
+  logoutRef.current = logout;
+  useEffect(() => {
+    setAuthExpiredHandler(() => logoutRef.current());
+    // Jetons renouvelés par le client API : conservés pour le prochain chargement
+    setTokensRefreshedHandler(tokens => saveTokens(tokens));
+  }, []);
+
   // Valeur exposée par le contexte
   const contextValue = {
     ...state,
@@ -0,0 +1,68 @@
+/**
+ * HOOK ANNULER / RÉTABLIR
+ * =======================
+ * - Raccourcis Ctrl+Z (annuler), Ctrl+Maj+Z et Ctrl+Y (rétablir)
+ * - Notification de l'action annulée ou rétablie
+ * - État des boutons (disponibilité, libellés) pour les barres d'outils
+ *
+ * Les raccourcis sont laissés au navigateur dans les champs de saisie.
+ */
+
+import { useCallback, useEffect } from 'react';
+import { useSnackbar } from 'notistack';
+import { useProjectStore } from '../stores/ProjectStore';
+
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+const lastLabel = (stack) => (stack.length > 0 ? stack[stack.length - 1].label : null);
+
+/**
+ * @returns {{ undo: function, redo: function, canUndo: boolean, canRedo: boolean,
+ *   undoLabel: string|null, redoLabel: string|null }}
+ */
+export default function useUndoRedo() {
+  const { enqueueSnackbar } = useSnackbar();
+  const past = useProjectStore(state => state.past);
+  const future = useProjectStore(state => state.future);
+  const undoInStore = useProjectStore(state => state.undo);
+  const redoInStore = useProjectStore(state => state.redo);
+
+  const undo = useCallback(() => {
+    const label = undoInStore();
+    if (label) enqueueSnackbar(`Annulé : ${label}`, { variant: 'info' });
+  }, [undoInStore, enqueueSnackbar]);
+
+  const redo = useCallback(() => {
+    const label = redoInStore();
+    if (label) enqueueSnackbar(`Rétabli : ${label}`, { variant: 'info' });
+  }, [redoInStore, enqueueSnackbar]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isEditableTarget(event.target)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  return {
+    undo,
+    redo,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    undoLabel: lastLabel(past),
+    redoLabel: lastLabel(future)
+  };
+}
@@ -0,0 +1,39 @@
+/**
+ * STOCKAGE DES PROJETS
+ * ====================
+ *
+ * Responsabilités :
+ * - Choisir l'adaptateur de persistance du store des projets
+ * - IndexedDB par défaut (projets volumineux, écritures incrémentales)
+ * - localStorage en repli (navigateur sans IndexedDB) ou sur demande
+ *   via VITE_STORAGE_BACKEND=localStorage
+ */
+
+import { createIndexedDbStorage } from './indexedDbStorage';
+import { createLocalStorageAdapter } from './jsonStorage';
+
+export const STORAGE_BACKENDS = {
+  INDEXED_DB: 'indexedDB',
+  LOCAL_STORAGE: 'localStorage'
+};
+
+/**
+ * Crée l'adaptateur de persistance des projets
+ * @param {string} [backend] - Voir STORAGE_BACKENDS (détecté par défaut)
+ * @returns {{ getItem: function, setItem: function, removeItem: function }}
+ */
+export const createProjectStorage = (backend = import.meta.env?.VITE_STORAGE_BACKEND) => {
+  const useIndexedDb = backend !== STORAGE_BACKENDS.LOCAL_STORAGE && typeof globalThis.indexedDB !== 'undefined';
+  return useIndexedDb ? createIndexedDbStorage() : createLocalStorageAdapter();
+};
+
+export { createIndexedDbStorage } from './indexedDbStorage';
+export { createLocalStorageAdapter, parseStoredValue, reviveStoredState } from './jsonStorage';
+export { SCHEMA_VERSION, MIGRATIONS, migratePersistedState, takeMigrationReport } from './migrations';
+export {
+  QUARANTINE_KEY,
+  getQuarantinedRecords,
+  downloadQuarantine,
+  clearQuarantine,
+  takeUnreportedCount
+} from './quarantine';
@@ -0,0 +1,290 @@
+/**
+ * STOCKAGE INDEXEDDB
+ * ==================
+ *
+ * Responsabilités :
+ * - Adaptateur de persistance Zustand sur IndexedDB (une base par clé)
+ * - Projets et tâches enregistrés séparément (un enregistrement chacun)
+ * - Écritures incrémentales : seuls les projets et tâches modifiés depuis la
+ *   dernière écriture réussie sont réécrits (les mises à jour du store sont
+ *   immuables, une comparaison de références suffit)
+ * - Migration unique depuis la clé localStorage des versions précédentes
+ *
+ * Schéma :
+ * - meta     : { key: 'state', version, currentProjectId, projectIds, rest }
+ * - projects : projet sans ses tâches (clé : id)
+ * - tasks    : { projectId, id, position, task } (clé : [projectId, id])
+ */
+
+import { parseStoredValue } from './jsonStorage';
+
+const DB_VERSION = 1;
+const META_KEY = 'state';
+const STORES = {
+  META: 'meta',
+  PROJECTS: 'projects',
+  TASKS: 'tasks'
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction IndexedDB annulée'));
+});
+
+/**
+ * Ouvre (et crée au besoin) la base d'une clé de persistance
+ */
+const openDatabase = (factory, name) => new Promise((resolve, reject) => {
+  const request = factory.open(name, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORES.META)) {
+      db.createObjectStore(STORES.META, { keyPath: 'key' });
+    }
+    if (!db.objectStoreNames.contains(STORES.PROJECTS)) {
+      db.createObjectStore(STORES.PROJECTS, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(STORES.TASKS)) {
+      db.createObjectStore(STORES.TASKS, { keyPath: ['projectId', 'id'] });
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withoutTasks = (project) => Object.fromEntries(
+  Object.entries(project).filter(([key]) => key !== 'tasks')
+);
+
+/**
+ * Indique si les champs d'un projet (hors tâches) ont changé
+ */
+const hasProjectFieldsChanged = (previous, project) => {
+  const keys = new Set([...Object.keys(previous), ...Object.keys(project)]);
+  keys.delete('tasks');
+  return [...keys].some(key => previous[key] !== project[key]);
+};
+
+/**
+ * Sépare l'état persisté en enregistrements
+ */
+const splitState = ({ state, version }) => {
+  const { projects = [], currentProject = null, ...rest } = state || {};
+  return {
+    projects,
+    meta: {
+      key: META_KEY,
+      version,
+      currentProjectId: currentProject?.id || null,
+      projectIds: projects.map(project => project.id),
+      rest
+    }
+  };
+};
+
+/**
+ * Reconstitue l'état persisté à partir des enregistrements
+ */
+const joinState = ({ projects, meta }) => ({
+  state: {
+    ...meta.rest,
+    projects,
+    currentProject: projects.find(project => project.id === meta.currentProjectId) || null
+  },
+  version: meta.version
+});
+
+const hasMetaChanged = (previous, meta) => {
+  if (!previous) return true;
+  if (previous.version !== meta.version || previous.currentProjectId !== meta.currentProjectId) return true;
+  if (previous.projectIds.join('|') !== meta.projectIds.join('|')) return true;
+  const keys = new Set([...Object.keys(previous.rest), ...Object.keys(meta.rest)]);
+  return [...keys].some(key => previous.rest[key] !== meta.rest[key]);
+};
+
+/**
+ * Opérations d'écriture entre deux états persistés
+ * @param {Object|null} previous - Dernier état écrit (splitState), null pour tout écrire
+ * @param {Object} next - État à écrire (splitState)
+ * @returns {{ meta: Object|null, putProjects: Array, deleteProjectIds: Array,
+ *   putTasks: Array, deleteTaskKeys: Array }}
+ */
+export const diffPersistedState = (previous, next) => {
+  const operations = {
+    meta: hasMetaChanged(previous?.meta, next.meta) ? next.meta : null,
+    putProjects: [],
+    deleteProjectIds: [],
+    putTasks: [],
+    deleteTaskKeys: []
+  };
+  const previousProjects = new Map((previous?.projects || []).map(project => [project.id, project]));
+  const nextIds = new Set(next.projects.map(project => project.id));
+
+  next.projects.forEach(project => {
+    const before = previousProjects.get(project.id);
+    if (before === project) return;
+
+    if (!before || hasProjectFieldsChanged(before, project)) {
+      operations.putProjects.push(withoutTasks(project));
+    }
+
+    const tasks = project.tasks || [];
+    const beforeTasks = new Map((before?.tasks || []).map((task, position) => [task.id, { task, position }]));
+    tasks.forEach((task, position) => {
+      const stored = beforeTasks.get(task.id);
+      if (!stored || stored.task !== task || stored.position !== position) {
+        operations.putTasks.push({ projectId: project.id, id: task.id, position, task });
+      }
+    });
+
+    const taskIds = new Set(tasks.map(task => task.id));
+    beforeTasks.forEach((stored, id) => {
+      if (!taskIds.has(id)) operations.deleteTaskKeys.push([project.id, id]);
+    });
+  });
+
+  previousProjects.forEach((project, id) => {
+    if (nextIds.has(id)) return;
+    operations.deleteProjectIds.push(id);
+    (project.tasks || []).forEach(task => operations.deleteTaskKeys.push([id, task.id]));
+  });
+
+  return operations;
+};
+
+/**
+ * Adaptateur de persistance Zustand sur IndexedDB
+ * @param {Object} [options]
+ * @param {IDBFactory} [options.indexedDB] - Fabrique IndexedDB (globale par défaut)
+ * @param {Storage} [options.legacyStorage] - Stockage des anciennes versions (localStorage)
+ * @returns {{ getItem: function, setItem: function, removeItem: function }}
+ */
+export const createIndexedDbStorage = ({
+  indexedDB: factory = globalThis.indexedDB,
+  legacyStorage = globalThis.localStorage
+} = {}) => {
+  const databases = new Map();
+  // Dernier état lu ou écrit par clé : base des écritures incrémentales
+  const written = new Map();
+  // Les écritures d'une clé sont exécutées dans l'ordre
+  const queues = new Map();
+
+  const getDatabase = (name) => {
+    if (!databases.has(name)) databases.set(name, openDatabase(factory, name));
+    return databases.get(name);
+  };
+
+  const enqueue = (name, task) => {
+    const next = (queues.get(name) || Promise.resolve()).then(task, task);
+    queues.set(name, next.catch(() => {}));
+    return next;
+  };
+
+  const writeOperations = async (name, operations) => {
+    const db = await getDatabase(name);
+    const transaction = db.transaction(Object.values(STORES), 'readwrite');
+    const projects = transaction.objectStore(STORES.PROJECTS);
+    const tasks = transaction.objectStore(STORES.TASKS);
+
+    operations.deleteTaskKeys.forEach(key => tasks.delete(key));
+    operations.deleteProjectIds.forEach(id => projects.delete(id));
+    operations.putProjects.forEach(project => projects.put(project));
+    operations.putTasks.forEach(record => tasks.put(record));
+    if (operations.meta) transaction.objectStore(STORES.META).put(operations.meta);
+
+    await transactionDone(transaction);
+  };
+
+  const readState = async (name) => {
+    const db = await getDatabase(name);
+    const transaction = db.transaction(Object.values(STORES), 'readonly');
+    const [meta, projectRecords, taskRecords] = await Promise.all([
+      requestToPromise(transaction.objectStore(STORES.META).get(META_KEY)),
+      requestToPromise(transaction.objectStore(STORES.PROJECTS).getAll()),
+      requestToPromise(transaction.objectStore(STORES.TASKS).getAll())
+    ]);
+    if (!meta) return null;
+
+    const tasksByProject = new Map();
+    taskRecords
+      .sort((a, b) => a.position - b.position)
+      .forEach(record => {
+        if (!tasksByProject.has(record.projectId)) tasksByProject.set(record.projectId, []);
+        tasksByProject.get(record.projectId).push(record.task);
+      });
+
+    const byId = new Map(projectRecords.map(record => [record.id, {
+      ...record,
+      tasks: tasksByProject.get(record.id) || []
+    }]));
+    const split = { projects: meta.projectIds.map(id => byId.get(id)).filter(Boolean), meta };
+
+    return { value: joinState(split), split };
+  };
+
+  /**
+   * Reprise unique des données laissées en localStorage sous la même clé
+   */
+  const migrateLegacyValue = async (name) => {
+    const raw = legacyStorage?.getItem(name);
+    if (!raw) return null;
+
+    // Un contenu illisible est mis en quarantaine par parseStoredValue
+    const value = parseStoredValue(raw);
+    if (!value?.state) {
+      legacyStorage.removeItem(name);
+      return null;
+    }
+
+    const split = splitState(value);
+    await writeOperations(name, diffPersistedState(null, split));
+    legacyStorage.removeItem(name);
+    console.info(`Données "${name}" migrées de localStorage vers IndexedDB`);
+    return { value: joinState(split), split };
+  };
+
+  return {
+    getItem: (name) => enqueue(name, async () => {
+      try {
+        const stored = await readState(name) || await migrateLegacyValue(name);
+        written.set(name, stored ? stored.split : null);
+        return stored ? stored.value : null;
+      } catch (error) {
+        console.error('Error reading project data from IndexedDB:', error);
+        return null;
+      }
+    }),
+
+    setItem: (name, value) => enqueue(name, async () => {
+      // Avant la première lecture, une écriture effacerait les données non encore chargées
+      if (!written.has(name)) return;
+      const next = splitState(value);
+      try {
+        await writeOperations(name, diffPersistedState(written.get(name), next));
+        written.set(name, next);
+      } catch (error) {
+        // La transaction échouée n'a rien écrit : la prochaine sauvegarde
+        // repart du dernier état enregistré (suppressions comprises)
+        console.error('Error writing project data to IndexedDB:', error);
+      }
+    }),
+
+    removeItem: (name) => enqueue(name, async () => {
+      try {
+        const db = await getDatabase(name);
+        const transaction = db.transaction(Object.values(STORES), 'readwrite');
+        Object.values(STORES).forEach(store => transaction.objectStore(store).clear());
+        await transactionDone(transaction);
+        written.set(name, null);
+      } catch (error) {
+        console.error('Error clearing project data from IndexedDB:', error);
+      }
+    })
+  };
+};
@@ -0,0 +1,80 @@
+/**
+ * STOCKAGE JSON (LOCALSTORAGE)
+ * ============================
+ *
+ * Responsabilités :
+ * - Restaurer les dates d'un état sérialisé en JSON
+ * - Adaptateur de persistance localStorage (un seul document JSON par clé)
+ *
+ * Utilisé comme stockage de repli quand IndexedDB n'est pas disponible, et
+ * pour relire les données laissées en localStorage par les versions précédentes.
+ */
+
+import { QUARANTINE_KINDS, quarantineRecords } from './quarantine';
+
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'startDate', 'endDate'];
+
+/**
+ * Convertit récursivement les dates sérialisées (chaînes ISO) en objets Date.
+ * Une date illisible est laissée telle quelle : les migrations du schéma
+ * (voir migrations.js) mettent l'enregistrement en quarantaine
+ * @param {*} value - Valeur issue de JSON.parse
+ * @returns {*} Valeur restaurée
+ */
+export const reviveStoredState = (value) => {
+  if (!value || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(reviveStoredState);
+
+  const converted = { ...value };
+
+  Object.keys(converted).forEach(key => {
+    const field = converted[key];
+    if (DATE_FIELDS.includes(key) && typeof field === 'string') {
+      const date = new Date(field);
+      if (!isNaN(date.getTime())) converted[key] = date;
+    } else if (field && typeof field === 'object') {
+      converted[key] = reviveStoredState(field);
+    }
+  });
+
+  return converted;
+};
+
+/**
+ * Lit et restaure une valeur persistée en JSON. Un contenu illisible est mis
+ * en quarantaine et traité comme absent
+ * @param {string|null} raw - Contenu brut
+ * @returns {{ state: Object, version: number }|null}
+ */
+export const parseStoredValue = (raw) => {
+  if (!raw) return null;
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (error) {
+    quarantineRecords([{ kind: QUARANTINE_KINDS.STORAGE, reason: `JSON illisible : ${error.message}`, record: raw }]);
+    return null;
+  }
+  if (!value || typeof value.state !== 'object' || value.state === null) {
+    quarantineRecords([{ kind: QUARANTINE_KINDS.STORAGE, reason: 'Format de données inconnu', record: raw }]);
+    return null;
+  }
+  return reviveStoredState(value);
+};
+
+/**
+ * Adaptateur de persistance Zustand sur localStorage
+ * @param {Storage} [storage] - Stockage web (localStorage par défaut)
+ * @returns {{ getItem: function, setItem: function, removeItem: function }}
+ */
+export const createLocalStorageAdapter = (storage = globalThis.localStorage) => ({
+  getItem: (name) => parseStoredValue(storage.getItem(name)),
+  setItem: (name, value) => {
+    try {
+      storage.setItem(name, JSON.stringify(value));
+    } catch (error) {
+      console.error('Error serializing project data:', error);
+    }
+  },
+  removeItem: (name) => storage.removeItem(name)
+});
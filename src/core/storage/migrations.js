@@ -0,0 +1,182 @@
+/**
+ * MIGRATIONS DU SCHÉMA PERSISTÉ
+ * =============================
+ *
+ * Responsabilités :
+ * - Versionner le schéma des données persistées (option version de Zustand)
+ * - Appliquer dans l'ordre les étapes de migration manquantes
+ * - Mettre en quarantaine les enregistrements illisibles au lieu de les
+ *   supprimer ou de remplacer leurs dates par la date du jour
+ *
+ * Ajouter une étape : incrémenter SCHEMA_VERSION et ajouter à MIGRATIONS une
+ * entrée { version, description, migrate } où migrate reçoit l'état de la
+ * version précédente et le contexte ({ quarantine }) et retourne le nouvel état.
+ */
+
+import { normalizeDependency } from '../utils/scheduler';
+import { isMilestone } from '../utils/milestones';
+import { QUARANTINE_KINDS, quarantineRecords } from './quarantine';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Une date est lisible si elle est absente ou si elle a pu être restaurée
+ */
+const isReadableDate = (value) => value === undefined || value === null ||
+  (value instanceof Date && !isNaN(value.getTime()));
+
+const hasDate = (value) => value instanceof Date && !isNaN(value.getTime());
+
+const getUnreadableFields = (record, fields) => fields.filter(field => !isReadableDate(record[field]));
+
+/**
+ * Version 1 : les projets et tâches dont les dates ne peuvent pas être relues
+ * sont mis en quarantaine (les versions précédentes effaçaient tout le stockage)
+ */
+const quarantineUnreadableRecords = (state, { quarantine }) => {
+  if (!Array.isArray(state.projects)) {
+    if (state.projects !== undefined) {
+      quarantine({ kind: QUARANTINE_KINDS.STORAGE, reason: 'Liste de projets illisible', record: state.projects });
+    }
+    return { ...state, projects: [] };
+  }
+
+  const projects = state.projects.filter(project => {
+    if (!project || typeof project !== 'object' || !project.id) {
+      quarantine({ kind: QUARANTINE_KINDS.PROJECT, reason: 'Projet sans identifiant', record: project });
+      return false;
+    }
+    const fields = getUnreadableFields(project, ['createdAt', 'updatedAt']);
+    if (fields.length > 0) {
+      quarantine({
+        kind: QUARANTINE_KINDS.PROJECT,
+        reason: `Dates illisibles : ${fields.join(', ')}`,
+        projectId: project.id,
+        record: project
+      });
+      return false;
+    }
+    return true;
+  }).map(project => {
+    const removedIds = new Set();
+    const tasks = (Array.isArray(project.tasks) ? project.tasks : []).filter(task => {
+      const fields = task && task.id
+        ? [
+          ...['startDate', 'endDate'].filter(field => !hasDate(task[field])),
+          ...getUnreadableFields(task, ['createdAt', 'updatedAt'])
+        ]
+        : ['id'];
+      if (fields.length === 0) return true;
+
+      if (task?.id) removedIds.add(task.id);
+      quarantine({
+        kind: QUARANTINE_KINDS.TASK,
+        reason: `Champs illisibles : ${fields.join(', ')}`,
+        projectId: project.id,
+        record: task
+      });
+      return false;
+    });
+
+    if (removedIds.size === 0) return { ...project, tasks };
+
+    // Les tâches restantes ne doivent plus référencer les tâches mises de côté
+    return {
+      ...project,
+      tasks: tasks.map(task => ({
+        ...task,
+        parentId: removedIds.has(task.parentId) ? null : task.parentId,
+        dependencies: (task.dependencies || []).filter(dep => !removedIds.has(dep?.taskId ?? dep))
+      }))
+    };
+  });
+
+  return { ...state, projects };
+};
+
+/**
+ * Version 2 : dépendances normalisées (type, lag, lagUnit) et fin des tâches
+ * postérieure au début (les jalons gardent début = fin)
+ */
+const normalizeTasks = (state) => ({
+  ...state,
+  projects: state.projects.map(project => ({
+    ...project,
+    tasks: project.tasks.map(task => {
+      const normalized = {
+        ...task,
+        dependencies: Array.isArray(task.dependencies) ? task.dependencies.map(normalizeDependency) : []
+      };
+      if (!isMilestone(normalized) && normalized.endDate <= normalized.startDate) {
+        normalized.endDate = new Date(normalized.startDate.getTime() + DAY_MS);
+      }
+      return normalized;
+    })
+  }))
+});
+
+export const MIGRATIONS = [
+  { version: 1, description: 'Mise en quarantaine des dates illisibles', migrate: quarantineUnreadableRecords },
+  { version: 2, description: 'Normalisation des dépendances et des dates de fin', migrate: normalizeTasks }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Compte rendu de la dernière migration, en attente de notification
+let pendingReport = null;
+
+/**
+ * Migre un état persisté vers SCHEMA_VERSION
+ * @param {Object} persistedState - État lu dans le stockage
+ * @param {number} fromVersion - Version de l'état lu
+ * @returns {Object} État migré (compte rendu disponible via takeMigrationReport)
+ */
+export const migratePersistedState = (persistedState, fromVersion) => {
+  const pending = [];
+  const context = {
+    quarantine: (entry) => pending.push({ ...entry, fromVersion })
+  };
+
+  const steps = MIGRATIONS.filter(step => step.version > fromVersion);
+  let migrated;
+  try {
+    migrated = steps.reduce(
+      (state, step) => step.migrate(state, context),
+      { ...(persistedState || {}) }
+    );
+  } catch (error) {
+    // Étape en échec : tout l'état est mis de côté plutôt que perdu à la prochaine écriture
+    console.error('Error migrating project data:', error);
+    pending.push({
+      kind: QUARANTINE_KINDS.STORAGE,
+      reason: `Migration impossible : ${error.message}`,
+      record: persistedState,
+      fromVersion
+    });
+    migrated = { projects: [], currentProject: null };
+  }
+
+  quarantineRecords(pending);
+
+  pendingReport = {
+    fromVersion,
+    toVersion: SCHEMA_VERSION,
+    applied: steps.map(step => step.description)
+  };
+
+  const projects = migrated.projects || [];
+  return {
+    ...migrated,
+    currentProject: projects.find(project => project.id === migrated.currentProject?.id) || null
+  };
+};
+
+/**
+ * Compte rendu de la dernière migration, une seule fois (null si aucune)
+ * @returns {{ fromVersion: number, toVersion: number, applied: Array<string> }|null}
+ */
+export const takeMigrationReport = () => {
+  const report = pendingReport;
+  pendingReport = null;
+  return report;
+};
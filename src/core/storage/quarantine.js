@@ -0,0 +1,117 @@
+/**
+ * QUARANTAINE DES DONNÉES ILLISIBLES
+ * ==================================
+ *
+ * Responsabilités :
+ * - Mettre de côté les enregistrements persistés impossibles à relire
+ *   (projet, tâche ou contenu complet du stockage) au lieu de les supprimer
+ * - Conserver ces enregistrements dans une sauvegarde séparée (localStorage)
+ * - Permettre de les exporter en JSON pour une récupération manuelle
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+export const QUARANTINE_KEY = 'project-storage-quarantine';
+
+export const QUARANTINE_KINDS = {
+  STORAGE: 'storage',
+  PROJECT: 'project',
+  TASK: 'task'
+};
+
+// Enregistrements mis de côté depuis la dernière notification
+let unreportedCount = 0;
+
+/**
+ * Forme sérialisable d'un enregistrement (une Date invalide est conservée en
+ * texte plutôt que de devenir null avec JSON.stringify)
+ */
+const toBackupValue = (value) => {
+  if (typeof value === 'string') return value;
+  try {
+    return JSON.parse(JSON.stringify(value, function keepInvalidDates(key, field) {
+      const raw = this[key];
+      return raw instanceof Date && isNaN(raw.getTime()) ? String(raw) : field;
+    }));
+  } catch (error) {
+    return String(value);
+  }
+};
+
+/**
+ * Enregistrements actuellement en quarantaine
+ * @param {Storage} [storage] - Stockage de la sauvegarde (localStorage par défaut)
+ * @returns {Array<{ id: string, kind: string, reason: string, projectId: string|null,
+ *   fromVersion: number|null, quarantinedAt: string, record: * }>}
+ */
+export const getQuarantinedRecords = (storage = globalThis.localStorage) => {
+  try {
+    return JSON.parse(storage?.getItem(QUARANTINE_KEY) || '[]');
+  } catch (error) {
+    console.error('Error reading quarantined records:', error);
+    return [];
+  }
+};
+
+/**
+ * Ajoute des enregistrements à la quarantaine
+ * @param {Array<{ kind: string, reason: string, record: *, projectId?: string, fromVersion?: number }>} entries
+ * @param {Storage} [storage]
+ * @returns {number} Nombre d'enregistrements mis de côté
+ */
+export const quarantineRecords = (entries, storage = globalThis.localStorage) => {
+  if (entries.length === 0) return 0;
+  const quarantinedAt = new Date().toISOString();
+  const records = entries.map(({ kind, reason, record, projectId = null, fromVersion = null }) => ({
+    id: uuidv4(),
+    kind,
+    reason,
+    projectId,
+    fromVersion,
+    quarantinedAt,
+    record: toBackupValue(record)
+  }));
+
+  try {
+    storage.setItem(QUARANTINE_KEY, JSON.stringify([...getQuarantinedRecords(storage), ...records]));
+  } catch (error) {
+    // Sans sauvegarde possible, on garde au moins une trace dans la console
+    console.error('Error saving quarantined records:', error, records);
+  }
+  console.warn(`${records.length} enregistrement(s) illisible(s) mis en quarantaine`, records);
+  unreportedCount += records.length;
+  return records.length;
+};
+
+/**
+ * Nombre d'enregistrements mis en quarantaine depuis le dernier appel
+ * (pour notifier l'utilisateur une seule fois)
+ * @returns {number}
+ */
+export const takeUnreportedCount = () => {
+  const count = unreportedCount;
+  unreportedCount = 0;
+  return count;
+};
+
+/**
+ * Télécharge la quarantaine au format JSON
+ * @param {Storage} [storage]
+ */
+export const downloadQuarantine = (storage = globalThis.localStorage) => {
+  const blob = new Blob([JSON.stringify(getQuarantinedRecords(storage), null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${QUARANTINE_KEY}-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Vide la quarantaine (après récupération des données)
+ * @param {Storage} [storage]
+ */
+export const clearQuarantine = (storage = globalThis.localStorage) => {
+  storage?.removeItem(QUARANTINE_KEY);
+};
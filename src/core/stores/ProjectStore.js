@@ -5,13 +5,69 @@
  * - Gestion complète CRUD des projets
  * - Gestion complète CRUD des tâches
  * - Suivi des dépendances entre tâches
- * - Persistance automatique en localStorage
+ * - Replanification automatique des successeurs (FS, SS, FF, SF)
+ * - Détection des dépendances circulaires
+ * - Calcul du chemin critique (CPM) et des marges
+ * - Hiérarchie de tâches (récapitulatives, indentation, codes WBS)
+ * - Jalons (tâches de durée nulle)
+ * - Calendriers de travail (jours ouvrés, horaires, jours fériés)
+ * - Ressources (espace de travail et projet) et affectations aux tâches
+ * - Détection des sur-allocations et nivellement des ressources
+ * - Plans de référence (baselines) nommés et écarts par tâche
+ * - Annuler / rétablir les modifications (historique borné, regroupable)
+ * - Journal des modifications par projet (auteur, date, ancienne / nouvelle valeur)
+ * - Persistance automatique (IndexedDB, repli localStorage) et migrations versionnées du schéma
+ * - Mode serveur : chargement depuis l'API REST et envoi des modifications (cache local)
+ * - Modifications des tâches appliquées sans attendre le serveur, annulées s'il les refuse
+ * - Contrôle de concurrence optimiste (versions) et fusion des modifications concurrentes
  * - Gestion des erreurs et loading states
  */
 
 import { create } from 'zustand';
-import { persist, createJSONStorage } from 'zustand/middleware';
+import { persist } from 'zustand/middleware';
 import { v4 as uuidv4 } from 'uuid';
+import { rescheduleProjectTasks, normalizeDependency, getDependencyTaskId } from '../utils/scheduler';
+import { createProjectStorage, SCHEMA_VERSION, migratePersistedState } from '../storage';
+import {
+  getDependencyError,
+  getMissingDependencyError,
+  getBranchDependencyError,
+  findDependencyCycles,
+  formatTaskChain,
+  validateProjectDependencies
+} from '../utils/dependencyValidation';
+import { computeCriticalPath } from '../utils/criticalPath';
+import { TASK_TYPES, isMilestone, listMilestones } from '../utils/milestones';
+import { DEFAULT_CALENDAR, normalizeCalendar } from '../utils/workingCalendar';
+import {
+  normalizeResource,
+  normalizeAssignment,
+  getTaskAssignments,
+  getProjectResources
+} from '../utils/resources';
+import { findOverallocations } from '../utils/workload';
+import { planResourceLeveling } from '../utils/resourceLeveling';
+import { snapshotTasks } from '../utils/baselines';
+import { withUndoHistory } from '../utils/undoHistory';
+import { withAuditLog } from '../utils/auditLog';
+import {
+  SYNC_MODES,
+  DEFAULT_SYNC_MODE,
+  pullProjects,
+  pullProject,
+  uploadProject,
+  isSameServerProject
+} from '../sync/serverSync';
+import { UPDATE_ORIGINS, applyUpdateFrom } from '../sync/storeChanges';
+import {
+  getAncestorIds,
+  getDescendantIds,
+  orderByOutline,
+  rollupSummaryTasks,
+  indentTask as indentTaskInOutline,
+  outdentTask as outdentTaskInOutline,
+  moveTask as moveTaskInOutline
+} from '../utils/taskHierarchy';
 
 // Types de base (pourraient être déplacés dans un fichier types.js dédié)
 /**
@@ -24,6 +80,10 @@ import { v4 as uuidv4 } from 'uuid';
  * @property {number} completion - Pourcentage d'avancement (0-100)
  * @property {Array<TaskDependency>} dependencies - Liste des dépendances
  * @property {string} projectId - ID du projet parent
+ * @property {string|null} [parentId] - ID de la tâche récapitulative parente
+ * @property {string} [type="task"] - Type de tâche ("task" ou "milestone", début = fin)
+ * @property {Array<Assignment>} [assignments] - Ressources affectées
+ * @property {number} [version] - Version attribuée par le serveur (mode serveur)
  * @property {Date} createdAt - Date de création
  * @property {Date} updatedAt - Date de dernière mise à jour
  */
@@ -34,25 +94,241 @@ import { v4 as uuidv4 } from 'uuid';
  * @property {string} name - Nom du projet
  * @property {string} description - Description du projet
  * @property {Array<Task>} tasks - Liste des tâches du projet
+ * @property {WorkingCalendar} [calendar] - Calendrier de travail (défaut : lundi-vendredi, 9h-17h)
+ * @property {Array<Resource>} [resources] - Ressources propres au projet
+ * @property {Array<Baseline>} [baselines] - Plans de référence enregistrés
+ * @property {string|null} [activeBaselineId] - Référence affichée dans le Gantt
+ * @property {Array<AuditEntry>} [changeLog] - Journal des modifications (ajout seul)
+ * @property {string} [syncedAt] - Dernière synchronisation avec le serveur (ISO, mode serveur)
+ * @property {number} [version] - Version attribuée par le serveur (mode serveur)
  * @property {Date} createdAt - Date de création
  * @property {Date} updatedAt - Date de dernière mise à jour
  */
 
+/**
+ * @typedef {Object} Baseline
+ * @property {string} id - Identifiant unique de la référence
+ * @property {string} name - Nom de la référence
+ * @property {Array<{ taskId: string, type: string, startDate: Date, endDate: Date,
+ *   duration: number, completion: number }>} tasks - Instantané des tâches
+ * @property {Date} createdAt - Date d'enregistrement
+ */
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} id - Identifiant unique de l'entrée
+ * @property {string} timestamp - Date de la modification (ISO)
+ * @property {{ id: string|number, email: string }|null} actor - Auteur (utilisateur connecté)
+ * @property {string} action - "create", "update" ou "delete"
+ * @property {string|null} taskId - Tâche concernée (null pour le projet)
+ * @property {string|null} taskName - Nom de la tâche au moment de la modification
+ * @property {string|null} field - Champ modifié
+ * @property {*} oldValue - Ancienne valeur (sérialisable)
+ * @property {*} newValue - Nouvelle valeur (sérialisable)
+ */
+
+/**
+ * @typedef {Object} Resource
+ * @property {string} id - Identifiant unique de la ressource
+ * @property {string} name - Nom (personne, rôle ou équipement)
+ * @property {string} type - "person", "role" ou "equipment"
+ * @property {string} [email] - Adresse e-mail (personnes)
+ * @property {number} capacity - Capacité en % d'un temps plein (1-100)
+ * @property {string|null} projectId - Projet propriétaire, null pour l'espace de travail
+ * @property {Date} createdAt - Date de création
+ * @property {Date} updatedAt - Date de dernière mise à jour
+ */
+
+/**
+ * @typedef {Object} Assignment
+ * @property {string} resourceId - ID de la ressource affectée
+ * @property {number} allocation - Part du temps de la ressource consacrée à la tâche (%)
+ */
+
+/**
+ * @typedef {Object} WorkingCalendar
+ * @property {Array<number>} workingDays - Jours ouvrés (0 = dimanche ... 6 = samedi)
+ * @property {number} workStart - Heure de début de journée
+ * @property {number} workEnd - Heure de fin de journée
+ * @property {Array<{ date: string, name: string }>} holidays - Jours fériés (YYYY-MM-DD)
+ * @property {Object<string, Array<{ date: string, name: string }>>} resourceExceptions - Absences par ressource
+ */
+
 /**
  * @typedef {Object} TaskDependency
  * @property {string} taskId - ID de la tâche dont dépend celle-ci
  * @property {string} type - Type de dépendance ("finish-to-start", "start-to-start", etc.)
+ * @property {number} [lag=0] - Décalage signé (négatif = chevauchement)
+ * @property {string} [lagUnit="days"] - Unité du décalage ("days" ou "percent" de la durée du prédécesseur)
+ */
+
+/**
+ * Calendrier normalisé d'un projet (calendrier par défaut si absent)
+ * @param {Project} project
+ * @returns {WorkingCalendar}
+ */
+const resolveProjectCalendar = (project) => normalizeCalendar(project?.calendar);
+
+/**
+ * Valide les affectations d'une tâche : ressources connues du projet,
+ * une seule affectation par ressource
+ * @param {Array<Object>} assignments - Affectations saisies
+ * @param {Array<Resource>} resources - Pool du projet
+ * @returns {Array<Assignment>} Affectations normalisées
+ * @throws {Error} Si une ressource est inconnue
+ */
+const validateAssignments = (assignments, resources) => {
+  const known = new Set(resources.map(resource => resource.id));
+  const byResource = new Map();
+  
+  (Array.isArray(assignments) ? assignments : []).forEach(assignment => {
+    if (!known.has(assignment?.resourceId)) {
+      throw new Error(`Ressource ${assignment?.resourceId} introuvable pour ce projet`);
+    }
+    byResource.set(assignment.resourceId, normalizeAssignment(assignment));
+  });
+  
+  return [...byResource.values()];
+};
+
+/**
+ * Remplace les tâches du projet courant (projet courant et liste des projets)
+ * @param {Object} state - État du store
+ * @param {Array<Task>} tasks - Nouvelles tâches
+ * @returns {Object} Mise à jour partielle de l'état
+ */
+const replaceCurrentTasks = (state, tasks) => {
+  const updatedProject = {
+    ...state.currentProject,
+    tasks,
+    updatedAt: new Date()
+  };
+  
+  return {
+    projects: state.projects.map(p => p.id === updatedProject.id ? updatedProject : p),
+    currentProject: updatedProject,
+    loading: false
+  };
+};
+
+/**
+ * Applique une mise à jour à un projet (liste des projets et projet courant)
+ * @param {Object} state - État du store
+ * @param {string} projectId - ID du projet
+ * @param {Function} update - (project) => champs modifiés
+ * @returns {Object} Mise à jour partielle de l'état
+ */
+const replaceProject = (state, projectId, update) => {
+  const updatedProjects = state.projects.map(project => 
+    project.id === projectId 
+      ? { ...project, ...update(project), updatedAt: new Date() } 
+      : project
+  );
+  
+  return {
+    projects: updatedProjects,
+    currentProject: state.currentProject?.id === projectId 
+      ? updatedProjects.find(p => p.id === projectId) || null 
+      : state.currentProject,
+    loading: false
+  };
+};
+
+// Cache du chemin critique par tableau de tâches et calendrier du projet
+// (les mises à jour sont immuables)
+const criticalPathCache = new WeakMap();
+
+/**
+ * Renvoie le chemin critique d'un projet, calculé une seule fois tant que
+ * ni ses tâches ni son calendrier ne changent
+ * @param {Project} project
+ * @returns {Object} Résultat de computeCriticalPath
+ */
+const getCachedCriticalPath = (project) => {
+  const cached = criticalPathCache.get(project.tasks);
+  if (cached && cached.calendar === project.calendar) {
+    return cached.result;
+  }
+  const result = computeCriticalPath(project.tasks, { calendar: resolveProjectCalendar(project) });
+  criticalPathCache.set(project.tasks, { calendar: project.calendar, result });
+  return result;
+};
+
+const EMPTY_CRITICAL_PATH = computeCriticalPath([]);
+
+// Actions annulables et libellé affiché (« Annuler : ... »)
+const UNDOABLE_ACTIONS = {
+  createProject: 'création du projet',
+  updateProject: 'modification du projet',
+  updateProjectCalendar: 'modification du calendrier',
+  deleteProject: 'suppression du projet',
+  saveBaseline: 'enregistrement de la référence',
+  deleteBaseline: 'suppression de la référence',
+  createTask: 'création de la tâche',
+  updateTask: 'modification de la tâche',
+  deleteTask: 'suppression de la tâche',
+  indentTask: 'indentation',
+  outdentTask: 'désindentation',
+  moveTask: 'déplacement de la tâche',
+  addDependency: 'ajout de la dépendance',
+  updateDependency: 'modification de la dépendance',
+  removeDependency: 'suppression de la dépendance',
+  createResource: 'ajout de la ressource',
+  updateResource: 'modification de la ressource',
+  deleteResource: 'suppression de la ressource',
+  assignResource: 'affectation',
+  updateAssignment: 'modification de l\'affectation',
+  unassignResource: 'retrait de l\'affectation',
+  applyTaskDates: 'replanification'
+};
+
+// Actions journalisées : annuler / rétablir modifient aussi les données
+const AUDITED_ACTIONS = [...Object.keys(UNDOABLE_ACTIONS), 'loadDemoProject', 'undo', 'redo'];
+
+/**
+ * Données couvertes par l'historique annuler / rétablir
+ * @param {Object} state - État du store
+ * @returns {Object} Instantané (références, sans copie)
  */
+const captureUndoState = (state) => ({
+  projects: state.projects,
+  currentProject: state.currentProject,
+  resources: state.resources
+});
 
-// Création du store avec persistance dans localStorage
+/**
+ * Restaure un instantané en conservant si possible le projet sélectionné
+ * Le journal des modifications n'est jamais ramené en arrière
+ * @param {Object} snapshot - Résultat de captureUndoState
+ * @param {Object} state - État courant du store
+ * @returns {Object} Mise à jour partielle de l'état
+ */
+const restoreUndoState = (snapshot, state) => {
+  const changeLogs = new Map(state.projects.map(project => [project.id, project.changeLog]));
+  const projects = snapshot.projects.map(project => (
+    changeLogs.get(project.id) ? { ...project, changeLog: changeLogs.get(project.id) } : project
+  ));
+  const findProject = (project) => project && projects.find(p => p.id === project.id);
+  return {
+    projects,
+    currentProject: findProject(state.currentProject) || findProject(snapshot.currentProject) || null,
+    resources: snapshot.resources,
+    loading: false
+  };
+};
+
+// Création du store avec persistance (voir core/storage)
 export const useProjectStore = create(
   persist(
-    (set, get) => ({
+    (set, get) => withAuditLog(set, get, withUndoHistory(set, get, {
       // État initial
       projects: [],
       currentProject: null,
+      resources: [],
       loading: false,
       error: null,
+      syncMode: DEFAULT_SYNC_MODE,
+      syncError: null,
       
       /**
        * Crée un nouveau projet
@@ -69,6 +345,8 @@ export const useProjectStore = create(
             name,
             description,
             tasks: [],
+            resources: [],
+            calendar: normalizeCalendar(DEFAULT_CALENDAR),
             createdAt: new Date(),
             updatedAt: new Date()
           };
@@ -124,6 +402,151 @@ export const useProjectStore = create(
         }
       },
       
+      /**
+       * Remplace le calendrier de travail d'un projet et replanifie ses tâches
+       * @param {string} projectId - ID du projet
+       * @param {WorkingCalendar} calendar - Nouveau calendrier (complété par les valeurs par défaut)
+       * @returns {Promise<void>}
+       */
+      updateProjectCalendar: async (projectId, calendar) => {
+        try {
+          set({ loading: true, error: null });
+          
+          if (!get().projects.some(p => p.id === projectId)) {
+            throw new Error(`Projet ${projectId} introuvable`);
+          }
+          
+          const normalizedCalendar = normalizeCalendar(calendar);
+          
+          set((state) => {
+            const updatedProjects = state.projects.map(project => 
+              project.id === projectId 
+                ? {
+                  ...project,
+                  calendar: normalizedCalendar,
+                  tasks: rescheduleProjectTasks(project.tasks || [], normalizedCalendar),
+                  updatedAt: new Date()
+                } 
+                : project
+            );
+            
+            return {
+              projects: updatedProjects,
+              currentProject: state.currentProject?.id === projectId 
+                ? updatedProjects.find(p => p.id === projectId) || null 
+                : state.currentProject,
+              loading: false
+            };
+          });
+          
+        } catch (err) {
+          set({ 
+            error: `Échec de mise à jour du calendrier: ${err instanceof Error ? err.message : String(err)}`,
+            loading: false 
+          });
+          throw err;
+        }
+      },
+      
+      /**
+       * Enregistre un plan de référence du projet et l'affiche
+       * @param {string} projectId - ID du projet
+       * @param {string} name - Nom de la référence
+       * @returns {Promise<Baseline>} Référence créée
+       */
+      saveBaseline: async (projectId, name) => {
+        try {
+          set({ loading: true, error: null });
+          
+          const project = get().projects.find(p => p.id === projectId);
+          if (!project) {
+            throw new Error(`Projet ${projectId} introuvable`);
+          }
+          if (!name?.trim()) {
+            throw new Error('Le nom de la référence est obligatoire');
+          }
+          
+          const baseline = {
+            id: uuidv4(),
+            name: name.trim(),
+            tasks: snapshotTasks(project.tasks, resolveProjectCalendar(project)),
+            createdAt: new Date()
+          };
+          
+          set((state) => replaceProject(state, projectId, (p) => ({
+            baselines: [...(p.baselines || []), baseline],
+            activeBaselineId: baseline.id
+          })));
+          
+          return baseline;
+        } catch (err) {
+          set({ 
+            error: `Échec d'enregistrement de la référence: ${err instanceof Error ? err.message : String(err)}`,
+            loading: false 
+          });
+          throw err;
+        }
+      },
+      
+      /**
+       * Choisit la référence affichée dans le Gantt
+       * @param {string} projectId - ID du projet
+       * @param {string|null} baselineId - ID de la référence, null pour n'en afficher aucune
+       * @returns {Promise<void>}
+       */
+      setActiveBaseline: async (projectId, baselineId) => {
+        try {
+          set({ loading: true, error: null });
+          
+          const project = get().projects.find(p => p.id === projectId);
+          if (!project) {
+            throw new Error(`Projet ${projectId} introuvable`);
+          }
+          if (baselineId && !(project.baselines || []).some(b => b.id === baselineId)) {
+            throw new Error(`Référence ${baselineId} introuvable`);
+          }
+          
+          set((state) => replaceProject(state, projectId, () => ({
+            activeBaselineId: baselineId || null
+          })));
+          
+        } catch (err) {
+          set({ 
+            error: `Échec de sélection de la référence: ${err instanceof Error ? err.message : String(err)}`,
+            loading: false 
+          });
+          throw err;
+        }
+      },
+      
+      /**
+       * Supprime un plan de référence
+       * @param {string} projectId - ID du projet
+       * @param {string} baselineId - ID de la référence
+       * @returns {Promise<void>}
+       */
+      deleteBaseline: async (projectId, baselineId) => {
+        try {
+          set({ loading: true, error: null });
+          
+          if (!get().projects.some(p => p.id === projectId)) {
+            throw new Error(`Projet ${projectId} introuvable`);
+          }
+          
+          set((state) => replaceProject(state, projectId, (p) => ({
+            baselines: (p.baselines || []).filter(b => b.id !== baselineId),
+            activeBaselineId: p.activeBaselineId === baselineId ? null : p.activeBaselineId
+          })));
+          
+        } catch (err) {
+          set({ 
+            error: `Échec de suppression de la référence: ${err instanceof Error ? err.message : String(err)}`,
+            loading: false 
+          });
+          throw err;
+        }
+      },
+      
       /**
        * Supprime un projet
        * @param {string} projectId - ID du projet à supprimer
@@ -155,7 +578,7 @@ export const useProjectStore = create(
        */
       selectProject: (projectId) => {
         try {
-          const { projects } = get();
+          const { projects, currentProject } = get();
           const project = projects.find(p => p.id === projectId);
           
           if (!project) {
@@ -166,12 +589,101 @@ export const useProjectStore = create(
             currentProject: project,
             error: null
           });
+
+          // En mode serveur, le cache est affiché puis remplacé par la version
+          // du serveur, une seule fois par changement de projet (les vues
+          // resélectionnent le projet à chaque modification de la liste)
+          if (get().syncMode === SYNC_MODES.SERVER && currentProject?.id !== projectId) {
+            get().fetchProject(projectId).catch(() => {});
+          }
         } catch (err) {
           set({ 
             error: `Échec de sélection du projet: ${err instanceof Error ? err.message : String(err)}`
           });
         }
       },
+
+      /**
+       * Choisit le mode de synchronisation (local seul ou serveur)
+       * @param {string} mode - Voir SYNC_MODES
+       */
+      setSyncMode: (mode) => {
+        if (!Object.values(SYNC_MODES).includes(mode)) {
+          throw new Error(`Mode de synchronisation inconnu : ${mode}`);
+        }
+        set({ syncMode: mode, syncError: null });
+      },
+
+      /**
+       * Charge les projets depuis le serveur ; les projets jamais envoyés
+       * (créés en mode local) sont envoyés
+       * @returns {Promise<void>}
+       */
+      loadFromServer: async () => {
+        try {
+          set({ loading: true, syncError: null });
+          const { projects, unsynced } = await pullProjects(get().projects);
+
+          applyUpdateFrom(UPDATE_ORIGINS.SERVER, () => set(state => ({
+            projects,
+            currentProject: state.currentProject
+              ? projects.find(p => p.id === state.currentProject.id) || null
+              : null,
+            past: [],
+            future: [],
+            loading: false
+          })));
+
+          await Promise.all(unsynced.map(project => uploadProject(project)));
+        } catch (err) {
+          set({
+            syncError: `Échec du chargement depuis le serveur: ${err?.message || String(err)}`,
+            loading: false
+          });
+          throw err;
+        }
+      },
+
+      /**
+       * Charge un projet et ses tâches depuis le serveur
+       * @param {string} projectId - ID du projet
+       * @returns {Promise<void>}
+       */
+      fetchProject: async (projectId) => {
+        try {
+          const local = get().projects.find(p => p.id === projectId);
+          if (!local) {
+            throw new Error(`Projet avec ID ${projectId} non trouvé`);
+          }
+
+          const project = await pullProject(local);
+
+          // Modifié pendant le chargement : les modifications en cours d'envoi priment
+          if (get().projects.find(p => p.id === projectId) !== local) return;
+
+          // Déjà à jour : l'historique d'annulation est conservé
+          if (project && isSameServerProject(local, project)) return;
+
+          applyUpdateFrom(UPDATE_ORIGINS.SERVER, () => set(state => {
+            const projects = project
+              ? state.projects.map(p => (p.id === projectId ? project : p))
+              : state.projects.filter(p => p.id !== projectId);
+            return {
+              projects,
+              currentProject: state.currentProject
+                ? projects.find(p => p.id === state.currentProject.id) || null
+                : null,
+              past: [],
+              future: []
+            };
+          }));
+        } catch (err) {
+          set({
+            syncError: `Échec du chargement du projet: ${err?.message || String(err)}`
+          });
+          throw err;
+        }
+      },
       
       /**
        * Crée une nouvelle tâche dans le projet courant
@@ -180,7 +692,7 @@ export const useProjectStore = create(
        */
       createTask: async (taskData) => {
         try {
-          set({ loading: true, error: null });
+          set({ error: null });
           
           const { currentProject } = get();
           if (!currentProject) {
@@ -220,8 +732,10 @@ export const useProjectStore = create(
               endDate = new Date(startDate.getTime() + 7 * 24 * 60 * 60 * 1000);
             }
             
-            // Ensure end date is after start date
-            if (endDate <= startDate) {
+            // Ensure end date is after start date (a milestone has no duration)
+            if (isMilestone(taskData)) {
+              endDate = new Date(startDate.getTime());
+            } else if (endDate <= startDate) {
               console.warn('End date is before or equal to start date, adjusting');
               endDate = new Date(startDate.getTime() + 24 * 60 * 60 * 1000); // Add 1 day
             }
@@ -241,6 +755,12 @@ export const useProjectStore = create(
             endDateValid: !isNaN(endDate.getTime())
           });
           
+          // Une sous-tâche doit rattacher à une tâche du projet courant
+          const parentId = taskData.parentId || null;
+          if (parentId && !currentProject.tasks.some(t => t.id === parentId)) {
+            throw new Error(`Tâche parente ${parentId} introuvable dans le projet courant`);
+          }
+          
           const newTask = {
             id: uuidv4(),
             name: taskData.name || 'Nouvelle tâche',
@@ -248,8 +768,16 @@ export const useProjectStore = create(
             startDate: startDate,
             endDate: endDate,
             completion: Math.min(100, Math.max(0, taskData.completion || 0)),
-            dependencies: Array.isArray(taskData.dependencies) ? taskData.dependencies : [],
+            dependencies: Array.isArray(taskData.dependencies)
+              ? taskData.dependencies.map(normalizeDependency)
+              : [],
             projectId: currentProject.id,
+            parentId,
+            type: isMilestone(taskData) ? TASK_TYPES.MILESTONE : TASK_TYPES.TASK,
+            assignments: validateAssignments(
+              taskData.assignments,
+              getProjectResources(get().resources, currentProject)
+            ),
             createdAt: new Date(),
             updatedAt: new Date()
           };
@@ -257,10 +785,20 @@ export const useProjectStore = create(
           set((state) => {
             if (!state.currentProject) return state;
             
-            // Ajoute la tâche au projet courant
+            // Insère la sous-tâche après le dernier descendant de son parent
+            const tasks = [...state.currentProject.tasks];
+            if (parentId) {
+              const family = getDescendantIds(tasks, parentId).add(parentId);
+              const lastIndex = tasks.reduce((last, task, index) => family.has(task.id) ? index : last, -1);
+              tasks.splice(lastIndex + 1, 0, newTask);
+            } else {
+              tasks.push(newTask);
+            }
+            
+            // Ajoute la tâche au projet courant puis replanifie
             const updatedProject = {
               ...state.currentProject,
-              tasks: [...state.currentProject.tasks, newTask],
+              tasks: rescheduleProjectTasks(tasks, resolveProjectCalendar(state.currentProject)),
               updatedAt: new Date()
             };
             
@@ -271,14 +809,12 @@ export const useProjectStore = create(
             
             return {
               projects: updatedProjects,
-              currentProject: updatedProject,
-              loading: false
+              currentProject: updatedProject
             };
           });
         } catch (err) {
           set({ 
-            error: `Échec de création de la tâche: ${err instanceof Error ? err.message : String(err)}`,
-            loading: false 
+            error: `Échec de création de la tâche: ${err instanceof Error ? err.message : String(err)}`
           });
           throw err;
         }
@@ -292,7 +828,7 @@ export const useProjectStore = create(
        */
       updateTask: async (taskId, updates) => {
         try {
-          set({ loading: true, error: null });
+          set({ error: null });
           
           const { currentProject } = get();
           if (!currentProject) {
@@ -338,6 +874,67 @@ export const useProjectStore = create(
             }
           }
           
+          // Un jalon garde une durée nulle ; une tâche redevenue normale dure au moins un jour
+          const existingTask = currentProject.tasks.find(t => t.id === taskId);
+          if (existingTask) {
+            const merged = { ...existingTask, ...processedUpdates };
+            const start = new Date(merged.startDate);
+            if (isMilestone(merged)) {
+              processedUpdates.endDate = new Date(start.getTime());
+            } else if ('type' in processedUpdates && new Date(merged.endDate) <= start) {
+              processedUpdates.endDate = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+            }
+          }
+          
+          if ('assignments' in processedUpdates) {
+            processedUpdates.assignments = validateAssignments(
+              processedUpdates.assignments,
+              getProjectResources(get().resources, currentProject)
+            );
+          }
+          
+          // Un parent doit exister et ne pas être un descendant de la tâche
+          if (processedUpdates.parentId) {
+            if (processedUpdates.parentId === taskId ||
+                getDescendantIds(currentProject.tasks, taskId).has(processedUpdates.parentId)) {
+              throw new Error('Une tâche ne peut pas être rattachée à elle-même ou à une de ses sous-tâches');
+            }
+            if (!currentProject.tasks.some(t => t.id === processedUpdates.parentId)) {
+              throw new Error(`Tâche parente ${processedUpdates.parentId} introuvable dans le projet courant`);
+            }
+            
+            const branchError = getBranchDependencyError(currentProject.tasks.map(task =>
+              task.id === taskId ? { ...task, parentId: processedUpdates.parentId } : task
+            ));
+            if (branchError) {
+              throw new Error(branchError);
+            }
+          }
+          
+          // Refuse les listes de dépendances qui introduiraient un cycle
+          if (Array.isArray(processedUpdates.dependencies)) {
+            processedUpdates.dependencies = processedUpdates.dependencies.map(normalizeDependency);
+            
+            const branch = new Set([
+              ...getDescendantIds(currentProject.tasks, taskId),
+              ...getAncestorIds(currentProject.tasks, taskId)
+            ]);
+            processedUpdates.dependencies.forEach(dep => {
+              if (dep.taskId === taskId || branch.has(dep.taskId) ||
+                  !currentProject.tasks.some(t => t.id === dep.taskId)) {
+                throw new Error(getDependencyError(currentProject.tasks, taskId, dep.taskId));
+              }
+            });
+            
+            const candidateTasks = currentProject.tasks.map(task =>
+              task.id === taskId ? { ...task, dependencies: processedUpdates.dependencies } : task
+            );
+            const [cycle] = findDependencyCycles(candidateTasks);
+            if (cycle) {
+              throw new Error(`Dépendance circulaire: ${formatTaskChain(cycle, candidateTasks)}`);
+            }
+          }
+          
           set((state) => {
             if (!state.currentProject) return state;
             
@@ -348,10 +945,14 @@ export const useProjectStore = create(
                 : task
             );
             
-            // Met à jour le projet avec les tâches mises à jour
+            // Met à jour le projet et décale les successeurs si besoin
+            // (un changement de parent replace la tâche dans l'ordre du plan)
             const updatedProject = {
               ...state.currentProject,
-              tasks: updatedTasks,
+              tasks: rescheduleProjectTasks(
+                'parentId' in processedUpdates ? orderByOutline(updatedTasks) : updatedTasks,
+                resolveProjectCalendar(state.currentProject)
+              ),
               updatedAt: new Date()
             };
             
@@ -362,27 +963,25 @@ export const useProjectStore = create(
             
             return {
               projects: updatedProjects,
-              currentProject: updatedProject,
-              loading: false
+              currentProject: updatedProject
             };
           });
         } catch (err) {
           set({ 
-            error: `Échec de mise à jour de la tâche: ${err instanceof Error ? err.message : String(err)}`,
-            loading: false 
+            error: `Échec de mise à jour de la tâche: ${err instanceof Error ? err.message : String(err)}`
           });
           throw err;
         }
       },
       
       /**
-       * Supprime une tâche
+       * Supprime une tâche et ses sous-tâches
        * @param {string} taskId - ID de la tâche à supprimer
        * @returns {Promise<void>}
        */
       deleteTask: async (taskId) => {
         try {
-          set({ loading: true, error: null });
+          set({ error: null });
           
           const { currentProject } = get();
           if (!currentProject) {
@@ -392,19 +991,20 @@ export const useProjectStore = create(
           set((state) => {
             if (!state.currentProject) return state;
             
-            // Supprime la tâche
-            const updatedTasks = state.currentProject.tasks.filter(task => task.id !== taskId);
+            // Supprime la tâche et ses sous-tâches
+            const removedIds = getDescendantIds(state.currentProject.tasks, taskId).add(taskId);
+            const updatedTasks = state.currentProject.tasks.filter(task => !removedIds.has(task.id));
             
-            // Nettoie également les dépendances qui faisaient référence à cette tâche
+            // Nettoie également les dépendances qui faisaient référence à ces tâches
             const cleanedTasks = updatedTasks.map(task => ({
               ...task,
-              dependencies: task.dependencies.filter(dep => dep.taskId !== taskId)
+              dependencies: task.dependencies.filter(dep => !removedIds.has(dep.taskId))
             }));
             
-            // Met à jour le projet avec les tâches mises à jour
+            // Met à jour le projet et recalcule les tâches récapitulatives
             const updatedProject = {
               ...state.currentProject,
-              tasks: cleanedTasks,
+              tasks: rollupSummaryTasks(cleanedTasks),
               updatedAt: new Date()
             };
             
@@ -415,26 +1015,23 @@ export const useProjectStore = create(
             
             return {
               projects: updatedProjects,
-              currentProject: updatedProject,
-              loading: false
+              currentProject: updatedProject
             };
           });
         } catch (err) {
           set({ 
-            error: `Échec de suppression de la tâche: ${err instanceof Error ? err.message : String(err)}`,
-            loading: false 
+            error: `Échec de suppression de la tâche: ${err instanceof Error ? err.message : String(err)}`
           });
           throw err;
         }
       },
       
       /**
-       * Ajoute une dépendance entre tâches
-       * @param {string} taskId - ID de la tâche source
-       * @param {Object} dependency - Dépendance à ajouter (taskId + type)
+       * Indente une tâche sous la tâche qui la précède au même niveau
+       * @param {string} taskId - ID de la tâche
        * @returns {Promise<void>}
        */
-      addDependency: async (taskId, dependency) => {
+      indentTask: async (taskId) => {
         try {
           set({ loading: true, error: null });
           
@@ -443,48 +1040,18 @@ export const useProjectStore = create(
             throw new Error('Aucun projet sélectionné');
           }
           
-          set((state) => {
-            if (!state.currentProject) return state;
-            
-            // Ajoute la dépendance à la tâche
-            const updatedTasks = state.currentProject.tasks.map(task => {
-              if (task.id !== taskId) return task;
-              
-              // Vérifie que la dépendance n'existe pas déjà
-              const existingDep = task.dependencies.find(
-                dep => dep.taskId === dependency.taskId && dep.type === dependency.type
-              );
-              
-              if (existingDep) return task;
-              
-              return {
-                ...task,
-                dependencies: [...task.dependencies, dependency],
-                updatedAt: new Date()
-              };
-            });
-            
-            // Met à jour le projet avec les tâches mises à jour
-            const updatedProject = {
-              ...state.currentProject,
-              tasks: updatedTasks,
-              updatedAt: new Date()
-            };
-            
-            // Met à jour le projet dans la liste des projets
-            const updatedProjects = state.projects.map(p => 
-              p.id === updatedProject.id ? updatedProject : p
-            );
-            
-            return {
-              projects: updatedProjects,
-              currentProject: updatedProject,
-              loading: false
-            };
-          });
+          const tasks = indentTaskInOutline(currentProject.tasks, taskId);
+          const branchError = getBranchDependencyError(tasks);
+          if (branchError) {
+            throw new Error(branchError);
+          }
+          
+          set((state) => state.currentProject
+            ? replaceCurrentTasks(state, rescheduleProjectTasks(tasks, resolveProjectCalendar(state.currentProject)))
+            : state);
         } catch (err) {
           set({ 
-            error: `Échec d'ajout de dépendance: ${err instanceof Error ? err.message : String(err)}`,
+            error: `Échec de l'indentation de la tâche: ${err instanceof Error ? err.message : String(err)}`,
             loading: false 
           });
           throw err;
@@ -492,12 +1059,11 @@ export const useProjectStore = create(
       },
       
       /**
-       * Supprime une dépendance entre tâches
-       * @param {string} taskId - ID de la tâche source
-       * @param {string} dependencyTaskId - ID de la tâche cible (dépendance)
+       * Remonte une tâche au niveau de son parent
+       * @param {string} taskId - ID de la tâche
        * @returns {Promise<void>}
        */
-      removeDependency: async (taskId, dependencyTaskId) => {
+      outdentTask: async (taskId) => {
         try {
           set({ loading: true, error: null });
           
@@ -506,6 +1072,207 @@ export const useProjectStore = create(
             throw new Error('Aucun projet sélectionné');
           }
           
+          const tasks = outdentTaskInOutline(currentProject.tasks, taskId);
+          const branchError = getBranchDependencyError(tasks);
+          if (branchError) {
+            throw new Error(branchError);
+          }
+          
+          set((state) => state.currentProject
+            ? replaceCurrentTasks(state, rescheduleProjectTasks(tasks, resolveProjectCalendar(state.currentProject)))
+            : state);
+        } catch (err) {
+          set({ 
+            error: `Échec de la désindentation de la tâche: ${err instanceof Error ? err.message : String(err)}`,
+            loading: false 
+          });
+          throw err;
+        }
+      },
+      
+      /**
+       * Déplace une tâche (avec ses sous-tâches) parmi ses tâches sœurs
+       * Les codes WBS suivent le nouvel ordre
+       * @param {string} taskId - ID de la tâche
+       * @param {number} direction - -1 vers le haut, 1 vers le bas
+       * @returns {Promise<void>}
+       */
+      moveTask: async (taskId, direction) => {
+        try {
+          set({ loading: true, error: null });
+          
+          const { currentProject } = get();
+          if (!currentProject) {
+            throw new Error('Aucun projet sélectionné');
+          }
+          
+          const tasks = moveTaskInOutline(currentProject.tasks, taskId, direction);
+          set((state) => state.currentProject ? replaceCurrentTasks(state, tasks) : state);
+        } catch (err) {
+          set({ 
+            error: `Échec du déplacement de la tâche: ${err instanceof Error ? err.message : String(err)}`,
+            loading: false 
+          });
+          throw err;
+        }
+      },
+      
+      /**
+       * Ajoute une dépendance entre tâches
+       * @param {string} taskId - ID de la tâche source
+       * @param {Object} dependency - Dépendance à ajouter (taskId + type, lag et lagUnit optionnels)
+       * @returns {Promise<void>}
+       */
+      addDependency: async (taskId, dependency) => {
+        try {
+          set({ error: null });
+          
+          const { currentProject } = get();
+          if (!currentProject) {
+            throw new Error('Aucun projet sélectionné');
+          }
+          
+          const newDependency = normalizeDependency(dependency);
+          
+          // Refuse les auto-dépendances, références externes et cycles
+          const dependencyError = getDependencyError(currentProject.tasks, taskId, newDependency.taskId);
+          if (dependencyError) {
+            throw new Error(dependencyError);
+          }
+          
+          set((state) => {
+            if (!state.currentProject) return state;
+            
+            // Ajoute la dépendance à la tâche
+            const updatedTasks = state.currentProject.tasks.map(task => {
+              if (task.id !== taskId) return task;
+              
+              // Vérifie que la dépendance n'existe pas déjà
+              const existingDep = task.dependencies.find(
+                dep => dep.taskId === newDependency.taskId &&
+                  normalizeDependency(dep).type === newDependency.type
+              );
+              
+              if (existingDep) return task;
+              
+              return {
+                ...task,
+                dependencies: [...task.dependencies, newDependency],
+                updatedAt: new Date()
+              };
+            });
+            
+            // Met à jour le projet et applique la nouvelle contrainte
+            const updatedProject = {
+              ...state.currentProject,
+              tasks: rescheduleProjectTasks(updatedTasks, resolveProjectCalendar(state.currentProject)),
+              updatedAt: new Date()
+            };
+            
+            // Met à jour le projet dans la liste des projets
+            const updatedProjects = state.projects.map(p => 
+              p.id === updatedProject.id ? updatedProject : p
+            );
+            
+            return {
+              projects: updatedProjects,
+              currentProject: updatedProject
+            };
+          });
+        } catch (err) {
+          set({ 
+            error: `Échec d'ajout de dépendance: ${err instanceof Error ? err.message : String(err)}`
+          });
+          throw err;
+        }
+      },
+      
+      /**
+       * Modifie une dépendance existante (type, lag, lagUnit)
+       * @param {string} taskId - ID de la tâche source
+       * @param {string} dependencyTaskId - ID de la tâche cible (dépendance)
+       * @param {Object} updates - Champs de la dépendance à modifier
+       * @returns {Promise<void>}
+       */
+      updateDependency: async (taskId, dependencyTaskId, updates) => {
+        try {
+          set({ error: null });
+          
+          const { currentProject } = get();
+          if (!currentProject) {
+            throw new Error('Aucun projet sélectionné');
+          }
+          
+          // Un lien inexistant ne doit ni replanifier ni laisser d'entrée vide dans l'historique
+          const dependencyError = getMissingDependencyError(currentProject.tasks, taskId, dependencyTaskId);
+          if (dependencyError) {
+            throw new Error(dependencyError);
+          }
+          
+          set((state) => {
+            if (!state.currentProject) return state;
+            
+            // Modifie la dépendance de la tâche
+            const updatedTasks = state.currentProject.tasks.map(task => {
+              if (task.id !== taskId) return task;
+              
+              return {
+                ...task,
+                dependencies: task.dependencies.map(dep => 
+                  getDependencyTaskId(dep) === dependencyTaskId
+                    ? normalizeDependency({ ...normalizeDependency(dep), ...updates, taskId: dependencyTaskId })
+                    : dep
+                ),
+                updatedAt: new Date()
+              };
+            });
+            
+            // Met à jour le projet et applique la contrainte modifiée
+            const updatedProject = {
+              ...state.currentProject,
+              tasks: rescheduleProjectTasks(updatedTasks, resolveProjectCalendar(state.currentProject)),
+              updatedAt: new Date()
+            };
+            
+            // Met à jour le projet dans la liste des projets
+            const updatedProjects = state.projects.map(p => 
+              p.id === updatedProject.id ? updatedProject : p
+            );
+            
+            return {
+              projects: updatedProjects,
+              currentProject: updatedProject
+            };
+          });
+        } catch (err) {
+          set({ 
+            error: `Échec de modification de dépendance: ${err instanceof Error ? err.message : String(err)}`
+          });
+          throw err;
+        }
+      },
+      
+      /**
+       * Supprime une dépendance entre tâches
+       * @param {string} taskId - ID de la tâche source
+       * @param {string} dependencyTaskId - ID de la tâche cible (dépendance)
+       * @returns {Promise<void>}
+       */
+      removeDependency: async (taskId, dependencyTaskId) => {
+        try {
+          set({ error: null });
+          
+          const { currentProject } = get();
+          if (!currentProject) {
+            throw new Error('Aucun projet sélectionné');
+          }
+          
+          // Un lien inexistant ne doit ni replanifier ni laisser d'entrée vide dans l'historique
+          const dependencyError = getMissingDependencyError(currentProject.tasks, taskId, dependencyTaskId);
+          if (dependencyError) {
+            throw new Error(dependencyError);
+          }
+          
           set((state) => {
             if (!state.currentProject) return state;
             
@@ -515,7 +1282,7 @@ export const useProjectStore = create(
               
               return {
                 ...task,
-                dependencies: task.dependencies.filter(dep => dep.taskId !== dependencyTaskId),
+                dependencies: task.dependencies.filter(dep => getDependencyTaskId(dep) !== dependencyTaskId),
                 updatedAt: new Date()
               };
             });
@@ -534,148 +1301,551 @@ export const useProjectStore = create(
             
             return {
               projects: updatedProjects,
-              currentProject: updatedProject,
-              loading: false
+              currentProject: updatedProject
             };
           });
         } catch (err) {
           set({ 
-            error: `Échec de suppression de dépendance: ${err instanceof Error ? err.message : String(err)}`,
-            loading: false 
+            error: `Échec de suppression de dépendance: ${err instanceof Error ? err.message : String(err)}`
           });
           throw err;
         }
       },
       
       /**
-       * Réinitialise l'erreur
+       * Crée une ressource dans le pool de l'espace de travail ou, si
+       * resourceData.projectId est fourni, dans celui du projet
+       * @param {Object} resourceData - { name, type, email, capacity, projectId }
+       * @returns {Promise<Resource>} Ressource créée
        */
-      clearError: () => set({ error: null }),
+      createResource: async (resourceData) => {
+        try {
+          set({ loading: true, error: null });
+          
+          const resource = normalizeResource({
+            ...resourceData,
+            id: uuidv4(),
+            createdAt: new Date(),
+            updatedAt: new Date()
+          });
+          
+          if (!resource.name) {
+            throw new Error('Le nom de la ressource est obligatoire');
+          }
+          if (resource.projectId && !get().projects.some(p => p.id === resource.projectId)) {
+            throw new Error(`Projet ${resource.projectId} introuvable`);
+          }
+          
+          set((state) => {
+            if (!resource.projectId) {
+              return { resources: [...state.resources, resource], loading: false };
+            }
+            
+            const updatedProjects = state.projects.map(project =>
+              project.id === resource.projectId
+                ? { ...project, resources: [...(project.resources || []), resource], updatedAt: new Date() }
+                : project
+            );
+            
+            return {
+              projects: updatedProjects,
+              currentProject: state.currentProject?.id === resource.projectId
+                ? updatedProjects.find(p => p.id === resource.projectId)
+                : state.currentProject,
+              loading: false
+            };
+          });
+          
+          return resource;
+        } catch (err) {
+          set({ 
+            error: `Échec de création de la ressource: ${err instanceof Error ? err.message : String(err)}`,
+            loading: false 
+          });
+          throw err;
+        }
+      },
       
       /**
-       * Clears localStorage cache to force re-initialization with proper date handling
+       * Met à jour une ressource (le pool propriétaire ne change pas)
+       * @param {string} resourceId - ID de la ressource
+       * @param {Object} updates - Champs à mettre à jour
+       * @returns {Promise<void>}
        */
-      clearCache: () => {
+      updateResource: async (resourceId, updates) => {
         try {
-          localStorage.removeItem('project-storage');
-          console.log('🗑️ Cleared project storage cache');
-          set({
-            projects: [],
-            currentProject: null,
-            loading: false,
-            error: null
+          set({ loading: true, error: null });
+          
+          const { resources, projects } = get();
+          const existing = [...resources, ...projects.flatMap(p => p.resources || [])]
+            .find(r => r.id === resourceId);
+          if (!existing) {
+            throw new Error(`Ressource ${resourceId} introuvable`);
+          }
+          
+          const updated = normalizeResource({
+            ...existing,
+            ...updates,
+            id: existing.id,
+            projectId: existing.projectId,
+            updatedAt: new Date()
           });
-        } catch (error) {
-          console.error('Error clearing cache:', error);
-          // Force reset even if localStorage operation fails
-          set({
-            projects: [],
-            currentProject: null,
-            loading: false,
-            error: 'Failed to clear cache: ' + error.message
+          if (!updated.name) {
+            throw new Error('Le nom de la ressource est obligatoire');
+          }
+          
+          const replace = (list) => (list || []).map(r => r.id === resourceId ? updated : r);
+          
+          set((state) => {
+            if (!updated.projectId) {
+              return { resources: replace(state.resources), loading: false };
+            }
+            
+            const updatedProjects = state.projects.map(project =>
+              project.id === updated.projectId
+                ? { ...project, resources: replace(project.resources), updatedAt: new Date() }
+                : project
+            );
+            
+            return {
+              projects: updatedProjects,
+              currentProject: state.currentProject?.id === updated.projectId
+                ? updatedProjects.find(p => p.id === updated.projectId)
+                : state.currentProject,
+              loading: false
+            };
           });
+        } catch (err) {
+          set({ 
+            error: `Échec de mise à jour de la ressource: ${err instanceof Error ? err.message : String(err)}`,
+            loading: false 
+          });
+          throw err;
         }
       },
       
       /**
-       * Validates and fixes any date issues in stored data
+       * Supprime une ressource et toutes ses affectations
+       * @param {string} resourceId - ID de la ressource
+       * @returns {Promise<void>}
        */
-      validateAndFixDates: () => {
+      deleteResource: async (resourceId) => {
         try {
+          set({ loading: true, error: null });
+          
           set((state) => {
-            const fixDatesInObject = (obj) => {
-              if (!obj || typeof obj !== 'object') return obj;
-              
-              if (Array.isArray(obj)) {
-                return obj.map(fixDatesInObject);
-              }
-              
-              const fixed = { ...obj };
+            const withoutResource = (project) => {
+              const ownsResource = (project.resources || []).some(r => r.id === resourceId);
+              const isAssigned = project.tasks.some(task =>
+                getTaskAssignments(task).some(a => a.resourceId === resourceId)
+              );
+              if (!ownsResource && !isAssigned) return project;
               
-              // Fix date fields
-              const dateFields = ['createdAt', 'updatedAt', 'startDate', 'endDate'];
-              dateFields.forEach(field => {
-                if (fixed[field]) {
-                  if (!(fixed[field] instanceof Date)) {
-                    try {
-                      fixed[field] = new Date(fixed[field]);
-                    } catch (error) {
-                      console.warn(`Failed to convert ${field}, setting default`);
-                      if (field === 'createdAt' || field === 'updatedAt') {
-                        fixed[field] = new Date();
-                      } else if (field === 'startDate') {
-                        fixed[field] = new Date();
-                      } else if (field === 'endDate') {
-                        fixed[field] = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-                      }
-                    }
-                  }
-                  
-                  // Validate the Date object
-                  if (isNaN(fixed[field].getTime())) {
-                    console.warn(`Invalid date detected for ${field}, fixing`);
-                    if (field === 'createdAt' || field === 'updatedAt') {
-                      fixed[field] = new Date();
-                    } else if (field === 'startDate') {
-                      fixed[field] = new Date();
-                    } else if (field === 'endDate') {
-                      fixed[field] = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-                    }
+              return {
+                ...project,
+                resources: (project.resources || []).filter(r => r.id !== resourceId),
+                tasks: project.tasks.map(task => getTaskAssignments(task).some(a => a.resourceId === resourceId)
+                  ? {
+                    ...task,
+                    assignments: getTaskAssignments(task).filter(a => a.resourceId !== resourceId),
+                    updatedAt: new Date()
                   }
-                }
-              });
-              
-              // Ensure task date consistency
-              if (fixed.startDate && fixed.endDate && fixed.endDate <= fixed.startDate) {
-                console.warn('End date before start date, fixing');
-                fixed.endDate = new Date(fixed.startDate.getTime() + 24 * 60 * 60 * 1000);
-              }
-              
-              // Recursively fix nested objects
-              Object.keys(fixed).forEach(key => {
-                if (fixed[key] && typeof fixed[key] === 'object') {
-                  fixed[key] = fixDatesInObject(fixed[key]);
-                }
-              });
-              
-              return fixed;
+                  : task
+                ),
+                updatedAt: new Date()
+              };
             };
             
+            const updatedProjects = state.projects.map(withoutResource);
+            
             return {
-              ...state,
-              projects: fixDatesInObject(state.projects),
-              currentProject: fixDatesInObject(state.currentProject)
+              resources: state.resources.filter(r => r.id !== resourceId),
+              projects: updatedProjects,
+              currentProject: state.currentProject
+                ? updatedProjects.find(p => p.id === state.currentProject.id) || null
+                : null,
+              loading: false
             };
           });
+        } catch (err) {
+          set({ 
+            error: `Échec de suppression de la ressource: ${err instanceof Error ? err.message : String(err)}`,
+            loading: false 
+          });
+          throw err;
+        }
+      },
+      
+      /**
+       * Affecte une ressource à une tâche du projet courant
+       * Une ressource déjà affectée voit simplement son allocation mise à jour
+       * @param {string} taskId - ID de la tâche
+       * @param {string} resourceId - ID de la ressource
+       * @param {number} [allocation=100] - Part du temps de la ressource (%)
+       * @returns {Promise<void>}
+       */
+      assignResource: async (taskId, resourceId, allocation = 100) => {
+        try {
+          set({ loading: true, error: null });
           
-          console.log('✅ Date validation and fixing completed');
-        } catch (error) {
-          console.error('Error during date validation:', error);
-          set(state => ({
-            ...state,
-            error: 'Failed to validate dates: ' + error.message
-          }));
+          const { currentProject } = get();
+          if (!currentProject) {
+            throw new Error('Aucun projet sélectionné');
+          }
+          
+          const task = currentProject.tasks.find(t => t.id === taskId);
+          if (!task) {
+            throw new Error(`Tâche ${taskId} introuvable`);
+          }
+          
+          const assignments = validateAssignments(
+            [...getTaskAssignments(task), { resourceId, allocation }],
+            getProjectResources(get().resources, currentProject)
+          );
+          
+          set((state) => state.currentProject
+            ? replaceCurrentTasks(state, state.currentProject.tasks.map(t =>
+              t.id === taskId ? { ...t, assignments, updatedAt: new Date() } : t
+            ))
+            : state);
+        } catch (err) {
+          set({ 
+            error: `Échec de l'affectation de la ressource: ${err instanceof Error ? err.message : String(err)}`,
+            loading: false 
+          });
+          throw err;
         }
       },
       
       /**
-       * Initializes the store with proper date handling
+       * Modifie l'allocation d'une ressource déjà affectée à une tâche
+       * @param {string} taskId - ID de la tâche
+       * @param {string} resourceId - ID de la ressource
+       * @param {number} allocation - Nouvelle allocation (%)
+       * @returns {Promise<void>}
        */
-      initializeStore: () => {
+      updateAssignment: async (taskId, resourceId, allocation) => {
         try {
-          console.log('🔄 Initializing project store with date validation');
+          set({ loading: true, error: null });
           
-          // Validate existing data
-          const { validateAndFixDates } = get();
-          validateAndFixDates();
+          const { currentProject } = get();
+          if (!currentProject) {
+            throw new Error('Aucun projet sélectionné');
+          }
           
-          console.log('✅ Project store initialized successfully');
+          const task = currentProject.tasks.find(t => t.id === taskId);
+          if (!task || !getTaskAssignments(task).some(a => a.resourceId === resourceId)) {
+            throw new Error(`Affectation de la ressource ${resourceId} introuvable`);
+          }
+          
+          const assignments = getTaskAssignments(task).map(a =>
+            a.resourceId === resourceId ? normalizeAssignment({ resourceId, allocation }) : a
+          );
+          
+          set((state) => state.currentProject
+            ? replaceCurrentTasks(state, state.currentProject.tasks.map(t =>
+              t.id === taskId ? { ...t, assignments, updatedAt: new Date() } : t
+            ))
+            : state);
+        } catch (err) {
+          set({ 
+            error: `Échec de mise à jour de l'affectation: ${err instanceof Error ? err.message : String(err)}`,
+            loading: false 
+          });
+          throw err;
+        }
+      },
+      
+      /**
+       * Retire une ressource d'une tâche du projet courant
+       * @param {string} taskId - ID de la tâche
+       * @param {string} resourceId - ID de la ressource
+       * @returns {Promise<void>}
+       */
+      unassignResource: async (taskId, resourceId) => {
+        try {
+          set({ loading: true, error: null });
+          
+          const { currentProject } = get();
+          if (!currentProject) {
+            throw new Error('Aucun projet sélectionné');
+          }
+          
+          set((state) => state.currentProject
+            ? replaceCurrentTasks(state, state.currentProject.tasks.map(t =>
+              t.id === taskId
+                ? {
+                  ...t,
+                  assignments: getTaskAssignments(t).filter(a => a.resourceId !== resourceId),
+                  updatedAt: new Date()
+                }
+                : t
+            ))
+            : state);
+        } catch (err) {
+          set({ 
+            error: `Échec du retrait de la ressource: ${err instanceof Error ? err.message : String(err)}`,
+            loading: false 
+          });
+          throw err;
+        }
+      },
+      
+      /**
+       * Applique un lot de nouvelles dates en une seule mise à jour du projet
+       * courant (nivellement, annulation d'un lot), puis replanifie
+       * @param {Array<{ taskId: string, startDate: Date, endDate: Date }>} changes
+       * @returns {Promise<Array<{ taskId: string, startDate: Date, endDate: Date }>>}
+       *   Lot inverse (dates précédentes) permettant d'annuler l'opération
+       */
+      applyTaskDates: async (changes) => {
+        try {
+          set({ loading: true, error: null });
+          
+          const { currentProject } = get();
+          if (!currentProject) {
+            throw new Error('Aucun projet sélectionné');
+          }
+          
+          const byId = new Map(changes.map(change => [change.taskId, change]));
+          const missing = changes.find(change => !currentProject.tasks.some(t => t.id === change.taskId));
+          if (missing) {
+            throw new Error(`Tâche ${missing.taskId} introuvable`);
+          }
+          
+          const inverse = currentProject.tasks
+            .filter(task => byId.has(task.id))
+            .map(task => ({ taskId: task.id, startDate: task.startDate, endDate: task.endDate }));
+          
+          set((state) => {
+            if (!state.currentProject) return state;
+            
+            const updatedTasks = state.currentProject.tasks.map(task => {
+              const change = byId.get(task.id);
+              return change
+                ? {
+                  ...task,
+                  startDate: new Date(change.startDate),
+                  endDate: new Date(change.endDate),
+                  updatedAt: new Date()
+                }
+                : task;
+            });
+            
+            return replaceCurrentTasks(
+              state,
+              rescheduleProjectTasks(updatedTasks, resolveProjectCalendar(state.currentProject))
+            );
+          });
+          
+          return inverse;
+        } catch (err) {
+          set({ 
+            error: `Échec de mise à jour des dates: ${err instanceof Error ? err.message : String(err)}`,
+            loading: false 
+          });
+          throw err;
+        }
+      },
+      
+      /**
+       * Vérifie les dépendances d'un projet (cycles, auto-dépendances,
+       * références vers des tâches absentes) - utile pour les anciennes données
+       * @param {string} [projectId] - ID du projet (projet courant par défaut)
+       * @returns {Object|null} Rapport de validation, null si le projet est introuvable
+       */
+      validateProject: (projectId) => {
+        const { projects, currentProject } = get();
+        const project = projectId
+          ? projects.find(p => p.id === projectId)
+          : currentProject;
+        
+        if (!project) {
+          set({ error: `Échec de validation du projet: projet ${projectId} non trouvé` });
+          return null;
+        }
+        
+        const report = validateProjectDependencies(project);
+        
+        if (!report.valid) {
+          const problems = [
+            ...report.cycles.map(cycle => `cycle ${cycle}`),
+            ...report.selfDependencies.map(name => `auto-dépendance sur "${name}"`),
+            ...report.externalDependencies.map(ref => `référence externe ${ref}`)
+          ];
+          set({ error: `Projet "${project.name}" invalide: ${problems.join(' ; ')}` });
+        }
+        
+        return report;
+      },
+      
+      /**
+       * Sélecteur du chemin critique d'un projet (passes avant/arrière CPM)
+       * Utilisable directement: useProjectStore(state => state.getCriticalPath(id))
+       * @param {string} [projectId] - ID du projet (projet courant par défaut)
+       * @returns {Object} { tasks: { [taskId]: { earlyStart, earlyFinish, lateStart,
+       *   lateFinish, totalFloat, freeFloat, critical } }, criticalPath, projectStart, projectFinish }
+       */
+      getCriticalPath: (projectId) => {
+        const { projects, currentProject } = get();
+        const project = projectId
+          ? projects.find(p => p.id === projectId)
+          : currentProject;
+        
+        if (!project || !Array.isArray(project.tasks)) {
+          return EMPTY_CRITICAL_PATH;
+        }
+        
+        return getCachedCriticalPath(project);
+      },
+      
+      /**
+       * Sélecteur des jalons non atteints (à venir et manqués)
+       * @param {string} [projectId] - ID du projet (tous les projets par défaut)
+       * @returns {{ upcoming: Array<{ project, task }>, missed: Array<{ project, task }> }}
+       */
+      getMilestones: (projectId) => {
+        const { projects } = get();
+        return listMilestones(projectId ? projects.filter(p => p.id === projectId) : projects);
+      },
+      
+      /**
+       * Sélecteur du calendrier de travail d'un projet (normalisé)
+       * @param {string} [projectId] - ID du projet (projet courant par défaut)
+       * @returns {WorkingCalendar}
+       */
+      getProjectCalendar: (projectId) => {
+        const { projects, currentProject } = get();
+        return resolveProjectCalendar(projectId
+          ? projects.find(p => p.id === projectId)
+          : currentProject);
+      },
+      
+      /**
+       * Sélecteur des ressources utilisables dans un projet
+       * (espace de travail puis ressources propres au projet)
+       * @param {string} [projectId] - ID du projet (projet courant par défaut)
+       * @returns {Array<Resource>}
+       */
+      getResources: (projectId) => {
+        const { projects, currentProject, resources } = get();
+        return getProjectResources(resources, projectId
+          ? projects.find(p => p.id === projectId)
+          : currentProject);
+      },
+      
+      /**
+       * Sélecteur des sur-allocations des ressources d'un projet
+       * La charge des ressources partagées inclut les autres projets
+       * @param {string} [projectId] - ID du projet (projet courant par défaut)
+       * @returns {Array<{ resourceId, resourceName, start, end, peak, capacity, taskIds }>}
+       */
+      getOverallocations: (projectId) => {
+        const { projects, currentProject, resources } = get();
+        const project = projectId
+          ? projects.find(p => p.id === projectId)
+          : currentProject;
+        
+        if (!project) {
+          return [];
+        }
+        
+        return findOverallocations(projects, getProjectResources(resources, project), project);
+      },
+      
+      /**
+       * Sélecteur de la référence affichée d'un projet
+       * @param {string} [projectId] - ID du projet (projet courant par défaut)
+       * @returns {Baseline|null}
+       */
+      getActiveBaseline: (projectId) => {
+        const { projects, currentProject } = get();
+        const project = projectId
+          ? projects.find(p => p.id === projectId)
+          : currentProject;
+        
+        return (project?.baselines || []).find(b => b.id === project.activeBaselineId) || null;
+      },
+      
+      /**
+       * Sélecteur du journal des modifications, du plus récent au plus ancien
+       * @param {Object} [filters]
+       * @param {string} [filters.projectId] - Limite à un projet (tous par défaut)
+       * @param {string} [filters.taskId] - Limite à une tâche
+       * @param {number} [filters.limit] - Nombre maximal d'entrées
+       * @returns {Array<AuditEntry & { projectId: string, projectName: string }>}
+       */
+      getActivity: ({ projectId, taskId, limit } = {}) => {
+        const entries = get().projects
+          .filter(project => !projectId || project.id === projectId)
+          .flatMap(project => (project.changeLog || [])
+            .filter(entry => !taskId || entry.taskId === taskId)
+            .map(entry => ({ ...entry, projectId: project.id, projectName: project.name })))
+          .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        
+        return limit ? entries.slice(0, limit) : entries;
+      },
+      
+      /**
+       * Sélecteur du plan de nivellement des ressources d'un projet (aperçu,
+       * aucune modification) ; appliquer plan.changes via applyTaskDates
+       * @param {string} [projectId] - ID du projet (projet courant par défaut)
+       * @returns {{ tasks, changes: Array<{ taskId, name, before, after, delayDays }>, unresolved }}
+       */
+      getResourceLevelingPlan: (projectId) => {
+        const { projects, currentProject, resources } = get();
+        const project = projectId
+          ? projects.find(p => p.id === projectId)
+          : currentProject;
+        
+        if (!project) {
+          return { tasks: [], changes: [], unresolved: [] };
+        }
+        
+        return planResourceLeveling({
+          project,
+          projects,
+          resources: getProjectResources(resources, project)
+        });
+      },
+      
+      /**
+       * Réinitialise l'erreur
+       */
+      clearError: () => set({ error: null }),
+      
+      /**
+       * Clears persisted storage to force re-initialization with proper date handling
+       * @returns {Promise<void>} Resolves once the storage has been cleared
+       */
+      clearCache: () => {
+        try {
+          const { storage } = useProjectStore.persist.getOptions();
+          const cleared = Promise.resolve(storage?.removeItem('project-storage'));
+          console.log('🗑️ Cleared project storage cache');
+          set({
+            projects: [],
+            currentProject: null,
+            resources: [],
+            past: [],
+            future: [],
+            loading: false,
+            error: null
+          });
+          return cleared;
         } catch (error) {
-          console.error('Error initializing store:', error);
-          set(state => ({
-            ...state,
-            error: 'Failed to initialize store: ' + error.message
-          }));
+          console.error('Error clearing cache:', error);
+          // Force reset even if storage operation fails
+          set({
+            projects: [],
+            currentProject: null,
+            resources: [],
+            past: [],
+            future: [],
+            loading: false,
+            error: 'Failed to clear cache: ' + error.message
+          });
+          return Promise.resolve();
         }
       },
       
@@ -792,167 +1962,25 @@ export const useProjectStore = create(
         console.log('✅ Demo project loaded with valid dates');
         return demoProject.id;
       }
+    }, {
+      actions: UNDOABLE_ACTIONS,
+      capture: captureUndoState,
+      restore: restoreUndoState
+    }), {
+      actions: AUDITED_ACTIONS
     }),
     {
       name: 'project-storage', // Clé de stockage
-      storage: createJSONStorage(() => localStorage),
+      storage: createProjectStorage(),
+      // Schéma versionné : voir core/storage/migrations
+      version: SCHEMA_VERSION,
+      migrate: migratePersistedState,
       partialize: (state) => ({ 
         projects: state.projects,
-        currentProject: state.currentProject 
-      }),
-      // Custom serialization/deserialization to handle Date objects
-      serialize: (state) => {
-        try {
-          // Pre-process dates to ensure they're properly serializable
-          const processForSerialization = (obj) => {
-            if (obj && typeof obj === 'object') {
-              if (Array.isArray(obj)) {
-                return obj.map(processForSerialization);
-              }
-              
-              const processed = { ...obj };
-              
-              // Ensure Date objects are valid before serialization
-              const dateFields = ['createdAt', 'updatedAt', 'startDate', 'endDate'];
-              dateFields.forEach(field => {
-                if (processed[field] instanceof Date) {
-                  if (isNaN(processed[field].getTime())) {
-                    console.warn(`Invalid date found during serialization for ${field}, fixing`);
-                    if (field === 'createdAt' || field === 'updatedAt') {
-                      processed[field] = new Date();
-                    } else if (field === 'startDate') {
-                      processed[field] = new Date();
-                    } else if (field === 'endDate') {
-                      processed[field] = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-                    }
-                  }
-                }
-              });
-              
-              // Recursively process nested objects
-              Object.keys(processed).forEach(key => {
-                if (processed[key] && typeof processed[key] === 'object') {
-                  processed[key] = processForSerialization(processed[key]);
-                }
-              });
-              
-              return processed;
-            }
-            return obj;
-          };
-          
-          const processedState = processForSerialization(state);
-          console.log('📤 Serializing project data with validated dates');
-          return JSON.stringify(processedState);
-        } catch (error) {
-          console.error('Error serializing project data:', error);
-          // Return minimal valid JSON if serialization fails
-          return JSON.stringify({
-            projects: [],
-            currentProject: null
-          });
-        }
-      },
-      deserialize: (str) => {
-        try {
-          const parsed = JSON.parse(str);
-          
-          // Enhanced date conversion with validation
-          const convertDates = (obj) => {
-            if (obj && typeof obj === 'object') {
-              if (Array.isArray(obj)) {
-                return obj.map(convertDates);
-              }
-              
-              const converted = { ...obj };
-              
-              // Convert known date fields with validation
-              const dateFields = ['createdAt', 'updatedAt', 'startDate', 'endDate'];
-              
-              dateFields.forEach(field => {
-                if (converted[field] && typeof converted[field] === 'string') {
-                  try {
-                    const date = new Date(converted[field]);
-                    if (!isNaN(date.getTime())) {
-                      converted[field] = date;
-                    } else {
-                      console.warn(`Invalid date string for ${field}:`, converted[field]);
-                      // Set a default date based on field type
-                      if (field === 'createdAt' || field === 'updatedAt') {
-                        converted[field] = new Date();
-                      } else if (field === 'startDate') {
-                        converted[field] = new Date();
-                      } else if (field === 'endDate') {
-                        converted[field] = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-                      }
-                    }
-                  } catch (error) {
-                    console.error(`Error converting ${field} to Date:`, error);
-                    // Set reasonable defaults
-                    if (field === 'createdAt' || field === 'updatedAt') {
-                      converted[field] = new Date();
-                    } else if (field === 'startDate') {
-                      converted[field] = new Date();
-                    } else if (field === 'endDate') {
-                      converted[field] = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-                    }
-                  }
-                }
-              });
-              
-              // Additional validation for task dates
-              if (converted.startDate && converted.endDate) {
-                // Ensure both are Date objects before comparing
-                const startDate = converted.startDate instanceof Date ? converted.startDate : new Date(converted.startDate);
-                const endDate = converted.endDate instanceof Date ? converted.endDate : new Date(converted.endDate);
-                
-                // Ensure end date is after start date
-                if (endDate <= startDate) {
-                  console.warn('End date is before start date, adjusting');
-                  converted.endDate = new Date(startDate.getTime() + 24 * 60 * 60 * 1000);
-                }
-              }
-              
-              // Recursively convert nested objects
-              Object.keys(converted).forEach(key => {
-                if (converted[key] && typeof converted[key] === 'object') {
-                  converted[key] = convertDates(converted[key]);
-                }
-              });
-              
-              return converted;
-            }
-            return obj;
-          };
-          
-          const result = convertDates(parsed);
-          console.log('📥 Deserialized data with date conversion');
-          return result;
-        } catch (error) {
-          console.error('Error deserializing project data:', error);
-          // Return empty state if deserialization fails
-          return {
-            projects: [],
-            currentProject: null
-          };
-        }
-      }
+        currentProject: state.currentProject,
+        resources: state.resources,
+        syncMode: state.syncMode
+      })
     }
   )
 );
-
-// Initialize the store on creation
-if (typeof window !== 'undefined') {
-  // Add a small delay to ensure the store is fully initialized
-  setTimeout(() => {
-    try {
-      const store = useProjectStore.getState();
-      if (store.initializeStore) {
-        store.initializeStore();
-      }
-    } catch (error) {
-      console.error('Error during store auto-initialization:', error);
-    }
-  }, 100);
-}
-
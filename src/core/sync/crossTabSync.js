@@ -0,0 +1,302 @@
+/**
+ * SYNCHRONISATION ENTRE ONGLETS
+ * =============================
+ *
+ * Responsabilités :
+ * - Diffuser aux autres onglets les modifications du store des projets
+ *   (BroadcastChannel, ou événements storage en repli)
+ * - Fusionner en direct les modifications reçues dans le store local
+ * - Résoudre les conflits quand deux onglets ont modifié la même tâche
+ * - Reporter les modifications reçues dans l'historique annuler / rétablir
+ *
+ * Fusion à trois voies (état de départ de l'émetteur, état reçu, état local) :
+ * un champ modifié d'un seul côté est repris tel quel ; un champ modifié des
+ * deux côtés est un conflit, gagné par la modification la plus récente (à
+ * égalité, par l'identifiant d'onglet) pour que tous les onglets convergent.
+ * Une tâche supprimée d'un côté et modifiée de l'autre est conservée ; un
+ * projet supprimé l'est partout.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { reviveStoredState } from '../storage';
+import {
+  UPDATE_ORIGINS,
+  applyUpdateFrom,
+  getUpdateOrigin,
+  collectChanges,
+  hasProjectFieldsChanged,
+  isSameValue,
+  withoutTasks
+} from './storeChanges';
+
+export const SYNC_CHANNEL = 'project-storage-sync';
+
+/**
+ * Fusion champ par champ d'un objet modifié de part et d'autre
+ * @returns {{ value: Object, conflicts: Array<string> }}
+ */
+const mergeFields = (base, mine, theirs, remoteWins, ignored = []) => {
+  const value = { ...mine };
+  const conflicts = [];
+  const keys = new Set([...Object.keys(base), ...Object.keys(mine), ...Object.keys(theirs)]);
+  ignored.forEach(key => keys.delete(key));
+
+  keys.forEach(key => {
+    if (isSameValue(theirs[key], base[key]) || isSameValue(mine[key], theirs[key])) return;
+    if (isSameValue(mine[key], base[key])) {
+      value[key] = theirs[key];
+      return;
+    }
+    conflicts.push(key);
+    if (remoteWins) value[key] = theirs[key];
+  });
+
+  Object.keys(value).forEach(key => {
+    if (value[key] === undefined) delete value[key];
+  });
+  return { value, conflicts };
+};
+
+/**
+ * Journal des modifications : union des entrées, par ordre chronologique
+ */
+const mergeChangeLogs = (mine = [], theirs = []) => {
+  const ids = new Set(mine.map(entry => entry.id));
+  const added = theirs.filter(entry => !ids.has(entry.id));
+  if (added.length === 0) return mine;
+  return [...mine, ...added].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+};
+
+/**
+ * Ordre des tâches après fusion : l'ordre distant s'il a changé et pas le
+ * local, puis les tâches locales absentes de l'ordre retenu
+ */
+const mergeOrder = (change, localOrder, tasksById) => {
+  const order = !isSameValue(change.orderAfter, change.orderBefore) && isSameValue(localOrder, change.orderBefore)
+    ? change.orderAfter
+    : localOrder;
+  const kept = order.filter(id => tasksById.has(id));
+  const keptIds = new Set(kept);
+  return [...kept, ...[...tasksById.keys()].filter(id => !keptIds.has(id))];
+};
+
+/**
+ * Applique à un projet local les modifications d'une tâche reçue
+ */
+const mergeTask = (taskChange, local, { remoteWins, report }) => {
+  const { before, after } = taskChange;
+
+  if (!after) {
+    // Supprimée à distance : conservée si modifiée localement
+    if (!local || isSameValue(local, before)) return null;
+    report(local, ['suppression'], 'local');
+    return local;
+  }
+  if (!before || !local) {
+    // Nouvelle tâche, ou supprimée localement mais modifiée à distance : reprise
+    return after;
+  }
+
+  const { value, conflicts } = mergeFields(before, local, after, remoteWins);
+  if (conflicts.length > 0) report(local, conflicts);
+  return value;
+};
+
+/**
+ * Fusionne dans l'état local les modifications reçues d'un autre onglet
+ * @param {Object} state - État local ({ projects, resources })
+ * @param {Object} changes - Voir collectChanges
+ * @param {Object} options
+ * @param {function(string, string): boolean} options.remoteWins - Arbitrage d'un conflit sur (projectId, taskId|null)
+ * @returns {{ projects: Array, resources: Array, conflicts: Array }}
+ */
+export const mergeRemoteChanges = (state, changes, { remoteWins }) => {
+  const conflicts = [];
+  let projects = state.projects;
+
+  changes.projects.forEach(change => {
+    const index = projects.findIndex(project => project.id === change.id);
+    const local = index >= 0 ? projects[index] : null;
+    const report = (task, fields, kept = remoteWins(change.id, task?.id || null) ? 'remote' : 'local') =>
+      conflicts.push({
+        projectId: change.id,
+        projectName: (local || change.after || change.before).name,
+        taskId: task?.id || null,
+        taskName: task?.name || null,
+        fields,
+        kept
+      });
+
+    if (!change.after) {
+      // Un projet supprimé l'est dans tous les onglets, même modifié localement
+      if (!local) return;
+      const edited = local.tasks.some(task => {
+        const removed = change.tasks.find(t => t.id === task.id);
+        return !removed || !isSameValue(task, removed.before);
+      });
+      if (edited) report(null, ['suppression'], 'remote');
+      projects = projects.filter(project => project.id !== change.id);
+      return;
+    }
+    // Projet supprimé localement : la suppression l'emporte aussi
+    if (!local && change.before) return;
+
+    const tasksById = new Map((local?.tasks || []).map(task => [task.id, task]));
+    change.tasks.forEach(taskChange => {
+      const merged = mergeTask(taskChange, tasksById.get(taskChange.id), {
+        remoteWins: remoteWins(change.id, taskChange.id),
+        report
+      });
+      if (merged) tasksById.set(taskChange.id, merged);
+      else tasksById.delete(taskChange.id);
+    });
+
+    let fields = change.after;
+    if (local) {
+      const merged = mergeFields(change.before || {}, withoutTasks(local), change.after,
+        remoteWins(change.id, null), ['changeLog']);
+      if (merged.conflicts.length > 0) report(null, merged.conflicts);
+      fields = { ...merged.value, changeLog: mergeChangeLogs(local.changeLog, change.after.changeLog) };
+    }
+
+    const order = mergeOrder(change, (local?.tasks || []).map(task => task.id), tasksById);
+    const project = { ...fields, tasks: order.map(id => tasksById.get(id)) };
+    projects = index >= 0
+      ? projects.map(p => (p.id === change.id ? project : p))
+      : [...projects, project];
+  });
+
+  let { resources } = state;
+  if (changes.resources) {
+    if (isSameValue(resources, changes.resources.before)) {
+      resources = changes.resources.after;
+    } else if (!isSameValue(resources, changes.resources.after)) {
+      conflicts.push({ projectId: null, projectName: null, taskId: null, taskName: null, fields: ['resources'],
+        kept: remoteWins(null, null) ? 'remote' : 'local' });
+      if (remoteWins(null, null)) resources = changes.resources.after;
+    }
+  }
+
+  return { projects, resources, conflicts };
+};
+
+/**
+ * Reporte les modifications reçues dans les instantanés d'annuler / rétablir :
+ * annuler une action locale ne défait pas celles de l'autre onglet
+ * @param {Array<{ label: string, snapshot: Object }>} entries - past ou future
+ * @param {Object} changes - Voir collectChanges
+ * @returns {Array<{ label: string, snapshot: Object }>}
+ */
+const rebaseHistory = (entries, changes) => entries.map(entry => {
+  const { snapshot } = entry;
+  const { projects, resources } = mergeRemoteChanges(snapshot, changes, { remoteWins: () => true });
+  return {
+    ...entry,
+    snapshot: {
+      ...snapshot,
+      projects,
+      resources,
+      currentProject: snapshot.currentProject
+        ? projects.find(project => project.id === snapshot.currentProject.id) || null
+        : null
+    }
+  };
+});
+
+/**
+ * Canal de diffusion entre onglets : BroadcastChannel si disponible,
+ * sinon événements storage sur une clé localStorage dédiée
+ */
+const openChannel = (name, onMessage) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(name);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close()
+    };
+  }
+
+  const handleStorage = (event) => {
+    if (event.key !== name || !event.newValue) return;
+    try {
+      onMessage(reviveStoredState(JSON.parse(event.newValue)));
+    } catch (error) {
+      console.error('Error reading cross-tab message:', error);
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+  return {
+    post: (message) => {
+      try {
+        localStorage.setItem(name, JSON.stringify(message));
+      } catch (error) {
+        console.error('Error sending cross-tab message:', error);
+      }
+    },
+    close: () => window.removeEventListener('storage', handleStorage)
+  };
+};
+
+/**
+ * Démarre la synchronisation du store des projets avec les autres onglets
+ * @param {Object} store - Store Zustand persisté (useProjectStore)
+ * @param {Object} [options]
+ * @param {function(Array): void} [options.onConflict] - Conflits résolus lors d'une fusion
+ * @param {string} [options.channelName]
+ * @returns {function(): void} Arrête la synchronisation
+ */
+export const startCrossTabSync = (store, { onConflict, channelName = SYNC_CHANNEL } = {}) => {
+  const tabId = uuidv4();
+  // Date de la dernière modification locale par tâche (ou projet) : arbitrage des conflits
+  const localEdits = new Map();
+  const editKey = (projectId, taskId) => `${projectId}/${taskId || ''}`;
+
+  const handleMessage = (message) => {
+    if (!message || message.tabId === tabId || !store.persist.hasHydrated()) return;
+
+    const remoteWins = (projectId, taskId) => {
+      const localTime = localEdits.get(editKey(projectId, taskId)) || 0;
+      return message.timestamp > localTime || (message.timestamp === localTime && message.tabId > tabId);
+    };
+
+    const state = store.getState();
+    const { projects, resources, conflicts } = mergeRemoteChanges(state, message.changes, { remoteWins });
+
+    applyUpdateFrom(UPDATE_ORIGINS.TAB, () => store.setState({
+      projects,
+      resources,
+      currentProject: state.currentProject
+        ? projects.find(project => project.id === state.currentProject.id) || null
+        : null,
+      past: rebaseHistory(state.past, message.changes),
+      future: rebaseHistory(state.future, message.changes)
+    }));
+
+    if (conflicts.length > 0 && onConflict) onConflict(conflicts);
+  };
+
+  const channel = openChannel(channelName, handleMessage);
+
+  const unsubscribe = store.subscribe((state, previous) => {
+    if (getUpdateOrigin() === UPDATE_ORIGINS.TAB || !store.persist.hasHydrated()) return;
+    if (state.projects === previous.projects && state.resources === previous.resources) return;
+
+    const changes = collectChanges(previous, state);
+    if (!changes) return;
+
+    const timestamp = Date.now();
+    changes.projects.forEach(change => {
+      if (hasProjectFieldsChanged(change)) localEdits.set(editKey(change.id, null), timestamp);
+      change.tasks.forEach(task => localEdits.set(editKey(change.id, task.id), timestamp));
+    });
+    if (changes.resources) localEdits.set(editKey(null, null), timestamp);
+
+    channel.post({ id: uuidv4(), tabId, timestamp, changes });
+  });
+
+  return () => {
+    unsubscribe();
+    channel.close();
+  };
+};
@@ -0,0 +1,81 @@
+/**
+ * FILE D'ATTENTE HORS LIGNE (OUTBOX)
+ * ==================================
+ *
+ * Responsabilités :
+ * - Conserver, dans l'ordre, les opérations qui n'ont pas pu être envoyées
+ *   au serveur faute de réseau
+ * - Persister la file (localStorage) pour survivre à un rechargement
+ * - Calculer le délai avant la prochaine tentative (backoff exponentiel)
+ *
+ * L'envoi et le rejeu des opérations sont faits par serverSync.
+ */
+
+import { create } from 'zustand';
+import { persist, createJSONStorage } from 'zustand/middleware';
+import { v4 as uuidv4 } from 'uuid';
+
+export const OUTBOX_KEY = 'project-outbox';
+
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 60 * 1000;
+
+/**
+ * Délai avant la tentative suivante
+ * @param {number} attempts - Tentatives déjà échouées
+ * @returns {number} Délai en millisecondes
+ */
+export const getRetryDelay = (attempts) => Math.min(RETRY_BASE_DELAY * 2 ** attempts, RETRY_MAX_DELAY);
+
+export const useOutboxStore = create(
+  persist(
+    (set) => ({
+      // Opérations en attente, dans l'ordre d'envoi
+      operations: [],
+      // Tentatives de rejeu échouées depuis le dernier envoi réussi
+      attempts: 0,
+      lastError: null,
+
+      /**
+       * Ajoute une opération en fin de file
+       * @param {Object} operation - Voir buildServerOperations
+       */
+      enqueue: (operation) => set(state => ({
+        operations: [...state.operations, { ...operation, id: operation.id || uuidv4(), queuedAt: new Date().toISOString() }]
+      })),
+
+      /**
+       * Retire une opération envoyée (ou abandonnée)
+       * @param {string} operationId
+       */
+      remove: (operationId) => set(state => ({
+        operations: state.operations.filter(operation => operation.id !== operationId),
+        attempts: 0,
+        lastError: null
+      })),
+
+      /**
+       * Enregistre l'échec d'une tentative de rejeu
+       * @param {string} message
+       */
+      recordFailure: (message) => set(state => ({ attempts: state.attempts + 1, lastError: message })),
+
+      /**
+       * Vide la file (modifications abandonnées)
+       */
+      clear: () => set({ operations: [], attempts: 0, lastError: null })
+    }),
+    {
+      name: OUTBOX_KEY,
+      storage: createJSONStorage(() => localStorage),
+      partialize: (state) => ({ operations: state.operations, attempts: state.attempts })
+    }
+  )
+);
+
+// Les autres onglets partagent la même file
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key === OUTBOX_KEY) useOutboxStore.persist.rehydrate();
+  });
+}
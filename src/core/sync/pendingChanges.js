@@ -0,0 +1,73 @@
+/**
+ * MODIFICATIONS EN COURS D'ENVOI
+ * ==============================
+ *
+ * Responsabilités :
+ * - Suivre, par projet et par tâche, les modifications appliquées localement
+ *   (de façon optimiste) dont le serveur n'a pas encore confirmé l'envoi
+ * - Exposer cet état à l'interface (tâches « en cours d'enregistrement »)
+ *
+ * Les opérations de la file hors ligne restent en attente après un
+ * rechargement : elles sont prises en compte même sans suivi en mémoire.
+ */
+
+import { useMemo } from 'react';
+import { create } from 'zustand';
+import { useOutboxStore } from './outbox';
+
+/**
+ * Clé d'une entité : un projet (taskId absent) ou une tâche
+ * @param {string} projectId
+ * @param {string} [taskId]
+ * @returns {string}
+ */
+export const getEntityKey = (projectId, taskId) => `${projectId}/${taskId || ''}`;
+
+export const usePendingChanges = create((set) => ({
+  // Nombre d'opérations non confirmées par entité (voir getEntityKey)
+  counts: {},
+
+  /**
+   * Marque les entités d'une opération comme en attente
+   * @param {Array<string>} keys
+   */
+  track: (keys) => set(state => {
+    const counts = { ...state.counts };
+    keys.forEach(key => { counts[key] = (counts[key] || 0) + 1; });
+    return { counts };
+  }),
+
+  /**
+   * Libère les entités d'une opération confirmée, refusée ou abandonnée
+   * @param {Array<string>} keys
+   */
+  release: (keys) => set(state => {
+    const counts = { ...state.counts };
+    keys.forEach(key => {
+      if (counts[key] > 1) counts[key] -= 1;
+      else delete counts[key];
+    });
+    return { counts };
+  })
+}));
+
+/**
+ * Identifiants des tâches d'un projet en cours d'enregistrement
+ * @param {string} projectId
+ * @returns {Array<string>} Identique d'un rendu à l'autre tant que rien ne change
+ */
+export const usePendingTaskIds = (projectId) => {
+  const tracked = usePendingChanges(state => Object.keys(state.counts).join('\n'));
+  const queued = useOutboxStore(state => state.operations
+    .filter(operation => operation.taskId)
+    .map(operation => getEntityKey(operation.projectId, operation.taskId))
+    .join('\n'));
+
+  return useMemo(() => {
+    const prefix = getEntityKey(projectId);
+    const ids = new Set(`${tracked}\n${queued}`.split('\n')
+      .filter(key => key.startsWith(prefix) && key.length > prefix.length)
+      .map(key => key.slice(prefix.length)));
+    return [...ids].sort();
+  }, [projectId, tracked, queued]);
+};
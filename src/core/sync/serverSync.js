@@ -0,0 +1,732 @@
+/**
+ * SYNCHRONISATION AVEC LE SERVEUR
+ * ===============================
+ *
+ * Responsabilités :
+ * - Mode « local » (stockage du navigateur seul) ou « serveur » (API REST,
+ *   le stockage du navigateur servant de cache)
+ * - Charger les projets depuis l'API et fusionner avec le cache local
+ * - Envoyer à l'API les modifications locales du store (création, mise à
+ *   jour et suppression des projets et des tâches)
+ *
+ * Les appels sont exécutés l'un après l'autre, dans l'ordre des
+ * modifications : un chargement demandé après une modification voit
+ * toujours celle-ci. Le journal des modifications reste local.
+ *
+ * Hors ligne, les opérations sont conservées dans la file d'attente (voir
+ * outbox.js) et rejouées au retour du réseau ; les chargements attendent
+ * que la file soit vide.
+ *
+ * Les modifications sont appliquées au store avant leur envoi (mise à jour
+ * optimiste). Si le serveur refuse une opération, toute la modification du
+ * store dont elle est issue est annulée localement ; les parties déjà
+ * acceptées par le serveur sont annulées aussi côté serveur, et le journal
+ * du projet signale l'annulation.
+ *
+ * Chaque projet et chaque tâche porte la version attribuée par le serveur ;
+ * les mises à jour sont conditionnées à la dernière version connue
+ * (If-Match). Si le serveur a été modifié entre-temps, sa copie est chargée :
+ * les modifications sur des champs différents sont fusionnées et renvoyées,
+ * les autres sont soumises à l'utilisateur (voir syncConflicts.js).
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { apiService, isNetworkError, isConflictError } from '../api/apiClient';
+import { reviveStoredState } from '../storage';
+import {
+  UPDATE_ORIGINS,
+  applyUpdateFrom,
+  getUpdateOrigin,
+  collectChanges,
+  invertChanges,
+  hasProjectFieldsChanged,
+  isSameValue,
+  omitFields,
+  withoutTasks
+} from './storeChanges';
+import { OUTBOX_KEY, useOutboxStore, getRetryDelay } from './outbox';
+import { usePendingChanges, getEntityKey } from './pendingChanges';
+import { mergeRemoteChanges } from './crossTabSync';
+import { CONFLICT_CHOICES, TIMESTAMP_FIELDS, useSyncConflicts, getConflictingFields } from './syncConflicts';
+import { AUDIT_ACTIONS, createAuditEntry } from '../utils/auditLog';
+
+export const SYNC_MODES = {
+  LOCAL: 'local',
+  SERVER: 'server'
+};
+
+export const DEFAULT_SYNC_MODE = import.meta.env?.VITE_SYNC_MODE === SYNC_MODES.SERVER
+  ? SYNC_MODES.SERVER
+  : SYNC_MODES.LOCAL;
+
+// Champs propres au cache local ou attribués par le serveur, jamais envoyés
+// dans le corps des requêtes
+const LOCAL_FIELDS = ['changeLog', 'syncedAt', 'version'];
+
+let queue = Promise.resolve();
+
+/**
+ * Exécute un appel à l'API après les appels déjà en attente
+ * @param {function(): Promise} task
+ * @returns {Promise}
+ */
+export const runInSyncQueue = (task) => {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+const toServerProject = (project) => omitFields(project, ['tasks', ...LOCAL_FIELDS]);
+
+const toServerTask = (task) => omitFields(task, LOCAL_FIELDS);
+
+const pickFields = (record, fields) => Object.fromEntries(fields.map(field => [field, record[field] ?? null]));
+
+const orderTasks = (tasks, taskOrder) => {
+  const position = new Map(taskOrder.map((id, index) => [id, index]));
+  return [...tasks].sort((a, b) => (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity));
+};
+
+/**
+ * Projet reçu de l'API (dates JSON) au format du store
+ */
+const fromServerProject = (data, tasks = data.tasks) => {
+  const { taskOrder, ...project } = reviveStoredState(data);
+  const revivedTasks = reviveStoredState(tasks || []);
+  return { ...project, tasks: Array.isArray(taskOrder) ? orderTasks(revivedTasks, taskOrder) : revivedTasks };
+};
+
+/**
+ * Champs modifiés d'une tâche
+ */
+const getChangedFields = (before, after) => Object.fromEntries(
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => !LOCAL_FIELDS.includes(key) && !isSameValue(before[key], after[key]))
+    .map(key => [key, after[key] ?? null])
+);
+
+/**
+ * Indique si un projet chargé du serveur correspond déjà au cache : mêmes
+ * champs, mêmes versions et même ordre des tâches
+ * @param {Project} local
+ * @param {Project} remote
+ * @returns {boolean}
+ */
+export const isSameServerProject = (local, remote) => {
+  const isSameRecord = (a, b) => a.version === b.version && Object.keys(getChangedFields(a, b)).length === 0;
+  return isSameRecord(withoutTasks(local), withoutTasks(remote)) &&
+    local.tasks.length === remote.tasks.length &&
+    local.tasks.every((task, index) => task.id === remote.tasks[index].id && isSameRecord(task, remote.tasks[index]));
+};
+
+/**
+ * Appels à l'API correspondant à des modifications du store. Les mises à
+ * jour portent aussi les valeurs d'origine des champs envoyés (base), pour
+ * la fusion en cas de conflit de version
+ * @param {Object} changes - Voir collectChanges
+ * @returns {Array<{ type: string, projectId: string, taskId?: string, data?: Object, base?: Object }>}
+ */
+export const buildServerOperations = (changes) => {
+  const operations = [];
+
+  changes.projects.forEach(change => {
+    const projectId = change.id;
+    if (!change.after) {
+      operations.push({ type: 'deleteProject', projectId });
+      return;
+    }
+    if (!change.before) {
+      operations.push({ type: 'createProject', projectId, data: toServerProject(change.after) });
+    }
+
+    change.tasks.forEach(({ id: taskId, before, after }) => {
+      if (!after) {
+        operations.push({ type: 'deleteTask', projectId, taskId });
+      } else if (!before) {
+        operations.push({ type: 'createTask', projectId, taskId, data: toServerTask(after) });
+      } else {
+        const data = getChangedFields(before, after);
+        if (Object.keys(data).length > 0) {
+          operations.push({ type: 'updateTask', projectId, taskId, data, base: pickFields(before, Object.keys(data)) });
+        }
+      }
+    });
+
+    const orderChanged = !isSameValue(change.orderBefore, change.orderAfter);
+    if (change.before && (orderChanged || hasProjectFieldsChanged(change, LOCAL_FIELDS))) {
+      operations.push({
+        type: 'updateProject',
+        projectId,
+        data: { ...toServerProject(change.after), taskOrder: change.orderAfter },
+        base: { ...toServerProject(change.before), taskOrder: change.orderBefore }
+      });
+    }
+  });
+
+  return operations;
+};
+
+/**
+ * Exécute un appel à l'API
+ * @param {Object} operation - Voir buildServerOperations ; version : condition des mises à jour
+ * @param {Object} [api]
+ * @returns {Promise}
+ */
+export const executeOperation = (operation, api = apiService) => {
+  const { projectId, taskId, data, version } = operation;
+  switch (operation.type) {
+    case 'createProject': return api.projects.create(data);
+    case 'updateProject': return api.projects.update(projectId, data, version);
+    case 'deleteProject': return api.projects.delete(projectId);
+    case 'createTask': return api.projects.addTask(projectId, data);
+    case 'updateTask': return api.tasks.update(projectId, taskId, data, version);
+    case 'deleteTask': return api.tasks.delete(projectId, taskId);
+    default: return Promise.reject(new Error(`Opération inconnue : ${operation.type}`));
+  }
+};
+
+/**
+ * Marque un projet comme présent sur le serveur : absent d'un chargement
+ * ultérieur, il aura été supprimé par un autre utilisateur
+ * @param {Object} store - Store Zustand (useProjectStore)
+ * @param {string} projectId
+ */
+export const markProjectSynced = (store, projectId) => applyUpdateFrom(UPDATE_ORIGINS.SERVER, () => {
+  store.setState(state => {
+    const syncedAt = new Date().toISOString();
+    const projects = state.projects.map(project => (
+      project.id === projectId ? { ...project, syncedAt } : project
+    ));
+    return {
+      projects,
+      currentProject: state.currentProject
+        ? projects.find(project => project.id === state.currentProject.id) || null
+        : null
+    };
+  });
+});
+
+// Store et gestion d'erreur de la synchronisation démarrée (voir startServerSync)
+let context = { store: null, onError: null, onRollback: null, api: apiService };
+let retryTimer = null;
+
+// Opérations dont la réponse porte la nouvelle version de l'entité
+const VERSIONED_OPERATIONS = ['createProject', 'updateProject', 'createTask', 'updateTask'];
+// Opérations fusionnables en cas de conflit de version
+const MERGEABLE_OPERATIONS = ['updateProject', 'updateTask'];
+// Créations : l'identifiant est fourni par le client
+const CREATE_OPERATIONS = ['createProject', 'createTask'];
+
+/**
+ * Projet (taskId absent) ou tâche du store
+ */
+const getStoredRecord = ({ projectId, taskId }) => {
+  const project = context.store?.getState().projects.find(item => item.id === projectId);
+  return taskId ? project?.tasks.find(task => task.id === taskId) : project;
+};
+
+/**
+ * Met à jour un projet ou une tâche du store sans renvoyer la modification
+ */
+const updateStoredRecord = ({ projectId, taskId }, update) => applyUpdateFrom(UPDATE_ORIGINS.SERVER, () => {
+  context.store.setState(state => {
+    const projects = state.projects.map(project => {
+      if (project.id !== projectId) return project;
+      if (!taskId) return update(project);
+      return { ...project, tasks: project.tasks.map(task => (task.id === taskId ? update(task) : task)) };
+    });
+    return {
+      projects,
+      currentProject: state.currentProject
+        ? projects.find(project => project.id === state.currentProject.id) || null
+        : null
+    };
+  });
+});
+
+// Les mises à jour sont conditionnées à la dernière version reçue du serveur
+const withKnownVersion = (operation) => ({ ...operation, version: getStoredRecord(operation)?.version });
+
+const applyServerVersion = (operation, response) => {
+  if (!context.store || !VERSIONED_OPERATIONS.includes(operation.type) || response?.version === undefined) return;
+  updateStoredRecord(operation, record => ({ ...record, version: response.version }));
+};
+
+// Modifications du store en cours d'envoi, par identifiant de lot :
+// { changes, operationIds, accepted (entités acceptées), rejected }
+const batches = new Map();
+
+const getOperationKey = (operation) => getEntityKey(operation.projectId, operation.taskId);
+
+/**
+ * Enregistre les opérations issues d'une même modification du store
+ * @returns {Array<Object>} Opérations avec leur id et leur lot
+ */
+const trackBatch = (changes, operations) => {
+  if (operations.length === 0) return [];
+  const batchId = uuidv4();
+  const tracked = operations.map(operation => ({ ...operation, id: uuidv4(), batchId }));
+  batches.set(batchId, {
+    changes,
+    operationIds: new Set(tracked.map(operation => operation.id)),
+    accepted: new Set(),
+    rejected: false
+  });
+  usePendingChanges.getState().track(tracked.map(getOperationKey));
+  return tracked;
+};
+
+/**
+ * Termine le suivi d'une opération (envoyée, refusée ou abandonnée)
+ */
+const settleOperation = (operation, accepted) => {
+  const batch = batches.get(operation.batchId);
+  if (!batch || !batch.operationIds.delete(operation.id)) return;
+
+  if (accepted) batch.accepted.add(getOperationKey(operation));
+  usePendingChanges.getState().release([getOperationKey(operation)]);
+  if (batch.operationIds.size === 0) batches.delete(operation.batchId);
+};
+
+// Opération d'une modification déjà annulée : ne doit plus être envoyée
+const isDiscarded = (operation) => Boolean(batches.get(operation.batchId)?.rejected);
+
+/**
+ * Annule localement une modification refusée par le serveur, en conservant
+ * les modifications locales faites depuis, puis annule côté serveur les
+ * opérations du lot déjà acceptées
+ */
+const rollbackBatch = (batch, error) => {
+  const { store } = context;
+  const state = store.getState();
+  const { projects } = mergeRemoteChanges(
+    state,
+    invertChanges({ projects: batch.changes.projects, resources: null }),
+    { remoteWins: () => false }
+  );
+
+  // Le journal n'est jamais réécrit : l'annulation y est ajoutée
+  const timestamp = new Date();
+  const revertedProjects = projects.map(project => {
+    const change = batch.changes.projects.find(item => item.id === project.id);
+    if (!change) return project;
+    const projectChanged = !change.before || !change.after || hasProjectFieldsChanged(change, [...LOCAL_FIELDS, ...TIMESTAMP_FIELDS]) ||
+      !isSameValue(change.orderBefore, change.orderAfter);
+    const entries = [
+      ...(projectChanged ? [{}] : []),
+      ...change.tasks.map(task => ({ taskId: task.id, taskName: (task.after || task.before).name }))
+    ].map(subject => createAuditEntry({ ...subject, action: AUDIT_ACTIONS.REVERT }, { actor: null, timestamp }));
+    return entries.length > 0
+      ? { ...project, changeLog: [...(project.changeLog || []), ...entries] }
+      : project;
+  });
+
+  applyUpdateFrom(UPDATE_ORIGINS.SERVER, () => store.setState({
+    projects: revertedProjects,
+    currentProject: state.currentProject
+      ? revertedProjects.find(project => project.id === state.currentProject.id) || null
+      : null,
+    // Rétablir l'action annulée la renverrait au serveur
+    past: [],
+    future: []
+  }));
+
+  const reverted = collectChanges(state, store.getState());
+  if (reverted && batch.accepted.size > 0) {
+    buildServerOperations(reverted)
+      .filter(operation => batch.accepted.has(getOperationKey(operation)))
+      .forEach(operation => {
+        sendOperation(operation).catch(compensationError => {
+          console.error('Error reverting change on server:', compensationError, operation);
+          if (context.onError) context.onError(compensationError, operation);
+        });
+      });
+  }
+
+  if (context.onRollback) context.onRollback(error, batch.changes);
+};
+
+/**
+ * Traite le refus d'une opération par le serveur
+ * @returns {boolean} true si la modification dont elle est issue a été annulée
+ */
+const handleOperationRejected = (operation, error) => {
+  const batch = batches.get(operation.batchId);
+  if (batch && !batch.rejected && context.store) {
+    batch.rejected = true;
+    console.error('Change rejected by server, reverting:', error, operation);
+    rollbackBatch(batch, error);
+  }
+  settleOperation(operation, false);
+  return Boolean(batch);
+};
+
+/**
+ * Copie du serveur d'un projet ou d'une tâche : champs comparables aux
+ * données envoyées (ordre des tâches compris pour un projet) et version
+ */
+const loadServerCopy = async ({ projectId, taskId }) => {
+  if (taskId) {
+    const task = reviveStoredState(await context.api.tasks.getById(projectId, taskId));
+    return { name: task.name, fields: toServerTask(task), version: task.version };
+  }
+  const data = await context.api.projects.getById(projectId);
+  const project = fromServerProject(data);
+  return {
+    name: project.name,
+    fields: {
+      ...toServerProject(project),
+      taskOrder: Array.isArray(data.taskOrder) ? data.taskOrder : project.tasks.map(task => task.id)
+    },
+    version: project.version
+  };
+};
+
+/**
+ * Applique la fusion d'un conflit : copie du serveur, avec par-dessus les
+ * modifications locales et les choix de l'utilisateur ; renvoie au serveur
+ * ce qui diffère de sa copie
+ * @param {Object} conflict - Voir syncConflicts.js
+ * @param {Object} resolved - Valeurs retenues pour les champs en conflit
+ */
+const applyMergedVersion = (conflict, resolved) => {
+  if (!getStoredRecord(conflict)) return;
+  const { projectId, taskId, theirs, version } = conflict;
+  const merged = { ...conflict.mine, ...resolved };
+  const { taskOrder, ...fields } = { ...omitFields(theirs, Object.keys(merged)), ...merged };
+
+  updateStoredRecord(conflict, record => ({
+    ...record,
+    ...fields,
+    ...(taskOrder ? { tasks: orderTasks(record.tasks, taskOrder) } : {}),
+    version
+  }));
+
+  const changed = Object.keys(merged).filter(field => !isSameValue(merged[field], theirs[field]));
+  if (changed.every(field => TIMESTAMP_FIELDS.includes(field))) return;
+
+  const project = getStoredRecord({ projectId });
+  const operation = taskId
+    ? { type: 'updateTask', projectId, taskId, data: pickFields(merged, changed), base: pickFields(theirs, changed) }
+    : {
+      type: 'updateProject',
+      projectId,
+      data: { ...toServerProject(project), taskOrder: project.tasks.map(task => task.id) },
+      base: theirs
+    };
+  sendOperation(operation).catch(error => {
+    console.error('Error sending merged change to server:', error, operation);
+    if (context.onError) context.onError(error, operation);
+  });
+};
+
+/**
+ * Traite le refus d'une mise à jour pour conflit de version : les
+ * modifications sur des champs que le serveur n'a pas changés sont
+ * fusionnées et renvoyées, les autres attendent le choix de l'utilisateur
+ * @returns {Promise<boolean>} true si le conflit est pris en charge
+ */
+const handleVersionConflict = async (operation) => {
+  if (!MERGEABLE_OPERATIONS.includes(operation.type) || !operation.base || !context.store) return false;
+
+  let server;
+  try {
+    server = await loadServerCopy(operation);
+  } catch (error) {
+    console.error('Error loading server copy of conflicting change:', error, operation);
+    return false;
+  }
+  settleOperation(operation, false);
+
+  const base = reviveStoredState(operation.base);
+  const conflict = {
+    key: getOperationKey(operation),
+    projectId: operation.projectId,
+    taskId: operation.taskId || null,
+    name: server.name,
+    base,
+    mine: getChangedFields(base, reviveStoredState(operation.data)),
+    theirs: server.fields,
+    version: server.version
+  };
+
+  const { conflicts, addConflict } = useSyncConflicts.getState();
+  if (getConflictingFields(conflict).length > 0 || conflicts.some(item => item.key === conflict.key)) {
+    addConflict(conflict);
+  } else {
+    applyMergedVersion(conflict, {});
+  }
+  return true;
+};
+
+/**
+ * Résout un conflit de version selon les choix de l'utilisateur
+ * @param {string} conflictId
+ * @param {Object<string, string>} [choices] - Champ → CONFLICT_CHOICES (défaut : version locale)
+ */
+export const resolveConflict = (conflictId, choices = {}) => {
+  const { conflicts, removeConflict } = useSyncConflicts.getState();
+  const conflict = conflicts.find(item => item.id === conflictId);
+  if (!conflict) return;
+
+  removeConflict(conflictId);
+  if (!context.store) return;
+  const resolved = Object.fromEntries(getConflictingFields(conflict).map(field => [
+    field,
+    choices[field] === CONFLICT_CHOICES.THEIRS ? conflict.theirs[field] ?? null : conflict.mine[field]
+  ]));
+  applyMergedVersion(conflict, resolved);
+};
+
+/**
+ * Programme un rejeu de la file d'attente (backoff exponentiel)
+ */
+const scheduleReplay = () => {
+  if (retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    replayOutbox();
+  }, getRetryDelay(useOutboxStore.getState().attempts));
+};
+
+/**
+ * Un seul onglet rejoue la file à la fois (Web Locks, si disponible)
+ */
+const withOutboxLock = (task) => (typeof navigator !== 'undefined' && navigator.locks
+  ? navigator.locks.request(OUTBOX_KEY, task)
+  : task());
+
+const handleOperationSent = (operation, response) => {
+  settleOperation(operation, true);
+  applyServerVersion(operation, response);
+  if (operation.type === 'createProject' && context.store) {
+    markProjectSynced(context.store, operation.projectId);
+  }
+};
+
+/**
+ * Les chargements écraseraient les modifications locales non envoyées :
+ * la file doit d'abord être vidée
+ */
+const ensureOutboxSent = async () => {
+  if (useOutboxStore.getState().operations.length === 0) return;
+  if (!(await replayOutbox())) {
+    throw {
+      message: 'Des modifications locales attendent le retour du réseau',
+      status: 503,
+      isNetworkError: true
+    };
+  }
+};
+
+/**
+ * Envoie à l'API un projet créé hors ligne ou en mode local
+ * @param {Project} project
+ * @returns {Promise<void>}
+ */
+export const uploadProject = async (project) => {
+  await sendOperation({ type: 'createProject', projectId: project.id, data: toServerProject(project) });
+  await Promise.all(project.tasks.map(task => sendOperation({
+    type: 'createTask',
+    projectId: project.id,
+    taskId: task.id,
+    data: toServerTask(task)
+  })));
+};
+
+/**
+ * Charge la liste des projets et la fusionne avec le cache local : le serveur
+ * fait foi pour les projets déjà synchronisés ; ceux qui n'ont jamais été
+ * envoyés sont conservés et retournés pour être envoyés
+ * @param {Array<Project>} localProjects
+ * @param {Object} [api]
+ * @returns {Promise<{ projects: Array<Project>, unsynced: Array<Project> }>}
+ */
+export const pullProjects = async (localProjects, api = context.api) => {
+  await ensureOutboxSent();
+  const data = await runInSyncQueue(() => api.projects.getAll());
+  const localById = new Map(localProjects.map(project => [project.id, project]));
+  const syncedAt = new Date().toISOString();
+
+  const projects = (data || []).map(item => {
+    const local = localById.get(item.id);
+    const server = fromServerProject(item);
+    // Liste sans les tâches : celles du cache restent jusqu'au chargement du projet
+    const tasks = Array.isArray(item.tasks) ? server.tasks : local?.tasks || [];
+    return { ...server, tasks, changeLog: local?.changeLog || [], syncedAt };
+  });
+
+  const serverIds = new Set(projects.map(project => project.id));
+  const unsynced = localProjects.filter(project => !project.syncedAt && !serverIds.has(project.id));
+  return { projects: [...projects, ...unsynced], unsynced };
+};
+
+/**
+ * Charge un projet et ses tâches
+ * @param {Project} localProject - Version du cache local
+ * @param {Object} [api]
+ * @returns {Promise<Project|null>} null si le projet a été supprimé du serveur
+ */
+export const pullProject = async (localProject, api = context.api) => {
+  await ensureOutboxSent();
+  try {
+    const data = await runInSyncQueue(() => api.projects.getById(localProject.id));
+    const tasks = Array.isArray(data.tasks)
+      ? data.tasks
+      : await runInSyncQueue(() => api.tasks.getAll(localProject.id));
+    return {
+      ...fromServerProject(data, tasks),
+      changeLog: localProject.changeLog || [],
+      syncedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    if (error?.status === 404 && localProject.syncedAt) return null;
+    throw error;
+  }
+};
+
+/**
+ * Exécute une opération conditionnée à la version connue. Une création
+ * refusée car l'identifiant existe déjà a été enregistrée par un envoi
+ * précédent dont la réponse s'est perdue (délai dépassé) : la copie du
+ * serveur tient lieu de réponse
+ * @param {Object} operation
+ * @returns {Promise<Object>} Réponse du serveur
+ */
+const sendToServer = async (operation) => {
+  try {
+    return await executeOperation(withKnownVersion(operation), context.api);
+  } catch (error) {
+    if (error?.status !== 409 || !CREATE_OPERATIONS.includes(operation.type)) throw error;
+    try {
+      return await (operation.taskId
+        ? context.api.tasks.getById(operation.projectId, operation.taskId)
+        : context.api.projects.getById(operation.projectId));
+    } catch (loadError) {
+      // Hors réseau : nouvelle tentative plus tard ; sinon le refus initial fait foi
+      throw isNetworkError(loadError) ? loadError : error;
+    }
+  }
+};
+
+/**
+ * Envoie une opération, ou la met en file d'attente si le réseau est
+ * indisponible ou si des opérations antérieures attendent déjà
+ * @param {Object} operation - Voir buildServerOperations
+ * @returns {Promise<boolean>} true si l'opération a été envoyée
+ */
+export const sendOperation = (operation) => runInSyncQueue(async () => {
+  if (isDiscarded(operation)) {
+    settleOperation(operation, false);
+    return false;
+  }
+
+  const outbox = useOutboxStore.getState();
+  if (outbox.operations.length > 0) {
+    outbox.enqueue(operation);
+    return false;
+  }
+
+  let response;
+  try {
+    response = await sendToServer(operation);
+  } catch (error) {
+    if (isNetworkError(error)) {
+      useOutboxStore.getState().enqueue(operation);
+      scheduleReplay();
+      return false;
+    }
+    if (isConflictError(error) && await handleVersionConflict(operation)) return false;
+    if (handleOperationRejected(operation, error)) return false;
+    throw error;
+  }
+  handleOperationSent(operation, response);
+  return true;
+});
+
+/**
+ * Rejoue les opérations en attente, dans l'ordre. Une opération refusée par
+ * le serveur est abandonnée (et annulée ou signalée) pour ne pas bloquer la
+ * file ; une erreur réseau interrompt le rejeu jusqu'à la prochaine tentative
+ * @returns {Promise<boolean>} true si la file est vide
+ */
+export const replayOutbox = () => runInSyncQueue(() => withOutboxLock(async () => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+
+  for (;;) {
+    const [operation] = useOutboxStore.getState().operations;
+    if (!operation) return true;
+    if (isDiscarded(operation)) {
+      useOutboxStore.getState().remove(operation.id);
+      settleOperation(operation, false);
+      continue;
+    }
+
+    let response;
+    try {
+      response = await sendToServer(operation);
+    } catch (error) {
+      if (isNetworkError(error)) {
+        useOutboxStore.getState().recordFailure(error.message);
+        scheduleReplay();
+        return false;
+      }
+      useOutboxStore.getState().remove(operation.id);
+      if (isConflictError(error) && await handleVersionConflict(operation)) continue;
+      if (!handleOperationRejected(operation, error)) {
+        console.error('Queued change rejected by server:', error, operation);
+        if (context.onError) context.onError(error, operation);
+      }
+      continue;
+    }
+    useOutboxStore.getState().remove(operation.id);
+    handleOperationSent(operation, response);
+  }
+}));
+
+/**
+ * Envoie à l'API les modifications locales du store en mode serveur, et
+ * rejoue la file d'attente au retour du réseau
+ * @param {Object} store - Store Zustand persisté (useProjectStore)
+ * @param {Object} [options]
+ * @param {function(Error, Object): void} [options.onError] - Opération refusée (erreur, opération)
+ * @param {function(Error, Object): void} [options.onRollback] - Modification refusée et annulée
+ *   (erreur, modifications annulées au format de collectChanges)
+ * @param {Object} [options.api]
+ * @returns {function(): void} Arrête l'envoi
+ */
+export const startServerSync = (store, { onError, onRollback, api = apiService } = {}) => {
+  context = { store, onError, onRollback, api };
+
+  const isServerMode = () => store.getState().syncMode === SYNC_MODES.SERVER;
+  const handleOnline = () => {
+    if (isServerMode()) replayOutbox();
+  };
+
+  const unsubscribe = store.subscribe((state, previous) => {
+    if (getUpdateOrigin() || !store.persist.hasHydrated() || state.syncMode !== SYNC_MODES.SERVER) return;
+    if (state.projects === previous.projects) return;
+
+    const changes = collectChanges(previous, state);
+    if (!changes) return;
+
+    trackBatch(changes, buildServerOperations(changes)).forEach(operation => {
+      sendOperation(operation).catch(error => {
+        console.error('Error sending change to server:', error, operation);
+        if (onError) onError(error, operation);
+      });
+    });
+  });
+
+  window.addEventListener('online', handleOnline);
+  handleOnline();
+
+  return () => {
+    unsubscribe();
+    window.removeEventListener('online', handleOnline);
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    context = { store: null, onError: null, onRollback: null, api: apiService };
+  };
+};
@@ -0,0 +1,132 @@
+/**
+ * MODIFICATIONS DU STORE DES PROJETS
+ * ==================================
+ *
+ * Responsabilités :
+ * - Calculer les modifications entre deux états du store, tâche par tâche,
+ *   et les modifications inverses (annulation)
+ * - Marquer l'origine des mises à jour qui ne sont pas des modifications de
+ *   l'utilisateur (données reçues du serveur ou d'un autre onglet), pour
+ *   qu'elles ne soient pas renvoyées à leur source
+ */
+
+export const UPDATE_ORIGINS = {
+  SERVER: 'server',
+  TAB: 'tab'
+};
+
+// Origine de la mise à jour en cours d'application (null : action locale)
+let currentOrigin = null;
+
+/**
+ * Applique une mise à jour du store en marquant son origine
+ * @param {string} origin - Voir UPDATE_ORIGINS
+ * @param {function(): *} update - Appelle set / setState
+ * @returns {*} Résultat de update
+ */
+export const applyUpdateFrom = (origin, update) => {
+  const previous = currentOrigin;
+  currentOrigin = origin;
+  try {
+    return update();
+  } finally {
+    currentOrigin = previous;
+  }
+};
+
+/**
+ * Origine de la mise à jour en cours (à lire dans un abonnement au store)
+ * @returns {string|null}
+ */
+export const getUpdateOrigin = () => currentOrigin;
+
+export const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+export const omitFields = (record, fields) => Object.fromEntries(
+  Object.entries(record).filter(([key]) => !fields.includes(key))
+);
+
+export const withoutTasks = (project) => omitFields(project, ['tasks']);
+
+/**
+ * Indique si les champs d'un projet (hors tâches) ont changé
+ * @param {{ before: Object|null, after: Object|null }} change - Voir collectChanges
+ * @param {Array<string>} [ignored] - Champs non comparés (le journal est complété à chaque action)
+ * @returns {boolean}
+ */
+export const hasProjectFieldsChanged = ({ before, after }, ignored = ['changeLog']) => !before || !after ||
+  !isSameValue(omitFields(before, ignored), omitFields(after, ignored));
+
+/**
+ * Modifications entre deux états du store, tâche par tâche
+ * @param {Object} previous - État précédent ({ projects, resources })
+ * @param {Object} state - Nouvel état
+ * @returns {{ projects: Array, resources: Object|null }|null} null si rien n'a changé
+ */
+export const collectChanges = (previous, state) => {
+  const projects = [];
+  const previousById = new Map(previous.projects.map(project => [project.id, project]));
+  const ids = new Set(state.projects.map(project => project.id));
+
+  state.projects.forEach(project => {
+    const before = previousById.get(project.id);
+    if (before === project) return;
+
+    const beforeTasks = new Map((before?.tasks || []).map(task => [task.id, task]));
+    const taskIds = new Set(project.tasks.map(task => task.id));
+    const tasks = [
+      ...project.tasks
+        .filter(task => beforeTasks.get(task.id) !== task)
+        .map(task => ({ id: task.id, before: beforeTasks.get(task.id) || null, after: task })),
+      ...[...beforeTasks.values()]
+        .filter(task => !taskIds.has(task.id))
+        .map(task => ({ id: task.id, before: task, after: null }))
+    ];
+
+    projects.push({
+      id: project.id,
+      before: before ? withoutTasks(before) : null,
+      after: withoutTasks(project),
+      orderBefore: (before?.tasks || []).map(task => task.id),
+      orderAfter: project.tasks.map(task => task.id),
+      tasks
+    });
+  });
+
+  previous.projects.forEach(project => {
+    if (ids.has(project.id)) return;
+    projects.push({
+      id: project.id,
+      before: withoutTasks(project),
+      after: null,
+      orderBefore: project.tasks.map(task => task.id),
+      orderAfter: [],
+      tasks: project.tasks.map(task => ({ id: task.id, before: task, after: null }))
+    });
+  });
+
+  const resources = previous.resources !== state.resources
+    ? { before: previous.resources, after: state.resources }
+    : null;
+
+  return projects.length > 0 || resources ? { projects, resources } : null;
+};
+
+/**
+ * Modifications inverses (annulation), au format de collectChanges
+ * @param {{ projects: Array, resources: Object|null }} changes
+ * @returns {{ projects: Array, resources: Object|null }}
+ */
+export const invertChanges = (changes) => ({
+  projects: changes.projects.map(change => ({
+    id: change.id,
+    before: change.after,
+    after: change.before,
+    orderBefore: change.orderAfter,
+    orderAfter: change.orderBefore,
+    tasks: change.tasks.map(task => ({ id: task.id, before: task.after, after: task.before }))
+  })),
+  resources: changes.resources
+    ? { before: changes.resources.after, after: changes.resources.before }
+    : null
+});
@@ -0,0 +1,71 @@
+/**
+ * CONFLITS DE VERSION AVEC LE SERVEUR
+ * ===================================
+ *
+ * Responsabilités :
+ * - Conserver les modifications refusées par le serveur parce que le projet
+ *   ou la tâche a été modifié entre-temps (409 / 412), en attendant que
+ *   l'utilisateur choisisse, champ par champ, entre sa version et celle du
+ *   serveur
+ * - Calculer les champs réellement en conflit (fusion à trois voies)
+ *
+ * Un conflit réunit trois versions des champs modifiés localement :
+ * base (valeur d'origine), mine (valeur locale), theirs (copie du serveur).
+ * La résolution est appliquée par serverSync (resolveConflict).
+ */
+
+import { create } from 'zustand';
+import { v4 as uuidv4 } from 'uuid';
+import { isSameValue } from './storeChanges';
+
+export const CONFLICT_CHOICES = {
+  MINE: 'mine',
+  THEIRS: 'theirs'
+};
+
+// Horodatages mis à jour à chaque modification : jamais soumis à l'utilisateur,
+// la version locale l'emporte
+export const TIMESTAMP_FIELDS = ['createdAt', 'updatedAt'];
+
+/**
+ * Champs modifiés des deux côtés, avec des valeurs différentes
+ * @param {{ base: Object, mine: Object, theirs: Object }} conflict
+ * @returns {Array<string>}
+ */
+export const getConflictingFields = ({ base, mine, theirs }) => Object.keys(mine).filter(field =>
+  !TIMESTAMP_FIELDS.includes(field) &&
+  !isSameValue(theirs[field], base[field]) &&
+  !isSameValue(theirs[field], mine[field]));
+
+export const useSyncConflicts = create((set) => ({
+  // Conflits en attente de résolution, dans l'ordre d'apparition
+  conflicts: [],
+
+  /**
+   * Ajoute un conflit ; un nouveau refus sur la même entité complète le
+   * conflit existant (valeur d'origine la plus ancienne, copie du serveur
+   * la plus récente)
+   * @param {Object} conflict - { key, projectId, taskId, name, base, mine, theirs, version }
+   */
+  addConflict: (conflict) => set(state => {
+    const existing = state.conflicts.find(item => item.key === conflict.key);
+    if (!existing) {
+      return { conflicts: [...state.conflicts, { ...conflict, id: uuidv4() }] };
+    }
+    const merged = {
+      ...conflict,
+      id: existing.id,
+      base: { ...conflict.base, ...existing.base },
+      mine: { ...existing.mine, ...conflict.mine }
+    };
+    return { conflicts: state.conflicts.map(item => (item.id === existing.id ? merged : item)) };
+  }),
+
+  /**
+   * Retire un conflit résolu
+   * @param {string} conflictId
+   */
+  removeConflict: (conflictId) => set(state => ({
+    conflicts: state.conflicts.filter(conflict => conflict.id !== conflictId)
+  }))
+}));
@@ -0,0 +1,272 @@
+/**
+ * JOURNAL DES MODIFICATIONS (AUDIT)
+ * =================================
+ *
+ * Responsabilités :
+ * - Comparer un projet avant / après une action du store
+ * - Produire une entrée par champ modifié (auteur, date, ancienne / nouvelle valeur)
+ * - Ajouter les entrées au journal du projet (ajout seul, jamais de réécriture)
+ * - Mettre en forme les entrées pour l'affichage
+ *
+ * Les valeurs sont conservées sous forme sérialisable (dates en ISO) pour
+ * survivre à la persistance du store.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+export const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  // Modification refusée par le serveur et annulée localement
+  REVERT: 'revert'
+};
+
+// Champs suivis et libellés affichés
+export const TASK_FIELD_LABELS = {
+  name: 'Nom',
+  description: 'Description',
+  startDate: 'Début',
+  endDate: 'Fin',
+  completion: 'Avancement',
+  type: 'Type',
+  parentId: 'Tâche parente',
+  dependencies: 'Dépendances',
+  assignments: 'Ressources'
+};
+
+export const PROJECT_FIELD_LABELS = {
+  name: 'Nom du projet',
+  description: 'Description du projet',
+  calendar: 'Calendrier',
+  resources: 'Ressources du projet',
+  baselines: 'Références'
+};
+
+const DATE_FIELDS = new Set(['startDate', 'endDate']);
+
+/**
+ * Valeur d'un champ sous forme sérialisable et comparable
+ */
+const toAuditValue = (field, value) => {
+  if (value === undefined || value === null) return null;
+  if (DATE_FIELDS.has(field)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+  if (typeof value === 'object') return JSON.parse(JSON.stringify(value));
+  return value;
+};
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Entrées décrivant les champs modifiés d'un objet
+ */
+const diffFields = (before, after, labels, base) => Object.keys(labels)
+  .map(field => ({
+    field,
+    oldValue: toAuditValue(field, before[field]),
+    newValue: toAuditValue(field, after[field])
+  }))
+  .filter(change => !isSameValue(change.oldValue, change.newValue))
+  .map(change => ({ ...base, action: AUDIT_ACTIONS.UPDATE, ...change }));
+
+/**
+ * Entrée du journal
+ * @param {Object} fields - action, et selon le cas taskId, taskName, field, oldValue, newValue
+ * @param {Object} context
+ * @param {{ id: string|number, email: string }|null} context.actor - Auteur de la modification
+ * @param {Date} [context.timestamp]
+ * @returns {AuditEntry}
+ */
+export const createAuditEntry = (fields, { actor, timestamp = new Date() }) => ({
+  id: uuidv4(),
+  timestamp: timestamp.toISOString(),
+  actor: actor ? { id: actor.id ?? null, email: actor.email ?? null } : null,
+  taskId: null,
+  taskName: null,
+  field: null,
+  oldValue: null,
+  newValue: null,
+  ...fields
+});
+
+/**
+ * Compare deux versions d'un projet
+ * @param {Project|undefined} before - Projet avant l'action (absent s'il vient d'être créé)
+ * @param {Project} after - Projet après l'action
+ * @param {Object} context
+ * @param {{ id: string|number, email: string }|null} context.actor - Auteur de la modification
+ * @param {Date} [context.timestamp]
+ * @returns {Array<AuditEntry>} Entrées à ajouter au journal du projet
+ */
+export const diffProject = (before, after, { actor, timestamp = new Date() }) => {
+  const entry = (fields) => createAuditEntry(fields, { actor, timestamp });
+
+  if (!before) {
+    return [entry({ action: AUDIT_ACTIONS.CREATE })];
+  }
+
+  const entries = diffFields(before, after, PROJECT_FIELD_LABELS, {}).map(entry);
+
+  const beforeTasks = new Map((before.tasks || []).map(task => [task.id, task]));
+  const afterIds = new Set((after.tasks || []).map(task => task.id));
+
+  (after.tasks || []).forEach(task => {
+    const previous = beforeTasks.get(task.id);
+    const base = { taskId: task.id, taskName: task.name };
+    if (!previous) {
+      entries.push(entry({ ...base, action: AUDIT_ACTIONS.CREATE }));
+      return;
+    }
+    if (previous === task) return;
+    diffFields(previous, task, TASK_FIELD_LABELS, base).forEach(change => entries.push(entry(change)));
+  });
+
+  beforeTasks.forEach(task => {
+    if (!afterIds.has(task.id)) {
+      entries.push(entry({ taskId: task.id, taskName: task.name, action: AUDIT_ACTIONS.DELETE }));
+    }
+  });
+
+  return entries;
+};
+
+/**
+ * Libellé lisible d'une valeur enregistrée
+ * @param {string} field
+ * @param {*} value
+ * @param {Object} [context]
+ * @param {Array<Task>} [context.tasks] - Tâches du projet (noms des tâches référencées)
+ * @param {Array<Resource>} [context.resources] - Ressources (noms des ressources affectées)
+ * @returns {string}
+ */
+export const formatAuditValue = (field, value, { tasks = [], resources = [] } = {}) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (DATE_FIELDS.has(field)) return new Date(value).toLocaleDateString();
+  if (field === 'completion') return `${value} %`;
+
+  const taskName = (id) => tasks.find(task => task.id === id)?.name || id;
+  if (field === 'parentId') return taskName(value);
+  if (field === 'dependencies') {
+    return value.length > 0 ? value.map(dep => taskName(dep.taskId)).join(', ') : 'aucune';
+  }
+  if (field === 'assignments') {
+    const resourceName = (id) => resources.find(resource => resource.id === id)?.name || id;
+    return value.length > 0
+      ? value.map(a => `${resourceName(a.resourceId)} (${a.allocation} %)`).join(', ')
+      : 'aucune';
+  }
+  if (Array.isArray(value)) return `${value.length} élément(s)`;
+  if (typeof value === 'object') return 'modifié';
+  return String(value);
+};
+
+/**
+ * Phrase décrivant une entrée du journal
+ * @param {AuditEntry} entry
+ * @param {Object} [context] - Voir formatAuditValue
+ * @returns {string}
+ */
+export const describeAuditEntry = (entry, context = {}) => {
+  const subject = entry.taskId ? `« ${entry.taskName} »` : 'le projet';
+
+  if (entry.action === AUDIT_ACTIONS.CREATE) return `a créé ${subject}`;
+  if (entry.action === AUDIT_ACTIONS.DELETE) return `a supprimé ${subject}`;
+  if (entry.action === AUDIT_ACTIONS.REVERT) {
+    return `a refusé la modification ${entry.taskId ? `de ${subject}` : 'du projet'} (annulée)`;
+  }
+
+  const label = (entry.taskId ? TASK_FIELD_LABELS : PROJECT_FIELD_LABELS)[entry.field] || entry.field;
+  const target = entry.taskId ? ` de ${subject}` : '';
+  return `a modifié ${label.toLowerCase()}${target} : ${formatAuditValue(entry.field, entry.oldValue, context)} → ` +
+    formatAuditValue(entry.field, entry.newValue, context);
+};
+
+/**
+ * Nom affiché de l'auteur d'une entrée
+ * @param {AuditEntry} entry
+ * @returns {string}
+ */
+export const formatAuditActor = (entry) => entry.actor?.email ||
+  (entry.action === AUDIT_ACTIONS.REVERT ? 'Le serveur' : 'Utilisateur local');
+
+/**
+ * Ajoute le journal des modifications aux actions d'un store : après chaque
+ * action, les projets modifiés reçoivent les entrées décrivant le changement
+ * @param {Function} set - set du store Zustand
+ * @param {Function} get - get du store Zustand
+ * @param {Object} store - État initial et actions du store
+ * @param {Object} options
+ * @param {Array<string>} options.actions - Actions journalisées
+ * @returns {Object} Store enrichi de actor et setActor
+ */
+export const withAuditLog = (set, get, store, { actions }) => {
+  // Une action appelée par une autre action est journalisée par l'appelante
+  let depth = 0;
+
+  const appendEntries = (previousProjects) => {
+    const { actor } = get();
+    const timestamp = new Date();
+    const previous = new Map(previousProjects.map(project => [project.id, project]));
+
+    set((state) => {
+      let changed = false;
+      const projects = state.projects.map(project => {
+        if (previous.get(project.id) === project) return project;
+        const entries = diffProject(previous.get(project.id), project, { actor, timestamp });
+        if (entries.length === 0) return project;
+        changed = true;
+        return { ...project, changeLog: [...(project.changeLog || []), ...entries] };
+      });
+
+      if (!changed) return state;
+      return {
+        projects,
+        currentProject: state.currentProject
+          ? projects.find(p => p.id === state.currentProject.id) || null
+          : null
+      };
+    });
+  };
+
+  const audit = (name) => (...args) => {
+    if (depth > 0) return store[name](...args);
+
+    const previousProjects = get().projects;
+    const finish = () => {
+      depth -= 1;
+      appendEntries(previousProjects);
+    };
+
+    depth += 1;
+    let result;
+    try {
+      result = store[name](...args);
+    } catch (err) {
+      finish();
+      throw err;
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.finally(finish);
+    }
+    finish();
+    return result;
+  };
+
+  return {
+    ...store,
+    ...Object.fromEntries(actions
+      .filter(name => typeof store[name] === 'function')
+      .map(name => [name, audit(name)])),
+    actor: null,
+
+    /**
+     * Définit l'auteur des modifications suivantes (utilisateur connecté)
+     * @param {{ id: string|number, email: string }|null} actor
+     */
+    setActor: (actor) => set({ actor: actor || null })
+  };
+};
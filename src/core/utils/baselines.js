@@ -0,0 +1,79 @@
+/**
+ * PLANS DE RÉFÉRENCE (BASELINES)
+ * ==============================
+ *
+ * Responsabilités :
+ * - Instantané des tâches d'un projet (début, fin, durée, avancement)
+ * - Écarts de début et de fin entre le plan courant et une référence
+ *
+ * Les écarts sont exprimés en jours ouvrés du calendrier du projet (en jours
+ * calendaires sans calendrier) : positif = en retard sur la référence.
+ */
+
+import { countWorkingDays, getTaskWorkingDays } from './workingCalendar';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Instantané des tâches d'un projet
+ * @param {Array<Task>} tasks
+ * @param {Object} [calendar] - Calendrier normalisé du projet
+ * @returns {Array<{ taskId: string, type: string, startDate: Date, endDate: Date,
+ *   duration: number, completion: number }>}
+ */
+export const snapshotTasks = (tasks, calendar = null) => (tasks || []).map(task => ({
+  taskId: task.id,
+  type: task.type,
+  startDate: new Date(task.startDate),
+  endDate: new Date(task.endDate),
+  duration: getTaskWorkingDays(task, calendar),
+  completion: Number(task.completion) || 0
+}));
+
+/**
+ * Index des tâches d'une référence par ID de tâche
+ * @param {Baseline|null} baseline
+ * @returns {Map<string, Object>}
+ */
+export const indexBaseline = (baseline) =>
+  new Map((baseline?.tasks || []).map(entry => [entry.taskId, entry]));
+
+/**
+ * Écart signé entre deux dates
+ * @param {Date} from - Date de référence
+ * @param {Date} to - Date courante
+ * @param {Object} [calendar]
+ * @returns {number} Jours (ouvrés si un calendrier est fourni)
+ */
+export const getDayVariance = (from, to, calendar = null) => {
+  const fromTime = new Date(from).getTime();
+  const toTime = new Date(to).getTime();
+  if (isNaN(fromTime) || isNaN(toTime)) return 0;
+  if (!calendar) return Math.round((toTime - fromTime) / DAY_MS);
+
+  return toTime >= fromTime
+    ? countWorkingDays(fromTime, toTime, calendar)
+    : -countWorkingDays(toTime, fromTime, calendar);
+};
+
+/**
+ * Écarts d'une tâche par rapport à sa référence
+ * @param {Task} task
+ * @param {Object|undefined} entry - Entrée de la référence (voir indexBaseline)
+ * @param {Object} [calendar]
+ * @returns {{ start: number, finish: number }|null} null si la tâche est absente de la référence
+ */
+export const getTaskVariance = (task, entry, calendar = null) => {
+  if (!entry) return null;
+  return {
+    start: getDayVariance(entry.startDate, task.startDate, calendar),
+    finish: getDayVariance(entry.endDate, task.endDate, calendar)
+  };
+};
+
+/**
+ * Libellé d'un écart (« +2 j », « 0 j », « -1 j »)
+ * @param {number} days
+ * @returns {string}
+ */
+export const formatVariance = (days) => `${days > 0 ? '+' : ''}${days} j`;
@@ -0,0 +1,234 @@
+/**
+ * CALCUL DU CHEMIN CRITIQUE (CPM)
+ * ===============================
+ *
+ * Responsabilités :
+ * - Passe avant : début / fin au plus tôt de chaque tâche
+ * - Passe arrière : début / fin au plus tard
+ * - Marge totale et marge libre (en jours)
+ * - Liste ordonnée des tâches critiques
+ *
+ * Les contraintes reprennent celles du moteur de planification (types FS,
+ * SS, FF, SF et décalages). Une tâche sans prédécesseur démarre à sa date
+ * actuelle : le calcul ne déplace jamais une tâche, il la qualifie. Avec
+ * un calendrier, durées, décalages et marges sont comptés en jours ouvrés,
+ * comme dans scheduleTasks.
+ */
+
+import {
+  topologicalOrder,
+  getDependencyTaskId,
+  normalizeDependencyType,
+  DEPENDENCY_TYPES,
+  LAG_UNITS
+} from './scheduler';
+import { addWorkingDays, countWorkingDays, nextWorkingDay } from './workingCalendar';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tolérance pour considérer une marge comme nulle (arrondis de dates)
+const FLOAT_EPSILON_DAYS = 1 / (24 * 60);
+
+const toTime = (value) => {
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+
+const roundDays = (days) => Math.round(days * 100) / 100;
+
+/**
+ * Opérations sur les dates en jours ouvrés (calendrier) ou calendaires
+ * @param {Object|null} calendar - Calendrier normalisé
+ */
+const createTimeline = (calendar) => ({
+  // Durée d'une tâche en jours
+  duration: (start, end) => {
+    if (end <= start) return 0;
+    return calendar ? countWorkingDays(start, end, calendar) : (end - start) / DAY_MS;
+  },
+  // Date décalée d'un nombre de jours (signé)
+  shift: (time, days) => (calendar
+    ? addWorkingDays(time, days, calendar).getTime()
+    : time + days * DAY_MS),
+  // Jours entre deux dates (négatif si to précède from)
+  between: (from, to) => {
+    if (!calendar) return (to - from) / DAY_MS;
+    return from <= to ? countWorkingDays(from, to, calendar) : -countWorkingDays(to, from, calendar);
+  },
+  // Début effectif d'une tâche décalée par ses dépendances
+  startAt: (time, duration) => (calendar && duration > 0 ? nextWorkingDay(time, calendar).getTime() : time)
+});
+
+/**
+ * Décalage d'une dépendance en jours
+ * @param {TaskDependency} dependency
+ * @param {number} predecessorDuration - Durée du prédécesseur en jours
+ * @returns {number}
+ */
+const getLagDays = (dependency, predecessorDuration) => {
+  const lag = Number(dependency?.lag) || 0;
+  return dependency?.lagUnit === LAG_UNITS.PERCENT ? predecessorDuration * lag / 100 : lag;
+};
+
+/**
+ * Début au plus tôt d'un successeur imposé par un prédécesseur
+ * @param {Object} timeline - Voir createTimeline
+ * @param {string} type - Type de dépendance normalisé
+ * @param {{ start: number, end: number }} predecessor - Dates du prédécesseur en ms
+ * @param {number} duration - Durée du successeur en jours
+ * @param {number} lag - Décalage en jours
+ * @returns {number}
+ */
+const getConstrainedStart = (timeline, type, predecessor, duration, lag) => {
+  switch (type) {
+    case DEPENDENCY_TYPES.START_TO_START:
+      return timeline.shift(predecessor.start, lag);
+    case DEPENDENCY_TYPES.FINISH_TO_FINISH:
+      return timeline.shift(timeline.shift(predecessor.end, -duration), lag);
+    case DEPENDENCY_TYPES.START_TO_FINISH:
+      return timeline.shift(timeline.shift(predecessor.start, -duration), lag);
+    case DEPENDENCY_TYPES.FINISH_TO_START:
+    default:
+      return timeline.shift(predecessor.end, lag);
+  }
+};
+
+/**
+ * Fin au plus tard maximale d'un prédécesseur imposée par un successeur
+ * @param {Object} timeline - Voir createTimeline
+ * @param {string} type - Type de dépendance normalisé
+ * @param {Object} successor - Successeur ({ lateStart, lateFinish } en ms)
+ * @param {number} predecessorDuration - Durée du prédécesseur en jours
+ * @param {number} lag - Décalage en jours
+ * @returns {number}
+ */
+const getConstrainedLateFinish = (timeline, type, successor, predecessorDuration, lag) => {
+  switch (type) {
+    case DEPENDENCY_TYPES.START_TO_START:
+      return timeline.shift(timeline.shift(successor.lateStart, -lag), predecessorDuration);
+    case DEPENDENCY_TYPES.FINISH_TO_FINISH:
+      return timeline.shift(successor.lateFinish, -lag);
+    case DEPENDENCY_TYPES.START_TO_FINISH:
+      return timeline.shift(timeline.shift(successor.lateFinish, -lag), predecessorDuration);
+    case DEPENDENCY_TYPES.FINISH_TO_START:
+    default:
+      return timeline.shift(successor.lateStart, -lag);
+  }
+};
+
+/**
+ * Calcule le chemin critique d'une liste de tâches
+ *
+ * @param {Array<Task>} tasks - Tâches du projet
+ * @param {Object} [options]
+ * @param {Object} [options.calendar] - Calendrier de travail normalisé ; sans
+ *   calendrier, les durées et marges sont en jours calendaires
+ * @returns {{
+ *   tasks: Object<string, {
+ *     earlyStart: Date, earlyFinish: Date, lateStart: Date, lateFinish: Date,
+ *     totalFloat: number, freeFloat: number, critical: boolean
+ *   }>,
+ *   criticalPath: Array<string>,
+ *   projectStart: Date|null,
+ *   projectFinish: Date|null
+ * }} Métriques par ID de tâche (marges en jours) et IDs critiques
+ *   triés par début au plus tôt. Les tâches d'un cycle sont ignorées.
+ */
+export const computeCriticalPath = (tasks, { calendar = null } = {}) => {
+  const empty = { tasks: {}, criticalPath: [], projectStart: null, projectFinish: null };
+  if (!Array.isArray(tasks) || tasks.length === 0) return empty;
+
+  const timeline = createTimeline(calendar);
+  const { order } = topologicalOrder(tasks);
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const nodes = new Map();
+  const successorEdges = new Map();
+
+  // Passe avant
+  order.forEach(id => {
+    const task = byId.get(id);
+    const start = toTime(task.startDate);
+    const end = toTime(task.endDate);
+    if (start === null || end === null) return;
+
+    const duration = timeline.duration(start, end);
+    let earlyStart = start;
+
+    (task.dependencies || []).forEach(dep => {
+      const predecessorId = getDependencyTaskId(dep);
+      const predecessor = nodes.get(predecessorId);
+      if (!predecessor) return;
+
+      const type = normalizeDependencyType(dep.type);
+      const lag = getLagDays(dep, predecessor.duration);
+      earlyStart = Math.max(earlyStart, getConstrainedStart(
+        timeline, type, { start: predecessor.earlyStart, end: predecessor.earlyFinish }, duration, lag
+      ));
+
+      if (!successorEdges.has(predecessorId)) successorEdges.set(predecessorId, []);
+      successorEdges.get(predecessorId).push({ successorId: id, type, lag });
+    });
+
+    // Même règle que le moteur de planification pour une tâche décalée
+    if (earlyStart === start) {
+      nodes.set(id, { duration, earlyStart, earlyFinish: end });
+    } else {
+      earlyStart = timeline.startAt(earlyStart, duration);
+      nodes.set(id, { duration, earlyStart, earlyFinish: timeline.shift(earlyStart, duration) });
+    }
+  });
+
+  if (nodes.size === 0) return empty;
+
+  const earlyNodes = [...nodes.values()];
+  const projectStart = Math.min(...earlyNodes.map(node => node.earlyStart));
+  const projectFinish = Math.max(...earlyNodes.map(node => node.earlyFinish));
+
+  // Passe arrière
+  [...order].reverse().forEach(id => {
+    const node = nodes.get(id);
+    if (!node) return;
+
+    let lateFinish = projectFinish;
+    let freeFloat = timeline.between(node.earlyFinish, projectFinish);
+
+    (successorEdges.get(id) || []).forEach(({ successorId, type, lag }) => {
+      const successor = nodes.get(successorId);
+      lateFinish = Math.min(lateFinish, getConstrainedLateFinish(timeline, type, successor, node.duration, lag));
+
+      const requiredStart = getConstrainedStart(
+        timeline, type, { start: node.earlyStart, end: node.earlyFinish }, successor.duration, lag
+      );
+      freeFloat = Math.min(freeFloat, timeline.between(requiredStart, successor.earlyStart));
+    });
+
+    node.lateFinish = lateFinish;
+    node.lateStart = timeline.shift(lateFinish, -node.duration);
+    node.totalFloat = timeline.between(node.earlyStart, node.lateStart);
+    node.freeFloat = Math.max(0, freeFloat);
+  });
+
+  const result = {};
+  nodes.forEach((node, id) => {
+    result[id] = {
+      earlyStart: new Date(node.earlyStart),
+      earlyFinish: new Date(node.earlyFinish),
+      lateStart: new Date(node.lateStart),
+      lateFinish: new Date(node.lateFinish),
+      totalFloat: roundDays(node.totalFloat),
+      freeFloat: roundDays(node.freeFloat),
+      critical: node.totalFloat <= FLOAT_EPSILON_DAYS
+    };
+  });
+
+  const criticalPath = Object.keys(result)
+    .filter(id => result[id].critical)
+    .sort((a, b) => nodes.get(a).earlyStart - nodes.get(b).earlyStart);
+
+  return {
+    tasks: result,
+    criticalPath,
+    projectStart: new Date(projectStart),
+    projectFinish: new Date(projectFinish)
+  };
+};
@@ -0,0 +1,261 @@
+/**
+ * VALIDATION DU GRAPHE DE DÉPENDANCES
+ * ===================================
+ *
+ * Responsabilités :
+ * - Détecte les dépendances circulaires avant leur ajout
+ * - Rejette les auto-dépendances et les références vers d'autres projets
+ * - Rejette les dépendances entre une tâche récapitulative et ses sous-tâches
+ * - Signale la modification ou la suppression d'une dépendance inexistante
+ * - Analyse un projet existant (données persistées) et liste tous ses cycles
+ *
+ * Convention : une dépendance { taskId: P } portée par la tâche S est un arc P → S
+ * (S ne peut être planifiée qu'en fonction de P).
+ */
+
+import { getDependencyTaskId } from './scheduler';
+import { getAncestorIds, getDescendantIds } from './taskHierarchy';
+
+/**
+ * Construit la liste d'adjacence prédécesseur → successeurs
+ * @param {Array<Task>} tasks
+ * @returns {Map<string, Array<string>>}
+ */
+const buildSuccessorMap = (tasks) => {
+  const successors = new Map(tasks.map(task => [task.id, []]));
+
+  tasks.forEach(task => {
+    (task.dependencies || []).forEach(dep => {
+      const predecessorId = getDependencyTaskId(dep);
+      if (successors.has(predecessorId)) {
+        successors.get(predecessorId).push(task.id);
+      }
+    });
+  });
+
+  return successors;
+};
+
+/**
+ * Cherche un chemin entre deux tâches en suivant les successeurs
+ * @param {Map<string, Array<string>>} successors
+ * @param {string} fromId
+ * @param {string} toId
+ * @returns {Array<string>|null} IDs du chemin (bornes incluses) ou null
+ */
+const findPath = (successors, fromId, toId) => {
+  const previous = new Map([[fromId, null]]);
+  const queue = [fromId];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (id === toId) {
+      const path = [];
+      for (let current = toId; current !== null; current = previous.get(current)) {
+        path.unshift(current);
+      }
+      return path;
+    }
+    (successors.get(id) || []).forEach(next => {
+      if (!previous.has(next)) {
+        previous.set(next, id);
+        queue.push(next);
+      }
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Formate une chaîne de tâches pour un message d'erreur ("A → B → A")
+ * @param {Array<string>} ids - IDs des tâches
+ * @param {Array<Task>} tasks - Tâches pour résoudre les noms
+ * @returns {string}
+ */
+export const formatTaskChain = (ids, tasks) => {
+  const names = new Map(tasks.map(task => [task.id, task.name || task.id]));
+  return ids.map(id => names.get(id) || id).join(' → ');
+};
+
+/**
+ * Vérifie qu'une dépendance peut être ajoutée à une tâche
+ *
+ * @param {Array<Task>} tasks - Tâches du projet courant
+ * @param {string} taskId - Tâche qui reçoit la dépendance (successeur)
+ * @param {string} predecessorId - Tâche dont elle dépend
+ * @returns {string|null} Message d'erreur, ou null si la dépendance est valide
+ */
+export const getDependencyError = (tasks, taskId, predecessorId) => {
+  const task = tasks.find(t => t.id === taskId);
+  const predecessor = tasks.find(t => t.id === predecessorId);
+
+  if (!task) {
+    return `Tâche ${taskId} introuvable dans le projet courant`;
+  }
+
+  if (taskId === predecessorId) {
+    return `La tâche "${task.name}" ne peut pas dépendre d'elle-même`;
+  }
+
+  if (!predecessor) {
+    return `La tâche ${predecessorId} n'appartient pas au projet courant`;
+  }
+
+  // Les dates d'une récapitulative découlent de ses sous-tâches : un lien
+  // entre les deux se renforcerait à chaque replanification
+  if (getDescendantIds(tasks, taskId).has(predecessorId) ||
+      getAncestorIds(tasks, taskId).has(predecessorId)) {
+    return `"${task.name}" et "${predecessor.name}" appartiennent à la même branche du plan`;
+  }
+
+  // Ajouter P → S crée un cycle si S atteint déjà P
+  const path = findPath(buildSuccessorMap(tasks), taskId, predecessorId);
+  if (path) {
+    return `Dépendance circulaire: ${formatTaskChain([...path, taskId], tasks)}`;
+  }
+
+  return null;
+};
+
+/**
+ * Vérifie qu'une dépendance existe avant de la modifier ou de la supprimer
+ * @param {Array<Task>} tasks - Tâches du projet courant
+ * @param {string} taskId - Tâche qui porte la dépendance (successeur)
+ * @param {string} predecessorId - Prédécesseur visé
+ * @returns {string|null} Message d'erreur, ou null si le lien existe
+ */
+export const getMissingDependencyError = (tasks, taskId, predecessorId) => {
+  const task = tasks.find(t => t.id === taskId);
+
+  if (!task) {
+    return `Tâche ${taskId} introuvable dans le projet courant`;
+  }
+
+  const hasDependency = (task.dependencies || [])
+    .some(dep => getDependencyTaskId(dep) === predecessorId);
+  if (!hasDependency) {
+    const predecessor = tasks.find(t => t.id === predecessorId);
+    return `La tâche "${task.name}" ne dépend pas de ${predecessor ? `"${predecessor.name}"` : predecessorId}`;
+  }
+
+  return null;
+};
+
+/**
+ * Vérifie qu'aucune dépendance ne relie une tâche à l'un de ses ancêtres
+ * (à contrôler après un changement de hiérarchie)
+ * @param {Array<Task>} tasks
+ * @returns {string|null} Message d'erreur, ou null si la hiérarchie est compatible
+ */
+export const getBranchDependencyError = (tasks) => {
+  for (const task of tasks) {
+    const ancestors = getAncestorIds(tasks, task.id);
+    const related = (task.dependencies || [])
+      .map(getDependencyTaskId)
+      .find(id => ancestors.has(id) || getAncestorIds(tasks, id).has(task.id));
+
+    if (related) {
+      const other = tasks.find(t => t.id === related);
+      return `"${task.name}" dépend de "${other?.name || related}" : les deux tâches ne peuvent pas appartenir à la même branche du plan`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Liste tous les cycles d'un graphe de tâches (un cycle représentatif par
+ * composante fortement connexe, algorithme de Tarjan)
+ * @param {Array<Task>} tasks
+ * @returns {Array<Array<string>>} Cycles sous forme d'IDs, premier ID répété en fin
+ */
+export const findDependencyCycles = (tasks) => {
+  const successors = buildSuccessorMap(tasks);
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const cycles = [];
+  let counter = 0;
+
+  const strongConnect = (id) => {
+    index.set(id, counter);
+    lowLink.set(id, counter);
+    counter += 1;
+    stack.push(id);
+    onStack.add(id);
+
+    successors.get(id).forEach(next => {
+      if (!index.has(next)) {
+        strongConnect(next);
+        lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(next)));
+      } else if (onStack.has(next)) {
+        lowLink.set(id, Math.min(lowLink.get(id), index.get(next)));
+      }
+    });
+
+    if (lowLink.get(id) !== index.get(id)) return;
+
+    const component = [];
+    let member;
+    do {
+      member = stack.pop();
+      onStack.delete(member);
+      component.push(member);
+    } while (member !== id);
+
+    if (component.length > 1) {
+      // Reconstruit un cycle concret à l'intérieur de la composante
+      const members = new Set(component);
+      const inner = new Map(component.map(m => [m, successors.get(m).filter(n => members.has(n))]));
+      const start = component[component.length - 1];
+      const back = inner.get(start)[0];
+      const path = findPath(inner, back, start);
+      cycles.push([start, ...path]);
+    }
+  };
+
+  tasks.forEach(task => {
+    if (!index.has(task.id)) strongConnect(task.id);
+  });
+
+  return cycles;
+};
+
+/**
+ * Analyse complète des dépendances d'un projet
+ * @param {Project} project
+ * @returns {{
+ *   valid: boolean,
+ *   cycles: Array<string>,
+ *   selfDependencies: Array<string>,
+ *   externalDependencies: Array<string>
+ * }} Rapport lisible (noms de tâches)
+ */
+export const validateProjectDependencies = (project) => {
+  const tasks = project?.tasks || [];
+  const ids = new Set(tasks.map(task => task.id));
+  const selfDependencies = [];
+  const externalDependencies = [];
+
+  tasks.forEach(task => {
+    (task.dependencies || []).forEach(dep => {
+      const predecessorId = getDependencyTaskId(dep);
+      if (predecessorId === task.id) {
+        selfDependencies.push(task.name || task.id);
+      } else if (!ids.has(predecessorId)) {
+        externalDependencies.push(`${task.name || task.id} → ${predecessorId}`);
+      }
+    });
+  });
+
+  const cycles = findDependencyCycles(tasks).map(cycle => formatTaskChain(cycle, tasks));
+
+  return {
+    valid: cycles.length === 0 && selfDependencies.length === 0 && externalDependencies.length === 0,
+    cycles,
+    selfDependencies,
+    externalDependencies
+  };
+};
@@ -0,0 +1,70 @@
+/**
+ * JALONS
+ * ======
+ *
+ * Responsabilités :
+ * - Type de tâche « jalon » (durée nulle : début = fin)
+ * - Statut d'un jalon (atteint, à venir, manqué)
+ * - Liste des jalons à venir / manqués de plusieurs projets
+ */
+
+/**
+ * Types de tâches persistés dans le store
+ */
+export const TASK_TYPES = {
+  TASK: 'task',
+  MILESTONE: 'milestone'
+};
+
+export const MILESTONE_STATUS = {
+  REACHED: 'reached',
+  UPCOMING: 'upcoming',
+  MISSED: 'missed'
+};
+
+/**
+ * Indique si une tâche est un jalon
+ * @param {Task} task
+ * @returns {boolean}
+ */
+export const isMilestone = (task) => task?.type === TASK_TYPES.MILESTONE;
+
+/**
+ * Statut d'un jalon à une date donnée
+ * Un jalon est atteint dès que son avancement vaut 100 %
+ * @param {Task} task
+ * @param {Date} [now]
+ * @returns {string} Une valeur de MILESTONE_STATUS
+ */
+export const getMilestoneStatus = (task, now = new Date()) => {
+  if ((Number(task.completion) || 0) >= 100) return MILESTONE_STATUS.REACHED;
+  return new Date(task.startDate).getTime() < now.getTime()
+    ? MILESTONE_STATUS.MISSED
+    : MILESTONE_STATUS.UPCOMING;
+};
+
+/**
+ * Regroupe les jalons non atteints de plusieurs projets
+ * @param {Array<Project>} projects
+ * @param {Date} [now]
+ * @returns {{ upcoming: Array<{ project: Project, task: Task }>, missed: Array<{ project: Project, task: Task }> }}
+ *   Jalons à venir triés du plus proche au plus lointain, jalons manqués du plus récent au plus ancien
+ */
+export const listMilestones = (projects, now = new Date()) => {
+  const upcoming = [];
+  const missed = [];
+
+  (projects || []).forEach(project => {
+    (project.tasks || []).filter(isMilestone).forEach(task => {
+      const status = getMilestoneStatus(task, now);
+      if (status === MILESTONE_STATUS.UPCOMING) upcoming.push({ project, task });
+      if (status === MILESTONE_STATUS.MISSED) missed.push({ project, task });
+    });
+  });
+
+  const byDate = (a, b) => new Date(a.task.startDate) - new Date(b.task.startDate);
+  upcoming.sort(byDate);
+  missed.sort((a, b) => byDate(b, a));
+
+  return { upcoming, missed };
+};
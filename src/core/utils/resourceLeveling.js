@@ -0,0 +1,157 @@
+/**
+ * NIVELLEMENT DES RESSOURCES
+ * ==========================
+ *
+ * Responsabilités :
+ * - Proposer de nouvelles dates supprimant les sur-allocations
+ * - Ne retarder que des tâches non critiques, dans la limite de leur marge
+ *   (la date de fin du projet ne bouge pas)
+ * - Respecter les dépendances (successeurs replanifiés) et le calendrier
+ * - Décrire le résultat sous forme de différences avant / après
+ *
+ * Algorithme (heuristique série) : on traite la première période de
+ * sur-allocation ; parmi ses tâches, celle qui commence le plus tard est
+ * repoussée d'un bloc au premier jour ouvré suivant la période, puis le
+ * projet est replanifié. Un retard qui repousserait la fin du projet est
+ * annulé et la tâche n'est plus candidate. Une période sans candidat est
+ * laissée non résolue. Chaque passe sort donc une tâche de la période :
+ * le nombre de passes reste de l'ordre du nombre de tâches.
+ */
+
+import { computeCriticalPath } from './criticalPath';
+import { isMilestone } from './milestones';
+import { getTaskAssignments } from './resources';
+import { rescheduleProjectTasks } from './scheduler';
+import { getChildrenMap } from './taskHierarchy';
+import {
+  normalizeCalendar,
+  addWorkingDays,
+  countWorkingDays,
+  nextWorkingDay,
+  toDayKey
+} from './workingCalendar';
+import { findOverallocations } from './workload';
+
+// Garde-fou : nombre maximal de retards essayés
+const MAX_ITERATIONS = 1000;
+
+const toTime = (value) => new Date(value).getTime();
+
+const getProjectFinish = (tasks) => Math.max(...tasks.map(task => toTime(task.endDate)));
+
+const getPeriodKey = (period) => `${period.resourceId}|${toDayKey(period.start)}`;
+
+/**
+ * Fait démarrer une tâche au premier jour ouvré suivant une période,
+ * en conservant sa durée en jours ouvrés
+ */
+const delayAfterPeriod = (task, period, calendar) => {
+  const workingDays = countWorkingDays(task.startDate, task.endDate, calendar);
+  const startDate = nextWorkingDay(period.end, calendar);
+  return {
+    ...task,
+    startDate,
+    endDate: addWorkingDays(startDate, workingDays, calendar),
+    updatedAt: new Date()
+  };
+};
+
+/**
+ * Calcule un plan de nivellement pour un projet, sans rien modifier
+ * @param {Object} params
+ * @param {Project} params.project - Projet à niveler
+ * @param {Array<Project>} params.projects - Tous les projets (ressources partagées)
+ * @param {Array<Resource>} params.resources - Ressources du projet
+ * @returns {{
+ *   tasks: Array<Task>,
+ *   changes: Array<{ taskId: string, name: string, before: { startDate: Date, endDate: Date },
+ *     after: { startDate: Date, endDate: Date }, delayDays: number }>,
+ *   unresolved: Array<Object>
+ * }} Tâches nivelées, différences (tâches retardées et successeurs décalés)
+ *   et sur-allocations restantes (voir findOverallocations)
+ */
+export const planResourceLeveling = ({ project, projects, resources }) => {
+  const calendar = normalizeCalendar(project.calendar);
+  const originalTasks = project.tasks || [];
+  if (originalTasks.length === 0) {
+    return { tasks: originalTasks, changes: [], unresolved: [] };
+  }
+
+  const children = getChildrenMap(originalTasks);
+  const isLeaf = (task) => (children.get(task.id) || []).length === 0;
+  const finish = getProjectFinish(originalTasks);
+
+  const overallocationsOf = (tasks) => {
+    const leveled = { ...project, tasks };
+    return findOverallocations(
+      (projects || []).map(p => p.id === project.id ? leveled : p),
+      resources,
+      leveled
+    );
+  };
+
+  let tasks = originalTasks;
+  const unresolvedKeys = new Set();
+  const exhausted = new Set();
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration += 1) {
+    const period = overallocationsOf(tasks).find(p => !unresolvedKeys.has(getPeriodKey(p)));
+    if (!period) break;
+
+    const critical = new Set(computeCriticalPath(tasks, { calendar }).criticalPath);
+    const periodStart = period.start.getTime();
+    const candidates = tasks
+      .filter(task =>
+        period.taskIds.includes(task.id) &&
+        isLeaf(task) &&
+        !isMilestone(task) &&
+        !critical.has(task.id) &&
+        !exhausted.has(task.id) &&
+        toTime(task.startDate) < period.end.getTime() &&
+        toTime(task.endDate) > periodStart &&
+        getTaskAssignments(task).some(a => a.resourceId === period.resourceId)
+      )
+      .sort((a, b) => toTime(b.startDate) - toTime(a.startDate));
+
+    if (candidates.length === 0) {
+      unresolvedKeys.add(getPeriodKey(period));
+      continue;
+    }
+
+    const delayed = delayAfterPeriod(candidates[0], period, calendar);
+    const rescheduled = rescheduleProjectTasks(
+      tasks.map(task => task.id === delayed.id ? delayed : task),
+      calendar
+    );
+
+    if (getProjectFinish(rescheduled) > finish) {
+      exhausted.add(delayed.id);
+    } else {
+      tasks = rescheduled;
+    }
+  }
+
+  const originals = new Map(originalTasks.map(task => [task.id, task]));
+  const changes = tasks
+    .filter(task => {
+      const original = originals.get(task.id);
+      return toTime(task.startDate) !== toTime(original.startDate) ||
+        toTime(task.endDate) !== toTime(original.endDate);
+    })
+    .map(task => {
+      const original = originals.get(task.id);
+      return {
+        taskId: task.id,
+        name: task.name,
+        before: { startDate: new Date(original.startDate), endDate: new Date(original.endDate) },
+        after: { startDate: new Date(task.startDate), endDate: new Date(task.endDate) },
+        delayDays: countWorkingDays(original.startDate, task.startDate, calendar)
+      };
+    });
+
+  return {
+    tasks,
+    changes,
+    unresolved: overallocationsOf(tasks)
+  };
+};
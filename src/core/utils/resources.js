@@ -0,0 +1,105 @@
+/**
+ * RESSOURCES ET AFFECTATIONS
+ * ==========================
+ *
+ * Responsabilités :
+ * - Types de ressources (personnes, rôles, équipements)
+ * - Normalisation des ressources et des affectations persistées
+ * - Pool disponible pour un projet (ressources de l'espace de travail
+ *   + ressources propres au projet)
+ * - Libellés des personnes affectées (colonne Ressource, infobulles)
+ *
+ * Une affectation { resourceId, allocation } est portée par la tâche ;
+ * allocation est le pourcentage du temps de la ressource consacré à la tâche.
+ */
+
+export const RESOURCE_TYPES = {
+  PERSON: 'person',
+  ROLE: 'role',
+  EQUIPMENT: 'equipment'
+};
+
+export const RESOURCE_TYPE_LABELS = {
+  [RESOURCE_TYPES.PERSON]: 'Personne',
+  [RESOURCE_TYPES.ROLE]: 'Rôle',
+  [RESOURCE_TYPES.EQUIPMENT]: 'Équipement'
+};
+
+// Une affectation au-delà de 100 % reste possible (heures supplémentaires)
+export const MAX_ALLOCATION = 200;
+
+const clampPercent = (value, fallback, max) => {
+  const percent = Number(value);
+  return Number.isFinite(percent) ? Math.min(max, Math.max(0, Math.round(percent))) : fallback;
+};
+
+/**
+ * Normalise une ressource (type inconnu → personne, capacité 100 % par défaut)
+ * @param {Object} resource
+ * @returns {Resource}
+ */
+export const normalizeResource = (resource) => ({
+  ...resource,
+  name: String(resource.name || '').trim(),
+  type: Object.values(RESOURCE_TYPES).includes(resource.type) ? resource.type : RESOURCE_TYPES.PERSON,
+  email: resource.email || '',
+  capacity: clampPercent(resource.capacity, 100, 100) || 100,
+  projectId: resource.projectId || null
+});
+
+/**
+ * Normalise une affectation (allocation entre 0 et MAX_ALLOCATION, 100 % par défaut)
+ * @param {Object} assignment
+ * @returns {Assignment}
+ */
+export const normalizeAssignment = (assignment) => ({
+  resourceId: assignment.resourceId,
+  allocation: clampPercent(assignment.allocation, 100, MAX_ALLOCATION)
+});
+
+/**
+ * Affectations d'une tâche (tableau vide pour les anciennes données)
+ * @param {Task} task
+ * @returns {Array<Assignment>}
+ */
+export const getTaskAssignments = (task) =>
+  (Array.isArray(task?.assignments) ? task.assignments : []).filter(a => a && a.resourceId);
+
+/**
+ * Ressources utilisables dans un projet : pool de l'espace de travail suivi
+ * des ressources propres au projet
+ * @param {Array<Resource>} workspaceResources
+ * @param {Project} [project]
+ * @returns {Array<Resource>}
+ */
+export const getProjectResources = (workspaceResources, project) => [
+  ...(workspaceResources || []),
+  ...(project?.resources || [])
+];
+
+/**
+ * Personnes affectées à une tâche, avec leur ressource
+ * Les affectations vers une ressource supprimée sont ignorées
+ * @param {Task} task
+ * @param {Array<Resource>} resources - Pool du projet
+ * @returns {Array<{ resource: Resource, allocation: number }>}
+ */
+export const resolveAssignees = (task, resources) => {
+  const byId = new Map((resources || []).map(resource => [resource.id, resource]));
+  return getTaskAssignments(task)
+    .filter(assignment => byId.has(assignment.resourceId))
+    .map(assignment => ({ resource: byId.get(assignment.resourceId), allocation: assignment.allocation }));
+};
+
+/**
+ * Libellé des personnes affectées : « Alice, Bob (50 %) »
+ * L'allocation n'est précisée que lorsqu'elle diffère de 100 %
+ * @param {Task} task
+ * @param {Array<Resource>} resources
+ * @returns {string} Chaîne vide si personne n'est affecté
+ */
+export const formatAssignees = (task, resources) =>
+  resolveAssignees(task, resources)
+    .map(({ resource, allocation }) =>
+      (allocation === 100 ? resource.name : `${resource.name} (${allocation} %)`))
+    .join(', ');
@@ -0,0 +1,375 @@
+/**
+ * MOTEUR DE PLANIFICATION
+ * =======================
+ *
+ * Responsabilités :
+ * - Recalcule les dates des tâches successeurs à partir des dépendances
+ * - Gère les quatre types de dépendances (FS, SS, FF, SF)
+ * - Applique le décalage (lag) des dépendances, en jours ou en % du prédécesseur
+ * - Conserve la durée de chaque tâche lors d'un décalage
+ * - Avec un calendrier de travail : durées et décalages en jours ouvrés,
+ *   une tâche décalée démarre toujours un jour ouvré
+ * - Replanification d'un projet hiérarchique (récapitulatives recalculées)
+ * - Fait suivre ses successeurs à une tâche avancée (glisser vers la gauche)
+ *
+ * Principe :
+ * - Planification « au plus tôt » en avant : une tâche n'est décalée que
+ *   si l'une de ses dépendances l'oblige à commencer plus tard. Les marges
+ *   saisies à la main (tâche placée après la contrainte) sont conservées.
+ * - Les tâches sont traitées dans l'ordre topologique du graphe ; les
+ *   tâches prises dans un cycle sont laissées telles quelles.
+ */
+
+import { addWorkingDays, countWorkingDays, nextWorkingDay } from './workingCalendar';
+import { getAncestorIds, rollupSummaryTasks, withInheritedDependencies } from './taskHierarchy';
+
+/**
+ * Types de dépendances supportés (valeurs persistées dans le store)
+ */
+export const DEPENDENCY_TYPES = {
+  FINISH_TO_START: 'finish-to-start',
+  START_TO_START: 'start-to-start',
+  FINISH_TO_FINISH: 'finish-to-finish',
+  START_TO_FINISH: 'start-to-finish'
+};
+
+/**
+ * Unités de décalage d'une dépendance
+ * - days : nombre de jours signé (négatif = chevauchement)
+ * - percent : pourcentage signé de la durée du prédécesseur
+ */
+export const LAG_UNITS = {
+  DAYS: 'days',
+  PERCENT: 'percent'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalise un type de dépendance ("FINISH_TO_START", "FS", "finish-to-start"...)
+ * @param {string} type - Type brut
+ * @returns {string} Une valeur de DEPENDENCY_TYPES (finish-to-start par défaut)
+ */
+export const normalizeDependencyType = (type) => {
+  if (!type || typeof type !== 'string') return DEPENDENCY_TYPES.FINISH_TO_START;
+
+  const key = type.trim().toUpperCase().replace(/-/g, '_');
+  const aliases = {
+    FS: DEPENDENCY_TYPES.FINISH_TO_START,
+    SS: DEPENDENCY_TYPES.START_TO_START,
+    FF: DEPENDENCY_TYPES.FINISH_TO_FINISH,
+    SF: DEPENDENCY_TYPES.START_TO_FINISH
+  };
+
+  return DEPENDENCY_TYPES[key] || aliases[key] || DEPENDENCY_TYPES.FINISH_TO_START;
+};
+
+/**
+ * Renvoie l'identifiant de la tâche prédécesseur d'une dépendance
+ * (les anciennes données stockaient parfois directement l'ID)
+ * @param {TaskDependency|string} dependency
+ * @returns {string|null}
+ */
+export const getDependencyTaskId = (dependency) => {
+  if (!dependency) return null;
+  return typeof dependency === 'string' ? dependency : dependency.taskId || null;
+};
+
+/**
+ * Normalise une dépendance persistée (anciens formats inclus)
+ * @param {TaskDependency|string} dependency
+ * @returns {TaskDependency} Dépendance avec type, lag et lagUnit définis
+ */
+export const normalizeDependency = (dependency) => {
+  const source = typeof dependency === 'string' ? { taskId: dependency } : { ...dependency };
+  const lag = Number(source.lag);
+
+  return {
+    ...source,
+    type: normalizeDependencyType(source.type),
+    lag: Number.isFinite(lag) ? lag : 0,
+    lagUnit: source.lagUnit === LAG_UNITS.PERCENT ? LAG_UNITS.PERCENT : LAG_UNITS.DAYS
+  };
+};
+
+/**
+ * Convertit le décalage d'une dépendance en millisecondes
+ * @param {TaskDependency} dependency
+ * @param {number} predecessorDuration - Durée du prédécesseur en ms
+ * @returns {number}
+ */
+export const getLagMs = (dependency, predecessorDuration) => {
+  const lag = Number(dependency?.lag) || 0;
+  if (dependency?.lagUnit === LAG_UNITS.PERCENT) {
+    return Math.round(predecessorDuration * lag / 100);
+  }
+  return lag * DAY_MS;
+};
+
+const toTime = (value) => {
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+
+/**
+ * Calcule la date de début au plus tôt imposée par une dépendance
+ * @param {Object} predecessor - Tâche prédécesseur ({ start, end } en ms)
+ * @param {number} duration - Durée du successeur en ms
+ * @param {string} type - Type de dépendance normalisé
+ * @returns {number} Début minimal du successeur en ms
+ */
+export const getConstrainedStart = (predecessor, duration, type) => {
+  switch (type) {
+    case DEPENDENCY_TYPES.START_TO_START:
+      return predecessor.start;
+    case DEPENDENCY_TYPES.FINISH_TO_FINISH:
+      return predecessor.end - duration;
+    case DEPENDENCY_TYPES.START_TO_FINISH:
+      return predecessor.start - duration;
+    case DEPENDENCY_TYPES.FINISH_TO_START:
+    default:
+      return predecessor.end;
+  }
+};
+
+/**
+ * Trie les tâches dans l'ordre topologique (prédécesseurs d'abord)
+ * @param {Array<Task>} tasks
+ * @returns {{ order: Array<string>, cyclic: Set<string> }} Ordre des IDs et
+ *   IDs des tâches impliquées dans un cycle (absentes de l'ordre)
+ */
+export const topologicalOrder = (tasks) => {
+  const ids = new Set(tasks.map(task => task.id));
+  const inDegree = new Map();
+  const successors = new Map();
+
+  tasks.forEach(task => {
+    inDegree.set(task.id, 0);
+    successors.set(task.id, []);
+  });
+
+  tasks.forEach(task => {
+    (task.dependencies || []).forEach(dep => {
+      const predecessorId = getDependencyTaskId(dep);
+      if (!ids.has(predecessorId) || predecessorId === task.id) return;
+      successors.get(predecessorId).push(task.id);
+      inDegree.set(task.id, inDegree.get(task.id) + 1);
+    });
+  });
+
+  const queue = tasks.filter(task => inDegree.get(task.id) === 0).map(task => task.id);
+  const order = [];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    successors.get(id).forEach(successorId => {
+      inDegree.set(successorId, inDegree.get(successorId) - 1);
+      if (inDegree.get(successorId) === 0) queue.push(successorId);
+    });
+  }
+
+  const ordered = new Set(order);
+  const cyclic = new Set(tasks.filter(task => !ordered.has(task.id)).map(task => task.id));
+
+  return { order, cyclic };
+};
+
+/**
+ * Début au plus tôt imposé par une dépendance, en jours ouvrés
+ * @param {Object} predecessor - { start, end } en ms
+ * @param {number} workingDays - Durée du successeur en jours ouvrés
+ * @param {TaskDependency} dep
+ * @param {Object} calendar - Calendrier normalisé
+ * @returns {number} Début minimal du successeur en ms
+ */
+const getWorkingConstrainedStart = (predecessor, workingDays, dep, calendar) => {
+  const shift = (time, days) => addWorkingDays(time, days, calendar).getTime();
+  let constraint;
+
+  switch (normalizeDependencyType(dep.type)) {
+    case DEPENDENCY_TYPES.START_TO_START:
+      constraint = predecessor.start;
+      break;
+    case DEPENDENCY_TYPES.FINISH_TO_FINISH:
+      constraint = shift(predecessor.end, -workingDays);
+      break;
+    case DEPENDENCY_TYPES.START_TO_FINISH:
+      constraint = shift(predecessor.start, -workingDays);
+      break;
+    case DEPENDENCY_TYPES.FINISH_TO_START:
+    default:
+      constraint = predecessor.end;
+  }
+
+  const lag = Number(dep.lag) || 0;
+  const lagDays = dep.lagUnit === LAG_UNITS.PERCENT
+    ? countWorkingDays(predecessor.start, predecessor.end, calendar) * lag / 100
+    : lag;
+
+  return shift(constraint, lagDays);
+};
+
+/**
+ * Replanifie les tâches d'un projet selon leurs dépendances
+ *
+ * @param {Array<Task>} tasks - Tâches du projet
+ * @param {Object} [options]
+ * @param {Object} [options.calendar] - Calendrier de travail normalisé ; sans
+ *   calendrier, les durées et décalages sont en jours calendaires
+ * @returns {{ tasks: Array<Task>, movedTaskIds: Array<string> }} Nouvelles
+ *   tâches (objets inchangés réutilisés) et IDs des tâches décalées
+ */
+export const scheduleTasks = (tasks, { calendar = null } = {}) => {
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    return { tasks: tasks || [], movedTaskIds: [] };
+  }
+
+  const { order } = topologicalOrder(tasks);
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const planned = new Map();
+  const movedTaskIds = [];
+
+  order.forEach(id => {
+    const task = byId.get(id);
+    const start = toTime(task.startDate);
+    const end = toTime(task.endDate);
+
+    if (start === null || end === null) {
+      return;
+    }
+
+    const duration = Math.max(0, end - start);
+    const workingDays = calendar && duration > 0 ? countWorkingDays(start, end, calendar) : 0;
+    let earliestStart = start;
+
+    (task.dependencies || []).forEach(dep => {
+      const predecessor = planned.get(getDependencyTaskId(dep));
+      if (!predecessor) return;
+
+      const constraint = calendar
+        ? getWorkingConstrainedStart(predecessor, workingDays, dep, calendar)
+        : getConstrainedStart(predecessor, duration, normalizeDependencyType(dep.type)) +
+          getLagMs(dep, predecessor.end - predecessor.start);
+      earliestStart = Math.max(earliestStart, constraint);
+    });
+
+    if (earliestStart === start) {
+      planned.set(id, { start, end });
+      return;
+    }
+
+    if (calendar) {
+      // Démarre le premier jour ouvré et conserve la durée en jours ouvrés
+      const newStart = duration > 0 ? nextWorkingDay(earliestStart, calendar).getTime() : earliestStart;
+      const newEnd = duration > 0 ? addWorkingDays(newStart, workingDays, calendar).getTime() : newStart;
+      planned.set(id, { start: newStart, end: newEnd });
+    } else {
+      planned.set(id, { start: earliestStart, end: earliestStart + duration });
+    }
+
+    movedTaskIds.push(id);
+  });
+
+  if (movedTaskIds.length === 0) {
+    return { tasks, movedTaskIds };
+  }
+
+  const moved = new Set(movedTaskIds);
+  const now = new Date();
+
+  return {
+    tasks: tasks.map(task => {
+      if (!moved.has(task.id)) return task;
+      const { start, end } = planned.get(task.id);
+      return {
+        ...task,
+        startDate: new Date(start),
+        endDate: new Date(end),
+        updatedAt: now
+      };
+    }),
+    movedTaskIds
+  };
+};
+
+/**
+ * Applique le moteur de planification aux tâches d'un projet, puis recalcule
+ * les tâches récapitulatives à partir de leurs enfants
+ *
+ * Les sous-tâches héritent des dépendances de leurs ancêtres. Une dépendance
+ * vers une récapitulative dépend de dates recalculées : on replanifie jusqu'à
+ * stabilité (au plus une passe par tâche).
+ * @param {Array<Task>} tasks - Tâches après modification
+ * @param {Object} [calendar] - Calendrier normalisé du projet
+ * @returns {Array<Task>} Tâches avec les successeurs décalés
+ */
+export const rescheduleProjectTasks = (tasks, calendar = null) => {
+  let current = rollupSummaryTasks(tasks);
+
+  for (let pass = 0; pass <= tasks.length; pass += 1) {
+    const { tasks: scheduledTasks, movedTaskIds } = scheduleTasks(withInheritedDependencies(current), { calendar });
+    if (movedTaskIds.length === 0) break;
+
+    // Reporte les nouvelles dates sur les tâches d'origine (dépendances propres)
+    const moved = new Set(movedTaskIds);
+    current = rollupSummaryTasks(current.map((task, index) => moved.has(task.id)
+      ? {
+        ...task,
+        startDate: scheduledTasks[index].startDate,
+        endDate: scheduledTasks[index].endDate,
+        updatedAt: scheduledTasks[index].updatedAt
+      }
+      : task
+    ));
+  }
+
+  return current;
+};
+
+/**
+ * Avance les successeurs (directs et indirects) d'une tâche déplacée plus
+ * tôt, du même nombre de jours qu'elle : la planification au plus tôt ne
+ * fait que repousser. Replanifier ensuite ramène chaque successeur à sa
+ * contrainte la plus tardive (autre prédécesseur, décalage).
+ * @param {Array<Task>} tasks - Tâches du projet, tâche déjà avancée
+ * @param {string} taskId - Tâche avancée
+ * @param {number} days - Avance, en jours ouvrés avec un calendrier
+ * @param {Object} [calendar] - Calendrier normalisé du projet
+ * @returns {Array<{ taskId: string, startDate: Date, endDate: Date }>}
+ *   Nouvelles dates des successeurs (hors récapitulatives, recalculées)
+ */
+export const getPulledBackSuccessors = (tasks, taskId, days, calendar = null) => {
+  if (!(days > 0)) return [];
+
+  // Sous-tâches porteuses des dépendances de leurs ancêtres
+  const scheduled = withInheritedDependencies(tasks);
+  const pulled = new Set();
+  const queue = [taskId, ...getAncestorIds(tasks, taskId)];
+
+  while (queue.length > 0) {
+    const predecessorId = queue.shift();
+    scheduled.forEach(task => {
+      if (task.id === taskId || pulled.has(task.id)) return;
+      if (!(task.dependencies || []).some(dep => getDependencyTaskId(dep) === predecessorId)) return;
+      pulled.add(task.id);
+      queue.push(task.id, ...getAncestorIds(tasks, task.id));
+    });
+  }
+
+  return tasks
+    .filter(task => pulled.has(task.id) && toTime(task.startDate) !== null && toTime(task.endDate) !== null)
+    .map(task => {
+      const start = toTime(task.startDate);
+      const end = toTime(task.endDate);
+      if (!calendar) {
+        return { taskId: task.id, startDate: new Date(start - days * DAY_MS), endDate: new Date(end - days * DAY_MS) };
+      }
+
+      const startDate = addWorkingDays(start, -days, calendar);
+      const endDate = end > start
+        ? addWorkingDays(startDate, countWorkingDays(start, end, calendar), calendar)
+        : startDate;
+      return { taskId: task.id, startDate, endDate };
+    });
+};
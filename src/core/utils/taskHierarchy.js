@@ -0,0 +1,335 @@
+/**
+ * HIÉRARCHIE DES TÂCHES (WBS)
+ * ===========================
+ *
+ * Responsabilités :
+ * - Arbre parent / enfants à partir du champ parentId
+ * - Plan ordonné (outline) avec niveaux et codes WBS (1, 1.1, 1.1.2)
+ * - Cumul des tâches récapitulatives (dates et avancement des enfants)
+ * - Indentation, désindentation et réordonnancement
+ *
+ * Convention : le tableau tasks est stocké dans l'ordre du plan (parcours en
+ * profondeur). L'ordre des frères est celui du tableau ; les codes WBS suivent
+ * donc automatiquement tout réordonnancement.
+ */
+
+const toTime = (value) => {
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+
+/**
+ * Construit la table parent → enfants (ordre du tableau conservé)
+ * Les tâches dont le parent est introuvable sont rattachées à la racine (clé null)
+ * @param {Array<Task>} tasks
+ * @returns {Map<string|null, Array<Task>>}
+ */
+export const getChildrenMap = (tasks) => {
+  const ids = new Set(tasks.map(task => task.id));
+  const children = new Map([[null, []]]);
+
+  tasks.forEach(task => {
+    const parentId = task.parentId && ids.has(task.parentId) && task.parentId !== task.id
+      ? task.parentId
+      : null;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(task);
+  });
+
+  return children;
+};
+
+/**
+ * Renvoie les IDs de tous les descendants d'une tâche
+ * @param {Array<Task>} tasks
+ * @param {string} taskId
+ * @returns {Set<string>}
+ */
+export const getDescendantIds = (tasks, taskId) => {
+  const children = getChildrenMap(tasks);
+  const descendants = new Set();
+  const stack = [taskId];
+
+  while (stack.length > 0) {
+    (children.get(stack.pop()) || []).forEach(child => {
+      if (descendants.has(child.id) || child.id === taskId) return;
+      descendants.add(child.id);
+      stack.push(child.id);
+    });
+  }
+
+  return descendants;
+};
+
+/**
+ * Renvoie les IDs des ancêtres d'une tâche (parent, grand-parent...)
+ * @param {Array<Task>} tasks
+ * @param {string} taskId
+ * @returns {Set<string>}
+ */
+export const getAncestorIds = (tasks, taskId) => {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const ancestors = new Set();
+
+  for (let parentId = byId.get(taskId)?.parentId; parentId && byId.has(parentId); parentId = byId.get(parentId).parentId) {
+    if (ancestors.has(parentId) || parentId === taskId) break;
+    ancestors.add(parentId);
+  }
+
+  return ancestors;
+};
+
+/**
+ * Parcours en profondeur de l'arbre
+ * Les tâches prises dans une boucle de parents (données corrompues) sont
+ * ajoutées à la racine en fin de plan
+ */
+const walkTree = (tasks, children, visit) => {
+  const visited = new Set();
+
+  const walk = (parentId, level, prefix) => {
+    (children.get(parentId) || []).forEach((task, index) => {
+      if (visited.has(task.id)) return;
+      visited.add(task.id);
+      const wbs = prefix ? `${prefix}.${index + 1}` : String(index + 1);
+      visit(task, level, wbs);
+      walk(task.id, level + 1, wbs);
+    });
+  };
+
+  walk(null, 0, '');
+
+  const roots = children.get(null);
+  tasks.forEach(task => {
+    if (!visited.has(task.id)) {
+      visited.add(task.id);
+      visit(task, 0, String(roots.length + 1));
+      roots.push(task);
+    }
+  });
+};
+
+/**
+ * Plan ordonné des tâches
+ * @param {Array<Task>} tasks
+ * @returns {Array<{ task: Task, level: number, wbs: string, parentId: string|null, isSummary: boolean }>}
+ */
+export const getTaskOutline = (tasks) => {
+  if (!Array.isArray(tasks) || tasks.length === 0) return [];
+
+  const children = getChildrenMap(tasks);
+  const outline = [];
+
+  walkTree(tasks, children, (task, level, wbs) => {
+    outline.push({
+      task,
+      level,
+      wbs,
+      parentId: level === 0 ? null : task.parentId,
+      isSummary: (children.get(task.id) || []).length > 0
+    });
+  });
+
+  return outline;
+};
+
+/**
+ * Codes WBS indexés par ID de tâche
+ * @param {Array<Task>} tasks
+ * @returns {Object<string, string>}
+ */
+export const computeWbsCodes = (tasks) =>
+  Object.fromEntries(getTaskOutline(tasks).map(({ task, wbs }) => [task.id, wbs]));
+
+/**
+ * Réordonne le tableau selon le plan (parents suivis de leurs enfants)
+ * et retire les parentId invalides
+ * @param {Array<Task>} tasks
+ * @returns {Array<Task>}
+ */
+export const orderByOutline = (tasks) =>
+  getTaskOutline(tasks).map(({ task, parentId }) =>
+    (task.parentId || null) === parentId ? task : { ...task, parentId }
+  );
+
+/**
+ * Recalcule les tâches récapitulatives à partir de leurs enfants :
+ * début au plus tôt, fin au plus tard, avancement pondéré par la durée
+ * @param {Array<Task>} tasks
+ * @returns {Array<Task>} Tâches (objets inchangés réutilisés)
+ */
+export const rollupSummaryTasks = (tasks) => {
+  if (!Array.isArray(tasks) || tasks.length === 0) return tasks || [];
+
+  const outline = getTaskOutline(tasks);
+  const children = getChildrenMap(tasks);
+  const rolled = new Map();
+
+  // Des feuilles vers la racine : chaque parent est traité après ses enfants
+  [...outline].reverse().forEach(({ task, isSummary }) => {
+    if (!isSummary) {
+      rolled.set(task.id, task);
+      return;
+    }
+
+    const kids = children.get(task.id).map(child => rolled.get(child.id) || child);
+    const spans = kids
+      .map(child => ({ start: toTime(child.startDate), end: toTime(child.endDate), child }))
+      .filter(span => span.start !== null && span.end !== null);
+
+    if (spans.length === 0) {
+      rolled.set(task.id, task);
+      return;
+    }
+
+    const start = Math.min(...spans.map(span => span.start));
+    const end = Math.max(...spans.map(span => span.end));
+    const totalDuration = spans.reduce((sum, span) => sum + Math.max(0, span.end - span.start), 0);
+    const completion = totalDuration > 0
+      ? spans.reduce((sum, span) =>
+        sum + Math.max(0, span.end - span.start) * (Number(span.child.completion) || 0), 0) / totalDuration
+      : spans.reduce((sum, span) => sum + (Number(span.child.completion) || 0), 0) / spans.length;
+    const roundedCompletion = Math.round(completion);
+
+    const unchanged = toTime(task.startDate) === start &&
+      toTime(task.endDate) === end &&
+      Number(task.completion) === roundedCompletion;
+
+    rolled.set(task.id, unchanged ? task : {
+      ...task,
+      startDate: new Date(start),
+      endDate: new Date(end),
+      completion: roundedCompletion,
+      updatedAt: new Date()
+    });
+  });
+
+  const result = tasks.map(task => rolled.get(task.id) || task);
+  return result.every((task, index) => task === tasks[index]) ? tasks : result;
+};
+
+/**
+ * Prépare les tâches pour le moteur de planification : les sous-tâches
+ * héritent des dépendances de leurs ancêtres et les récapitulatives, dont
+ * les dates découlent des enfants, n'en portent plus
+ * @param {Array<Task>} tasks
+ * @returns {Array<Task>} Copies pour la planification (même ordre)
+ */
+export const withInheritedDependencies = (tasks) => {
+  const children = getChildrenMap(tasks);
+  if (children.size === 1) return tasks;
+
+  return tasks.map(task => {
+    if ((children.get(task.id) || []).length > 0) {
+      return { ...task, dependencies: [] };
+    }
+
+    const ancestors = [...getAncestorIds(tasks, task.id)];
+    if (ancestors.length === 0) return task;
+
+    const inherited = ancestors.flatMap(id => tasks.find(t => t.id === id).dependencies || []);
+    return { ...task, dependencies: [...(task.dependencies || []), ...inherited] };
+  });
+};
+
+/**
+ * Reconstruit le tableau à partir d'une table parent → enfants modifiée
+ */
+const flattenChildren = (children) => {
+  const result = [];
+  const walk = (parentId) => {
+    (children.get(parentId) || []).forEach(task => {
+      result.push(task);
+      walk(task.id);
+    });
+  };
+  walk(null);
+  return result;
+};
+
+const findSiblings = (children, task) => {
+  const parentId = [...children.entries()].find(([, kids]) => kids.some(kid => kid.id === task.id))[0];
+  return { parentId, siblings: children.get(parentId) };
+};
+
+/**
+ * Indente une tâche : elle devient le dernier enfant du frère qui la précède
+ * @param {Array<Task>} tasks
+ * @param {string} taskId
+ * @returns {Array<Task>}
+ * @throws {Error} Si la tâche n'a pas de frère précédent
+ */
+export const indentTask = (tasks, taskId) => {
+  const ordered = orderByOutline(tasks);
+  const task = ordered.find(t => t.id === taskId);
+  if (!task) throw new Error(`Tâche ${taskId} introuvable`);
+
+  const children = getChildrenMap(ordered);
+  const { siblings } = findSiblings(children, task);
+  const index = siblings.findIndex(sibling => sibling.id === taskId);
+  if (index === 0) {
+    throw new Error(`Impossible d'indenter "${task.name}": aucune tâche au-dessus au même niveau`);
+  }
+
+  const newParent = siblings[index - 1];
+  return orderByOutline(ordered.map(t =>
+    t.id === taskId ? { ...t, parentId: newParent.id, updatedAt: new Date() } : t
+  ));
+};
+
+/**
+ * Désindente une tâche : elle remonte au niveau de son parent et adopte
+ * les frères qui la suivaient (la position à l'écran ne change pas)
+ * @param {Array<Task>} tasks
+ * @param {string} taskId
+ * @returns {Array<Task>}
+ * @throws {Error} Si la tâche est déjà à la racine
+ */
+export const outdentTask = (tasks, taskId) => {
+  const ordered = orderByOutline(tasks);
+  const task = ordered.find(t => t.id === taskId);
+  if (!task) throw new Error(`Tâche ${taskId} introuvable`);
+  if (!task.parentId) {
+    throw new Error(`Impossible de désindenter "${task.name}": la tâche est déjà au premier niveau`);
+  }
+
+  const parent = ordered.find(t => t.id === task.parentId);
+  const children = getChildrenMap(ordered);
+  const siblings = children.get(parent.id);
+  const followers = new Set(siblings.slice(siblings.findIndex(s => s.id === taskId) + 1).map(s => s.id));
+  const now = new Date();
+
+  // Le tableau étant dans l'ordre du plan, changer les parentId suffit :
+  // la tâche suit le sous-arbre de son ancien parent, ses enfants restent
+  // avant les frères adoptés
+  return orderByOutline(ordered.map(t => {
+    if (t.id === taskId) return { ...t, parentId: parent.parentId || null, updatedAt: now };
+    if (followers.has(t.id)) return { ...t, parentId: taskId, updatedAt: now };
+    return t;
+  }));
+};
+
+/**
+ * Déplace une tâche (et son sous-arbre) d'un cran parmi ses frères
+ * @param {Array<Task>} tasks
+ * @param {string} taskId
+ * @param {number} direction - -1 vers le haut, 1 vers le bas
+ * @returns {Array<Task>} Tableau inchangé si la tâche est déjà en bout de groupe
+ */
+export const moveTask = (tasks, taskId, direction) => {
+  const ordered = orderByOutline(tasks);
+  const task = ordered.find(t => t.id === taskId);
+  if (!task) throw new Error(`Tâche ${taskId} introuvable`);
+
+  const children = getChildrenMap(ordered);
+  const { parentId, siblings } = findSiblings(children, task);
+  const index = siblings.findIndex(sibling => sibling.id === taskId);
+  const target = index + Math.sign(direction);
+  if (target < 0 || target >= siblings.length) return ordered;
+
+  const reordered = [...siblings];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  children.set(parentId, reordered);
+
+  return flattenChildren(children);
+};
@@ -0,0 +1,175 @@
+/**
+ * HISTORIQUE ANNULER / RÉTABLIR
+ * =============================
+ *
+ * Responsabilités :
+ * - Enregistrer l'état avant chaque action suivie d'un store Zustand
+ * - Annuler / rétablir (pile bornée, vidée par une nouvelle action)
+ * - Regrouper plusieurs actions en une seule entrée (glisser, lot)
+ *
+ * Les mises à jour du store étant immuables, un instantané ne copie que des
+ * références : il ne coûte presque rien en mémoire.
+ */
+
+// Nombre maximal d'entrées conservées dans chaque pile
+export const HISTORY_LIMIT = 50;
+
+/**
+ * Ajoute l'historique annuler / rétablir à un store
+ * @param {Function} set - set du store Zustand
+ * @param {Function} get - get du store Zustand
+ * @param {Object} store - État initial et actions du store
+ * @param {Object} options
+ * @param {Object<string, string>} options.actions - Actions suivies → libellé affiché
+ * @param {Function} options.capture - (state) => instantané des données annulables
+ * @param {Function} options.restore - (snapshot, state) => mise à jour de l'état
+ * @param {number} [options.limit] - Taille maximale des piles
+ * @returns {Object} Store enrichi de past, future, undo, redo, groupHistory, clearHistory
+ */
+export const withUndoHistory = (set, get, store, {
+  actions,
+  capture,
+  restore,
+  limit = HISTORY_LIMIT
+}) => {
+  // Profondeur des actions en cours d'exécution synchrone : une action
+  // appelée par une autre est enregistrée avec l'appelante
+  let groupDepth = 0;
+
+  // Groupes ouverts par groupHistory, jusqu'à la fin de leur opération
+  const openGroups = new Set();
+
+  const hasChanged = (before, after) =>
+    Object.keys(before).some(key => before[key] !== after[key]);
+
+  const record = (label, snapshot) => {
+    if (!hasChanged(snapshot, capture(get()))) return;
+    set((state) => ({
+      past: [...state.past, { label, snapshot }].slice(-limit),
+      future: []
+    }));
+  };
+
+  /**
+   * Exécute une étape pour le compte d'un groupe (ou d'aucun)
+   * Les autres groupes ouverts enregistrent d'abord leurs étapes passées et
+   * repartiront d'un nouvel instantané : une action d'un autre appelant
+   * (autre clic, autre onglet, serveur) n'entre jamais dans leur entrée
+   */
+  const runStep = (owner, operation) => {
+    if (groupDepth > 0) return operation();
+
+    openGroups.forEach(group => {
+      if (group === owner || !group.snapshot) return;
+      record(group.label, group.snapshot);
+      group.snapshot = null;
+    });
+    if (owner && !owner.snapshot) {
+      owner.snapshot = capture(get());
+    }
+
+    groupDepth += 1;
+    try {
+      return operation();
+    } finally {
+      groupDepth -= 1;
+    }
+  };
+
+  /**
+   * Exécute une action suivie et l'enregistre comme une seule entrée
+   */
+  const track = (label, operation) => {
+    if (groupDepth > 0) return operation();
+
+    const snapshot = capture(get());
+    try {
+      return Promise.resolve(runStep(null, operation));
+    } catch (err) {
+      return Promise.reject(err);
+    } finally {
+      record(label, snapshot);
+    }
+  };
+
+  /**
+   * Regroupe les étapes d'une opération, même asynchrone, en une entrée
+   * enregistrée quand l'opération se termine
+   */
+  const group = (label, operation) => {
+    const entry = { label, snapshot: null };
+    const groupActions = Object.fromEntries(Object.keys(actions)
+      .filter(name => typeof store[name] === 'function')
+      .map(name => [name, (...args) => runStep(entry, () => get()[name](...args))]));
+
+    openGroups.add(entry);
+    let result;
+    try {
+      result = Promise.resolve(runStep(entry, () => operation(groupActions)));
+    } catch (err) {
+      result = Promise.reject(err);
+    }
+
+    return result.finally(() => {
+      openGroups.delete(entry);
+      if (entry.snapshot) record(label, entry.snapshot);
+    });
+  };
+
+  const tracked = Object.fromEntries(Object.entries(actions)
+    .filter(([name]) => typeof store[name] === 'function')
+    .map(([name, label]) => [name, (...args) => track(label, () => store[name](...args))]));
+
+  /**
+   * Déplace l'entrée au sommet d'une pile vers l'autre et restaure son état
+   */
+  const travel = (from, to) => runStep(null, () => {
+    const state = get();
+    const entry = state[from][state[from].length - 1];
+    if (!entry) return null;
+
+    set({
+      ...restore(entry.snapshot, state),
+      [from]: state[from].slice(0, -1),
+      [to]: [...state[to], { label: entry.label, snapshot: capture(state) }].slice(-limit),
+      error: null
+    });
+    return entry.label;
+  });
+
+  return {
+    ...store,
+    ...tracked,
+    past: [],
+    future: [],
+
+    /**
+     * Annule la dernière action (ou le dernier groupe)
+     * @returns {string|null} Libellé de l'action annulée
+     */
+    undo: () => travel('past', 'future'),
+
+    /**
+     * Rétablit la dernière action annulée
+     * @returns {string|null} Libellé de l'action rétablie
+     */
+    redo: () => travel('future', 'past'),
+
+    /**
+     * Regroupe les actions d'une opération en plusieurs étapes (une seule
+     * entrée d'historique, enregistrée quand sa promesse se termine)
+     * Après une attente (await), seules les actions reçues en paramètre
+     * rejoignent le groupe ; toute autre action le découpe en deux entrées
+     * @param {string} label - Libellé de l'entrée
+     * @param {Function} operation - (actions) => résultat ou promesse ;
+     *   actions contient les actions suivies, rattachées au groupe
+     * @returns {Promise<*>} Résultat de l'opération
+     */
+    groupHistory: group,
+
+    /**
+     * Vide les piles annuler / rétablir
+     */
+    clearHistory: () => set({ past: [], future: [] })
+  };
+};
@@ -0,0 +1,242 @@
+/**
+ * CALENDRIERS DE TRAVAIL
+ * ======================
+ *
+ * Responsabilités :
+ * - Jours ouvrés de la semaine et horaires quotidiens d'un projet
+ * - Jours fériés et exceptions par ressource (congés, absences)
+ * - Calculs en jours ouvrés (durée, ajout de jours, prochain jour ouvré)
+ * - Périodes non travaillées à griser sur la frise
+ *
+ * Les dates des tâches sont des bornes à minuit : une tâche du lundi au
+ * mercredi (fin exclue) dure deux jours ouvrés. Les calculs avancent jour par
+ * jour en heure locale, ce qui reste juste lors des changements d'heure.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Garde-fou des boucles jour par jour (10 ans)
+const MAX_DAYS = 3660;
+
+/**
+ * Calendrier par défaut : du lundi au vendredi, 9h-17h, sans jour férié
+ * workingDays suit Date#getDay (0 = dimanche)
+ */
+export const DEFAULT_CALENDAR = {
+  workingDays: [1, 2, 3, 4, 5],
+  workStart: 9,
+  workEnd: 17,
+  holidays: [],
+  resourceExceptions: {}
+};
+
+/**
+ * Clé locale YYYY-MM-DD d'une date
+ * @param {Date|string|number} value
+ * @returns {string}
+ */
+export const toDayKey = (value) => {
+  const date = new Date(value);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const normalizeHour = (value, fallback) => {
+  const hour = Number(value);
+  return Number.isFinite(hour) ? Math.min(24, Math.max(0, hour)) : fallback;
+};
+
+const normalizeDayList = (days) => (Array.isArray(days) ? days : [])
+  .map(day => (typeof day === 'string' ? { date: day } : day))
+  .filter(day => day && day.date && !isNaN(new Date(day.date).getTime()))
+  .map(day => ({ date: toDayKey(day.date), name: day.name || '' }));
+
+/**
+ * Normalise un calendrier persisté (champs manquants, anciens formats)
+ * Un calendrier sans aucun jour ouvré reprend la semaine par défaut
+ * @param {Object} [calendar]
+ * @returns {Object} Calendrier complet
+ */
+export const normalizeCalendar = (calendar) => {
+  const source = calendar || {};
+  const workingDays = Array.isArray(source.workingDays)
+    ? [...new Set(source.workingDays.map(Number).filter(day => day >= 0 && day <= 6))].sort()
+    : DEFAULT_CALENDAR.workingDays;
+  const workStart = normalizeHour(source.workStart, DEFAULT_CALENDAR.workStart);
+  const workEnd = normalizeHour(source.workEnd, DEFAULT_CALENDAR.workEnd);
+
+  const resourceExceptions = Object.fromEntries(
+    Object.entries(source.resourceExceptions || {})
+      .map(([resourceId, days]) => [resourceId, normalizeDayList(days)])
+  );
+
+  return {
+    workingDays: workingDays.length > 0 ? workingDays : DEFAULT_CALENDAR.workingDays,
+    workStart: Math.min(workStart, workEnd),
+    workEnd: Math.max(workStart, workEnd),
+    holidays: normalizeDayList(source.holidays),
+    resourceExceptions
+  };
+};
+
+/**
+ * Nombre d'heures travaillées par jour ouvré
+ * @param {Object} calendar
+ * @returns {number}
+ */
+export const getHoursPerDay = (calendar) => calendar.workEnd - calendar.workStart;
+
+/**
+ * Calendrier d'une ressource : calendrier du projet dont les exceptions de
+ * la ressource deviennent des jours chômés
+ * @param {Object} calendar - Calendrier normalisé du projet
+ * @param {string} resourceId
+ * @returns {Object}
+ */
+export const getResourceCalendar = (calendar, resourceId) => {
+  const exceptions = calendar.resourceExceptions?.[resourceId] || [];
+  if (exceptions.length === 0) return calendar;
+  return { ...calendar, holidays: [...calendar.holidays, ...exceptions] };
+};
+
+// Les jours fériés sont indexés une fois par calendrier
+const holidayCache = new WeakMap();
+const getHolidaySet = (calendar) => {
+  if (!holidayCache.has(calendar)) {
+    holidayCache.set(calendar, new Set(calendar.holidays.map(day => day.date)));
+  }
+  return holidayCache.get(calendar);
+};
+
+/**
+ * Indique si une date tombe un jour ouvré
+ * @param {Date|number} date
+ * @param {Object} calendar - Calendrier normalisé
+ * @returns {boolean}
+ */
+export const isWorkingDay = (date, calendar) => {
+  const day = new Date(date);
+  return calendar.workingDays.includes(day.getDay()) && !getHolidaySet(calendar).has(toDayKey(day));
+};
+
+const addCalendarDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Avance jusqu'au premier jour ouvré (la date elle-même si elle est ouvrée)
+ * @param {Date|number} date
+ * @param {Object} calendar
+ * @returns {Date}
+ */
+export const nextWorkingDay = (date, calendar) => {
+  let current = new Date(date);
+  for (let i = 0; i < MAX_DAYS && !isWorkingDay(current, calendar); i += 1) {
+    current = addCalendarDays(current, 1);
+  }
+  return current;
+};
+
+/**
+ * Compte les jours ouvrés de l'intervalle [start, end[
+ * @param {Date|number} start
+ * @param {Date|number} end
+ * @param {Object} calendar
+ * @returns {number}
+ */
+export const countWorkingDays = (start, end, calendar) => {
+  const endTime = new Date(end).getTime();
+  let count = 0;
+  let current = new Date(start);
+
+  for (let i = 0; i < MAX_DAYS && current.getTime() < endTime; i += 1) {
+    if (isWorkingDay(current, calendar)) count += 1;
+    current = addCalendarDays(current, 1);
+  }
+
+  return count;
+};
+
+/**
+ * Ajoute (ou retranche) un nombre de jours ouvrés
+ * Ajouter n jours à un début donne la fin (exclue) d'une tâche de n jours
+ * @param {Date|number} date
+ * @param {number} days - Jours ouvrés, arrondis à l'entier
+ * @param {Object} calendar
+ * @returns {Date}
+ */
+export const addWorkingDays = (date, days, calendar) => {
+  let remaining = Math.round(Math.abs(days));
+  let current = new Date(date);
+
+  if (days >= 0) {
+    for (let i = 0; i < MAX_DAYS && remaining > 0; i += 1) {
+      if (isWorkingDay(current, calendar)) remaining -= 1;
+      current = addCalendarDays(current, 1);
+    }
+  } else {
+    for (let i = 0; i < MAX_DAYS && remaining > 0; i += 1) {
+      current = addCalendarDays(current, -1);
+      if (isWorkingDay(current, calendar)) remaining -= 1;
+    }
+  }
+
+  return current;
+};
+
+/**
+ * Périodes non travaillées entre deux dates (jours chômés consécutifs
+ * fusionnés ; avec withHours, également les heures hors horaires)
+ * @param {Date} start
+ * @param {Date} end
+ * @param {Object} calendar
+ * @param {Object} [options]
+ * @param {boolean} [options.withHours] - Inclure les nuits des jours ouvrés
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+export const getNonWorkingRanges = (start, end, calendar, { withHours = false } = {}) => {
+  const ranges = [];
+  const push = (from, to) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last.end.getTime() === from.getTime()) {
+      last.end = to;
+    } else {
+      ranges.push({ start: from, end: to });
+    }
+  };
+
+  let day = new Date(start);
+  day.setHours(0, 0, 0, 0);
+
+  for (let i = 0; i < MAX_DAYS && day < end; i += 1) {
+    const next = addCalendarDays(day, 1);
+    if (!isWorkingDay(day, calendar)) {
+      push(day, next);
+    } else if (withHours) {
+      const open = new Date(day.getFullYear(), day.getMonth(), day.getDate(), calendar.workStart);
+      const close = new Date(day.getFullYear(), day.getMonth(), day.getDate(), calendar.workEnd);
+      if (open > day) push(day, open);
+      if (close < next) push(close, next);
+    }
+    day = next;
+  }
+
+  return ranges;
+};
+
+/**
+ * Durée d'une tâche en jours ouvrés (jours calendaires sans calendrier)
+ * @param {Task} task
+ * @param {Object} [calendar]
+ * @returns {number}
+ */
+export const getTaskWorkingDays = (task, calendar) => {
+  const start = new Date(task.startDate);
+  const end = new Date(task.endDate);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) return 0;
+  if (!calendar) return Math.max(0, Math.round((end - start) / DAY_MS));
+  return countWorkingDays(start, end, calendar);
+};
@@ -0,0 +1,219 @@
+/**
+ * CHARGE DES RESSOURCES
+ * =====================
+ *
+ * Responsabilités :
+ * - Charge journalière de chaque ressource (somme des allocations)
+ * - Agrégation par jour ou par semaine pour l'histogramme de charge
+ * - Détection des sur-allocations (charge supérieure à la capacité)
+ *
+ * Une tâche ne charge ses ressources que les jours ouvrés de son projet.
+ * Les ressources de l'espace de travail sont partagées : leur charge cumule
+ * les tâches de tous les projets. Un jour d'absence (exception du calendrier)
+ * ramène la capacité de la ressource à 0 %.
+ */
+
+import { isMilestone } from './milestones';
+import { getTaskAssignments } from './resources';
+import {
+  normalizeCalendar,
+  getResourceCalendar,
+  isWorkingDay,
+  nextWorkingDay,
+  toDayKey
+} from './workingCalendar';
+
+export const WORKLOAD_UNITS = {
+  DAY: 'day',
+  WEEK: 'week'
+};
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const startOfWeek = (value) => {
+  const date = startOfDay(value);
+  return addDays(date, -((date.getDay() + 6) % 7));
+};
+
+/**
+ * Charge journalière des ressources sur l'ensemble des projets
+ * @param {Array<Project>} projects
+ * @returns {Map<string, Map<string, { load: number, taskIds: Set<string> }>>}
+ *   resourceId → (jour YYYY-MM-DD → charge en % et tâches concernées)
+ */
+export const computeResourceLoad = (projects) => {
+  const loads = new Map();
+
+  (projects || []).forEach(project => {
+    const calendar = normalizeCalendar(project.calendar);
+
+    (project.tasks || []).forEach(task => {
+      const assignments = getTaskAssignments(task);
+      if (assignments.length === 0 || isMilestone(task)) return;
+
+      const end = new Date(task.endDate).getTime();
+      for (let day = startOfDay(task.startDate); day.getTime() < end; day = addDays(day, 1)) {
+        if (!isWorkingDay(day, calendar)) continue;
+        const key = toDayKey(day);
+
+        assignments.forEach(({ resourceId, allocation }) => {
+          if (!loads.has(resourceId)) loads.set(resourceId, new Map());
+          const days = loads.get(resourceId);
+          if (!days.has(key)) days.set(key, { load: 0, taskIds: new Set() });
+          const entry = days.get(key);
+          entry.load += allocation;
+          entry.taskIds.add(task.id);
+        });
+      }
+    });
+  });
+
+  return loads;
+};
+
+/**
+ * Capacité d'une ressource un jour donné (0 les jours chômés ou d'absence)
+ * @param {Resource} resource
+ * @param {Date} day
+ * @param {Object} calendar - Calendrier normalisé du projet
+ * @returns {number} Capacité en %
+ */
+export const getDailyCapacity = (resource, day, calendar) =>
+  (isWorkingDay(day, getResourceCalendar(calendar, resource.id)) ? resource.capacity : 0);
+
+/**
+ * Histogramme de charge d'une ressource entre deux dates
+ * La charge d'une semaine est la moyenne de ses jours ouvrés ; la semaine est
+ * sur-allouée dès qu'un de ses jours l'est
+ * @param {Map<string, { load: number }>} dailyLoad - Entrée de computeResourceLoad
+ * @param {Resource} resource
+ * @param {Object} options
+ * @param {Date} options.start
+ * @param {Date} options.end
+ * @param {string} [options.unit] - WORKLOAD_UNITS.DAY ou WORKLOAD_UNITS.WEEK
+ * @param {Object} options.calendar - Calendrier normalisé du projet
+ * @returns {Array<{ start: Date, end: Date, load: number, capacity: number, overallocated: boolean }>}
+ */
+export const getWorkloadBuckets = (dailyLoad, resource, {
+  start,
+  end,
+  unit = WORKLOAD_UNITS.DAY,
+  calendar
+}) => {
+  const buckets = [];
+  const step = unit === WORKLOAD_UNITS.WEEK ? 7 : 1;
+  const first = unit === WORKLOAD_UNITS.WEEK ? startOfWeek(start) : startOfDay(start);
+
+  for (let bucketStart = first; bucketStart < end; bucketStart = addDays(bucketStart, step)) {
+    const bucketEnd = addDays(bucketStart, step);
+    let load = 0;
+    let capacity = 0;
+    let workingDays = 0;
+    let overallocated = false;
+
+    for (let day = bucketStart; day < bucketEnd; day = addDays(day, 1)) {
+      const dayLoad = dailyLoad?.get(toDayKey(day))?.load || 0;
+      const dayCapacity = getDailyCapacity(resource, day, calendar);
+      if (dayLoad > dayCapacity) overallocated = true;
+      if (isWorkingDay(day, calendar)) {
+        load += dayLoad;
+        capacity += dayCapacity;
+        workingDays += 1;
+      }
+    }
+
+    buckets.push({
+      start: bucketStart,
+      end: bucketEnd,
+      load: workingDays > 0 ? Math.round(load / workingDays) : 0,
+      capacity: workingDays > 0 ? Math.round(capacity / workingDays) : 0,
+      overallocated
+    });
+  }
+
+  return buckets;
+};
+
+/**
+ * Sur-allocations des ressources d'un projet
+ * Les jours sur-alloués consécutifs (à un week-end ou férié près) forment
+ * une seule période
+ * @param {Array<Project>} projects - Tous les projets (ressources partagées)
+ * @param {Array<Resource>} resources - Ressources à examiner
+ * @param {Project} project - Projet dont le calendrier fait référence
+ * @returns {Array<{ resourceId: string, resourceName: string, start: Date, end: Date,
+ *   peak: number, capacity: number, taskIds: Array<string> }>} Triées par date de début
+ */
+export const findOverallocations = (projects, resources, project) => {
+  const calendar = normalizeCalendar(project?.calendar);
+  const projectTaskIds = new Set((project?.tasks || []).map(task => task.id));
+  const loads = computeResourceLoad(projects);
+  const periods = [];
+
+  (resources || []).forEach(resource => {
+    const days = loads.get(resource.id);
+    if (!days) return;
+
+    let current = null;
+    [...days.keys()].sort().forEach(key => {
+      const { load, taskIds } = days.get(key);
+      const day = new Date(`${key}T00:00:00`);
+      const capacity = getDailyCapacity(resource, day, calendar);
+      if (load <= capacity) return;
+
+      const contiguous = current &&
+        toDayKey(nextWorkingDay(current.end, calendar)) === key;
+      if (contiguous) {
+        current.end = addDays(day, 1);
+        current.peak = Math.max(current.peak, load);
+        taskIds.forEach(id => current.taskIds.add(id));
+      } else {
+        current = {
+          resourceId: resource.id,
+          resourceName: resource.name,
+          start: day,
+          end: addDays(day, 1),
+          peak: load,
+          capacity: resource.capacity,
+          taskIds: new Set(taskIds)
+        };
+        periods.push(current);
+      }
+    });
+  });
+
+  // Seules les périodes impliquant une tâche du projet le concernent
+  return periods
+    .filter(period => [...period.taskIds].some(id => projectTaskIds.has(id)))
+    .map(period => ({ ...period, taskIds: [...period.taskIds] }))
+    .sort((a, b) => a.start - b.start);
+};
+
+const getPeriodDayKeys = (period) => {
+  const keys = [];
+  for (let day = startOfDay(period.start); day < period.end; day = addDays(day, 1)) {
+    keys.push(`${period.resourceId}|${toDayKey(day)}`);
+  }
+  return keys;
+};
+
+/**
+ * Sur-allocations apparues ou étendues entre deux relevés
+ * @param {Array<Object>} before - Résultat de findOverallocations avant modification
+ * @param {Array<Object>} after - Résultat après modification
+ * @returns {Array<Object>} Périodes de after couvrant au moins un nouveau jour sur-alloué
+ */
+export const getNewOverallocations = (before, after) => {
+  const known = new Set((before || []).flatMap(getPeriodDayKeys));
+  return (after || []).filter(period => getPeriodDayKeys(period).some(key => !known.has(key)));
+};
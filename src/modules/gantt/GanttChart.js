@@ -1,49 +1,674 @@
 /**
  * COMPOSANT GANTT CHART
  * =====================
- * - Affiche le diagramme de Gantt interactif
- * - Gère le zoom et le déplacement
+ * - Rendu SVG autonome du diagramme de Gantt (aucun accès réseau)
+ * - Barres, avancement, flèches de dépendances et axe du temps
+ * - Échelles de temps (heures → années), Ctrl + molette centré sur le curseur
+ * - Graduations rendues autour de la zone visible seulement
+ * - Repère « aujourd'hui » et défilement jusqu'à une date (ref)
+ * - Périodes non travaillées grisées selon le calendrier du projet
+ * - Plan hiérarchique : codes WBS, tâches récapitulatives repliables
+ * - Colonne « Ressource » avec les personnes affectées (si resources est fourni)
+ * - Plan de référence : barre fantôme sous chaque barre, colonne « Écart »
+ * - Déplacement / redimensionnement des barres à la souris
+ * - Tâches en cours d'enregistrement sur le serveur (contour pointillé)
+ * - Tracé des dépendances entre poignées, clic sur une flèche
  * - Expose des callbacks pour les interactions
  */
 
-import React, { useMemo, useCallback } from 'react';
-import { useProjects } from '../../store/projects';
-import { formatGanttData } from './ganttUtils';
+import React, {
+  forwardRef,
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState
+} from 'react';
+import PropTypes from 'prop-types';
+import { Box, IconButton, Typography, useTheme } from '@mui/material';
+import { ExpandMore as ExpandMoreIcon, ChevronRight as ChevronRightIcon } from '@mui/icons-material';
+import GanttTimeAxis from './components/GanttTimeAxis';
+import GanttTaskBar from './components/GanttTaskBar';
+import useBarDrag from './hooks/useBarDrag';
+import useDependencyDraw from './hooks/useDependencyDraw';
+import {
+  LAYOUT,
+  DEFAULT_ZOOM,
+  getZoomPreset,
+  getAdjacentZoom,
+  createPresetScale,
+  getSidePanelWidth,
+  getAxisTicks,
+  getViewportChunk,
+  getRenderRange,
+  getBarGeometry,
+  getBaselineGeometry,
+  getDependencyPath
+} from './utils/ganttLayout';
+import { safeDate, formatDependencyLabel } from './utils/ganttFormatter';
+import { getTaskOutline } from '../../core/utils/taskHierarchy';
+import { isMilestone } from '../../core/utils/milestones';
+import { getNonWorkingRanges, getTaskWorkingDays } from '../../core/utils/workingCalendar';
+import { formatAssignees } from '../../core/utils/resources';
+import { indexBaseline, getTaskVariance, formatVariance } from '../../core/utils/baselines';
 
-export default function GanttChart({ projectId }) {
-  const { getProjectById } = useProjects();
+// En deçà de cette largeur de jour, le grisage des jours chômés devient illisible
+const MIN_SHADED_DAY_WIDTH = 4;
 
-  // Mémoization des données formatées
-  const chartData = useMemo(() => {
-    const project = getProjectById(projectId);
-    return formatGanttData(project.tasks);
-  }, [projectId, getProjectById]);
+/**
+ * Texte de l'infobulle d'une tâche
+ */
+const buildTooltip = (task, tasks, calendar, resources, variance, pending) => {
+  const start = safeDate(task.startDate);
+  const end = safeDate(task.endDate);
+  const days = getTaskWorkingDays({ startDate: start, endDate: end }, calendar);
+  const lines = isMilestone(task)
+    ? [
+      task.name,
+      `Jalon: ${start.toLocaleDateString()}`,
+      (Number(task.completion) || 0) >= 100 ? 'Atteint' : 'Non atteint'
+    ]
+    : [
+      task.name,
+      `${start.toLocaleDateString()} → ${end.toLocaleDateString()} (${days} j${calendar ? ' ouvrés' : ''})`,
+      `Avancement: ${Math.round(Number(task.completion) || 0)}%`
+    ];
+
+  const assignees = resources ? formatAssignees(task, resources) : '';
+  if (assignees) {
+    lines.push(`Ressources: ${assignees}`);
+  }
+
+  if (variance) {
+    lines.push(`Écart / référence: début ${formatVariance(variance.start)}, fin ${formatVariance(variance.finish)}`);
+  }
+
+  if (task.dependencies?.length > 0) {
+    lines.push(`Dépend de: ${task.dependencies.map(dep => formatDependencyLabel(dep, tasks)).join(', ')}`);
+  }
+
+  if (pending) {
+    lines.push('Enregistrement sur le serveur en cours…');
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Couleur d'un écart de fin : retard en rouge, avance en vert
+ */
+const getVarianceColor = (variance) => {
+  if (!variance || variance.finish === 0) return 'text.secondary';
+  return variance.finish > 0 ? 'error.main' : 'success.main';
+};
+
+const GanttChart = forwardRef(function GanttChart({
+  tasks = [],
+  criticalTaskIds = [],
+  pendingTaskIds = [],
+  selectedTaskId = null,
+  onTaskSelect,
+  onTaskChange,
+  onDependencyCreate,
+  onDependencyClick,
+  zoomLevel = DEFAULT_ZOOM,
+  onZoomChange,
+  calendar = null,
+  resources = null,
+  baseline = null,
+  onScroll,
+  height = '100%'
+}, ref) {
+  const theme = useTheme();
+  const rowHeight = LAYOUT.rowHeight;
+  const sideWidth = getSidePanelWidth(Boolean(resources), Boolean(baseline));
+  const preset = getZoomPreset(zoomLevel);
+
+  // Échelle de temps (couvre toujours aujourd'hui et la référence)
+  const scale = useMemo(() => createPresetScale(tasks, preset, baseline), [tasks, preset, baseline]);
+
+  // Graduations et périodes chômées ne sont rendues qu'autour de la zone
+  // visible (tranche d'une largeur d'écran, voir getViewportChunk)
+  const [viewport, setViewport] = useState({ chunk: 0, width: 0 });
+  const renderRange = useMemo(
+    () => getRenderRange(scale, viewport.chunk, viewport.width),
+    [scale, viewport]
+  );
+  const ticks = useMemo(
+    () => getAxisTicks(scale, preset, calendar, renderRange),
+    [scale, preset, calendar, renderRange]
+  );
+
+  // Jours chômés (et heures hors horaires à l'échelle des heures)
+  const nonWorkingRanges = useMemo(() => (
+    calendar && preset.dayWidth >= MIN_SHADED_DAY_WIDTH
+      ? getNonWorkingRanges(renderRange.start, renderRange.end, calendar, { withHours: preset.key === 'hours' })
+      : []
+  ), [renderRange, preset, calendar]);
+
+  // Plan hiérarchique : seules les lignes dont aucun ancêtre n'est replié sont affichées
+  const [collapsedIds, setCollapsedIds] = useState(() => new Set());
+  const outline = useMemo(() => getTaskOutline(tasks), [tasks]);
+  const rows = useMemo(() => {
+    const hidden = new Set();
+    return outline.filter(row => {
+      if (row.parentId && hidden.has(row.parentId)) {
+        hidden.add(row.task.id);
+        return false;
+      }
+      if (collapsedIds.has(row.task.id)) hidden.add(row.task.id);
+      return true;
+    });
+  }, [outline, collapsedIds]);
+
+  const toggleCollapsed = (taskId) => {
+    setCollapsedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(taskId)) {
+        next.delete(taskId);
+      } else {
+        next.add(taskId);
+      }
+      return next;
+    });
+  };
+
+  // Géométrie des barres visibles indexée par ID de tâche
+  const bars = useMemo(() => {
+    const geometry = new Map();
+    rows.forEach(({ task }, index) => {
+      geometry.set(task.id, getBarGeometry(task, index, scale, { rowHeight }));
+    });
+    return geometry;
+  }, [rows, scale, rowHeight]);
+
+  // Référence affichée : entrées et écarts (en jours ouvrés) par tâche
+  const baselineEntries = useMemo(() => indexBaseline(baseline), [baseline]);
+  const variances = useMemo(() => {
+    const result = new Map();
+    if (!baseline) return result;
+    tasks.forEach(task => {
+      const variance = getTaskVariance(task, baselineEntries.get(task.id), calendar);
+      if (variance) result.set(task.id, variance);
+    });
+    return result;
+  }, [baseline, baselineEntries, tasks, calendar]);
+
+  // Flèches de dépendances (prédécesseur → successeur)
+  const arrows = useMemo(() => tasks.flatMap(task =>
+    (task.dependencies || [])
+      .map(dep => {
+        const predecessorId = typeof dep === 'string' ? dep : dep.taskId;
+        const from = bars.get(predecessorId);
+        const to = bars.get(task.id);
+        if (!from || !to) return null;
+        return {
+          key: `${predecessorId}-${task.id}-${dep.type}`,
+          taskId: task.id,
+          predecessorId,
+          path: getDependencyPath(from, to, dep.type, { rowHeight })
+        };
+      })
+      .filter(Boolean)
+  ), [tasks, bars, rowHeight]);
+
+  // Glisser-déposer (actif seulement si la vue fournit onTaskChange)
+  const { preview, startDrag } = useBarDrag({
+    scale,
+    onCommit: onTaskChange,
+    onClick: onTaskSelect
+  });
+  const previewTask = preview && tasks.find(task => task.id === preview.taskId);
+  const previewIndex = preview ? rows.findIndex(row => row.task.id === preview.taskId) : -1;
+  const previewGeometry = previewTask
+    ? getBarGeometry({ ...previewTask, ...preview }, previewIndex, scale, { rowHeight })
+    : null;
+
+  // Tracé de dépendances (actif seulement si la vue fournit onDependencyCreate)
+  const svgRef = useRef(null);
+  const { link, startLink } = useDependencyDraw({ svgRef, onConnect: onDependencyCreate });
+
+  // Défilement horizontal : la zone temporelle commence après la colonne des noms
+  const containerRef = useRef(null);
+  const zoomAnchorRef = useRef(null);
+
+  const scrollToDate = (date) => {
+    const container = containerRef.current;
+    if (!container) return;
+    const visibleWidth = container.clientWidth - sideWidth;
+    container.scrollTo({ left: Math.max(0, scale.toX(date) - visibleWidth / 2), behavior: 'smooth' });
+  };
 
-  // Gestion du clic sur une tâche
-  const handleTaskClick = useCallback((taskId) => {
-    console.log(`Tâche ${taskId} cliquée`);
-    // Navigation vers le détail de la tâche
-  }, []);
+  useImperativeHandle(ref, () => ({
+    scrollToDate,
+    scrollToToday: () => scrollToDate(new Date())
+  }));
+
+  // Ctrl + molette : change de préréglage en gardant la date sous le curseur
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || !onZoomChange) return undefined;
+
+    const handleWheel = (event) => {
+      if (!event.ctrlKey) return;
+      event.preventDefault();
+
+      const next = getAdjacentZoom(zoomLevel, event.deltaY < 0 ? 1 : -1);
+      if (next === preset.key) return;
+
+      const offset = Math.max(
+        sideWidth,
+        event.clientX - container.getBoundingClientRect().left
+      );
+      zoomAnchorRef.current = {
+        date: scale.toDate(container.scrollLeft + offset - sideWidth),
+        offset
+      };
+      onZoomChange(next);
+    };
+
+    // Écouteur non passif pour bloquer le zoom du navigateur
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  }, [zoomLevel, preset, scale, sideWidth, onZoomChange]);
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const anchor = zoomAnchorRef.current;
+    if (!container || !anchor) return;
+
+    zoomAnchorRef.current = null;
+    container.scrollLeft = scale.toX(anchor.date) + sideWidth - anchor.offset;
+  }, [scale, sideWidth]);
+
+  // Tranche visible : mise à jour au défilement, au redimensionnement et au
+  // changement d'échelle (les valeurs inchangées ne provoquent pas de rendu)
+  const updateViewport = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const width = Math.max(0, container.clientWidth - sideWidth);
+    const chunk = getViewportChunk(container.scrollLeft, width);
+    setViewport(current => (current.chunk === chunk && current.width === width ? current : { chunk, width }));
+  }, [sideWidth]);
+
+  useLayoutEffect(() => {
+    updateViewport();
+    window.addEventListener('resize', updateViewport);
+    return () => window.removeEventListener('resize', updateViewport);
+  }, [updateViewport, scale]);
+
+  const handleScroll = (event) => {
+    updateViewport();
+    if (onScroll) onScroll(event.currentTarget.scrollLeft);
+  };
+
+  const critical = useMemo(() => new Set(criticalTaskIds), [criticalTaskIds]);
+  const pending = useMemo(() => new Set(pendingTaskIds), [pendingTaskIds]);
+  const bodyHeight = Math.max(rows.length, 1) * rowHeight;
+  const todayX = scale.toX(new Date());
+
+  if (tasks.length === 0) {
+    return (
+      <Box sx={{ p: 3, textAlign: 'center' }}>
+        <Typography variant="body1" color="text.secondary">
+          Aucune tâche à afficher
+        </Typography>
+      </Box>
+    );
+  }
 
   return (
-    <div className="gantt-container">
-      {/* Implémentation réelle utiliserait une lib comme react-gantt-timeline */}
-      <div className="gantt-header">...</div>
-      <div className="gantt-body">
-        {chartData.map(task => (
-          <div 
-            key={task.id} 
-            className="gantt-task"
-            onClick={() => handleTaskClick(task.id)}
-            style={{
-              left: `${task.position}px`,
-              width: `${task.duration}px`
+    <Box
+      ref={containerRef}
+      className="gantt-svg-chart"
+      onScroll={handleScroll}
+      sx={{
+        height,
+        overflow: 'auto',
+        border: 1,
+        borderColor: 'divider',
+        bgcolor: 'background.paper'
+      }}
+    >
+      <Box sx={{ display: 'flex', width: sideWidth + scale.width }}>
+        {/* Colonne des noms de tâches */}
+        <Box
+          sx={{
+            position: 'sticky',
+            left: 0,
+            zIndex: 2,
+            width: sideWidth,
+            flexShrink: 0,
+            bgcolor: 'background.paper',
+            borderRight: 1,
+            borderColor: 'divider'
+          }}
+        >
+          <Box
+            sx={{
+              position: 'sticky',
+              top: 0,
+              zIndex: 3,
+              height: LAYOUT.headerHeight,
+              display: 'flex',
+              alignItems: 'center',
+              px: 1.5,
+              bgcolor: 'background.paper',
+              borderBottom: 1,
+              borderColor: 'divider'
             }}
           >
-            {task.name}
-          </div>
-        ))}
-      </div>
-    </div>
+            <Typography variant="subtitle2" sx={{ width: LAYOUT.labelWidth - 12 }}>Tâche</Typography>
+            {resources && (
+              <Typography variant="subtitle2" sx={{ width: LAYOUT.resourceWidth }}>Ressource</Typography>
+            )}
+            {baseline && <Typography variant="subtitle2">Écart</Typography>}
+          </Box>
+          {rows.map(({ task, level, wbs, isSummary }) => (
+            <Box
+              key={task.id}
+              onClick={() => onTaskSelect?.(task.id)}
+              sx={{
+                height: rowHeight,
+                display: 'flex',
+                alignItems: 'center',
+                gap: 0.5,
+                pl: 0.5 + level * 2,
+                pr: 1.5,
+                cursor: onTaskSelect ? 'pointer' : 'default',
+                bgcolor: task.id === selectedTaskId ? 'action.selected' : 'transparent',
+                borderBottom: 1,
+                borderColor: 'divider'
+              }}
+            >
+              {isSummary ? (
+                <IconButton
+                  size="small"
+                  sx={{ p: 0.25 }}
+                  aria-label={collapsedIds.has(task.id) ? 'Déplier' : 'Replier'}
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    toggleCollapsed(task.id);
+                  }}
+                >
+                  {collapsedIds.has(task.id)
+                    ? <ChevronRightIcon fontSize="small" />
+                    : <ExpandMoreIcon fontSize="small" />}
+                </IconButton>
+              ) : (
+                <Box sx={{ width: 24, flexShrink: 0 }} />
+              )}
+              <Typography variant="caption" color="text.secondary" sx={{ flexShrink: 0 }}>
+                {wbs}
+              </Typography>
+              <Typography
+                variant="body2"
+                noWrap
+                title={task.name}
+                sx={{ fontWeight: isSummary ? 600 : 400, flexGrow: 1 }}
+              >
+                {task.name}
+              </Typography>
+              {resources && (
+                <Typography
+                  variant="caption"
+                  color="text.secondary"
+                  noWrap
+                  title={formatAssignees(task, resources)}
+                  sx={{ width: LAYOUT.resourceWidth - 12, flexShrink: 0 }}
+                >
+                  {formatAssignees(task, resources) || '—'}
+                </Typography>
+              )}
+              {baseline && (
+                <Typography
+                  variant="caption"
+                  title="Écart de fin par rapport à la référence"
+                  color={getVarianceColor(variances.get(task.id))}
+                  sx={{ width: LAYOUT.varianceWidth - 12, flexShrink: 0, textAlign: 'right' }}
+                >
+                  {variances.has(task.id) ? formatVariance(variances.get(task.id).finish) : '—'}
+                </Typography>
+              )}
+            </Box>
+          ))}
+        </Box>
+
+        {/* Zone temporelle */}
+        <Box sx={{ flexShrink: 0, width: scale.width }}>
+          <Box sx={{ position: 'sticky', top: 0, zIndex: 1 }}>
+            <GanttTimeAxis
+              ticks={ticks}
+              width={scale.width}
+              height={LAYOUT.headerHeight}
+              todayX={todayX}
+            />
+          </Box>
+
+          <svg ref={svgRef} width={scale.width} height={bodyHeight} style={{ display: 'block' }}>
+            <defs>
+              <marker
+                id="gantt-arrow-head"
+                viewBox="0 0 10 10"
+                refX="9"
+                refY="5"
+                markerWidth="6"
+                markerHeight="6"
+                orient="auto"
+              >
+                <path d="M 0 0 L 10 5 L 0 10 z" fill={theme.palette.text.secondary} />
+              </marker>
+            </defs>
+
+            {/* Lignes de fond */}
+            {rows.map(({ task }, index) => (
+              <rect
+                key={`row-${task.id}`}
+                x={0}
+                y={index * rowHeight}
+                width={scale.width}
+                height={rowHeight}
+                fill={index % 2 === 0 ? theme.palette.background.paper : theme.palette.action.hover}
+              />
+            ))}
+
+            {/* Périodes non travaillées */}
+            {nonWorkingRanges.map(range => {
+              const x = scale.toX(range.start);
+              return (
+                <rect
+                  key={`off-${range.start.getTime()}`}
+                  x={x}
+                  y={0}
+                  width={Math.max(0, scale.toX(range.end) - x)}
+                  height={bodyHeight}
+                  fill={theme.palette.text.disabled}
+                  fillOpacity={0.08}
+                  pointerEvents="none"
+                />
+              );
+            })}
+
+            {/* Graduations verticales (niveau inférieur de l'axe) */}
+            {ticks.bottom.map(tick => (
+              <line
+                key={`grid-${tick.x}`}
+                x1={tick.x}
+                y1={0}
+                x2={tick.x}
+                y2={bodyHeight}
+                stroke={theme.palette.divider}
+                strokeOpacity={0.5}
+              />
+            ))}
+
+            {/* Aujourd'hui */}
+            <line
+              x1={todayX}
+              y1={0}
+              x2={todayX}
+              y2={bodyHeight}
+              stroke={theme.palette.warning.main}
+              strokeWidth={2}
+              strokeDasharray="4 3"
+            />
+
+            {/* Dépendances */}
+            {arrows.map(arrow => (
+              <g
+                key={arrow.key}
+                onClick={onDependencyClick ? () => onDependencyClick(arrow.taskId, arrow.predecessorId) : undefined}
+                style={{ cursor: onDependencyClick ? 'pointer' : 'default' }}
+              >
+                {/* Zone de clic élargie */}
+                {onDependencyClick && (
+                  <path d={arrow.path} fill="none" stroke="transparent" strokeWidth={8} />
+                )}
+                <path
+                  d={arrow.path}
+                  fill="none"
+                  stroke={theme.palette.text.secondary}
+                  strokeWidth={1.5}
+                  markerEnd="url(#gantt-arrow-head)"
+                />
+              </g>
+            ))}
+
+            {/* Barres fantômes de la référence */}
+            {baseline && rows.map(({ task }, index) => {
+              const entry = baselineEntries.get(task.id);
+              if (!entry) return null;
+              const ghost = getBaselineGeometry(entry, index, scale, { rowHeight });
+              return (
+                <rect
+                  key={`baseline-${task.id}`}
+                  x={ghost.x}
+                  y={ghost.y}
+                  width={ghost.width}
+                  height={ghost.height}
+                  rx={1}
+                  fill={theme.palette.text.secondary}
+                  fillOpacity={0.45}
+                  pointerEvents="none"
+                />
+              );
+            })}
+
+            {/* Barres */}
+            {rows.map(({ task, isSummary }) => (
+              <GanttTaskBar
+                key={task.id}
+                task={task}
+                summary={isSummary}
+                geometry={bars.get(task.id)}
+                tooltip={buildTooltip(task, tasks, calendar, resources, variances.get(task.id), pending.has(task.id))}
+                selected={task.id === selectedTaskId}
+                critical={critical.has(task.id)}
+                pending={pending.has(task.id)}
+                dragging={preview?.taskId === task.id}
+                linking={link !== null}
+                onSelect={onTaskSelect}
+                onDragStart={onTaskChange && !isSummary ? startDrag : undefined}
+                onLinkStart={onDependencyCreate ? startLink : undefined}
+              />
+            ))}
+
+            {/* Dépendance en cours de tracé */}
+            {link && (
+              <line
+                x1={link.x1}
+                y1={link.y1}
+                x2={link.x2}
+                y2={link.y2}
+                stroke={theme.palette.primary.dark}
+                strokeWidth={1.5}
+                strokeDasharray="4 3"
+                markerEnd="url(#gantt-arrow-head)"
+                pointerEvents="none"
+              />
+            )}
+
+            {/* Aperçu pendant le glisser */}
+            {previewGeometry && (
+              <g pointerEvents="none">
+                <rect
+                  x={previewGeometry.x}
+                  y={previewGeometry.y}
+                  width={previewGeometry.width}
+                  height={previewGeometry.height}
+                  rx={3}
+                  fill={theme.palette.primary.light}
+                  fillOpacity={0.5}
+                  stroke={theme.palette.primary.dark}
+                  strokeDasharray="4 2"
+                />
+                <text
+                  x={previewGeometry.x}
+                  y={previewGeometry.y - 4}
+                  fontSize={11}
+                  fill={theme.palette.text.primary}
+                >
+                  {`${preview.startDate.toLocaleDateString()} → ${preview.endDate.toLocaleDateString()}`}
+                </text>
+              </g>
+            )}
+          </svg>
+        </Box>
+      </Box>
+    </Box>
   );
-}
+});
+
+GanttChart.propTypes = {
+  tasks: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    startDate: PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.string, PropTypes.number]),
+    endDate: PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.string, PropTypes.number]),
+    completion: PropTypes.number,
+    dependencies: PropTypes.array,
+    parentId: PropTypes.string,
+    type: PropTypes.string,
+    assignments: PropTypes.arrayOf(PropTypes.shape({
+      resourceId: PropTypes.string.isRequired,
+      allocation: PropTypes.number
+    }))
+  })),
+  criticalTaskIds: PropTypes.arrayOf(PropTypes.string),
+  pendingTaskIds: PropTypes.arrayOf(PropTypes.string),
+  selectedTaskId: PropTypes.string,
+  onTaskSelect: PropTypes.func,
+  onTaskChange: PropTypes.func,
+  onDependencyCreate: PropTypes.func,
+  onDependencyClick: PropTypes.func,
+  zoomLevel: PropTypes.string,
+  onZoomChange: PropTypes.func,
+  calendar: PropTypes.shape({
+    workingDays: PropTypes.arrayOf(PropTypes.number).isRequired,
+    workStart: PropTypes.number.isRequired,
+    workEnd: PropTypes.number.isRequired,
+    holidays: PropTypes.arrayOf(PropTypes.shape({
+      date: PropTypes.string.isRequired,
+      name: PropTypes.string
+    })).isRequired
+  }),
+  resources: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  })),
+  baseline: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    tasks: PropTypes.arrayOf(PropTypes.shape({
+      taskId: PropTypes.string.isRequired,
+      startDate: PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.string]),
+      endDate: PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.string])
+    })).isRequired
+  }),
+  onScroll: PropTypes.func,
+  height: PropTypes.oneOfType([PropTypes.number, PropTypes.string])
+};
+
+export default GanttChart;
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  TextField,
+  IconButton,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  Radio
+} from '@mui/material';
+import { Delete as DeleteIcon } from '@mui/icons-material';
+
+/**
+ * Named baselines of a project: save the current plan, choose the one drawn
+ * in the Gantt, delete old ones
+ */
+const BaselineDialog = ({ open, baselines, activeBaselineId, onClose, onSave, onSelect, onDelete }) => {
+  const [name, setName] = useState('');
+
+  const handleSave = async () => {
+    await onSave(name.trim());
+    setName('');
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Plans de référence</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+          <TextField
+            label="Nom de la référence"
+            size="small"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={`Référence ${baselines.length + 1}`}
+            sx={{ flexGrow: 1 }}
+          />
+          <Button onClick={handleSave} disabled={!name.trim()}>
+            Enregistrer
+          </Button>
+        </Box>
+
+        <List dense sx={{ mt: 2 }}>
+          <ListItem disablePadding>
+            <ListItemButton onClick={() => onSelect(null)}>
+              <ListItemIcon>
+                <Radio edge="start" size="small" checked={!activeBaselineId} tabIndex={-1} />
+              </ListItemIcon>
+              <ListItemText primary="Aucune référence affichée" />
+            </ListItemButton>
+          </ListItem>
+          {baselines.map(baseline => (
+            <ListItem
+              key={baseline.id}
+              disablePadding
+              secondaryAction={
+                <IconButton edge="end" size="small" onClick={() => onDelete(baseline)}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              }
+            >
+              <ListItemButton onClick={() => onSelect(baseline.id)}>
+                <ListItemIcon>
+                  <Radio edge="start" size="small" checked={baseline.id === activeBaselineId} tabIndex={-1} />
+                </ListItemIcon>
+                <ListItemText
+                  primary={baseline.name}
+                  secondary={`${new Date(baseline.createdAt).toLocaleString()} · ${baseline.tasks.length} tâche(s)`}
+                />
+              </ListItemButton>
+            </ListItem>
+          ))}
+        </List>
+        {baselines.length === 0 && (
+          <Typography variant="body2" color="text.secondary">
+            Aucune référence enregistrée
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Fermer</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+BaselineDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  baselines: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    tasks: PropTypes.array.isRequired,
+    createdAt: PropTypes.oneOfType([PropTypes.instanceOf(Date), PropTypes.string])
+  })).isRequired,
+  activeBaselineId: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+export default BaselineDialog;
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useTheme } from '@mui/material';
+import { DRAG_MODES } from '../hooks/useBarDrag';
+import { CONNECTOR_SIDES } from '../hooks/useDependencyDraw';
+import { isMilestone } from '../../../core/utils/milestones';
+import { safeDate } from '../utils/ganttFormatter';
+
+const HANDLE_WIDTH = 6;
+const CONNECTOR_RADIUS = 4;
+const CONNECTOR_OFFSET = 8;
+
+/**
+ * Bracket shape of a summary bar: thin band with a point down at both ends
+ */
+const getSummaryPath = ({ x, y, width, height }) => {
+  const top = y + height / 3;
+  const band = y + height / 2;
+  const tip = Math.min(6, width / 2);
+  return `M ${x} ${top} H ${x + width} V ${y + height} L ${x + width - tip} ${band} H ${x + tip} L ${x} ${y + height} Z`;
+};
+
+const getDiamondPath = ({ x, y, width, height }) =>
+  `M ${x + width / 2} ${y} L ${x + width} ${y + height / 2} L ${x + width / 2} ${y + height} L ${x} ${y + height / 2} Z`;
+
+/**
+ * Single task bar with its completion overlay
+ * When onDragStart is provided the body moves the task and the edges resize it
+ * When onLinkStart is provided, connectors on both ends draw dependencies
+ * Summary tasks are drawn as a thin bracket spanning their children,
+ * milestones as a diamond that can only be moved
+ * Pending tasks (not yet saved on the server) get a dashed outline
+ */
+const GanttTaskBar = ({
+  task,
+  geometry,
+  tooltip,
+  selected = false,
+  critical = false,
+  summary = false,
+  dragging = false,
+  pending = false,
+  linking = false,
+  onSelect,
+  onDragStart,
+  onLinkStart
+}) => {
+  const theme = useTheme();
+  const [hovered, setHovered] = useState(false);
+  const { x, y, width, height, progressWidth } = geometry;
+  const color = critical ? theme.palette.error.main : theme.palette.primary.main;
+  const draggable = Boolean(onDragStart);
+  const milestone = isMilestone(task);
+  const connectable = Boolean(onLinkStart);
+  const dashArray = pending ? '4 2' : undefined;
+  const connectors = [
+    { side: CONNECTOR_SIDES.START, cx: x - CONNECTOR_OFFSET },
+    { side: CONNECTOR_SIDES.END, cx: x + width + CONNECTOR_OFFSET }
+  ];
+
+  return (
+    <g
+      data-task-id={task.id}
+      onPointerEnter={connectable ? () => setHovered(true) : undefined}
+      onPointerLeave={connectable ? () => setHovered(false) : undefined}
+      onClick={draggable ? undefined : () => onSelect?.(task.id)}
+      onPointerDown={draggable ? (event) => onDragStart(event, task, DRAG_MODES.MOVE) : undefined}
+      opacity={dragging ? 0.4 : 1}
+      style={{
+        cursor: draggable ? 'grab' : (onSelect ? 'pointer' : 'default'),
+        touchAction: draggable ? 'none' : 'auto'
+      }}
+    >
+      <title>{tooltip}</title>
+      {milestone && (
+        <path
+          d={getDiamondPath(geometry)}
+          fill={(Number(task.completion) || 0) >= 100 ? color : theme.palette.background.paper}
+          stroke={selected ? theme.palette.text.primary : color}
+          strokeWidth={selected ? 2.5 : 2}
+          strokeDasharray={dashArray}
+        />
+      )}
+      {!milestone && summary && (
+        <path
+          d={getSummaryPath(geometry)}
+          fill={critical ? color : theme.palette.text.primary}
+          stroke={selected || pending ? theme.palette.text.primary : 'none'}
+          strokeWidth={selected ? 2 : (pending ? 1 : 0)}
+          strokeDasharray={dashArray}
+        />
+      )}
+      {!milestone && !summary && (
+        <>
+          <rect
+            x={x}
+            y={y}
+            width={width}
+            height={height}
+            rx={3}
+            fill={color}
+            fillOpacity={0.35}
+            stroke={selected ? theme.palette.text.primary : color}
+            strokeWidth={selected ? 2 : 1}
+            strokeDasharray={dashArray}
+          />
+          {progressWidth > 0 && (
+            <rect
+              x={x}
+              y={y}
+              width={progressWidth}
+              height={height}
+              rx={3}
+              fill={color}
+            />
+          )}
+        </>
+      )}
+      {draggable && !milestone && (
+        <>
+          <rect
+            x={x - HANDLE_WIDTH / 2}
+            y={y}
+            width={HANDLE_WIDTH}
+            height={height}
+            fill="transparent"
+            style={{ cursor: 'ew-resize' }}
+            onPointerDown={(event) => onDragStart(event, task, DRAG_MODES.RESIZE_START)}
+          />
+          <rect
+            x={x + width - HANDLE_WIDTH / 2}
+            y={y}
+            width={HANDLE_WIDTH}
+            height={height}
+            fill="transparent"
+            style={{ cursor: 'ew-resize' }}
+            onPointerDown={(event) => onDragStart(event, task, DRAG_MODES.RESIZE_END)}
+          />
+        </>
+      )}
+      {connectable && connectors.map(({ side, cx }) => (
+        <circle
+          key={side}
+          data-task-id={task.id}
+          data-side={side}
+          cx={cx}
+          cy={y + height / 2}
+          r={CONNECTOR_RADIUS}
+          fill={theme.palette.background.paper}
+          stroke={theme.palette.primary.dark}
+          strokeWidth={1.5}
+          opacity={hovered || linking ? 1 : 0}
+          style={{ cursor: 'crosshair' }}
+          onPointerDown={(event) => onLinkStart(event, task, side, { x: cx, y: y + height / 2 })}
+        />
+      ))}
+      <text
+        x={x + width + (connectable ? CONNECTOR_OFFSET * 2 : 6)}
+        y={y + height / 2}
+        dominantBaseline="middle"
+        fontSize={12}
+        fill={theme.palette.text.secondary}
+      >
+        {milestone
+          ? safeDate(task.startDate).toLocaleDateString()
+          : `${Math.round(Number(task.completion) || 0)}%`}
+      </text>
+    </g>
+  );
+};
+
+GanttTaskBar.propTypes = {
+  task: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    type: PropTypes.string,
+    completion: PropTypes.number
+  }).isRequired,
+  geometry: PropTypes.shape({
+    x: PropTypes.number.isRequired,
+    y: PropTypes.number.isRequired,
+    width: PropTypes.number.isRequired,
+    height: PropTypes.number.isRequired,
+    progressWidth: PropTypes.number.isRequired
+  }).isRequired,
+  tooltip: PropTypes.string,
+  selected: PropTypes.bool,
+  critical: PropTypes.bool,
+  summary: PropTypes.bool,
+  dragging: PropTypes.bool,
+  pending: PropTypes.bool,
+  linking: PropTypes.bool,
+  onSelect: PropTypes.func,
+  onDragStart: PropTypes.func,
+  onLinkStart: PropTypes.func
+};
+
+export default GanttTaskBar;
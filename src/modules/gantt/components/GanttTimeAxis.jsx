@@ -0,0 +1,87 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useTheme } from '@mui/material';
+
+const MIN_LABEL_WIDTH = 12;
+
+/**
+ * Two-tier time axis drawn above the Gantt rows (e.g. months over days)
+ * Bottom labels are hidden when their tick is too narrow to hold them
+ */
+const GanttTimeAxis = ({ ticks, width, height, todayX }) => {
+  const theme = useTheme();
+  const tierHeight = height / 2;
+
+  return (
+    <svg width={width} height={height} style={{ display: 'block' }}>
+      <rect x={0} y={0} width={width} height={height} fill={theme.palette.background.paper} />
+
+      {ticks.top.map((tick) => (
+        <g key={`top-${tick.x}`}>
+          <line x1={tick.x} y1={0} x2={tick.x} y2={tierHeight} stroke={theme.palette.divider} />
+          <text
+            x={tick.x + 6}
+            y={tierHeight / 2}
+            dominantBaseline="middle"
+            fontSize={12}
+            fontWeight={500}
+            fill={theme.palette.text.primary}
+          >
+            {tick.label}
+          </text>
+        </g>
+      ))}
+
+      {ticks.bottom.map((tick) => (
+        <g key={`bottom-${tick.x}`}>
+          <line x1={tick.x} y1={tierHeight} x2={tick.x} y2={height} stroke={theme.palette.divider} />
+          {tick.width >= MIN_LABEL_WIDTH && (
+            <text
+              x={tick.x + tick.width / 2}
+              y={tierHeight + tierHeight / 2}
+              dominantBaseline="middle"
+              textAnchor="middle"
+              fontSize={11}
+              fill={tick.nonWorking ? theme.palette.text.disabled : theme.palette.text.secondary}
+            >
+              {tick.label}
+            </text>
+          )}
+        </g>
+      ))}
+
+      {todayX !== undefined && todayX >= 0 && todayX <= width && (
+        <path
+          d={`M ${todayX - 5} ${height - 6} L ${todayX + 5} ${height - 6} L ${todayX} ${height} z`}
+          fill={theme.palette.warning.main}
+        >
+          <title>Aujourd&apos;hui</title>
+        </path>
+      )}
+
+      <line x1={0} y1={tierHeight} x2={width} y2={tierHeight} stroke={theme.palette.divider} />
+      <line x1={0} y1={height - 0.5} x2={width} y2={height - 0.5} stroke={theme.palette.divider} />
+    </svg>
+  );
+};
+
+GanttTimeAxis.propTypes = {
+  ticks: PropTypes.shape({
+    top: PropTypes.arrayOf(PropTypes.shape({
+      x: PropTypes.number.isRequired,
+      width: PropTypes.number.isRequired,
+      label: PropTypes.string.isRequired
+    })).isRequired,
+    bottom: PropTypes.arrayOf(PropTypes.shape({
+      x: PropTypes.number.isRequired,
+      width: PropTypes.number.isRequired,
+      label: PropTypes.string.isRequired,
+      nonWorking: PropTypes.bool
+    })).isRequired
+  }).isRequired,
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  todayX: PropTypes.number
+};
+
+export default GanttTimeAxis;
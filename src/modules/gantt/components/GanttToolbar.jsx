@@ -9,7 +9,9 @@ import {
   useTheme,
   useMediaQuery,
   Typography,
-  Chip
+  Chip,
+  TextField,
+  MenuItem
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -17,8 +19,16 @@ import {
   ZoomOut as ZoomOutIcon,
   Today as TodayIcon,
   FilterList as FilterIcon,
-  AccountTree as DependencyIcon
+  AccountTree as DependencyIcon,
+  CalendarMonth as CalendarIcon,
+  Groups as ResourcesIcon,
+  BarChart as WorkloadIcon,
+  Balance as LevelIcon,
+  BookmarkBorder as BaselineIcon,
+  Undo as UndoIcon,
+  Redo as RedoIcon
 } from '@mui/icons-material';
+import { ZOOM_PRESETS, DEFAULT_ZOOM, getZoomPreset } from '../utils/ganttLayout';
 
 const GanttToolbar = ({ 
   onAddTask, 
@@ -27,7 +37,20 @@ const GanttToolbar = ({
   onToday, 
   onFilter,
   onDependencies,
-  zoomLevel = 100
+  onCalendar,
+  onResources,
+  onWorkload,
+  workloadOpen = false,
+  onLevel,
+  onBaselines,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  undoLabel = null,
+  redoLabel = null,
+  onZoomChange,
+  zoomLevel = DEFAULT_ZOOM
 }) => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
@@ -43,15 +66,35 @@ const GanttToolbar = ({
         borderColor: 'divider'
       }}
     >
-      <Button
-        variant="contained"
-        color="primary"
-        startIcon={<AddIcon />}
-        onClick={onAddTask}
-        size={isMobile ? 'small' : 'medium'}
-      >
-        {!isMobile && 'Nouvelle Tâche'}
-      </Button>
+      <Stack direction="row" spacing={1} alignItems="center">
+        <Button
+          variant="contained"
+          color="primary"
+          startIcon={<AddIcon />}
+          onClick={onAddTask}
+          size={isMobile ? 'small' : 'medium'}
+        >
+          {!isMobile && 'Nouvelle Tâche'}
+        </Button>
+        {onUndo && (
+          <Tooltip title={undoLabel ? `Annuler : ${undoLabel} (Ctrl+Z)` : 'Annuler (Ctrl+Z)'}>
+            <span>
+              <IconButton onClick={onUndo} disabled={!canUndo} size={isMobile ? 'small' : 'medium'}>
+                <UndoIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+        )}
+        {onRedo && (
+          <Tooltip title={redoLabel ? `Rétablir : ${redoLabel} (Ctrl+Maj+Z)` : 'Rétablir (Ctrl+Maj+Z)'}>
+            <span>
+              <IconButton onClick={onRedo} disabled={!canRedo} size={isMobile ? 'small' : 'medium'}>
+                <RedoIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+        )}
+      </Stack>
 
       <Stack direction="row" spacing={1} alignItems="center">
         <Tooltip title="Zoom avant">
@@ -60,14 +103,29 @@ const GanttToolbar = ({
           </IconButton>
         </Tooltip>
         
-        {!isMobile && (
+        {!isMobile && (onZoomChange ? (
+          <TextField
+            select
+            size="small"
+            value={getZoomPreset(zoomLevel).key}
+            onChange={(e) => onZoomChange(e.target.value)}
+            sx={{ minWidth: 130 }}
+            inputProps={{ 'aria-label': 'Échelle de temps' }}
+          >
+            {ZOOM_PRESETS.map(preset => (
+              <MenuItem key={preset.key} value={preset.key}>
+                {preset.label}
+              </MenuItem>
+            ))}
+          </TextField>
+        ) : (
           <Chip 
             size="small" 
-            label={`${zoomLevel}%`}
+            label={getZoomPreset(zoomLevel).label}
             color="primary"
             variant="outlined"
           />
-        )}
+        ))}
         
         <Tooltip title="Zoom arrière">
           <IconButton onClick={onZoomOut} size={isMobile ? 'small' : 'medium'}>
@@ -91,6 +149,45 @@ const GanttToolbar = ({
             </IconButton>
           </Tooltip>
         )}
+        {onResources && (
+          <Tooltip title="Ressources">
+            <IconButton onClick={onResources} size={isMobile ? 'small' : 'medium'}>
+              <ResourcesIcon />
+            </IconButton>
+          </Tooltip>
+        )}
+        {onWorkload && (
+          <Tooltip title={workloadOpen ? 'Masquer la charge des ressources' : 'Charge des ressources'}>
+            <IconButton
+              onClick={onWorkload}
+              color={workloadOpen ? 'primary' : 'default'}
+              size={isMobile ? 'small' : 'medium'}
+            >
+              <WorkloadIcon />
+            </IconButton>
+          </Tooltip>
+        )}
+        {onLevel && (
+          <Tooltip title="Niveler les ressources">
+            <IconButton onClick={onLevel} size={isMobile ? 'small' : 'medium'}>
+              <LevelIcon />
+            </IconButton>
+          </Tooltip>
+        )}
+        {onBaselines && (
+          <Tooltip title="Plans de référence">
+            <IconButton onClick={onBaselines} size={isMobile ? 'small' : 'medium'}>
+              <BaselineIcon />
+            </IconButton>
+          </Tooltip>
+        )}
+        {onCalendar && (
+          <Tooltip title="Calendrier de travail">
+            <IconButton onClick={onCalendar} size={isMobile ? 'small' : 'medium'}>
+              <CalendarIcon />
+            </IconButton>
+          </Tooltip>
+        )}
       </Stack>
     </Box>
   );
@@ -103,7 +200,20 @@ GanttToolbar.propTypes = {
   onToday: PropTypes.func.isRequired,
   onFilter: PropTypes.func.isRequired,
   onDependencies: PropTypes.func,
-  zoomLevel: PropTypes.number
+  onCalendar: PropTypes.func,
+  onResources: PropTypes.func,
+  onWorkload: PropTypes.func,
+  workloadOpen: PropTypes.bool,
+  onLevel: PropTypes.func,
+  onBaselines: PropTypes.func,
+  onUndo: PropTypes.func,
+  onRedo: PropTypes.func,
+  canUndo: PropTypes.bool,
+  canRedo: PropTypes.bool,
+  undoLabel: PropTypes.string,
+  redoLabel: PropTypes.string,
+  onZoomChange: PropTypes.func,
+  zoomLevel: PropTypes.oneOf(ZOOM_PRESETS.map(preset => preset.key))
 };
 
 export default GanttToolbar;
@@ -0,0 +1,100 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Alert,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const renderShift = (before, after) => (
+  formatDate(before) === formatDate(after)
+    ? formatDate(after)
+    : `${formatDate(before)} → ${formatDate(after)}`
+);
+
+/**
+ * Preview of a resource leveling plan: proposed date changes as a diff,
+ * remaining over-allocations, apply in one step
+ */
+const LevelingDialog = ({ open, plan, onClose, onApply }) => {
+  const changes = plan?.changes || [];
+  const unresolved = plan?.unresolved || [];
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Nivellement des ressources</DialogTitle>
+      <DialogContent>
+        {changes.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Aucun changement proposé
+          </Typography>
+        ) : (
+          <Table size="small" sx={{ mb: 2 }}>
+            <TableHead>
+              <TableRow>
+                <TableCell>Tâche</TableCell>
+                <TableCell>Début</TableCell>
+                <TableCell>Fin</TableCell>
+                <TableCell align="right">Retard</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {changes.map(change => (
+                <TableRow key={change.taskId}>
+                  <TableCell>{change.name}</TableCell>
+                  <TableCell>{renderShift(change.before.startDate, change.after.startDate)}</TableCell>
+                  <TableCell>{renderShift(change.before.endDate, change.after.endDate)}</TableCell>
+                  <TableCell align="right">+{change.delayDays} j ouvrés</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {unresolved.length > 0 && (
+          <Alert severity="warning">
+            Sur-allocation(s) non résolue(s) sans repousser la fin du projet :{' '}
+            {unresolved.map(period =>
+              `${period.resourceName} (${formatDate(period.start)})`
+            ).join(', ')}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Annuler</Button>
+        <Button variant="contained" onClick={onApply} disabled={changes.length === 0}>
+          Appliquer
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+LevelingDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  plan: PropTypes.shape({
+    changes: PropTypes.arrayOf(PropTypes.shape({
+      taskId: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      before: PropTypes.object.isRequired,
+      after: PropTypes.object.isRequired,
+      delayDays: PropTypes.number
+    })),
+    unresolved: PropTypes.array
+  }),
+  onClose: PropTypes.func.isRequired,
+  onApply: PropTypes.func.isRequired
+};
+
+export default LevelingDialog;
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  TextField,
+  MenuItem,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  InputAdornment
+} from '@mui/material';
+import { Delete as DeleteIcon } from '@mui/icons-material';
+import { RESOURCE_TYPES, RESOURCE_TYPE_LABELS } from '../../../core/utils/resources';
+
+const SCOPES = {
+  WORKSPACE: 'workspace',
+  PROJECT: 'project'
+};
+
+const EMPTY_RESOURCE = {
+  name: '',
+  type: RESOURCE_TYPES.PERSON,
+  email: '',
+  capacity: 100,
+  scope: SCOPES.PROJECT
+};
+
+/**
+ * Lists the resources available to a project (workspace pool and project pool)
+ * and lets the user add or remove them
+ */
+const ResourcePoolDialog = ({ open, projectId, resources, onClose, onCreate, onDelete }) => {
+  const [draft, setDraft] = useState(EMPTY_RESOURCE);
+
+  const handleCreate = async () => {
+    const { scope, ...resource } = draft;
+    await onCreate({
+      ...resource,
+      capacity: Number(resource.capacity),
+      projectId: scope === SCOPES.PROJECT ? projectId : null
+    });
+    setDraft(prev => ({ ...EMPTY_RESOURCE, type: prev.type, scope: prev.scope }));
+  };
+
+  const renderList = (title, list) => (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle2">{title}</Typography>
+      {list.length > 0 ? (
+        <List dense>
+          {list.map(resource => (
+            <ListItem
+              key={resource.id}
+              secondaryAction={
+                <IconButton edge="end" size="small" onClick={() => onDelete(resource)}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              }
+            >
+              <ListItemText
+                primary={resource.name}
+                secondary={[resource.email, resource.capacity < 100 ? `${resource.capacity} %` : '']
+                  .filter(Boolean)
+                  .join(' · ') || null}
+              />
+              <Chip size="small" variant="outlined" label={RESOURCE_TYPE_LABELS[resource.type]} sx={{ mr: 2 }} />
+            </ListItem>
+          ))}
+        </List>
+      ) : (
+        <Typography variant="body2" color="text.secondary">Aucune ressource</Typography>
+      )}
+    </Box>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Ressources</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+          <TextField
+            label="Nom"
+            size="small"
+            value={draft.name}
+            onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+            sx={{ flex: '1 1 160px' }}
+          />
+          <TextField
+            select
+            label="Type"
+            size="small"
+            value={draft.type}
+            onChange={(e) => setDraft(prev => ({ ...prev, type: e.target.value }))}
+            sx={{ width: 140 }}
+          >
+            {Object.values(RESOURCE_TYPES).map(type => (
+              <MenuItem key={type} value={type}>{RESOURCE_TYPE_LABELS[type]}</MenuItem>
+            ))}
+          </TextField>
+          {draft.type === RESOURCE_TYPES.PERSON && (
+            <TextField
+              label="E-mail"
+              size="small"
+              value={draft.email}
+              onChange={(e) => setDraft(prev => ({ ...prev, email: e.target.value }))}
+              sx={{ flex: '1 1 160px' }}
+            />
+          )}
+          <TextField
+            label="Capacité"
+            type="number"
+            size="small"
+            value={draft.capacity}
+            onChange={(e) => setDraft(prev => ({ ...prev, capacity: e.target.value }))}
+            InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+            inputProps={{ min: 1, max: 100 }}
+            sx={{ width: 110 }}
+          />
+          <TextField
+            select
+            label="Disponible pour"
+            size="small"
+            value={draft.scope}
+            onChange={(e) => setDraft(prev => ({ ...prev, scope: e.target.value }))}
+            sx={{ width: 180 }}
+          >
+            <MenuItem value={SCOPES.PROJECT}>Ce projet</MenuItem>
+            <MenuItem value={SCOPES.WORKSPACE}>Tous les projets</MenuItem>
+          </TextField>
+          <Button onClick={handleCreate} disabled={!draft.name.trim()}>
+            Ajouter
+          </Button>
+        </Box>
+
+        {renderList('Ressources du projet', resources.filter(r => r.projectId === projectId))}
+        {renderList('Ressources partagées', resources.filter(r => !r.projectId))}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Fermer</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+ResourcePoolDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  projectId: PropTypes.string.isRequired,
+  resources: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    type: PropTypes.string,
+    email: PropTypes.string,
+    capacity: PropTypes.number,
+    projectId: PropTypes.string
+  })).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onCreate: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+export default ResourcePoolDialog;
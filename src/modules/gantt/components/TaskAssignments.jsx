@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Box,
+  Typography,
+  TextField,
+  MenuItem,
+  IconButton,
+  InputAdornment,
+  Tooltip
+} from '@mui/material';
+import { Add as AddIcon, Close as CloseIcon } from '@mui/icons-material';
+import { MAX_ALLOCATION, resolveAssignees } from '../../../core/utils/resources';
+
+/**
+ * Assignments of a task: allocation per resource, add / remove a resource
+ */
+const TaskAssignments = ({ task, resources, onAssign, onAllocationChange, onUnassign }) => {
+  const [resourceId, setResourceId] = useState('');
+  const assignees = resolveAssignees(task, resources);
+  const available = resources.filter(resource => !assignees.some(a => a.resource.id === resource.id));
+
+  const handleAssign = () => {
+    if (!resourceId) return;
+    onAssign(task.id, resourceId, 100);
+    setResourceId('');
+  };
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="caption" display="block" gutterBottom>
+        Ressources ({assignees.length}):
+      </Typography>
+
+      {assignees.map(({ resource, allocation }) => (
+        <Box key={resource.id} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+          <Typography variant="body2" noWrap sx={{ flexGrow: 1 }} title={resource.name}>
+            {resource.name}
+          </Typography>
+          <TextField
+            type="number"
+            size="small"
+            defaultValue={allocation}
+            onBlur={(e) => {
+              const value = Number(e.target.value);
+              if (value !== allocation) onAllocationChange(task.id, resource.id, value);
+            }}
+            InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+            inputProps={{ min: 0, max: MAX_ALLOCATION, 'aria-label': `Allocation de ${resource.name}` }}
+            sx={{ width: 96 }}
+          />
+          <Tooltip title="Retirer">
+            <IconButton size="small" onClick={() => onUnassign(task.id, resource.id)}>
+              <CloseIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      ))}
+
+      {available.length > 0 && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <TextField
+            select
+            size="small"
+            label="Affecter"
+            value={resourceId}
+            onChange={(e) => setResourceId(e.target.value)}
+            sx={{ flexGrow: 1 }}
+          >
+            {available.map(resource => (
+              <MenuItem key={resource.id} value={resource.id}>{resource.name}</MenuItem>
+            ))}
+          </TextField>
+          <Tooltip title="Affecter la ressource">
+            <span>
+              <IconButton size="small" onClick={handleAssign} disabled={!resourceId}>
+                <AddIcon fontSize="small" />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+TaskAssignments.propTypes = {
+  task: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    assignments: PropTypes.array
+  }).isRequired,
+  resources: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  })).isRequired,
+  onAssign: PropTypes.func.isRequired,
+  onAllocationChange: PropTypes.func.isRequired,
+  onUnassign: PropTypes.func.isRequired
+};
+
+export default TaskAssignments;
@@ -0,0 +1,184 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  TextField,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import { Delete as DeleteIcon } from '@mui/icons-material';
+import { DatePicker } from '@mui/x-date-pickers';
+import { LocalizationProvider } from '@mui/x-date-pickers';
+import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
+import { normalizeCalendar, toDayKey } from '../../../core/utils/workingCalendar';
+
+// Monday first, values follow Date#getDay
+const WEEK_DAYS = [
+  { value: 1, label: 'Lun' },
+  { value: 2, label: 'Mar' },
+  { value: 3, label: 'Mer' },
+  { value: 4, label: 'Jeu' },
+  { value: 5, label: 'Ven' },
+  { value: 6, label: 'Sam' },
+  { value: 0, label: 'Dim' }
+];
+
+/**
+ * Edits a project working calendar: working weekdays, daily hours and holidays
+ * Resource exceptions are kept untouched
+ */
+const WorkingCalendarDialog = ({ open, calendar, onClose, onSave }) => {
+  const [draft, setDraft] = useState(() => normalizeCalendar(calendar));
+  const [holiday, setHoliday] = useState({ date: null, name: '' });
+
+  // Restart from the stored calendar each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setDraft(normalizeCalendar(calendar));
+      setHoliday({ date: null, name: '' });
+    }
+  }, [open, calendar]);
+
+  const toggleDay = (day) => {
+    setDraft(prev => ({
+      ...prev,
+      workingDays: prev.workingDays.includes(day)
+        ? prev.workingDays.filter(d => d !== day)
+        : [...prev.workingDays, day]
+    }));
+  };
+
+  const handleAddHoliday = () => {
+    if (!holiday.date || isNaN(holiday.date.getTime())) return;
+    const date = toDayKey(holiday.date);
+    setDraft(prev => ({
+      ...prev,
+      holidays: [...prev.holidays.filter(h => h.date !== date), { date, name: holiday.name.trim() }]
+        .sort((a, b) => a.date.localeCompare(b.date))
+    }));
+    setHoliday({ date: null, name: '' });
+  };
+
+  const handleRemoveHoliday = (date) => {
+    setDraft(prev => ({ ...prev, holidays: prev.holidays.filter(h => h.date !== date) }));
+  };
+
+  const hoursInvalid = draft.workEnd <= draft.workStart;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Calendrier de travail</DialogTitle>
+      <DialogContent>
+        <Typography variant="subtitle2" sx={{ mt: 1 }}>Jours ouvrés</Typography>
+        <FormGroup row>
+          {WEEK_DAYS.map(day => (
+            <FormControlLabel
+              key={day.value}
+              control={
+                <Checkbox
+                  checked={draft.workingDays.includes(day.value)}
+                  onChange={() => toggleDay(day.value)}
+                  disabled={draft.workingDays.length === 1 && draft.workingDays.includes(day.value)}
+                />
+              }
+              label={day.label}
+            />
+          ))}
+        </FormGroup>
+
+        <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>Horaires</Typography>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <TextField
+            label="Début (h)"
+            type="number"
+            size="small"
+            value={draft.workStart}
+            onChange={(e) => setDraft(prev => ({ ...prev, workStart: Number(e.target.value) }))}
+            inputProps={{ min: 0, max: 24 }}
+          />
+          <TextField
+            label="Fin (h)"
+            type="number"
+            size="small"
+            value={draft.workEnd}
+            onChange={(e) => setDraft(prev => ({ ...prev, workEnd: Number(e.target.value) }))}
+            inputProps={{ min: 0, max: 24 }}
+            error={hoursInvalid}
+            helperText={hoursInvalid ? 'La fin doit suivre le début' : ''}
+          />
+        </Box>
+
+        <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>Jours fériés et fermetures</Typography>
+        <LocalizationProvider dateAdapter={AdapterDateFns}>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+            <DatePicker
+              label="Date"
+              value={holiday.date}
+              onChange={(date) => setHoliday(prev => ({ ...prev, date }))}
+              slotProps={{ textField: { size: 'small' } }}
+            />
+            <TextField
+              label="Libellé"
+              size="small"
+              value={holiday.name}
+              onChange={(e) => setHoliday(prev => ({ ...prev, name: e.target.value }))}
+            />
+            <Button onClick={handleAddHoliday} disabled={!holiday.date}>
+              Ajouter
+            </Button>
+          </Box>
+        </LocalizationProvider>
+
+        {draft.holidays.length > 0 ? (
+          <List dense>
+            {draft.holidays.map(h => (
+              <ListItem
+                key={h.date}
+                secondaryAction={
+                  <IconButton edge="end" size="small" onClick={() => handleRemoveHoliday(h.date)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                }
+              >
+                <ListItemText
+                  primary={new Date(`${h.date}T00:00:00`).toLocaleDateString()}
+                  secondary={h.name || null}
+                />
+              </ListItem>
+            ))}
+          </List>
+        ) : (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            Aucun jour férié défini
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Annuler</Button>
+        <Button variant="contained" onClick={() => onSave(draft)} disabled={hoursInvalid}>
+          Enregistrer
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+WorkingCalendarDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  calendar: PropTypes.object,
+  onClose: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired
+};
+
+export default WorkingCalendarDialog;
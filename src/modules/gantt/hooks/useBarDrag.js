@@ -0,0 +1,129 @@
+/**
+ * HOOK DE GLISSER-DÉPOSER DES BARRES
+ * ==================================
+ * - Déplacement horizontal d'une barre (décale début et fin)
+ * - Redimensionnement par le bord gauche (début) ou droit (fin)
+ * - Aimantation sur l'unité de la graduation courante
+ * - Aperçu en direct, validation au relâchement, Échap pour annuler
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { safeDate } from '../utils/ganttFormatter';
+import { DAY_MS } from '../utils/ganttLayout';
+
+export const DRAG_MODES = {
+  MOVE: 'move',
+  RESIZE_START: 'resize-start',
+  RESIZE_END: 'resize-end'
+};
+
+/**
+ * Calcule les dates résultant d'un glisser en cours
+ * @param {Object} drag - État du glisser ({ mode, start, end, deltaMs, snapMs })
+ * @returns {{ startDate: Date, endDate: Date }}
+ */
+export const getDragDates = ({ mode, start, end, deltaMs, snapMs }) => {
+  switch (mode) {
+    case DRAG_MODES.RESIZE_START:
+      return {
+        startDate: new Date(Math.min(start + deltaMs, end - snapMs)),
+        endDate: new Date(end)
+      };
+    case DRAG_MODES.RESIZE_END:
+      return {
+        startDate: new Date(start),
+        endDate: new Date(Math.max(end + deltaMs, start + snapMs))
+      };
+    case DRAG_MODES.MOVE:
+    default:
+      return {
+        startDate: new Date(start + deltaMs),
+        endDate: new Date(end + deltaMs)
+      };
+  }
+};
+
+/**
+ * @param {Object} options
+ * @param {Object} options.scale - Échelle de temps (dayWidth, snapMs)
+ * @param {function(string, {startDate: Date, endDate: Date}): void} options.onCommit -
+ *   Appelé au relâchement si les dates ont changé
+ * @param {function(string): void} [options.onClick] - Appelé si la barre est relâchée sans déplacement
+ * @returns {{ drag: Object|null, preview: Object|null, startDrag: function }}
+ */
+export default function useBarDrag({ scale, onCommit, onClick }) {
+  const [drag, setDrag] = useState(null);
+  const dragRef = useRef(null);
+  const isDragging = drag !== null;
+
+  const startDrag = useCallback((event, task, mode = DRAG_MODES.MOVE) => {
+    if (event.button !== undefined && event.button !== 0) return;
+    event.stopPropagation();
+    event.preventDefault();
+
+    const state = {
+      taskId: task.id,
+      mode,
+      originX: event.clientX,
+      start: safeDate(task.startDate).getTime(),
+      end: safeDate(task.endDate).getTime(),
+      snapMs: scale.snapMs || DAY_MS,
+      deltaMs: 0
+    };
+    dragRef.current = state;
+    setDrag(state);
+  }, [scale]);
+
+  useEffect(() => {
+    if (!isDragging) return undefined;
+
+    const msPerPixel = DAY_MS / scale.dayWidth;
+
+    const handleMove = (event) => {
+      const current = dragRef.current;
+      if (!current) return;
+
+      const rawDelta = (event.clientX - current.originX) * msPerPixel;
+      const deltaMs = Math.round(rawDelta / current.snapMs) * current.snapMs;
+
+      if (deltaMs !== current.deltaMs) {
+        dragRef.current = { ...current, deltaMs };
+        setDrag(dragRef.current);
+      }
+    };
+
+    const finish = (commit) => {
+      const current = dragRef.current;
+      dragRef.current = null;
+      setDrag(null);
+      if (!current || !commit) return;
+
+      if (current.deltaMs === 0) {
+        onClick?.(current.taskId);
+      } else {
+        onCommit?.(current.taskId, getDragDates(current));
+      }
+    };
+
+    const handleUp = () => finish(true);
+    const handleKey = (event) => {
+      if (event.key === 'Escape') finish(false);
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('keydown', handleKey);
+
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('keydown', handleKey);
+    };
+  }, [isDragging, scale, onCommit, onClick]);
+
+  return {
+    drag,
+    preview: drag ? { taskId: drag.taskId, ...getDragDates(drag) } : null,
+    startDrag
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * HOOK DE TRACÉ DES DÉPENDANCES
+ * =============================
+ * - Glisser depuis la poignée de début / fin d'une barre
+ * - Relâcher sur la poignée (ou la barre) d'une autre tâche
+ * - Type déduit des extrémités reliées (FS, SS, FF, SF)
+ * - Échap pour annuler
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { DEPENDENCY_TYPES } from '../../../core/utils/scheduler';
+
+export const CONNECTOR_SIDES = {
+  START: 'start',
+  END: 'end'
+};
+
+/**
+ * Déduit le type de dépendance des extrémités reliées
+ * @param {string} fromSide - Extrémité du prédécesseur (start | end)
+ * @param {string} toSide - Extrémité du successeur (start | end)
+ * @returns {string} Une valeur de DEPENDENCY_TYPES
+ */
+export const inferDependencyType = (fromSide, toSide) => {
+  if (fromSide === CONNECTOR_SIDES.START) {
+    return toSide === CONNECTOR_SIDES.END
+      ? DEPENDENCY_TYPES.START_TO_FINISH
+      : DEPENDENCY_TYPES.START_TO_START;
+  }
+  return toSide === CONNECTOR_SIDES.END
+    ? DEPENDENCY_TYPES.FINISH_TO_FINISH
+    : DEPENDENCY_TYPES.FINISH_TO_START;
+};
+
+/**
+ * Retrouve la cible (tâche et extrémité) sous le pointeur
+ * Les poignées portent data-task-id et data-side, les barres seulement data-task-id
+ */
+const findDropTarget = (clientX, clientY) => {
+  const element = document.elementFromPoint(clientX, clientY);
+  const target = element?.closest?.('[data-task-id]');
+  if (!target) return null;
+
+  return {
+    taskId: target.getAttribute('data-task-id'),
+    side: target.getAttribute('data-side') || CONNECTOR_SIDES.START
+  };
+};
+
+/**
+ * @param {Object} options
+ * @param {Object} options.svgRef - Référence vers le <svg> du diagramme
+ * @param {function(string, {taskId: string, type: string}): void} options.onConnect -
+ *   Appelé avec l'ID du successeur et la dépendance à créer
+ * @returns {{ link: Object|null, startLink: function }}
+ */
+export default function useDependencyDraw({ svgRef, onConnect }) {
+  const [link, setLink] = useState(null);
+  const linkRef = useRef(null);
+  const isLinking = link !== null;
+
+  const toSvgPoint = useCallback((event) => {
+    const rect = svgRef.current?.getBoundingClientRect();
+    return {
+      x: event.clientX - (rect?.left || 0),
+      y: event.clientY - (rect?.top || 0)
+    };
+  }, [svgRef]);
+
+  const startLink = useCallback((event, task, side, anchor) => {
+    if (event.button !== undefined && event.button !== 0) return;
+    event.stopPropagation();
+    event.preventDefault();
+
+    const point = toSvgPoint(event);
+    const state = {
+      fromTaskId: task.id,
+      fromSide: side,
+      x1: anchor.x,
+      y1: anchor.y,
+      x2: point.x,
+      y2: point.y
+    };
+    linkRef.current = state;
+    setLink(state);
+  }, [toSvgPoint]);
+
+  useEffect(() => {
+    if (!isLinking) return undefined;
+
+    const handleMove = (event) => {
+      if (!linkRef.current) return;
+      const point = toSvgPoint(event);
+      linkRef.current = { ...linkRef.current, x2: point.x, y2: point.y };
+      setLink(linkRef.current);
+    };
+
+    const finish = (event) => {
+      const current = linkRef.current;
+      linkRef.current = null;
+      setLink(null);
+      if (!current || !event) return;
+
+      const target = findDropTarget(event.clientX, event.clientY);
+      if (!target || target.taskId === current.fromTaskId) return;
+
+      onConnect?.(target.taskId, {
+        taskId: current.fromTaskId,
+        type: inferDependencyType(current.fromSide, target.side)
+      });
+    };
+
+    const handleUp = (event) => finish(event);
+    const handleKey = (event) => {
+      if (event.key === 'Escape') finish(null);
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('keydown', handleKey);
+
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('keydown', handleKey);
+    };
+  }, [isLinking, toSvgPoint, onConnect]);
+
+  return { link, startLink };
+}
@@ -0,0 +1,22 @@
+/**
+ * HOOK DE ZOOM DU DIAGRAMME
+ * =========================
+ * - Préréglage d'échelle courant (heures → années)
+ * - Zoom avant / arrière d'un cran
+ */
+
+import { useState, useCallback } from 'react';
+import { DEFAULT_ZOOM, getAdjacentZoom } from '../utils/ganttLayout';
+
+/**
+ * @param {string} [initialZoom] - Clé du préréglage initial
+ * @returns {{ zoomLevel: string, setZoomLevel: function, zoomIn: function, zoomOut: function }}
+ */
+export default function useGanttZoom(initialZoom = DEFAULT_ZOOM) {
+  const [zoomLevel, setZoomLevel] = useState(initialZoom);
+
+  const zoomIn = useCallback(() => setZoomLevel(prev => getAdjacentZoom(prev, 1)), []);
+  const zoomOut = useCallback(() => setZoomLevel(prev => getAdjacentZoom(prev, -1)), []);
+
+  return { zoomLevel, setZoomLevel, zoomIn, zoomOut };
+}
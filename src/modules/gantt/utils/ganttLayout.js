@@ -0,0 +1,405 @@
+/**
+ * GANTT LAYOUT HELPERS
+ * ====================
+ *
+ * Pure geometry helpers for the SVG Gantt renderer:
+ * - Zoom presets (hours to years)
+ * - Time scale (date <-> x coordinate)
+ * - Two-tier time axis ticks (non-working days flagged from the calendar),
+ *   limited to the window around the visible part of the chart
+ * - Task bar geometry (and baseline ghost bars)
+ * - Dependency arrow paths
+ *
+ * No DOM or network access: everything is computed from the task list.
+ */
+
+import { safeDate } from './ganttFormatter';
+import { isMilestone } from '../../../core/utils/milestones';
+import { isWorkingDay } from '../../../core/utils/workingCalendar';
+
+export const HOUR_MS = 60 * 60 * 1000;
+export const DAY_MS = 24 * HOUR_MS;
+
+export const LAYOUT = {
+  labelWidth: 220,
+  resourceWidth: 140,
+  varianceWidth: 64,
+  headerHeight: 48,
+  rowHeight: 40,
+  barHeight: 22,
+  baselineHeight: 4,
+  dayWidth: 32,
+  arrowGap: 10,
+  paddingDays: 3
+};
+
+/**
+ * Width of the sticky left panel (task names, optional resource and variance columns)
+ * @param {boolean} [withResources]
+ * @param {boolean} [withVariance]
+ * @returns {number}
+ */
+export const getSidePanelWidth = (withResources = false, withVariance = false) =>
+  LAYOUT.labelWidth +
+  (withResources ? LAYOUT.resourceWidth : 0) +
+  (withVariance ? LAYOUT.varianceWidth : 0);
+
+const MONTH_FORMAT = new Intl.DateTimeFormat('fr-FR', { month: 'long', year: 'numeric' });
+const SHORT_MONTH_FORMAT = new Intl.DateTimeFormat('fr-FR', { month: 'short' });
+const DAY_FORMAT = new Intl.DateTimeFormat('fr-FR', { weekday: 'short', day: 'numeric', month: 'short' });
+
+/**
+ * ISO 8601 week number of a date
+ * @param {Date} date
+ * @returns {number}
+ */
+const getIsoWeek = (date) => {
+  const target = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  const day = target.getUTCDay() || 7;
+  target.setUTCDate(target.getUTCDate() + 4 - day);
+  const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+  return Math.ceil(((target - yearStart) / DAY_MS + 1) / 7);
+};
+
+/**
+ * Calendar units used by the axis: floor a date to the unit, then step to the next one
+ */
+const TIME_UNITS = {
+  hour: {
+    floor: (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()),
+    next: (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours() + 1)
+  },
+  day: {
+    floor: (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate()),
+    next: (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+  },
+  week: {
+    floor: (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7)),
+    next: (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7)
+  },
+  month: {
+    floor: (date) => new Date(date.getFullYear(), date.getMonth(), 1),
+    next: (date) => new Date(date.getFullYear(), date.getMonth() + 1, 1)
+  },
+  quarter: {
+    floor: (date) => new Date(date.getFullYear(), date.getMonth() - (date.getMonth() % 3), 1),
+    next: (date) => new Date(date.getFullYear(), date.getMonth() + 3, 1)
+  },
+  year: {
+    floor: (date) => new Date(date.getFullYear(), 0, 1),
+    next: (date) => new Date(date.getFullYear() + 1, 0, 1)
+  }
+};
+
+/**
+ * Time-scale presets, from the finest to the coarsest
+ * Each preset sets the day width, the drag snapping unit and the two axis tiers
+ */
+export const ZOOM_PRESETS = [
+  {
+    key: 'hours',
+    label: 'Heures',
+    dayWidth: 480,
+    paddingDays: 1,
+    snapMs: HOUR_MS,
+    top: { unit: 'day', format: (date) => DAY_FORMAT.format(date) },
+    bottom: { unit: 'hour', format: (date) => `${date.getHours()}h` }
+  },
+  {
+    key: 'days',
+    label: 'Jours',
+    dayWidth: 32,
+    paddingDays: 3,
+    snapMs: DAY_MS,
+    top: { unit: 'month', format: (date) => MONTH_FORMAT.format(date) },
+    bottom: { unit: 'day', format: (date) => String(date.getDate()) }
+  },
+  {
+    key: 'weeks',
+    label: 'Semaines',
+    dayWidth: 12,
+    paddingDays: 7,
+    snapMs: DAY_MS,
+    top: { unit: 'month', format: (date) => MONTH_FORMAT.format(date) },
+    bottom: { unit: 'week', format: (date) => `S${getIsoWeek(date)}` }
+  },
+  {
+    key: 'months',
+    label: 'Mois',
+    dayWidth: 4,
+    paddingDays: 15,
+    snapMs: DAY_MS,
+    top: { unit: 'year', format: (date) => String(date.getFullYear()) },
+    bottom: { unit: 'month', format: (date) => SHORT_MONTH_FORMAT.format(date) }
+  },
+  {
+    key: 'quarters',
+    label: 'Trimestres',
+    dayWidth: 1.5,
+    paddingDays: 30,
+    snapMs: 7 * DAY_MS,
+    top: { unit: 'year', format: (date) => String(date.getFullYear()) },
+    bottom: { unit: 'quarter', format: (date) => `T${Math.floor(date.getMonth() / 3) + 1}` }
+  },
+  {
+    key: 'years',
+    label: 'Années',
+    dayWidth: 0.6,
+    paddingDays: 60,
+    snapMs: 7 * DAY_MS,
+    top: { unit: 'year', format: (date) => String(date.getFullYear()) },
+    bottom: { unit: 'month', format: (date) => SHORT_MONTH_FORMAT.format(date).charAt(0).toUpperCase() }
+  }
+];
+
+export const DEFAULT_ZOOM = 'days';
+
+/**
+ * Returns a zoom preset by key (days preset when unknown)
+ * @param {string} key
+ * @returns {Object}
+ */
+export const getZoomPreset = (key) =>
+  ZOOM_PRESETS.find(preset => preset.key === key) || ZOOM_PRESETS.find(preset => preset.key === DEFAULT_ZOOM);
+
+/**
+ * Returns the neighbouring zoom preset key
+ * @param {string} key - Current preset
+ * @param {number} direction - 1 to zoom in (finer), -1 to zoom out (coarser)
+ * @returns {string} Neighbouring key, or the current one at the ends of the list
+ */
+export const getAdjacentZoom = (key, direction) => {
+  const index = ZOOM_PRESETS.findIndex(preset => preset.key === getZoomPreset(key).key);
+  const next = Math.min(ZOOM_PRESETS.length - 1, Math.max(0, index - Math.sign(direction)));
+  return ZOOM_PRESETS[next].key;
+};
+
+/**
+ * Returns the local midnight of a date
+ * @param {Date} date
+ * @returns {Date}
+ */
+export const startOfDay = (date) => {
+  const result = new Date(date.getTime());
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+/**
+ * Creates a linear time scale covering all tasks
+ * @param {Array} tasks - Project tasks
+ * @param {Object} options
+ * @param {number} [options.dayWidth] - Width of one day in pixels
+ * @param {number} [options.paddingDays] - Empty days before and after the tasks
+ * @param {number} [options.snapMs] - Drag snapping unit in ms
+ * @param {Array<Date>} [options.include] - Extra dates the scale must cover (e.g. today)
+ * @returns {{ start: Date, end: Date, width: number, dayWidth: number, snapMs: number,
+ *   toX: function(Date): number, toDate: function(number): Date }}
+ */
+export const createTimeScale = (tasks, {
+  dayWidth = LAYOUT.dayWidth,
+  paddingDays = LAYOUT.paddingDays,
+  snapMs = DAY_MS,
+  include = []
+} = {}) => {
+  const times = (tasks || []).flatMap(task => [
+    safeDate(task.startDate).getTime(),
+    safeDate(task.endDate).getTime()
+  ]).concat(include.map(date => safeDate(date).getTime()));
+
+  const now = Date.now();
+  const min = times.length > 0 ? Math.min(...times) : now;
+  const max = times.length > 0 ? Math.max(...times) : now + 7 * DAY_MS;
+
+  const start = startOfDay(new Date(min - paddingDays * DAY_MS));
+  const end = startOfDay(new Date(max + (paddingDays + 1) * DAY_MS));
+  const width = Math.ceil((end.getTime() - start.getTime()) / DAY_MS) * dayWidth;
+
+  return {
+    start,
+    end,
+    width,
+    dayWidth,
+    snapMs,
+    toX: (date) => ((safeDate(date).getTime() - start.getTime()) / DAY_MS) * dayWidth,
+    toDate: (x) => new Date(start.getTime() + (x / dayWidth) * DAY_MS)
+  };
+};
+
+/**
+ * Splits the scale range into consecutive ticks of a calendar unit
+ * The first and last ticks are clipped to the scale bounds
+ */
+const isWeekend = (date) => date.getDay() === 0 || date.getDay() === 6;
+
+const buildTier = (scale, { unit, format }, calendar, range) => {
+  const { floor, next } = TIME_UNITS[unit];
+  const { start, end } = range || scale;
+  const ticks = [];
+
+  for (let date = floor(start); date < end; date = next(date)) {
+    const x = Math.max(0, scale.toX(date));
+    const xEnd = Math.min(scale.width, scale.toX(next(date)));
+    ticks.push({
+      x,
+      width: xEnd - x,
+      label: format(date),
+      nonWorking: unit === 'day' && (calendar ? !isWorkingDay(date, calendar) : isWeekend(date))
+    });
+  }
+
+  return ticks;
+};
+
+/**
+ * Builds the two-tier axis ticks of a zoom preset (e.g. months over days)
+ * @param {Object} scale - Result of createTimeScale
+ * @param {Object} [preset] - Zoom preset (days preset by default)
+ * @param {Object} [calendar] - Working calendar (weekends are non-working without one)
+ * @param {{ start: Date, end: Date }} [range] - Window to tick (whole scale by default),
+ *   see getRenderRange
+ * @returns {{ top: Array<{x, width, label}>, bottom: Array<{x, width, label, nonWorking}> }}
+ */
+export const getAxisTicks = (scale, preset = getZoomPreset(DEFAULT_ZOOM), calendar = null, range = null) => ({
+  top: buildTier(scale, preset.top, calendar, range),
+  bottom: buildTier(scale, preset.bottom, calendar, range)
+});
+
+// Visible width assumed before the chart is measured
+const DEFAULT_VIEWPORT_WIDTH = 1600;
+
+/**
+ * Index of the viewport-wide chunk under a scroll position
+ * The grid is rendered one chunk around it, so scrolling only recomputes
+ * it when crossing into another chunk
+ * @param {number} scrollLeft - Scroll offset of the time area in px
+ * @param {number} [viewportWidth] - Visible width of the time area in px
+ * @returns {number}
+ */
+export const getViewportChunk = (scrollLeft, viewportWidth) =>
+  Math.floor(Math.max(0, scrollLeft) / (viewportWidth || DEFAULT_VIEWPORT_WIDTH));
+
+/**
+ * Date window of the grid around a viewport chunk (one chunk of margin on
+ * each side, clipped to the scale). Long projects at fine zooms would
+ * otherwise get one tick per hour over their whole duration
+ * @param {Object} scale - Result of createTimeScale
+ * @param {number} chunk - See getViewportChunk
+ * @param {number} [viewportWidth] - Visible width of the time area in px
+ * @returns {{ start: Date, end: Date }}
+ */
+export const getRenderRange = (scale, chunk, viewportWidth) => {
+  const width = viewportWidth || DEFAULT_VIEWPORT_WIDTH;
+  return {
+    start: scale.toDate(Math.max(0, (chunk - 1) * width)),
+    end: scale.toDate(Math.min(scale.width, (chunk + 2) * width))
+  };
+};
+
+/**
+ * Time scale of a zoom preset covering the tasks, their baseline and today
+ * Views stacked under the chart use it to stay aligned with the bars
+ * @param {Array} tasks
+ * @param {Object} preset - Zoom preset
+ * @param {Object} [baseline] - Displayed baseline (its dates are covered too)
+ * @returns {Object} Result of createTimeScale
+ */
+export const createPresetScale = (tasks, preset, baseline = null) => createTimeScale(
+  baseline ? [...tasks, ...(baseline.tasks || [])] : tasks,
+  {
+    dayWidth: preset.dayWidth,
+    paddingDays: preset.paddingDays,
+    snapMs: preset.snapMs,
+    include: [new Date()]
+  }
+);
+
+/**
+ * Computes the rectangle of a task bar
+ * A milestone gets a square centred on its date (drawn as a diamond)
+ * @param {Object} task
+ * @param {number} rowIndex - Row of the task
+ * @param {Object} scale - Result of createTimeScale
+ * @param {Object} [layout] - Row and bar heights
+ * @returns {{ x: number, y: number, width: number, height: number, progressWidth: number }}
+ */
+export const getBarGeometry = (task, rowIndex, scale, { rowHeight = LAYOUT.rowHeight, barHeight = LAYOUT.barHeight } = {}) => {
+  if (isMilestone(task)) {
+    return {
+      x: scale.toX(task.startDate) - barHeight / 2,
+      y: rowIndex * rowHeight + (rowHeight - barHeight) / 2,
+      width: barHeight,
+      height: barHeight,
+      progressWidth: 0
+    };
+  }
+
+  const x = scale.toX(task.startDate);
+  const width = Math.max(2, scale.toX(task.endDate) - x);
+  const completion = Math.min(100, Math.max(0, Number(task.completion) || 0));
+
+  return {
+    x,
+    y: rowIndex * rowHeight + (rowHeight - barHeight) / 2,
+    width,
+    height: barHeight,
+    progressWidth: (width * completion) / 100
+  };
+};
+
+/**
+ * Computes the thin ghost bar of a baseline entry, just under the live bar
+ * @param {Object} entry - Baseline entry (startDate, endDate, type)
+ * @param {number} rowIndex - Row of the task
+ * @param {Object} scale - Result of createTimeScale
+ * @param {Object} [layout] - Row, bar and ghost bar heights
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export const getBaselineGeometry = (entry, rowIndex, scale, {
+  rowHeight = LAYOUT.rowHeight,
+  barHeight = LAYOUT.barHeight,
+  baselineHeight = LAYOUT.baselineHeight
+} = {}) => {
+  const y = rowIndex * rowHeight + (rowHeight + barHeight) / 2 + 1;
+
+  if (isMilestone(entry)) {
+    return { x: scale.toX(entry.startDate) - baselineHeight, y, width: baselineHeight * 2, height: baselineHeight };
+  }
+
+  const x = scale.toX(entry.startDate);
+  return { x, y, width: Math.max(2, scale.toX(entry.endDate) - x), height: baselineHeight };
+};
+
+/**
+ * Computes the SVG path of a dependency arrow between two bars
+ * @param {Object} from - Predecessor bar geometry
+ * @param {Object} to - Successor bar geometry
+ * @param {string} type - Normalized dependency type
+ * @param {Object} [layout]
+ * @returns {string} SVG path data
+ */
+export const getDependencyPath = (from, to, type, { rowHeight = LAYOUT.rowHeight, arrowGap = LAYOUT.arrowGap } = {}) => {
+  const fromEnd = type === 'finish-to-start' || type === 'finish-to-finish' || !type;
+  const toEnd = type === 'finish-to-finish' || type === 'start-to-finish';
+
+  const x1 = fromEnd ? from.x + from.width : from.x;
+  const y1 = from.y + from.height / 2;
+  const x2 = toEnd ? to.x + to.width : to.x;
+  const y2 = to.y + to.height / 2;
+
+  const exitX = x1 + (fromEnd ? arrowGap : -arrowGap);
+  const entryX = x2 + (toEnd ? arrowGap : -arrowGap);
+
+  // Straight elbow when the last horizontal segment already points into the target
+  const direct = toEnd ? exitX >= x2 + arrowGap / 2 : exitX <= x2 - arrowGap / 2;
+  if (direct) {
+    return `M ${x1} ${y1} H ${exitX} V ${y2} H ${x2}`;
+  }
+
+  // Otherwise route between rows, then come back into the target
+  const yMid = y2 > y1
+    ? to.y - (rowHeight - to.height) / 2
+    : to.y + to.height + (rowHeight - to.height) / 2;
+
+  return `M ${x1} ${y1} H ${exitX} V ${yMid} H ${entryX} V ${y2} H ${x2}`;
+};
@@ -5,11 +5,14 @@
  * A properly working Gantt view that handles empty projects correctly
  */
 
-import React, { useState, useEffect, useMemo } from 'react';
-import { Chart } from 'react-google-charts';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useParams } from 'react-router-dom';
 import { useProjectStore } from '../../../core/stores/ProjectStore';
 import GanttToolbar from '../components/GanttToolbar';
+import GanttChart from '../GanttChart';
+import useGanttZoom from '../hooks/useGanttZoom';
+import { normalizeCalendar } from '../../../core/utils/workingCalendar';
+import { getProjectResources } from '../../../core/utils/resources';
 import LoadingOverlay from '../../../components/LoadingOverlay';
 import { useSnackbar } from 'notistack';
 import { 
@@ -21,8 +24,7 @@ import {
   TextField, 
   Grid,
   Box,
-  Typography,
-  CircularProgress
+  Typography
 } from '@mui/material';
 import { DatePicker } from '@mui/x-date-pickers';
 import { LocalizationProvider } from '@mui/x-date-pickers';
@@ -36,6 +38,8 @@ export default function GanttViewFinal() {
     currentProject, 
     selectProject, 
     createTask,
+    resources,
+    getActiveBaseline,
     loading
   } = useProjectStore();
   
@@ -48,7 +52,13 @@ export default function GanttViewFinal() {
     endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
     completion: 0
   });
-  const [zoomLevel, setZoomLevel] = useState(100);
+  const { zoomLevel, setZoomLevel, zoomIn, zoomOut } = useGanttZoom();
+  const chartRef = useRef(null);
+  const calendar = useMemo(() => normalizeCalendar(currentProject?.calendar), [currentProject?.calendar]);
+  const projectResources = useMemo(
+    () => getProjectResources(resources, currentProject),
+    [resources, currentProject]
+  );
   
   // Load project when component mounts
   useEffect(() => {
@@ -60,93 +70,6 @@ export default function GanttViewFinal() {
   // Check if we have tasks to display
   const hasTasks = currentProject && currentProject.tasks && currentProject.tasks.length > 0;
   
-  // Chart data with proper Google Charts formatting - only when we have tasks
-  const chartData = useMemo(() => {
-    if (!hasTasks) {
-      return null; // No data to display
-    }
-    
-    console.log('Preparing chart data for project:', currentProject.name);
-    console.log('Number of tasks:', currentProject.tasks.length);
-    
-    // Google Charts Gantt column headers
-    const headers = [
-      'Task ID',
-      'Task Name', 
-      'Resource',
-      'Start Date',
-      'End Date',
-      'Duration',
-      'Percent Complete',
-      'Dependencies'
-    ];
-    
-    try {
-      const formattedTasks = currentProject.tasks.map((task, index) => {
-        console.log(`Processing task ${index}:`, task);
-        
-        // Ensure dates are Date objects and valid
-        let startDate = task.startDate;
-        let endDate = task.endDate;
-        
-        // Handle date conversion carefully
-        if (!(startDate instanceof Date)) {
-          startDate = new Date(startDate);
-        }
-        if (!(endDate instanceof Date)) {
-          endDate = new Date(endDate);
-        }
-        
-        // Validate dates
-        if (isNaN(startDate.getTime())) {
-          console.warn(`Invalid start date for task ${task.id}, using current date`);
-          startDate = new Date();
-        }
-        if (isNaN(endDate.getTime())) {
-          console.warn(`Invalid end date for task ${task.id}, using start date + 1 day`);
-          endDate = new Date(startDate.getTime() + 86400000);
-        }
-        
-        // Ensure end date is after start date
-        if (endDate <= startDate) {
-          console.warn(`End date before/equal start date for task ${task.id}, adjusting`);
-          endDate = new Date(startDate.getTime() + 86400000);
-        }
-        
-        // Calculate duration in days
-        const durationMs = endDate.getTime() - startDate.getTime();
-        const durationDays = Math.max(1, Math.round(durationMs / (1000 * 60 * 60 * 24)));
-        
-        const formattedTask = [
-          task.id || `task-${index}`, // Task ID (string)
-          task.name || `Task ${index + 1}`, // Task Name (string)
-          task.description || null, // Resource (string or null)
-          startDate, // Start Date (Date object)
-          endDate, // End Date (Date object)
-          durationDays, // Duration (number)
-          Math.min(100, Math.max(0, task.completion || 0)), // Percent Complete (0-100)
-          null // Dependencies (string or null)
-        ];
-        
-        console.log(`Formatted task ${index}:`, formattedTask);
-        console.log(`Start date type: ${typeof formattedTask[3]}, Is Date: ${formattedTask[3] instanceof Date}`);
-        console.log(`End date type: ${typeof formattedTask[4]}, Is Date: ${formattedTask[4] instanceof Date}`);
-        
-        return formattedTask;
-      });
-      
-      const finalData = [headers, ...formattedTasks];
-      console.log('Final chart data prepared with', formattedTasks.length, 'tasks');
-      
-      return finalData;
-      
-    } catch (error) {
-      console.error('Error formatting chart data:', error);
-      enqueueSnackbar('Erreur lors du formatage des données', { variant: 'error' });
-      return null;
-    }
-  }, [currentProject, hasTasks, enqueueSnackbar]);
-  
   // Handlers for toolbar actions
   const handleAddTask = () => {
     setNewTask({
@@ -216,9 +139,7 @@ export default function GanttViewFinal() {
     }
   };
 
-  const handleZoomIn = () => setZoomLevel(prev => Math.min(prev + 20, 200));
-  const handleZoomOut = () => setZoomLevel(prev => Math.max(prev - 20, 50));
-  const handleToday = () => console.log('Navigate to today');
+  const handleToday = () => chartRef.current?.scrollToToday();
   const handleFilter = () => console.log('Open filter dialog');
   
   // Show loading overlay while project is loading
@@ -231,72 +152,25 @@ export default function GanttViewFinal() {
       {/* Toolbar */}
       <GanttToolbar 
         onAddTask={handleAddTask}
-        onZoomIn={handleZoomIn}
-        onZoomOut={handleZoomOut}
+        onZoomIn={zoomIn}
+        onZoomOut={zoomOut}
         onToday={handleToday}
         onFilter={handleFilter}
+        onZoomChange={setZoomLevel}
         zoomLevel={zoomLevel}
       />
 
       {/* Chart container */}
       <div className="gantt-chart-wrapper" style={{ height: 'calc(100vh - 200px)' }}>
-        {hasTasks && chartData ? (
-          <Chart
-            chartType="Gantt"
-            width="100%"
-            height="100%"
-            data={chartData}
-            options={{
-              height: 600,
-              gantt: {
-                trackHeight: Math.floor(40 * (zoomLevel / 100)),
-                criticalPathEnabled: true,
-                arrow: {
-                  angle: 100,
-                  width: 2,
-                  color: '#ff0000',
-                  radius: 0,
-                },
-                defaultStartDate: new Date(),
-                sortTasks: true,
-                labelStyle: {
-                  fontName: 'Arial',
-                  fontSize: 13
-                }
-              }
-            }}
-            chartEvents={[
-              {
-                eventName: 'ready',
-                callback: () => {
-                  console.log('✅ Gantt chart rendered successfully');
-                  enqueueSnackbar('Diagramme Gantt chargé', { 
-                    variant: 'success',
-                    autoHideDuration: 2000
-                  });
-                }
-              },
-              {
-                eventName: 'error',
-                callback: (error) => {
-                  console.error('❌ Chart error:', error);
-                  console.error('Chart data causing error:', chartData);
-                  const errorMsg = error?.message || error?.toString() || 'Erreur inconnue';
-                  enqueueSnackbar(`Erreur du diagramme: ${errorMsg}`, { 
-                    variant: 'error',
-                    autoHideDuration: 5000
-                  });
-                }
-              }
-            ]}
-            loader={
-              <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '200px' }}>
-                <CircularProgress />
-                <Typography variant="body1" sx={{ ml: 2 }}>
-                  Chargement du diagramme...
-                </Typography>
-              </Box>
-            }
+        {hasTasks ? (
+          <GanttChart
+            ref={chartRef}
+            tasks={currentProject.tasks}
+            zoomLevel={zoomLevel}
+            onZoomChange={setZoomLevel}
+            calendar={calendar}
+            resources={projectResources}
+            baseline={getActiveBaseline(currentProject.id)}
           />
         ) : (
           <Box sx={{ 
@@ -2,14 +2,33 @@
  * FIXED GANTT VIEW
  * ================
  * 
- * A properly formatted Gantt view that works with Google Charts
+ * Main Gantt view, rendered with the in-house SVG chart (works offline)
  */
 
-import React, { useState, useEffect, useMemo } from 'react';
-import { Chart } from 'react-google-charts';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useParams } from 'react-router-dom';
 import { useProjectStore } from '../../../core/stores/ProjectStore';
 import GanttToolbar from '../components/GanttToolbar';
+import WorkingCalendarDialog from '../components/WorkingCalendarDialog';
+import ResourcePoolDialog from '../components/ResourcePoolDialog';
+import LevelingDialog from '../components/LevelingDialog';
+import BaselineDialog from '../components/BaselineDialog';
+import TaskAssignments from '../components/TaskAssignments';
+import WorkloadView from './WorkloadView';
+import GanttChart from '../GanttChart';
+import useGanttZoom from '../hooks/useGanttZoom';
+import { formatDependencyLabel } from '../utils/ganttFormatter';
+import { formatTaskChain } from '../../../core/utils/dependencyValidation';
+import { computeWbsCodes } from '../../../core/utils/taskHierarchy';
+import { TASK_TYPES, isMilestone } from '../../../core/utils/milestones';
+import { normalizeCalendar, getTaskWorkingDays, countWorkingDays } from '../../../core/utils/workingCalendar';
+import { getPulledBackSuccessors } from '../../../core/utils/scheduler';
+import { getProjectResources } from '../../../core/utils/resources';
+import { getNewOverallocations } from '../../../core/utils/workload';
+import { indexBaseline, getTaskVariance, formatVariance } from '../../../core/utils/baselines';
+import useUndoRedo from '../../../core/hooks/useUndoRedo';
+import { usePendingTaskIds } from '../../../core/sync/pendingChanges';
+import ActivityList from '../../../components/ActivityList';
 import LoadingOverlay from '../../../core/components/LoadingOverlay';
 import { useSnackbar } from 'notistack';
 import { 
@@ -22,7 +41,6 @@ import {
   Grid,
   Box,
   Typography,
-  CircularProgress,
   FormControl,
   InputLabel,
   Select,
@@ -30,23 +48,67 @@ import {
   Chip,
   OutlinedInput,
   ListItemText,
-  Checkbox
+  Checkbox,
+  IconButton,
+  InputAdornment,
+  Tooltip,
+  FormControlLabel,
+  Switch,
+  Tabs,
+  Tab
 } from '@mui/material';
+import {
+  Delete as DeleteIcon,
+  FormatIndentIncrease as IndentIcon,
+  FormatIndentDecrease as OutdentIcon,
+  ArrowUpward as MoveUpIcon,
+  ArrowDownward as MoveDownIcon
+} from '@mui/icons-material';
 import { DatePicker } from '@mui/x-date-pickers';
 import { LocalizationProvider } from '@mui/x-date-pickers';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 
+const DEPENDENCY_TYPE_OPTIONS = [
+  { value: 'finish-to-start', label: 'Fin → Début (FS)' },
+  { value: 'start-to-start', label: 'Début → Début (SS)' },
+  { value: 'finish-to-finish', label: 'Fin → Fin (FF)' },
+  { value: 'start-to-finish', label: 'Début → Fin (SF)' }
+];
+
 export default function GanttViewFixed() {
   const { projectId } = useParams();
-  const { enqueueSnackbar } = useSnackbar();
+  const { enqueueSnackbar, closeSnackbar } = useSnackbar();
+  const { undo, redo, canUndo, canRedo, undoLabel, redoLabel } = useUndoRedo();
+  const pendingTaskIds = usePendingTaskIds(projectId);
   const { 
     projects, 
     currentProject, 
     selectProject, 
     createTask,
-    updateTask,
     addDependency,
+    updateDependency,
     removeDependency,
+    indentTask,
+    outdentTask,
+    moveTask,
+    updateProjectCalendar,
+    resources,
+    createResource,
+    deleteResource,
+    assignResource,
+    updateAssignment,
+    unassignResource,
+    getResourceLevelingPlan,
+    applyTaskDates,
+    saveBaseline,
+    setActiveBaseline,
+    deleteBaseline,
+    getActiveBaseline,
+    groupHistory,
+    getActivity,
+    validateProject,
+    getCriticalPath,
+    getOverallocations,
     loading
   } = useProjectStore();
   
@@ -64,8 +126,30 @@ export default function GanttViewFixed() {
   // Dependencies management state
   const [isDependencyDialogOpen, setIsDependencyDialogOpen] = useState(false);
   const [selectedTaskForDeps, setSelectedTaskForDeps] = useState(null);
+  const [newDependency, setNewDependency] = useState({
+    taskId: '',
+    type: 'finish-to-start',
+    lag: 0,
+    lagUnit: 'days'
+  });
+  const [dependencyToDelete, setDependencyToDelete] = useState(null);
   const [selectedTask, setSelectedTask] = useState(null);
-  const [zoomLevel, setZoomLevel] = useState(100);
+  const [detailsTab, setDetailsTab] = useState('details');
+  const [isCalendarOpen, setIsCalendarOpen] = useState(false);
+  const [isResourcesOpen, setIsResourcesOpen] = useState(false);
+  const [isWorkloadOpen, setIsWorkloadOpen] = useState(false);
+  const [levelingPlan, setLevelingPlan] = useState(null);
+  const [isBaselinesOpen, setIsBaselinesOpen] = useState(false);
+  const [chartScrollLeft, setChartScrollLeft] = useState(0);
+  const { zoomLevel, setZoomLevel, zoomIn, zoomOut } = useGanttZoom();
+  const chartRef = useRef(null);
+  
+  const wbsCodes = useMemo(() => computeWbsCodes(currentProject?.tasks || []), [currentProject]);
+  const calendar = useMemo(() => normalizeCalendar(currentProject?.calendar), [currentProject?.calendar]);
+  const projectResources = useMemo(
+    () => getProjectResources(resources, currentProject),
+    [resources, currentProject]
+  );
   
   // Load project when component mounts
   useEffect(() => {
@@ -74,174 +158,6 @@ export default function GanttViewFixed() {
     }
   }, [projectId, projects, selectProject]);
   
-  // Helper function to create guaranteed valid Date objects
-  const createValidDate = (input, fallback = new Date()) => {
-    try {
-      if (!input) return new Date(fallback);
-      
-      let date;
-      if (input instanceof Date) {
-        date = new Date(input.getTime()); // Create new Date instance
-      } else {
-        date = new Date(input);
-      }
-      
-      // Validate the date
-      if (isNaN(date.getTime())) {
-        console.warn('Invalid date input, using fallback:', input);
-        return new Date(fallback);
-      }
-      
-      return date;
-    } catch (error) {
-      console.error('Error creating date:', error);
-      return new Date(fallback);
-    }
-  };
-  
-  // Chart data with Google Charts DataTable format (NO headers in data, using columns definition)
-  const chartData = useMemo(() => {
-    console.log('🔄 Preparing Google Charts data for project:', currentProject?.name);
-    
-    if (!currentProject || !currentProject.tasks || currentProject.tasks.length === 0) {
-      console.log('📊 No tasks available, creating sample data');
-      const sampleStart = createValidDate(new Date());
-      const sampleEnd = createValidDate(new Date(Date.now() + 86400000));
-      
-      // Google Charts format: array of arrays, first element are the column definitions
-      return [
-        [
-          { type: 'string', label: 'Task ID' },
-          { type: 'string', label: 'Task Name' },
-          { type: 'string', label: 'Resource' },
-          { type: 'date', label: 'Start Date' },
-          { type: 'date', label: 'End Date' },
-          { type: 'number', label: 'Duration' },
-          { type: 'number', label: 'Percent Complete' },
-          { type: 'string', label: 'Dependencies' }
-        ],
-        ['sample-task', 'Aucune tâche disponible', null, sampleStart, sampleEnd, 1, 0, null]
-      ];
-    }
-    
-    try {
-      console.log('📊 Formatting', currentProject.tasks.length, 'tasks with strict validation');
-      
-      const formattedTasks = currentProject.tasks.map((task, index) => {
-        // Create guaranteed valid dates
-        const taskStart = createValidDate(task.startDate, new Date());
-        const taskEnd = createValidDate(task.endDate, new Date(taskStart.getTime() + 86400000));
-        
-        // Ensure end date is after start date
-        const finalEnd = taskEnd <= taskStart 
-          ? new Date(taskStart.getTime() + 86400000)
-          : taskEnd;
-        
-        // Calculate duration in days
-        const durationMs = finalEnd.getTime() - taskStart.getTime();
-        const durationDays = Math.max(1, Math.round(durationMs / (1000 * 60 * 60 * 24)));
-        
-        // Format dependencies for Google Charts
-        const formattedDependencies = task.dependencies && task.dependencies.length > 0 
-          ? task.dependencies.map(dep => dep.taskId || dep).join(',') 
-          : null;
-        
-        const row = [
-          String(task.id || `task-${index}`), // Task ID (string)
-          String(task.name || `Task ${index + 1}`), // Task Name (string)
-          task.description ? String(task.description) : null, // Resource (string or null)
-          taskStart, // Start Date (Date object)
-          finalEnd, // End Date (Date object)
-          durationDays, // Duration (number)
-          Math.min(100, Math.max(0, Number(task.completion) || 0)), // Percent Complete (number)
-          formattedDependencies // Dependencies (string with comma-separated task IDs)
-        ];
-        
-        // Detailed logging for debugging
-        console.log(`✅ Task ${index + 1} formatted:`, {
-          id: row[0],
-          name: row[1],
-          startDate: row[3],
-          startDateType: typeof row[3],
-          startDateIsDate: row[3] instanceof Date,
-          startDateValid: row[3] instanceof Date && !isNaN(row[3].getTime()),
-          endDate: row[4],
-          endDateType: typeof row[4],
-          endDateIsDate: row[4] instanceof Date,
-          endDateValid: row[4] instanceof Date && !isNaN(row[4].getTime()),
-          duration: row[5],
-          durationIsNumber: typeof row[5] === 'number',
-          dependencies: row[7],
-          dependenciesCount: task.dependencies?.length || 0
-        });
-        
-        return row;
-      });
-      
-      // Google Charts DataTable format with column definitions
-      const result = [
-        [
-          { type: 'string', label: 'Task ID' },
-          { type: 'string', label: 'Task Name' },
-          { type: 'string', label: 'Resource' },
-          { type: 'date', label: 'Start Date' },
-          { type: 'date', label: 'End Date' },
-          { type: 'number', label: 'Duration' },
-          { type: 'number', label: 'Percent Complete' },
-          { type: 'string', label: 'Dependencies' }
-        ],
-        ...formattedTasks
-      ];
-      
-      console.log('✅ Chart data prepared with', formattedTasks.length, 'tasks');
-      console.log('📋 First data row sample:', result[1]);
-      
-      return result;
-      
-    } catch (error) {
-      console.error('❌ Error formatting chart data:', error);
-      const errorStart = createValidDate(new Date());
-      const errorEnd = createValidDate(new Date(Date.now() + 86400000));
-      
-      return [
-        [
-          { type: 'string', label: 'Task ID' },
-          { type: 'string', label: 'Task Name' },
-          { type: 'string', label: 'Resource' },
-          { type: 'date', label: 'Start Date' },
-          { type: 'date', label: 'End Date' },
-          { type: 'number', label: 'Duration' },
-          { type: 'number', label: 'Percent Complete' },
-          { type: 'string', label: 'Dependencies' }
-        ],
-        ['error-task', 'Erreur de chargement', null, errorStart, errorEnd, 1, 0, null]
-      ];
-    }
-  }, [currentProject]);
-  
-  // Enhanced debug for chart data
-  useEffect(() => {
-    console.log('📊 Chart data updated:', {
-      totalRows: chartData?.length || 0,
-      hasColumnDefs: chartData?.[0]?.every(col => typeof col === 'object' && col.type),
-      dataRows: chartData?.length > 1 ? chartData.length - 1 : 0
-    });
-    
-    if (chartData && chartData.length > 1) {
-      console.log('📋 Column definitions:', chartData[0]);
-      console.log('📋 First data row:', chartData[1]);
-      console.log('📋 Data types validation:', chartData[1].map((item, index) => {
-        const colDef = chartData[0][index];
-        const expectedType = colDef?.type;
-        const actualType = typeof item;
-        const isDate = item instanceof Date;
-        const isValid = expectedType === 'date' ? isDate : expectedType === actualType;
-        
-        return `Col ${index} (${colDef?.label}): expected ${expectedType}, got ${actualType}${isDate ? ' (Date)' : ''} - ${isValid ? '✅' : '❌'}`;
-      }));
-    }
-  }, [chartData]);
-  
   // Handlers for toolbar actions
   const handleAddTask = () => {
     setNewTask({
@@ -250,7 +166,9 @@ export default function GanttViewFixed() {
       startDate: new Date(),
       endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
       completion: 0,
-      dependencies: [] // Ensure dependencies is always an array
+      dependencies: [], // Ensure dependencies is always an array
+      parentId: '',
+      type: TASK_TYPES.TASK
     });
     setIsAddTaskOpen(true);
   };
@@ -269,7 +187,7 @@ export default function GanttViewFixed() {
         return;
       }
       
-      if (newTask.endDate <= newTask.startDate) {
+      if (!isMilestone(newTask) && newTask.endDate <= newTask.startDate) {
         enqueueSnackbar('La date de fin doit être après la date de début', { variant: 'warning' });
         return;
       }
@@ -287,7 +205,9 @@ export default function GanttViewFixed() {
         endDate: newTask.endDate,
         completion: newTask.completion || 0,
         status: 'NOT_STARTED',
-        dependencies: formattedDependencies
+        dependencies: formattedDependencies,
+        parentId: newTask.parentId || null,
+        type: newTask.type || TASK_TYPES.TASK
       });
       
       setIsAddTaskOpen(false);
@@ -297,7 +217,9 @@ export default function GanttViewFixed() {
         startDate: new Date(),
         endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
         completion: 0,
-        dependencies: []
+        dependencies: [],
+        parentId: '',
+        type: TASK_TYPES.TASK
       });
       
       enqueueSnackbar('Tâche créée avec succès', { variant: 'success' });
@@ -316,25 +238,163 @@ export default function GanttViewFixed() {
     }
   };
   
+  // Runs a store change and warns about the over-allocations it introduces
+  const withOverallocationCheck = async (change) => {
+    const before = getOverallocations(currentProject.id);
+    await change();
+    getNewOverallocations(before, getOverallocations(currentProject.id)).forEach(period => {
+      enqueueSnackbar(
+        `Sur-allocation: ${period.resourceName} chargé(e) à ${period.peak} % à partir du ${period.start.toLocaleDateString()}`,
+        { variant: 'warning' }
+      );
+    });
+  };
+
+  // Handle drag-to-move / drag-to-resize from chart (one undo step, successors included):
+  // later dates push successors through rescheduling, earlier ones pull them back
+  const handleTaskChange = async (taskId, { startDate, endDate }) => {
+    const task = currentProject.tasks.find(t => t.id === taskId);
+    const calendar = normalizeCalendar(currentProject.calendar);
+    const advance = task ? countWorkingDays(startDate, task.startDate, calendar) : 0;
+
+    try {
+      await withOverallocationCheck(() => groupHistory('déplacement de la tâche', async (actions) => {
+        await actions.updateTask(taskId, { startDate, endDate });
+        const { currentProject: moved } = useProjectStore.getState();
+        const successors = getPulledBackSuccessors(moved.tasks, taskId, advance, calendar);
+        if (successors.length > 0) {
+          await actions.applyTaskDates(successors);
+        }
+      }));
+      enqueueSnackbar('Dates de la tâche mises à jour', { variant: 'success' });
+    } catch (error) {
+      enqueueSnackbar(error.message || 'Erreur lors de la mise à jour de la tâche', { variant: 'error' });
+      console.error('Error updating task dates:', error);
+    }
+  };
+
+  const handleCalendarSave = async (updatedCalendar) => {
+    try {
+      await updateProjectCalendar(currentProject.id, updatedCalendar);
+      setIsCalendarOpen(false);
+      enqueueSnackbar('Calendrier mis à jour, tâches replanifiées', { variant: 'success' });
+    } catch (error) {
+      enqueueSnackbar(error.message || 'Erreur lors de la mise à jour du calendrier', { variant: 'error' });
+      console.error('Error updating calendar:', error);
+    }
+  };
+
+  // Resource pool and assignments: store errors are reported in a snackbar
+  const runResourceAction = async (action, successMessage, ...args) => {
+    try {
+      await withOverallocationCheck(() => action(...args));
+      if (successMessage) {
+        enqueueSnackbar(successMessage, { variant: 'success' });
+      }
+    } catch (error) {
+      enqueueSnackbar(error.message || 'Erreur lors de la mise à jour des ressources', { variant: 'error' });
+      console.error('Error updating resources:', error);
+    }
+  };
+
+  const handleDeleteResource = (resource) => {
+    if (window.confirm(`Supprimer la ressource "${resource.name}" et toutes ses affectations ?`)) {
+      runResourceAction(deleteResource, 'Ressource supprimée', resource.id);
+    }
+  };
+
+  // Baselines: store errors are reported in a snackbar
+  const runBaselineAction = async (action, successMessage, ...args) => {
+    try {
+      await action(currentProject.id, ...args);
+      if (successMessage) {
+        enqueueSnackbar(successMessage, { variant: 'success' });
+      }
+    } catch (error) {
+      enqueueSnackbar(error.message || 'Erreur lors de la mise à jour des références', { variant: 'error' });
+      console.error('Error updating baselines:', error);
+    }
+  };
+
+  const handleDeleteBaseline = (baseline) => {
+    if (window.confirm(`Supprimer la référence "${baseline.name}" ?`)) {
+      runBaselineAction(deleteBaseline, 'Référence supprimée', baseline.id);
+    }
+  };
+
+  // Resource leveling: preview the plan, apply it as one batch that can be undone
+  const handleLevelResources = () => {
+    const plan = getResourceLevelingPlan(currentProject.id);
+    if (plan.changes.length === 0 && plan.unresolved.length === 0) {
+      enqueueSnackbar('Aucune sur-allocation à niveler', { variant: 'info' });
+      return;
+    }
+    setLevelingPlan(plan);
+  };
+
+  const handleApplyLeveling = async () => {
+    try {
+      const inverse = await applyTaskDates(levelingPlan.changes.map(change => ({
+        taskId: change.taskId,
+        ...change.after
+      })));
+      setLevelingPlan(null);
+      enqueueSnackbar(`${inverse.length} tâche(s) replanifiée(s)`, {
+        variant: 'success',
+        action: (key) => (
+          <Button
+            color="inherit"
+            size="small"
+            onClick={async () => {
+              closeSnackbar(key);
+              try {
+                await applyTaskDates(inverse);
+              } catch (error) {
+                enqueueSnackbar(error.message || 'Erreur lors de l\'annulation du nivellement', { variant: 'error' });
+              }
+            }}
+          >
+            Annuler
+          </Button>
+        )
+      });
+    } catch (error) {
+      enqueueSnackbar(error.message || 'Erreur lors du nivellement des ressources', { variant: 'error' });
+      console.error('Error leveling resources:', error);
+    }
+  };
+
   // Handle dependency management
   const handleManageDependencies = (task) => {
     setSelectedTaskForDeps(task);
     setIsDependencyDialogOpen(true);
   };
   
-  const handleAddDependency = async (taskId, dependencyTaskId) => {
+  const handleAddDependency = async (taskId, dependency) => {
     try {
       await addDependency(taskId, {
-        taskId: dependencyTaskId,
-        type: 'finish-to-start'
+        taskId: dependency.taskId,
+        type: dependency.type || 'finish-to-start',
+        lag: Number(dependency.lag) || 0,
+        lagUnit: dependency.lagUnit || 'days'
       });
+      setNewDependency({ taskId: '', type: 'finish-to-start', lag: 0, lagUnit: 'days' });
       enqueueSnackbar('Dépendance ajoutée avec succès', { variant: 'success' });
     } catch (error) {
-      enqueueSnackbar('Erreur lors de l\'ajout de la dépendance', { variant: 'error' });
+      enqueueSnackbar(error?.message || 'Erreur lors de l\'ajout de la dépendance', { variant: 'error' });
       console.error('Error adding dependency:', error);
     }
   };
   
+  const handleUpdateDependency = async (taskId, dependencyTaskId, updates) => {
+    try {
+      await updateDependency(taskId, dependencyTaskId, updates);
+    } catch (error) {
+      enqueueSnackbar('Erreur lors de la modification de la dépendance', { variant: 'error' });
+      console.error('Error updating dependency:', error);
+    }
+  };
+  
   const handleRemoveDependency = async (taskId, dependencyTaskId) => {
     try {
       await removeDependency(taskId, dependencyTaskId);
@@ -345,16 +405,29 @@ export default function GanttViewFixed() {
     }
   };
 
-  const handleZoomIn = () => {
-    setZoomLevel(prev => Math.min(prev + 20, 200));
+  // Handle outline changes (indent, outdent, reorder)
+  const handleHierarchyChange = async (action, taskId, ...args) => {
+    try {
+      await action(taskId, ...args);
+    } catch (error) {
+      enqueueSnackbar(error.message || 'Erreur lors de la modification du plan', { variant: 'error' });
+      console.error('Error updating task hierarchy:', error);
+    }
   };
-
-  const handleZoomOut = () => {
-    setZoomLevel(prev => Math.max(prev - 20, 50));
+  
+  // Handle arrow click from chart: ask before deleting the dependency
+  const handleDependencyClick = (taskId, dependencyTaskId) => {
+    setDependencyToDelete({ taskId, dependencyTaskId });
+  };
+  
+  const handleConfirmDependencyDelete = async () => {
+    const { taskId, dependencyTaskId } = dependencyToDelete;
+    setDependencyToDelete(null);
+    await handleRemoveDependency(taskId, dependencyTaskId);
   };
 
   const handleToday = () => {
-    console.log('Navigate to today');
+    chartRef.current?.scrollToToday();
   };
 
   const handleFilter = () => {
@@ -362,8 +435,15 @@ export default function GanttViewFixed() {
   };
   
   const handleDependenciesOverview = () => {
-    // Show an overview of all dependencies
+    // Show an overview of all dependencies and report invalid ones
     if (currentProject && currentProject.tasks && currentProject.tasks.length > 0) {
+      const report = validateProject(currentProject.id);
+      if (report && !report.valid) {
+        const issues = report.cycles.length + report.selfDependencies.length + report.externalDependencies.length;
+        enqueueSnackbar(`${issues} dépendance(s) invalide(s): ${report.cycles.join(' ; ') || 'voir le détail'}`, { variant: 'error' });
+        return;
+      }
+      
       const tasksWithDeps = currentProject.tasks.filter(task => task.dependencies && task.dependencies.length > 0);
       if (tasksWithDeps.length > 0) {
         enqueueSnackbar(`${tasksWithDeps.length} tâche(s) avec dépendances trouvée(s)`, { variant: 'info' });
@@ -375,6 +455,14 @@ export default function GanttViewFixed() {
     }
   };
   
+  // Always read the live task so dependency edits are reflected in the dialog
+  const dependencyTask = currentProject?.tasks?.find(t => t.id === selectedTaskForDeps?.id) || selectedTaskForDeps;
+  const liveSelectedTask = currentProject?.tasks?.find(t => t.id === selectedTask?.id) || selectedTask;
+  const activeBaseline = getActiveBaseline();
+  const selectedVariance = liveSelectedTask
+    ? getTaskVariance(liveSelectedTask, indexBaseline(activeBaseline).get(liveSelectedTask.id), calendar)
+    : null;
+  
   // Show loading overlay while project is loading
   if (loading || !currentProject) {
     return <LoadingOverlay message="Chargement du projet..." />;
@@ -385,94 +473,49 @@ export default function GanttViewFixed() {
       {/* Toolbar */}
       <GanttToolbar 
         onAddTask={handleAddTask}
-        onZoomIn={handleZoomIn}
-        onZoomOut={handleZoomOut}
+        onZoomIn={zoomIn}
+        onZoomOut={zoomOut}
         onToday={handleToday}
         onFilter={handleFilter}
         onDependencies={handleDependenciesOverview}
+        onCalendar={() => setIsCalendarOpen(true)}
+        onResources={() => setIsResourcesOpen(true)}
+        onWorkload={() => setIsWorkloadOpen(open => !open)}
+        workloadOpen={isWorkloadOpen}
+        onLevel={handleLevelResources}
+        onBaselines={() => setIsBaselinesOpen(true)}
+        onUndo={undo}
+        onRedo={redo}
+        canUndo={canUndo}
+        canRedo={canRedo}
+        undoLabel={undoLabel}
+        redoLabel={redoLabel}
+        onZoomChange={setZoomLevel}
         zoomLevel={zoomLevel}
       />
 
       {/* Chart container */}
-      <div className="gantt-chart-wrapper" style={{ height: 'calc(100vh - 200px)' }}>
-        {chartData && chartData.length > 1 ? (
-          <Chart
-            chartType="Gantt"
-            width="100%"
-            height="100%"
-            data={chartData}
-            options={{
-              height: 600,
-              gantt: {
-                trackHeight: Math.floor(40 * (zoomLevel / 100)),
-                criticalPathEnabled: true,
-                arrow: {
-                  angle: 100,
-                  width: 2,
-                  color: '#ff0000',
-                  radius: 0,
-                },
-                defaultStartDate: new Date(),
-                sortTasks: true,
-                labelStyle: {
-                  fontName: 'Arial',
-                  fontSize: 13
-                }
-              },
-            }}
-            chartEvents={[
-              {
-                eventName: 'ready',
-                callback: () => {
-                  console.log('✅ Chart ready and rendered successfully');
-                  enqueueSnackbar('Diagramme Gantt chargé', { 
-                    variant: 'success',
-                    autoHideDuration: 2000
-                  });
-                }
-              },
-              {
-                eventName: 'error',
-                callback: (error) => {
-                  console.error('❌ Chart error details:', error);
-                  console.error('Chart data at error:', chartData);
-                  const errorMsg = error?.message || error?.toString() || 'Erreur inconnue';
-                  enqueueSnackbar(`Erreur de chargement du diagramme: ${errorMsg}`, { 
-                    variant: 'error',
-                    autoHideDuration: 5000
-                  });
-                }
-              },
-              {
-                eventName: 'select',
-                callback: ({ chartWrapper }) => {
-                  try {
-                    const chart = chartWrapper.getChart();
-                    const selection = chart.getSelection();
-                    
-                    if (selection && selection.length > 0 && selection[0].row != null) {
-                      const rowIndex = selection[0].row;
-                      // Row 0 contains column definitions, data starts at row 1
-                      if (rowIndex > 0 && chartData && chartData[rowIndex]) {
-                        const taskId = chartData[rowIndex][0];
-                        console.log('Tâche sélectionnée dans le graphique:', taskId);
-                        handleTaskSelect(taskId);
-                      }
-                    }
-                  } catch (error) {
-                    console.error('Erreur lors de la sélection:', error);
-                  }
-                }
-              }
-            ]}
-            loader={
-              <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '200px' }}>
-                <CircularProgress />
-                <Typography variant="body1" sx={{ ml: 2 }}>
-                  Chargement du diagramme...
-                </Typography>
-              </Box>
-            }
+      <div
+        className="gantt-chart-wrapper"
+        style={{ height: isWorkloadOpen ? 'calc(100vh - 520px)' : 'calc(100vh - 200px)' }}
+      >
+        {currentProject.tasks?.length > 0 ? (
+          <GanttChart
+            ref={chartRef}
+            tasks={currentProject.tasks}
+            criticalTaskIds={getCriticalPath(currentProject.id).criticalPath}
+            pendingTaskIds={pendingTaskIds}
+            selectedTaskId={selectedTask?.id || null}
+            onTaskSelect={handleTaskSelect}
+            onTaskChange={handleTaskChange}
+            onDependencyCreate={handleAddDependency}
+            onDependencyClick={handleDependencyClick}
+            zoomLevel={zoomLevel}
+            onZoomChange={setZoomLevel}
+            calendar={calendar}
+            resources={projectResources}
+            baseline={activeBaseline}
+            onScroll={setChartScrollLeft}
           />
         ) : (
           <Box sx={{ p: 3, textAlign: 'center' }}>
@@ -489,6 +532,48 @@ export default function GanttViewFixed() {
         )}
       </div>
       
+      {/* Resource workload histogram */}
+      {isWorkloadOpen && (
+        <WorkloadView zoomLevel={zoomLevel} scrollLeft={chartScrollLeft} />
+      )}
+      
+      {/* Working Calendar Dialog */}
+      <WorkingCalendarDialog
+        open={isCalendarOpen}
+        calendar={calendar}
+        onClose={() => setIsCalendarOpen(false)}
+        onSave={handleCalendarSave}
+      />
+      
+      {/* Resource Pool Dialog */}
+      <ResourcePoolDialog
+        open={isResourcesOpen}
+        projectId={currentProject.id}
+        resources={projectResources}
+        onClose={() => setIsResourcesOpen(false)}
+        onCreate={(resource) => runResourceAction(createResource, 'Ressource ajoutée', resource)}
+        onDelete={handleDeleteResource}
+      />
+      
+      {/* Baselines Dialog */}
+      <BaselineDialog
+        open={isBaselinesOpen}
+        baselines={currentProject.baselines || []}
+        activeBaselineId={currentProject.activeBaselineId || null}
+        onClose={() => setIsBaselinesOpen(false)}
+        onSave={(name) => runBaselineAction(saveBaseline, 'Référence enregistrée', name)}
+        onSelect={(baselineId) => runBaselineAction(setActiveBaseline, null, baselineId)}
+        onDelete={handleDeleteBaseline}
+      />
+      
+      {/* Resource Leveling Preview */}
+      <LevelingDialog
+        open={Boolean(levelingPlan)}
+        plan={levelingPlan}
+        onClose={() => setLevelingPlan(null)}
+        onApply={handleApplyLeveling}
+      />
+      
       {/* Task Creation Dialog */}
       <Dialog open={isAddTaskOpen} onClose={() => setIsAddTaskOpen(false)} maxWidth="md" fullWidth>
         <DialogTitle>Créer une nouvelle tâche</DialogTitle>
@@ -503,6 +588,20 @@ export default function GanttViewFixed() {
                 required
               />
             </Grid>
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={isMilestone(newTask)}
+                    onChange={(e) => setNewTask(prev => ({
+                      ...prev,
+                      type: e.target.checked ? TASK_TYPES.MILESTONE : TASK_TYPES.TASK
+                    }))}
+                  />
+                }
+                label="Jalon (durée nulle)"
+              />
+            </Grid>
             <Grid item xs={12}>
               <TextField
                 label="Description"
@@ -525,8 +624,9 @@ export default function GanttViewFixed() {
               <Grid item xs={6}>
                 <DatePicker
                   label="Date de fin"
-                  value={newTask.endDate}
+                  value={isMilestone(newTask) ? newTask.startDate : newTask.endDate}
                   onChange={(date) => setNewTask(prev => ({ ...prev, endDate: date }))}
+                  disabled={isMilestone(newTask)}
                   slotProps={{ textField: { fullWidth: true } }}
                 />
               </Grid>
@@ -576,6 +676,24 @@ export default function GanttViewFixed() {
                 </Select>
               </FormControl>
             </Grid>
+            <Grid item xs={12}>
+              <TextField
+                select
+                label="Tâche parente"
+                fullWidth
+                value={newTask.parentId || ''}
+                onChange={(e) => setNewTask(prev => ({ ...prev, parentId: e.target.value }))}
+              >
+                <MenuItem value="">
+                  <em>Aucune (premier niveau)</em>
+                </MenuItem>
+                {currentProject?.tasks?.map((task) => (
+                  <MenuItem key={task.id} value={task.id}>
+                    {`${wbsCodes[task.id] || ''} ${task.name}`}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
           </Grid>
         </DialogContent>
         <DialogActions>
@@ -599,7 +717,7 @@ export default function GanttViewFixed() {
         fullWidth
       >
         <DialogTitle>
-          Gérer les dépendances - {selectedTaskForDeps?.name}
+          Gérer les dépendances - {dependencyTask?.name}
         </DialogTitle>
         <DialogContent>
           <Box sx={{ mt: 2 }}>
@@ -607,19 +725,59 @@ export default function GanttViewFixed() {
               Dépendances actuelles:
             </Typography>
             
-            {selectedTaskForDeps?.dependencies?.length > 0 ? (
+            {dependencyTask?.dependencies?.length > 0 ? (
               <Box sx={{ mb: 3 }}>
-                {selectedTaskForDeps.dependencies.map((dep, index) => {
-                  const depTask = currentProject?.tasks?.find(t => t.id === (dep.taskId || dep));
+                {dependencyTask.dependencies.map((dep, index) => {
+                  const depTaskId = dep.taskId || dep;
+                  const depTask = currentProject?.tasks?.find(t => t.id === depTaskId);
                   return (
-                    <Chip
-                      key={index}
-                      label={depTask?.name || 'Tâche introuvable'}
-                      onDelete={() => handleRemoveDependency(selectedTaskForDeps.id, dep.taskId || dep)}
-                      color="primary"
-                      variant="outlined"
-                      sx={{ mr: 1, mb: 1 }}
-                    />
+                    <Grid container spacing={1} alignItems="center" key={index} sx={{ mb: 1 }}>
+                      <Grid item xs={4}>
+                        <Typography variant="body2" noWrap>
+                          {depTask?.name || 'Tâche introuvable'}
+                        </Typography>
+                      </Grid>
+                      <Grid item xs={3}>
+                        <Select
+                          size="small"
+                          fullWidth
+                          value={dep.type || 'finish-to-start'}
+                          onChange={(e) => handleUpdateDependency(dependencyTask.id, depTaskId, { type: e.target.value })}
+                        >
+                          {DEPENDENCY_TYPE_OPTIONS.map(option => (
+                            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                          ))}
+                        </Select>
+                      </Grid>
+                      <Grid item xs={2}>
+                        <TextField
+                          size="small"
+                          type="number"
+                          label="Décalage"
+                          value={dep.lag ?? 0}
+                          onChange={(e) => handleUpdateDependency(dependencyTask.id, depTaskId, { lag: Number(e.target.value) || 0 })}
+                        />
+                      </Grid>
+                      <Grid item xs={2}>
+                        <Select
+                          size="small"
+                          fullWidth
+                          value={dep.lagUnit || 'days'}
+                          onChange={(e) => handleUpdateDependency(dependencyTask.id, depTaskId, { lagUnit: e.target.value })}
+                        >
+                          <MenuItem value="days">jours</MenuItem>
+                          <MenuItem value="percent">%</MenuItem>
+                        </Select>
+                      </Grid>
+                      <Grid item xs={1}>
+                        <IconButton
+                          size="small"
+                          onClick={() => handleRemoveDependency(dependencyTask.id, depTaskId)}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Grid>
+                    </Grid>
                   );
                 })}
               </Box>
@@ -633,38 +791,85 @@ export default function GanttViewFixed() {
               Ajouter une dépendance:
             </Typography>
             
-            <FormControl fullWidth>
-              <InputLabel>Sélectionner une tâche</InputLabel>
-              <Select
-                value=""
-                onChange={(e) => {
-                  if (e.target.value) {
-                    handleAddDependency(selectedTaskForDeps.id, e.target.value);
-                  }
-                }}
-                label="Sélectionner une tâche"
-              >
-                {currentProject?.tasks
-                  ?.filter(task => 
-                    task.id !== selectedTaskForDeps?.id && 
-                    !selectedTaskForDeps?.dependencies?.some(dep => (dep.taskId || dep) === task.id)
-                  )
-                  ?.map((task) => (
-                    <MenuItem key={task.id} value={task.id}>
-                      <ListItemText 
-                        primary={task.name} 
-                        secondary={`${task.startDate ? new Date(task.startDate).toLocaleDateString() : ''} - ${task.endDate ? new Date(task.endDate).toLocaleDateString() : ''}`}
-                      />
-                    </MenuItem>
-                  ))
-                }
-              </Select>
-            </FormControl>
+            <Grid container spacing={1} alignItems="center">
+              <Grid item xs={4}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Tâche</InputLabel>
+                  <Select
+                    value={newDependency.taskId}
+                    onChange={(e) => setNewDependency(prev => ({ ...prev, taskId: e.target.value }))}
+                    label="Tâche"
+                  >
+                    {currentProject?.tasks
+                      ?.filter(task => 
+                        task.id !== dependencyTask?.id && 
+                        !dependencyTask?.dependencies?.some(dep => (dep.taskId || dep) === task.id)
+                      )
+                      ?.map((task) => (
+                        <MenuItem key={task.id} value={task.id}>
+                          <ListItemText 
+                            primary={task.name} 
+                            secondary={`${task.startDate ? new Date(task.startDate).toLocaleDateString() : ''} - ${task.endDate ? new Date(task.endDate).toLocaleDateString() : ''}`}
+                          />
+                        </MenuItem>
+                      ))
+                    }
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={3}>
+                <Select
+                  size="small"
+                  fullWidth
+                  value={newDependency.type}
+                  onChange={(e) => setNewDependency(prev => ({ ...prev, type: e.target.value }))}
+                >
+                  {DEPENDENCY_TYPE_OPTIONS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </Grid>
+              <Grid item xs={3}>
+                <TextField
+                  size="small"
+                  type="number"
+                  label="Décalage"
+                  value={newDependency.lag}
+                  onChange={(e) => setNewDependency(prev => ({ ...prev, lag: e.target.value }))}
+                  InputProps={{
+                    endAdornment: (
+                      <InputAdornment position="end">
+                        <Select
+                          variant="standard"
+                          disableUnderline
+                          value={newDependency.lagUnit}
+                          onChange={(e) => setNewDependency(prev => ({ ...prev, lagUnit: e.target.value }))}
+                        >
+                          <MenuItem value="days">j</MenuItem>
+                          <MenuItem value="percent">%</MenuItem>
+                        </Select>
+                      </InputAdornment>
+                    )
+                  }}
+                />
+              </Grid>
+              <Grid item xs={2}>
+                <Button
+                  variant="contained"
+                  fullWidth
+                  disabled={!newDependency.taskId}
+                  onClick={() => handleAddDependency(dependencyTask.id, newDependency)}
+                >
+                  Ajouter
+                </Button>
+              </Grid>
+            </Grid>
             
             <Box sx={{ mt: 2 }}>
               <Typography variant="caption" color="text.secondary">
-                Note: Les dépendances de type "Finish-to-Start" sont automatiquement appliquées.
-                La tâche sélectionnée doit se terminer avant que cette tâche puisse commencer.
+                Note: Les successeurs sont automatiquement replanifiés selon le type de dépendance.
+                Un décalage négatif permet un chevauchement (ex: -3 jours), un décalage en % est
+                calculé sur la durée de la tâche prédécesseur.
               </Typography>
             </Box>
           </Box>
@@ -676,6 +881,27 @@ export default function GanttViewFixed() {
         </DialogActions>
       </Dialog>
       
+      {/* Dependency Deletion Dialog (arrow click) */}
+      <Dialog open={Boolean(dependencyToDelete)} onClose={() => setDependencyToDelete(null)}>
+        <DialogTitle>Supprimer la dépendance</DialogTitle>
+        <DialogContent>
+          {dependencyToDelete && (
+            <Typography>
+              {formatTaskChain(
+                [dependencyToDelete.dependencyTaskId, dependencyToDelete.taskId],
+                currentProject?.tasks || []
+              )}
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDependencyToDelete(null)}>Annuler</Button>
+          <Button onClick={handleConfirmDependencyDelete} color="error" variant="contained">
+            Supprimer
+          </Button>
+        </DialogActions>
+      </Dialog>
+      
       {/* Task Details Panel */}
       {selectedTask && (
         <Box 
@@ -696,50 +922,118 @@ export default function GanttViewFixed() {
             <Button size="small" onClick={() => setSelectedTask(null)}>✕</Button>
           </Box>
           
-          <Typography variant="subtitle2" gutterBottom>{selectedTask.name}</Typography>
-          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-            {selectedTask.description || 'Aucune description'}
-          </Typography>
+          <Tabs
+            value={detailsTab}
+            onChange={(event, value) => setDetailsTab(value)}
+            variant="fullWidth"
+            sx={{ mb: 2, minHeight: 36 }}
+          >
+            <Tab value="details" label="Détails" sx={{ minHeight: 36 }} />
+            <Tab value="history" label="Historique" sx={{ minHeight: 36 }} />
+          </Tabs>
           
-          <Typography variant="caption" display="block">
-            Début: {selectedTask.startDate ? new Date(selectedTask.startDate).toLocaleDateString() : 'Non défini'}
-          </Typography>
-          <Typography variant="caption" display="block">
-            Fin: {selectedTask.endDate ? new Date(selectedTask.endDate).toLocaleDateString() : 'Non défini'}
-          </Typography>
-          <Typography variant="caption" display="block">
-            Progression: {selectedTask.completion || 0}%
-          </Typography>
+          {detailsTab === 'history' ? (
+            <Box sx={{ maxHeight: 400, overflowY: 'auto' }}>
+              <ActivityList
+                entries={getActivity({ projectId: currentProject.id, taskId: selectedTask.id })}
+                tasks={currentProject.tasks}
+                resources={projectResources}
+                emptyLabel="Aucune modification enregistrée"
+              />
+            </Box>
+          ) : (
+            <>
+              <Typography variant="subtitle2" gutterBottom>
+                {wbsCodes[selectedTask.id] && `${wbsCodes[selectedTask.id]} `}{selectedTask.name}
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                {selectedTask.description || 'Aucune description'}
+              </Typography>
           
-          {selectedTask.dependencies && selectedTask.dependencies.length > 0 && (
-            <Box sx={{ mt: 2 }}>
-              <Typography variant="caption" display="block" gutterBottom>
-                Dépendances ({selectedTask.dependencies.length}):
+              {isMilestone(selectedTask) && (
+                <Chip label="Jalon" size="small" color="primary" variant="outlined" sx={{ mb: 1 }} />
+              )}
+              <Typography variant="caption" display="block">
+                Début: {selectedTask.startDate ? new Date(selectedTask.startDate).toLocaleDateString() : 'Non défini'}
               </Typography>
-              {selectedTask.dependencies.map((dep, index) => {
-                const depTask = currentProject?.tasks?.find(t => t.id === (dep.taskId || dep));
-                return (
-                  <Chip
-                    key={index}
-                    label={depTask?.name || 'Tâche introuvable'}
-                    size="small"
-                    sx={{ mr: 0.5, mb: 0.5 }}
-                  />
-                );
-              })}
-            </Box>
-          )}
+              <Typography variant="caption" display="block">
+                Fin: {selectedTask.endDate ? new Date(selectedTask.endDate).toLocaleDateString() : 'Non défini'}
+              </Typography>
+              {!isMilestone(selectedTask) && (
+                <Typography variant="caption" display="block">
+                  Durée: {getTaskWorkingDays(selectedTask, calendar)} j ouvrés
+                </Typography>
+              )}
+              <Typography variant="caption" display="block">
+                Progression: {selectedTask.completion || 0}%
+              </Typography>
+              {selectedVariance && (
+                <Typography variant="caption" display="block">
+                  Écart / {activeBaseline.name}: début {formatVariance(selectedVariance.start)},
+                  fin {formatVariance(selectedVariance.finish)}
+                </Typography>
+              )}
           
-          <Box sx={{ mt: 2 }}>
-            <Button 
-              size="small" 
-              variant="outlined" 
-              fullWidth
-              onClick={() => handleManageDependencies(selectedTask)}
-            >
-              Gérer les dépendances
-            </Button>
-          </Box>
+              {selectedTask.dependencies && selectedTask.dependencies.length > 0 && (
+                <Box sx={{ mt: 2 }}>
+                  <Typography variant="caption" display="block" gutterBottom>
+                    Dépendances ({selectedTask.dependencies.length}):
+                  </Typography>
+                  {selectedTask.dependencies.map((dep, index) => (
+                    <Chip
+                      key={index}
+                      label={formatDependencyLabel(dep, currentProject?.tasks)}
+                      size="small"
+                      sx={{ mr: 0.5, mb: 0.5 }}
+                    />
+                  ))}
+                </Box>
+              )}
+          
+              <TaskAssignments
+                key={liveSelectedTask.id}
+                task={liveSelectedTask}
+                resources={projectResources}
+                onAssign={(...args) => runResourceAction(assignResource, null, ...args)}
+                onAllocationChange={(...args) => runResourceAction(updateAssignment, null, ...args)}
+                onUnassign={(...args) => runResourceAction(unassignResource, null, ...args)}
+              />
+          
+              <Box sx={{ mt: 2, display: 'flex', justifyContent: 'space-between' }}>
+                <Tooltip title="Indenter">
+                  <IconButton size="small" onClick={() => handleHierarchyChange(indentTask, selectedTask.id)}>
+                    <IndentIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Désindenter">
+                  <IconButton size="small" onClick={() => handleHierarchyChange(outdentTask, selectedTask.id)}>
+                    <OutdentIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Monter">
+                  <IconButton size="small" onClick={() => handleHierarchyChange(moveTask, selectedTask.id, -1)}>
+                    <MoveUpIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Descendre">
+                  <IconButton size="small" onClick={() => handleHierarchyChange(moveTask, selectedTask.id, 1)}>
+                    <MoveDownIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              </Box>
+          
+              <Box sx={{ mt: 2 }}>
+                <Button 
+                  size="small" 
+                  variant="outlined" 
+                  fullWidth
+                  onClick={() => handleManageDependencies(selectedTask)}
+                >
+                  Gérer les dépendances
+                </Button>
+              </Box>
+            </>
+          )}
         </Box>
       )}
     </div>
@@ -0,0 +1,240 @@
+/**
+ * WORKLOAD VIEW
+ * =============
+ *
+ * Resource load histogram displayed under the Gantt chart:
+ * - One row per assigned resource, one bar per day or week
+ * - Over-allocated periods in red, capacity as a dashed line
+ * - Same time scale as the chart, horizontal scroll follows the chart
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Box,
+  Typography,
+  ToggleButton,
+  ToggleButtonGroup,
+  Chip,
+  Tooltip,
+  useTheme
+} from '@mui/material';
+import { useProjectStore } from '../../../core/stores/ProjectStore';
+import { getProjectResources } from '../../../core/utils/resources';
+import { normalizeCalendar } from '../../../core/utils/workingCalendar';
+import {
+  WORKLOAD_UNITS,
+  computeResourceLoad,
+  getWorkloadBuckets
+} from '../../../core/utils/workload';
+import {
+  DEFAULT_ZOOM,
+  getZoomPreset,
+  createPresetScale,
+  getSidePanelWidth
+} from '../utils/ganttLayout';
+
+const ROW_HEIGHT = 56;
+const ROW_PADDING = 6;
+const HEADER_HEIGHT = 40;
+
+// Below this day width, daily bars are too thin: weekly buckets by default
+const MIN_DAILY_BAR_WIDTH = 12;
+
+const formatPeriod = (bucket, unit) => (unit === WORKLOAD_UNITS.WEEK
+  ? `Semaine du ${bucket.start.toLocaleDateString()}`
+  : bucket.start.toLocaleDateString());
+
+export default function WorkloadView({
+  zoomLevel = DEFAULT_ZOOM,
+  scrollLeft = 0,
+  withResourceColumn = true,
+  height = 240
+}) {
+  const theme = useTheme();
+  const { projects, currentProject, resources, getOverallocations, getActiveBaseline } = useProjectStore();
+  const containerRef = useRef(null);
+  const [selectedUnit, setSelectedUnit] = useState(null);
+
+  const preset = getZoomPreset(zoomLevel);
+  const unit = selectedUnit ||
+    (preset.dayWidth >= MIN_DAILY_BAR_WIDTH ? WORKLOAD_UNITS.DAY : WORKLOAD_UNITS.WEEK);
+  // Same side panel and scale as the chart (variance column when a baseline is shown)
+  const baseline = getActiveBaseline();
+  const sideWidth = getSidePanelWidth(withResourceColumn, Boolean(baseline));
+  const tasks = currentProject?.tasks;
+
+  const scale = useMemo(() => createPresetScale(tasks || [], preset, baseline), [tasks, preset, baseline]);
+  const calendar = useMemo(() => normalizeCalendar(currentProject?.calendar), [currentProject?.calendar]);
+  const loads = useMemo(() => computeResourceLoad(projects), [projects]);
+  const overallocations = currentProject ? getOverallocations(currentProject.id) : [];
+
+  // Resources of the project that carry some load
+  const rows = useMemo(() => getProjectResources(resources, currentProject)
+    .filter(resource => loads.has(resource.id))
+    .map(resource => {
+      const buckets = getWorkloadBuckets(loads.get(resource.id), resource, {
+        start: scale.start,
+        end: scale.end,
+        unit,
+        calendar
+      });
+      const peak = Math.max(resource.capacity, ...buckets.map(bucket => bucket.load));
+      return { resource, buckets, max: peak * 1.2 };
+    }), [resources, currentProject, loads, scale, unit, calendar]);
+
+  // The chart drives horizontal scrolling
+  useEffect(() => {
+    if (containerRef.current) {
+      containerRef.current.scrollLeft = scrollLeft;
+    }
+  }, [scrollLeft]);
+
+  const innerHeight = ROW_HEIGHT - 2 * ROW_PADDING;
+
+  return (
+    <Box sx={{ borderTop: 2, borderColor: 'divider', bgcolor: 'background.paper' }}>
+      <Box
+        sx={{
+          height: HEADER_HEIGHT,
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1,
+          px: 1.5,
+          borderBottom: 1,
+          borderColor: 'divider'
+        }}
+      >
+        <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>
+          Charge des ressources
+        </Typography>
+        {overallocations.length > 0 && (
+          <Tooltip
+            title={overallocations.map(period =>
+              `${period.resourceName}: ${period.peak} % du ${period.start.toLocaleDateString()} ` +
+              `au ${new Date(period.end.getTime() - 1).toLocaleDateString()}`
+            ).join('\n')}
+            componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line' } } }}
+          >
+            <Chip
+              size="small"
+              color="error"
+              label={`${overallocations.length} sur-allocation${overallocations.length > 1 ? 's' : ''}`}
+            />
+          </Tooltip>
+        )}
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={unit}
+          onChange={(event, value) => value && setSelectedUnit(value)}
+        >
+          <ToggleButton value={WORKLOAD_UNITS.DAY}>Jour</ToggleButton>
+          <ToggleButton value={WORKLOAD_UNITS.WEEK}>Semaine</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+
+      {rows.length === 0 ? (
+        <Box sx={{ p: 2 }}>
+          <Typography variant="body2" color="text.secondary">
+            Aucune ressource affectée aux tâches de ce projet
+          </Typography>
+        </Box>
+      ) : (
+        <Box ref={containerRef} sx={{ height, overflowX: 'hidden', overflowY: 'auto' }}>
+          <Box sx={{ display: 'flex', width: sideWidth + scale.width }}>
+            {/* Resource names */}
+            <Box
+              sx={{
+                position: 'sticky',
+                left: 0,
+                zIndex: 1,
+                width: sideWidth,
+                flexShrink: 0,
+                bgcolor: 'background.paper',
+                borderRight: 1,
+                borderColor: 'divider'
+              }}
+            >
+              {rows.map(({ resource }) => (
+                <Box
+                  key={resource.id}
+                  sx={{
+                    height: ROW_HEIGHT,
+                    display: 'flex',
+                    flexDirection: 'column',
+                    justifyContent: 'center',
+                    px: 1.5,
+                    borderBottom: 1,
+                    borderColor: 'divider'
+                  }}
+                >
+                  <Typography variant="body2" noWrap>{resource.name}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    Capacité {resource.capacity} %
+                  </Typography>
+                </Box>
+              ))}
+            </Box>
+
+            {/* Histogram */}
+            <svg width={scale.width} height={rows.length * ROW_HEIGHT} style={{ display: 'block' }}>
+              {rows.map(({ resource, buckets, max }, index) => {
+                const top = index * ROW_HEIGHT;
+                const baseline = top + ROW_HEIGHT - ROW_PADDING;
+                const capacityY = baseline - (resource.capacity / max) * innerHeight;
+
+                return (
+                  <g key={resource.id}>
+                    <line
+                      x1={0}
+                      y1={top + ROW_HEIGHT - 0.5}
+                      x2={scale.width}
+                      y2={top + ROW_HEIGHT - 0.5}
+                      stroke={theme.palette.divider}
+                    />
+                    {buckets.filter(bucket => bucket.load > 0).map(bucket => {
+                      const x = scale.toX(bucket.start);
+                      const barHeight = (bucket.load / max) * innerHeight;
+                      return (
+                        <rect
+                          key={bucket.start.getTime()}
+                          x={x + 1}
+                          y={baseline - barHeight}
+                          width={Math.max(1, scale.toX(bucket.end) - x - 2)}
+                          height={barHeight}
+                          fill={bucket.overallocated ? theme.palette.error.main : theme.palette.primary.main}
+                          fillOpacity={0.8}
+                        >
+                          <title>
+                            {`${resource.name} - ${formatPeriod(bucket, unit)}: ${bucket.load} % (capacité ${bucket.capacity} %)`}
+                          </title>
+                        </rect>
+                      );
+                    })}
+                    <line
+                      x1={0}
+                      y1={capacityY}
+                      x2={scale.width}
+                      y2={capacityY}
+                      stroke={theme.palette.text.secondary}
+                      strokeDasharray="4 3"
+                      strokeOpacity={0.6}
+                    />
+                  </g>
+                );
+              })}
+            </svg>
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+WorkloadView.propTypes = {
+  zoomLevel: PropTypes.string,
+  scrollLeft: PropTypes.number,
+  withResourceColumn: PropTypes.bool,
+  height: PropTypes.number
+};
@@ -4,11 +4,14 @@
  * 
  * Responsabilités :
  * - Affiche la liste des projets
+ * - Liste les jalons à venir et manqués
+ * - Affiche l'activité récente de tous les projets (journal des modifications)
  * - Gère les interactions principales
  * - Fournit l'entrée vers le diagramme de Gantt
  */
 
 import React from 'react';
+import PropTypes from 'prop-types';
 import { 
   Box, 
   Typography, 
@@ -17,19 +20,76 @@ import {
   CardContent, 
   CardActions,
   Grid,
-  CircularProgress
+  CircularProgress,
+  List,
+  ListItemButton,
+  ListItemText
 } from '@mui/material';
 import { Add as AddIcon } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import { useProjectStore } from '../../../core/stores/ProjectStore';
+import ActivityList from '../../../components/ActivityList';
+
+const MILESTONE_LIST_SIZE = 5;
+const ACTIVITY_FEED_SIZE = 10;
+
+/**
+ * Carte listant des jalons (à venir ou manqués)
+ */
+function MilestoneCard({ title, milestones, emptyLabel, color, onSelect }) {
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          {title} ({milestones.length})
+        </Typography>
+        {milestones.length === 0 ? (
+          <Typography variant="body2" color="textSecondary">
+            {emptyLabel}
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {milestones.slice(0, MILESTONE_LIST_SIZE).map(({ project, task }) => (
+              <ListItemButton key={task.id} onClick={() => onSelect(project.id)}>
+                <ListItemText
+                  primary={`◆ ${task.name}`}
+                  secondary={`${project.name} — ${new Date(task.startDate).toLocaleDateString()}`}
+                  primaryTypographyProps={{ color }}
+                />
+              </ListItemButton>
+            ))}
+          </List>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+MilestoneCard.propTypes = {
+  title: PropTypes.string.isRequired,
+  milestones: PropTypes.arrayOf(PropTypes.shape({
+    project: PropTypes.object.isRequired,
+    task: PropTypes.object.isRequired
+  })).isRequired,
+  emptyLabel: PropTypes.string.isRequired,
+  color: PropTypes.string,
+  onSelect: PropTypes.func.isRequired
+};
 
 export default function ProjectDashboard() {
   const navigate = useNavigate();
-  const { projects, loading, error } = useProjectStore(state => ({
+  const { projects, resources, loading, error, getCriticalPath, getMilestones, getActivity } = useProjectStore(state => ({
     projects: state.projects,
+    resources: state.resources,
     loading: state.loading,
-    error: state.error
+    error: state.error,
+    getCriticalPath: state.getCriticalPath,
+    getMilestones: state.getMilestones,
+    getActivity: state.getActivity
   }));
+  const milestones = getMilestones();
+  const activity = getActivity({ limit: ACTIVITY_FEED_SIZE });
+  const hasMilestones = milestones.upcoming.length > 0 || milestones.missed.length > 0;
 
   const handleCreateProject = () => {
     navigate('/projects'); // Navigate to projects page where creation can happen
@@ -69,6 +129,44 @@ export default function ProjectDashboard() {
         </Typography>
       )}
 
+      {hasMilestones && (
+        <Grid container spacing={3} sx={{ mb: 3 }}>
+          <Grid item xs={12} md={6}>
+            <MilestoneCard
+              title="Jalons à venir"
+              milestones={milestones.upcoming}
+              emptyLabel="Aucun jalon à venir"
+              onSelect={handleViewProject}
+            />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <MilestoneCard
+              title="Jalons manqués"
+              milestones={milestones.missed}
+              emptyLabel="Aucun jalon manqué"
+              color="error"
+              onSelect={handleViewProject}
+            />
+          </Grid>
+        </Grid>
+      )}
+
+      {activity.length > 0 && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              Activité récente
+            </Typography>
+            <ActivityList
+              entries={activity}
+              tasks={projects.flatMap(project => project.tasks || [])}
+              resources={[...resources, ...projects.flatMap(project => project.resources || [])]}
+              showProject
+            />
+          </CardContent>
+        </Card>
+      )}
+
       {projects.length === 0 ? (
         <Card sx={{ textAlign: 'center', p: 3 }}>
           <CardContent>
@@ -105,6 +203,11 @@ export default function ProjectDashboard() {
                   <Typography variant="body2" noWrap>
                     {project.description || 'Aucune description'}
                   </Typography>
+                  {project.tasks?.length > 0 && (
+                    <Typography variant="caption" color="error" display="block" sx={{ mt: 1 }}>
+                      {getCriticalPath(project.id).criticalPath.length} tâche(s) critique(s)
+                    </Typography>
+                  )}
                 </CardContent>
                 <CardActions>
                   <Button 
@@ -5,6 +5,7 @@
  * Fonctionnalités :
  * - Affiche la liste des projets
  * - Permet la création, édition et suppression de projets
+ * - Annuler / rétablir les modifications (Ctrl+Z, Ctrl+Maj+Z)
  * - Gère les états de chargement et erreurs
  * - Intère avec l'API/Store global
  * 
@@ -39,6 +40,7 @@ import {
 } from '@mui/material';
 import { Add, Edit, Delete, Visibility, AutoAwesome } from '@mui/icons-material';
 import ProjectForm from './ProjectForm'; // Formulaire de création/édition
+import useUndoRedo from '../../../core/hooks/useUndoRedo';
 
 const Projects = () => {
   // ÉTATS LOCAUX
@@ -67,6 +69,9 @@ const Projects = () => {
     loading: state.loading
   }));
 
+  // Raccourcis annuler / rétablir
+  useUndoRedo();
+
   /**
    * EFFECT : Synchronise les états locaux avec le store
    */
@@ -83,7 +88,7 @@ const Projects = () => {
    * de charger les données explicitement à chaque montage
    */
   useEffect(() => {
-    // Le state est déjà chargé à partir du localStorage par le store
+    // Le state est déjà chargé à partir du stockage persistant par le store
     setIsLoading(false);
   }, []);
 
@@ -193,8 +198,7 @@ const Projects = () => {
               color="warning"
               onClick={() => {
                 if (window.confirm('Supprimer toutes les données en cache? Cette action est irréversible.')) {
-                  localStorage.removeItem('project-storage');
-                  window.location.reload();
+                  useProjectStore.getState().clearCache().then(() => window.location.reload());
                 }
               }}
             >
@@ -5,9 +5,11 @@
  * This utility helps debug and fix date-related issues in the Gantt app
  */
 
+import { useProjectStore } from '../core/stores/ProjectStore';
+
 export const clearProjectCache = () => {
   try {
-    localStorage.removeItem('project-storage');
+    useProjectStore.getState().clearCache();
     console.log('✅ Cleared project storage cache');
     return true;
   } catch (error) {